@@ -1,235 +1,298 @@
-import sqlite3 from 'sqlite3';
-import { promisify } from 'util';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
+import { performance } from 'perf_hooks';
+import { SqliteAdapter } from './adapters/SqliteAdapter.js';
+import { MemoryAdapter } from './adapters/MemoryAdapter.js';
+import { PostgresAdapter } from './adapters/PostgresAdapter.js';
+import { Migrator } from './Migrator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+export const DEFAULT_TENANT = 'default';
+
+/**
+ * Storage adapter interface - every backend implements these, plus initialize/close
+ * and the beginTransaction/commitTransaction/rollbackTransaction primitives
+ * Tenant-owned methods take the tenant id as their first argument; DatabaseManager supplies it
+ */
+export const STORAGE_METHODS = [
+  'findContactsByEmailOrPhone',
+  'findConnectedContacts',
+  'createContact',
+  'updateContactLink',
+  'getContactById',
+  'getContactsByIds',
+  'addContactIdentifiers',
+  'findContactsByIdentifiers',
+  'getContactIdentifiers',
+  'getLinkedContacts',
+  'getPrimaryContactIds',
+  'getRetiredPrimaries',
+  'getContactsPage',
+  'softDeleteContacts',
+  'purgeDeletedContacts',
+  'createSeparation',
+  'getSeparations',
+  'reassignSeparations',
+  'createTombstone',
+  'findTombstone',
+  'createAuditEntries',
+  'getAuditHistory',
+  'createApiKey',
+  'findApiKeyByHash',
+  'getApiKeyById',
+  'listApiKeys',
+  'revokeApiKey',
+  'createWebhookSubscription',
+  'getWebhookSubscriptions',
+  'getWebhookSubscriptionById',
+  'disableWebhookSubscription',
+  'createOutboxEntries',
+  'getDueOutboxEntries',
+  'getOutboxEntries',
+  'getOutboxEntryById',
+  'updateOutboxEntry',
+  'createDuplicateCandidate',
+  'getDuplicateCandidates',
+  'getDuplicateCandidateById',
+  'updateDuplicateCandidate',
+  'getStats',
+  'getClusterSizes',
+  'listTenants',
+  'deleteTenantData'
+];
+
+/**
+ * Methods that work across tenants - API keys are how a request's tenant is found in the first place
+ */
+export const PLATFORM_METHODS = [
+  'createApiKey',
+  'findApiKeyByHash',
+  'getApiKeyById',
+  'listApiKeys',
+  'revokeApiKey',
+  'listTenants'
+];
+
+// Table each storage call mostly works on, for timing logs - first match wins, Contact otherwise
+const METHOD_TABLES = [
+  [/Identifier/, 'ContactIdentifier'],
+  [/Audit/, 'ContactAudit'],
+  [/Separation/, 'ContactSeparation'],
+  [/Tombstone/, 'ErasureTombstone'],
+  [/ApiKey/, 'ApiKey'],
+  [/Outbox/, 'WebhookOutbox'],
+  [/Webhook/, 'WebhookSubscription'],
+  [/Duplicate/, 'DuplicateCandidate'],
+  [/Tenant/, '*']
+];
+
+// The primary a contact belongs to, as far as its own row tells
+const rootOf = (contact) => (contact.linkPrecedence === 'secondary' && contact.linkedId ? contact.linkedId : contact.id);
+
+/**
+ * Writes that change what a cluster holds, and the primaries whose clusters they touch - worked out before
+ * the write, while old links can still be read. null stands for every cluster of the tenant.
+ */
+const CLUSTER_WRITES = {
+  createContact: async (adapter, tenantId, [, , linkedId]) => [linkedId],
+  updateContactLink: async (adapter, tenantId, [contactId, linkedId]) =>
+    [contactId, linkedId, ...(await adapter.getContactsByIds(tenantId, [contactId])).map(rootOf)],
+  addContactIdentifiers: async (adapter, tenantId, [contactId]) =>
+    (await adapter.getContactsByIds(tenantId, [contactId])).map(rootOf),
+  softDeleteContacts: async (adapter, tenantId, [contactIds]) =>
+    (await adapter.getContactsByIds(tenantId, contactIds)).map(rootOf),
+  deleteTenantData: async () => null
+};
+
+export const STORAGE_BACKENDS = {
+  sqlite: SqliteAdapter,
+  memory: MemoryAdapter,
+  postgres: PostgresAdapter
+};
+
 /**
  * DatabaseManager - Handles all database operations with covert efficiency
- * Manages SQLite database for contact storage and reconciliation
+ * Picks a storage backend from configuration (DB_BACKEND: sqlite, memory or postgres) and exposes
+ * the storage interface on itself, so services never care which backend is behind it
+ * Every tenant-owned call is scoped to the tenant of the current async context (see withTenant),
+ * so services can't reach another tenant's rows even by id
  */
 export class DatabaseManager {
-  constructor() {
-    this.db = null;
-    this.dbPath = path.join(__dirname, '../../data/contacts.db');
+  constructor(config = {}) {
+    this.config = {
+      backend: config.backend || process.env.DB_BACKEND || 'sqlite',
+      dbPath: config.dbPath || process.env.DB_PATH || path.join(__dirname, '../../data/contacts.db'),
+      connectionString: config.connectionString || process.env.DATABASE_URL
+    };
+    // Every storage call is timed through logger.logDatabaseOperation when a logger is given
+    this.logger = config.logger || null;
+
+    const Adapter = STORAGE_BACKENDS[this.config.backend];
+    if (!Adapter) {
+      throw new Error(`Unknown storage backend: ${this.config.backend}`);
+    }
+
+    this.adapter = new Adapter(this.config);
+    // SQL backends carry a dialect and a set of migrations; the memory backend has no schema to migrate
+    this.migrator = this.adapter.dialect ? new Migrator(this.adapter) : null;
+    this.transactionQueue = Promise.resolve();
+    this.transactionContext = new AsyncLocalStorage();
+    this.tenantContext = new AsyncLocalStorage();
+    this.clusterListeners = [];
+
+    for (const method of STORAGE_METHODS) {
+      const call = PLATFORM_METHODS.includes(method)
+        ? (...args) => this.adapter[method](...args)
+        : (...args) => this.adapter[method](this.tenantId, ...args);
+      const timed = this.logger ? this.timed(method, call) : call;
+      this[method] = CLUSTER_WRITES[method] ? this.tracked(method, timed) : (...args) => this.serialized(() => timed(...args));
+    }
   }
 
   /**
-   * Initialize database connection and create tables if needed
+   * Call listener(tenantId, primaryIds) whenever a write touches clusters - primaryIds is null when the
+   * whole tenant went. Inside a transaction it is called right after the write and again once the
+   * transaction commits or rolls back, since anything read in between may not be what stays.
+   * Listener errors are logged, never thrown back at the write.
    */
-  async initialize() {
-    return new Promise((resolve, reject) => {
-      // Create data directory if it doesn't exist
-      const dataDir = path.dirname(this.dbPath);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
+  onClusterChange(listener) {
+    this.clusterListeners.push(listener);
+  }
+
+  tracked(method, call) {
+    return async (...args) => {
+      if (this.clusterListeners.length === 0) {
+        return this.serialized(() => call(...args));
       }
 
-      this.db = new sqlite3.Database(this.dbPath, (err) => {
-        if (err) {
-          reject(new Error(`Database connection failed: ${err.message}`));
-          return;
-        }
-        
-        this.createTables()
-          .then(() => resolve())
-          .catch(reject);
-      });
-    });
+      const tenantId = this.tenantId;
+      const { touched, result } = await this.serialized(async () => ({
+        touched: await CLUSTER_WRITES[method](this.adapter, tenantId, args),
+        result: await call(...args)
+      }));
+      const primaryIds = touched && [...new Set(touched.filter(id => id !== null && id !== undefined))];
+
+      this.transactionContext.getStore()?.changes.push({ tenantId, primaryIds });
+      await this.notifyClusterChange(tenantId, primaryIds);
+      return result;
+    };
   }
 
-  /**
-   * Create the Contact table with proper schema
-   */
-  async createTables() {
-    const createTableSQL = `
-      CREATE TABLE IF NOT EXISTS Contact (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        phoneNumber TEXT,
-        email TEXT,
-        linkedId INTEGER,
-        linkPrecedence TEXT CHECK(linkPrecedence IN ('primary', 'secondary')) NOT NULL,
-        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-        deletedAt DATETIME,
-        FOREIGN KEY (linkedId) REFERENCES Contact(id)
-      )
-    `;
-
-    const createIndexes = [
-      'CREATE INDEX IF NOT EXISTS idx_email ON Contact(email)',
-      'CREATE INDEX IF NOT EXISTS idx_phone ON Contact(phoneNumber)',
-      'CREATE INDEX IF NOT EXISTS idx_linked ON Contact(linkedId)',
-      'CREATE INDEX IF NOT EXISTS idx_precedence ON Contact(linkPrecedence)'
-    ];
-
-    return new Promise((resolve, reject) => {
-      this.db.run(createTableSQL, (err) => {
-        if (err) {
-          reject(new Error(`Table creation failed: ${err.message}`));
-          return;
-        }
+  async notifyClusterChange(tenantId, primaryIds) {
+    if (primaryIds && primaryIds.length === 0) {
+      return;
+    }
 
-        // Create indexes for optimized queries
-        Promise.all(createIndexes.map(sql => this.run(sql)))
-          .then(() => resolve())
-          .catch(reject);
-      });
-    });
+    for (const listener of this.clusterListeners) {
+      try {
+        await listener(tenantId, primaryIds);
+      } catch (error) {
+        this.logger?.logError('Cluster change listener failed', error, { tenantId });
+      }
+    }
   }
 
-  /**
-   * Execute a SQL query with parameters
-   */
-  async run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, changes: this.changes });
-        }
-      });
-    });
+  timed(method, call) {
+    const [, table] = METHOD_TABLES.find(([pattern]) => pattern.test(method)) || [null, 'Contact'];
+
+    return async (...args) => {
+      const start = performance.now();
+      const result = await call(...args);
+      const recordCount = Array.isArray(result) ? result.length : (result && typeof result.changes === 'number' ? result.changes : null);
+
+      this.logger.logDatabaseOperation(method, table, performance.now() - start, recordCount);
+      return result;
+    };
   }
 
   /**
-   * Get a single row from database
+   * Tenant every storage call in the current async context is scoped to
    */
-  async get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row);
-        }
-      });
-    });
+  get tenantId() {
+    return this.tenantContext.getStore() ?? DEFAULT_TENANT;
   }
 
   /**
-   * Get multiple rows from database
+   * Run work (and everything it awaits) against one tenant's data
    */
-  async all(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
-    });
+  withTenant(tenantId, work) {
+    return this.tenantContext.run(tenantId, work);
   }
 
   /**
-   * Find contacts by email or phone number
+   * Initialize the backend (connection) and bring the schema up to date
+   * Pass { migrate: false } to connect without touching the schema
    */
-  async findContactsByEmailOrPhone(email, phoneNumber) {
-    const conditions = [];
-    const params = [];
+  async initialize({ migrate = true } = {}) {
+    await this.adapter.initialize();
 
-    if (email) {
-      conditions.push('email = ?');
-      params.push(email);
-    }
-
-    if (phoneNumber) {
-      conditions.push('phoneNumber = ?');
-      params.push(phoneNumber);
-    }
-
-    if (conditions.length === 0) {
-      return [];
+    if (migrate && this.migrator) {
+      for (const { version, name, report } of await this.migrator.migrate()) {
+        if (report) {
+          this.logger?.logWarning(`Migration ${version}_${name} applied with warnings`, report);
+        }
+      }
     }
-
-    const sql = `
-      SELECT * FROM Contact 
-      WHERE (${conditions.join(' OR ')}) 
-      AND deletedAt IS NULL
-      ORDER BY createdAt ASC
-    `;
-
-    return this.all(sql, params);
   }
 
   /**
-   * Create a new contact entry
+   * Run call once everything queued before it has finished - or right away inside a transaction, as part of it
+   * Every backend works over a single connection, so a storage call made while another caller's transaction is
+   * open would otherwise run inside it: committed or rolled back with it, and reading its uncommitted writes
    */
-  async createContact(email, phoneNumber, linkedId = null, linkPrecedence = 'primary') {
-    const sql = `
-      INSERT INTO Contact (email, phoneNumber, linkedId, linkPrecedence, createdAt, updatedAt)
-      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-    `;
-
-    const result = await this.run(sql, [email, phoneNumber, linkedId, linkPrecedence]);
-    return this.get('SELECT * FROM Contact WHERE id = ?', [result.id]);
-  }
+  serialized(call) {
+    if (this.transactionContext.getStore()) {
+      return call();
+    }
 
-  /**
-   * Update contact's link precedence and linked ID
-   */
-  async updateContactLink(contactId, linkedId, linkPrecedence) {
-    const sql = `
-      UPDATE Contact 
-      SET linkedId = ?, linkPrecedence = ?, updatedAt = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `;
-
-    await this.run(sql, [linkedId, linkPrecedence, contactId]);
-    return this.get('SELECT * FROM Contact WHERE id = ?', [contactId]);
+    const result = this.transactionQueue.then(call);
+    this.transactionQueue = result.catch(() => {});
+    return result;
   }
 
   /**
-   * Get all contacts in a linked group
+   * Run a unit of work atomically
+   * Transactions wait their turn with every other storage call (see serialized) and run one at a time -
+   * concurrent reconciliations of overlapping clusters can never interleave. Nested calls join the outer transaction.
    */
-  async getLinkedContacts(primaryId) {
-    const sql = `
-      SELECT * FROM Contact 
-      WHERE (id = ? OR linkedId = ?) 
-      AND deletedAt IS NULL
-      ORDER BY linkPrecedence DESC, createdAt ASC
-    `;
-
-    return this.all(sql, [primaryId, primaryId]);
-  }
+  async transaction(work) {
+    if (this.transactionContext.getStore()) {
+      return work();
+    }
 
-  /**
-   * Get database statistics for monitoring
-   */
-  async getStats() {
-    const totalContacts = await this.get('SELECT COUNT(*) as count FROM Contact WHERE deletedAt IS NULL');
-    const primaryContacts = await this.get('SELECT COUNT(*) as count FROM Contact WHERE linkPrecedence = "primary" AND deletedAt IS NULL');
-    const secondaryContacts = await this.get('SELECT COUNT(*) as count FROM Contact WHERE linkPrecedence = "secondary" AND deletedAt IS NULL');
-    const lastUpdate = await this.get('SELECT MAX(updatedAt) as lastUpdate FROM Contact');
-
-    return {
-      totalContacts: totalContacts.count,
-      primaryContacts: primaryContacts.count,
-      secondaryContacts: secondaryContacts.count,
-      lastUpdate: lastUpdate.lastUpdate
+    const attempt = async (context) => {
+      await this.adapter.beginTransaction();
+      try {
+        const result = await this.transactionContext.run(context, work);
+        await this.adapter.commitTransaction();
+        return result;
+      } catch (error) {
+        await this.adapter.rollbackTransaction().catch(() => {});
+        throw error;
+      }
     };
+
+    const context = { changes: [] };
+    const outcome = await this.serialized(() => attempt(context).then(result => ({ result }), error => ({ error })));
+
+    // Listeners hear about the changes once the outcome is settled, and can't alter it
+    for (const { tenantId, primaryIds } of context.changes) {
+      await this.notifyClusterChange(tenantId, primaryIds);
+    }
+
+    if (outcome.error) {
+      throw outcome.error;
+    }
+    return outcome.result;
   }
 
   /**
    * Close database connection
    */
   async close() {
-    return new Promise((resolve) => {
-      if (this.db) {
-        this.db.close((err) => {
-          if (err) {
-            console.error('Error closing database:', err);
-          }
-          resolve();
-        });
-      } else {
-        resolve();
-      }
-    });
+    return this.adapter.close();
   }
-}
\ No newline at end of file
+}
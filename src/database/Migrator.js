@@ -0,0 +1,197 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Migrator - Applies the numbered migrations in migrations/<dialect>/ and records them in SchemaMigrations
+ * Every migration runs in its own transaction and is checksummed, so an applied history
+ * that no longer matches the files on disk is refused instead of silently built upon.
+ * Opening a transaction locks out other writers (BEGIN IMMEDIATE on sqlite, an advisory lock on postgres), and
+ * each step re-reads the history under that lock - instances starting together don't apply a migration twice
+ */
+export class Migrator {
+  constructor(adapter, { directory } = {}) {
+    this.adapter = adapter;
+    this.directory = directory || path.join(__dirname, 'migrations', adapter.dialect);
+  }
+
+  /**
+   * Migration files on disk, ordered by version
+   */
+  async loadMigrations() {
+    const files = fs.existsSync(this.directory) ? fs.readdirSync(this.directory) : [];
+    const migrations = [];
+
+    for (const file of files) {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) {
+        continue;
+      }
+
+      const filePath = path.join(this.directory, file);
+      migrations.push({
+        version: Number(match[1]),
+        name: match[2],
+        checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex'),
+        module: await import(pathToFileURL(filePath).href)
+      });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migrations[i].version} in ${this.directory}`);
+      }
+    }
+
+    return migrations;
+  }
+
+  async ensureSchemaTable() {
+    await this.locked(() => this.adapter.run(`
+      CREATE TABLE IF NOT EXISTS "SchemaMigrations" (
+        "version" INTEGER PRIMARY KEY,
+        "name" TEXT NOT NULL,
+        "checksum" TEXT NOT NULL,
+        "appliedAt" TEXT NOT NULL
+      )
+    `));
+  }
+
+  async getApplied() {
+    await this.ensureSchemaTable();
+    return this.adapter.all('SELECT * FROM "SchemaMigrations" ORDER BY "version" ASC');
+  }
+
+  /**
+   * Every known migration with whether it has been applied
+   */
+  async status() {
+    const [migrations, applied] = await Promise.all([this.loadMigrations(), this.getApplied()]);
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    return migrations.map(({ version, name }) => ({
+      version,
+      name,
+      appliedAt: appliedByVersion.get(version)?.appliedAt || null
+    }));
+  }
+
+  /**
+   * Refuse to continue when applied migrations are missing or were edited after being applied
+   */
+  async verify() {
+    const [migrations, applied] = await Promise.all([this.loadMigrations(), this.getApplied()]);
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+    for (const row of applied) {
+      const migration = byVersion.get(row.version);
+      if (!migration) {
+        throw new Error(`Applied migration ${row.version}_${row.name} is missing from ${this.directory}`);
+      }
+      if (migration.checksum !== row.checksum) {
+        throw new Error(`Checksum mismatch for migration ${row.version}_${row.name} - the applied history has been altered`);
+      }
+    }
+
+    return { migrations, applied };
+  }
+
+  /**
+   * Apply pending migrations up to (and including) `to`
+   * Returns the migrations applied - or, with dryRun, the ones that would be. A migration whose up() returns
+   * something (e.g. rows it couldn't convert) has it attached as `report`
+   */
+  async migrate({ to = Infinity, dryRun = false } = {}) {
+    const { migrations, applied } = await this.verify();
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const pending = migrations.filter(m => !appliedVersions.has(m.version) && m.version <= to);
+
+    if (dryRun) {
+      return pending.map(({ version, name }) => ({ version, name }));
+    }
+
+    const results = [];
+    for (const migration of pending) {
+      const step = await this.runStep(migration, 'up', () => this.adapter.run(
+        'INSERT INTO "SchemaMigrations" ("version", "name", "checksum", "appliedAt") VALUES (?, ?, ?, ?)',
+        [migration.version, migration.name, migration.checksum, new Date().toISOString()]
+      ));
+      if (step.ran) {
+        results.push({ version: migration.version, name: migration.name, ...(step.report && { report: step.report }) });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Revert the most recently applied migrations, newest first
+   */
+  async rollback({ steps = 1, dryRun = false } = {}) {
+    const { migrations, applied } = await this.verify();
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const reverting = applied.slice(Math.max(applied.length - steps, 0)).reverse().map(row => byVersion.get(row.version));
+
+    if (dryRun) {
+      return reverting.map(({ version, name }) => ({ version, name }));
+    }
+
+    const results = [];
+    for (const migration of reverting) {
+      if (typeof migration.module.down !== 'function') {
+        throw new Error(`Migration ${migration.version}_${migration.name} cannot be reverted`);
+      }
+
+      const step = await this.runStep(migration, 'down', () => this.adapter.run(
+        'DELETE FROM "SchemaMigrations" WHERE "version" = ?',
+        [migration.version]
+      ));
+      if (step.ran) {
+        results.push({ version: migration.version, name: migration.name });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Run one migration in one direction and record it - unless, by the time the lock is held, another
+   * instance already has. Resolves to { ran, report }
+   */
+  async runStep(migration, direction, record) {
+    try {
+      return await this.locked(async () => {
+        const applied = Boolean(await this.adapter.get('SELECT "version" FROM "SchemaMigrations" WHERE "version" = ?', [migration.version]));
+        if (applied !== (direction === 'down')) {
+          return { ran: false };
+        }
+
+        const report = await migration.module[direction](this.adapter);
+        await record();
+        return { ran: true, report };
+      });
+    } catch (error) {
+      throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+    }
+  }
+
+  async locked(work) {
+    await this.adapter.beginTransaction();
+    try {
+      const result = await work();
+      await this.adapter.commitTransaction();
+      return result;
+    } catch (error) {
+      await this.adapter.rollbackTransaction().catch(() => {});
+      throw error;
+    }
+  }
+}
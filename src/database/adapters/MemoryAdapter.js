@@ -0,0 +1,617 @@
+/**
+ * MemoryAdapter - Pure in-memory storage backend
+ * No native dependencies and no I/O, which makes it the fast choice for tests.
+ * Rows are always handed out as copies, mirroring what a real database returns.
+ */
+export class MemoryAdapter {
+  constructor() {
+    this.state = null;
+    this.snapshot = null;
+  }
+
+  async initialize() {
+    if (!this.state) {
+      this.state = {
+        contacts: [],
+        separations: [],
+        tombstones: [],
+        audit: [],
+        apiKeys: [],
+        webhookSubscriptions: [],
+        outbox: [],
+        duplicateCandidates: [],
+        identifiers: [],
+        linkHistory: [],
+        nextIds: {
+          contacts: 1, separations: 1, tombstones: 1, audit: 1, apiKeys: 1,
+          webhookSubscriptions: 1, outbox: 1, duplicateCandidates: 1, identifiers: 1, linkHistory: 1
+        }
+      };
+    }
+  }
+
+  /**
+   * Transaction primitives - a snapshot of the whole state is restored on rollback
+   */
+  async beginTransaction() {
+    this.snapshot = structuredClone(this.state);
+  }
+
+  async commitTransaction() {
+    this.snapshot = null;
+  }
+
+  async rollbackTransaction() {
+    if (this.snapshot) {
+      this.state = this.snapshot;
+      this.snapshot = null;
+    }
+  }
+
+  async findContactsByEmailOrPhone(tenantId, email, phoneNumber) {
+    if (!email && !phoneNumber) {
+      return [];
+    }
+
+    return this.selectContacts(tenantId, c =>
+      (email && c.email === email) || (phoneNumber && c.phoneNumber === phoneNumber)
+    );
+  }
+
+  async findConnectedContacts(tenantId, ids = [], emails = [], phoneNumbers = []) {
+    const idSet = new Set(ids);
+    const emailSet = new Set(emails);
+    const phoneSet = new Set(phoneNumbers);
+
+    return this.selectContacts(tenantId, c =>
+      idSet.has(c.id) || idSet.has(c.linkedId) || emailSet.has(c.email) || phoneSet.has(c.phoneNumber)
+    );
+  }
+
+  async createContact(tenantId, email, phoneNumber, linkedId = null, linkPrecedence = 'primary', raw = {}) {
+    const now = this.now();
+    const contact = {
+      id: this.state.nextIds.contacts++,
+      tenantId,
+      phoneNumber,
+      email,
+      rawPhoneNumber: phoneNumber ? (raw.phoneNumber ?? phoneNumber) : null,
+      rawEmail: email ? (raw.email ?? email) : null,
+      linkedId,
+      linkPrecedence,
+      createdAt: now,
+      updatedAt: now,
+      deletedAt: null,
+      purgedAt: null
+    };
+
+    this.state.contacts.push(contact);
+    this.trackLink(contact);
+    return { ...contact };
+  }
+
+  async updateContactLink(tenantId, contactId, linkedId, linkPrecedence) {
+    const contact = this.state.contacts.find(c => c.id === contactId && c.tenantId === tenantId);
+    if (!contact) {
+      return undefined;
+    }
+
+    Object.assign(contact, { linkedId, linkPrecedence, updatedAt: this.now() });
+    this.trackLink(contact);
+    return { ...contact };
+  }
+
+  async getContactById(tenantId, contactId) {
+    const [contact] = this.selectContacts(tenantId, c => c.id === contactId);
+    return contact;
+  }
+
+  async getContactsByIds(tenantId, contactIds) {
+    const idSet = new Set(contactIds);
+    return this.state.contacts
+      .filter(c => idSet.has(c.id) && c.tenantId === tenantId)
+      .sort((a, b) => a.id - b.id)
+      .map(c => ({ ...c }));
+  }
+
+  async addContactIdentifiers(tenantId, contactId, identifiers) {
+    if (!this.tenantContactIds(tenantId).has(contactId)) {
+      return;
+    }
+
+    const now = this.now();
+
+    for (const identifier of identifiers) {
+      this.state.identifiers.push({
+        id: this.state.nextIds.identifiers++,
+        contactId,
+        type: identifier.type,
+        value: identifier.value,
+        rawValue: identifier.rawValue ?? identifier.value,
+        createdAt: now
+      });
+    }
+  }
+
+  async findContactsByIdentifiers(tenantId, identifiers) {
+    const contactIds = new Set(this.state.identifiers
+      .filter(row => identifiers.some(i => i.type === row.type && i.value === row.value))
+      .map(row => row.contactId));
+
+    return this.selectContacts(tenantId, c => contactIds.has(c.id));
+  }
+
+  async getContactIdentifiers(tenantId, contactIds) {
+    const tenantIds = this.tenantContactIds(tenantId);
+    const idSet = new Set(contactIds.filter(id => tenantIds.has(id)));
+    return this.state.identifiers.filter(row => idSet.has(row.contactId)).map(row => ({ ...row }));
+  }
+
+  async getLinkedContacts(tenantId, primaryId, asOf = null) {
+    // Same order as the SQL backends: secondaries before primaries, then oldest first
+    if (!asOf) {
+      return this.selectContacts(tenantId, c => c.id === primaryId || c.linkedId === primaryId)
+        .sort((a, b) => b.linkPrecedence.localeCompare(a.linkPrecedence));
+    }
+
+    const links = new Map(this.state.linkHistory
+      .filter(h => h.validFrom <= asOf && (h.validTo === null || h.validTo > asOf))
+      .filter(h => h.contactId === primaryId || h.linkedId === primaryId)
+      .map(h => [h.contactId, h]));
+
+    return this.selectContacts(tenantId, c => links.has(c.id))
+      .map(c => ({ ...c, linkedId: links.get(c.id).linkedId, linkPrecedence: links.get(c.id).linkPrecedence }))
+      .sort((a, b) => b.linkPrecedence.localeCompare(a.linkPrecedence));
+  }
+
+  async getPrimaryContactIds(tenantId, { updatedSince = null, afterId = 0, limit = 500 } = {}) {
+    return this.state.contacts
+      .filter(p => p.tenantId === tenantId && p.linkPrecedence === 'primary' && !p.deletedAt && p.id > afterId)
+      .filter(p => !updatedSince || this.state.contacts.some(c =>
+        (c.id === p.id || c.linkedId === p.id) && c.updatedAt >= updatedSince
+      ))
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit)
+      .map(p => p.id);
+  }
+
+  async getRetiredPrimaries(tenantId, { updatedSince, afterId = 0, limit = 500 }) {
+    const wasPrimary = (contact) => this.state.linkHistory.some(h =>
+      h.contactId === contact.id && h.linkPrecedence === 'primary' && h.validTo !== null && h.validTo >= updatedSince
+    );
+
+    return this.state.contacts
+      .filter(c => c.tenantId === tenantId && c.id > afterId)
+      .filter(c => c.linkPrecedence === 'primary' ? Boolean(c.deletedAt) && c.deletedAt >= updatedSince : wasPrimary(c))
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit)
+      .map(c => ({ ...c }));
+  }
+
+  async getContactsPage(tenantId, { afterId = 0, limit = 500 } = {}) {
+    return this.state.contacts
+      .filter(c => c.tenantId === tenantId && c.id > afterId)
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit)
+      .map(c => ({ ...c }));
+  }
+
+  async softDeleteContacts(tenantId, contactIds) {
+    const idSet = new Set(contactIds);
+    const now = this.now();
+    let changes = 0;
+
+    for (const contact of this.state.contacts) {
+      if (idSet.has(contact.id) && contact.tenantId === tenantId && !contact.deletedAt) {
+        Object.assign(contact, { deletedAt: now, updatedAt: now });
+        changes++;
+      }
+    }
+
+    return { changes };
+  }
+
+  async purgeDeletedContacts(tenantId, graceDays) {
+    const cutoff = this.now(Date.now() - graceDays * 24 * 60 * 60 * 1000);
+    const purgeable = this.state.contacts.filter(c =>
+      c.tenantId === tenantId && c.deletedAt && !c.purgedAt && c.deletedAt <= cutoff
+    );
+
+    const emails = new Set(purgeable.map(c => c.email).filter(Boolean));
+    const phoneNumbers = new Set(purgeable.map(c => c.phoneNumber).filter(Boolean));
+    const tenantIds = this.tenantContactIds(tenantId);
+    for (const entry of this.state.audit.filter(e => tenantIds.has(e.contactId))) {
+      if (emails.has(entry.triggerEmail)) entry.triggerEmail = null;
+      if (phoneNumbers.has(entry.triggerPhoneNumber)) entry.triggerPhoneNumber = null;
+    }
+
+    const purgedIds = new Set(purgeable.map(c => c.id));
+
+    // Nor webhook events - delivered or not - whose payload still carries one that no live contact holds
+    const live = this.state.contacts.filter(c => c.tenantId === tenantId && !c.deletedAt);
+    const liveIds = new Set(live.map(c => c.id));
+    const liveValues = new Set([
+      ...live.flatMap(c => [c.email, c.phoneNumber]),
+      ...this.state.identifiers.filter(row => liveIds.has(row.contactId)).map(row => row.value)
+    ]);
+    const erasedValues = [
+      ...emails, ...phoneNumbers, ...this.state.identifiers.filter(row => purgedIds.has(row.contactId)).map(row => row.value)
+    ].filter(value => !liveValues.has(value));
+    this.state.outbox = this.state.outbox.filter(e =>
+      e.tenantId !== tenantId || !erasedValues.some(value => e.payload.includes(JSON.stringify(value)))
+    );
+
+    this.state.identifiers = this.state.identifiers.filter(row => !purgedIds.has(row.contactId));
+
+    const now = this.now();
+    for (const contact of purgeable) {
+      Object.assign(contact, { email: null, phoneNumber: null, rawEmail: null, rawPhoneNumber: null, purgedAt: now });
+    }
+
+    return { changes: purgeable.length };
+  }
+
+  async createSeparation(tenantId, primaryId, separatedPrimaryId) {
+    const tenantIds = this.tenantContactIds(tenantId);
+    if (!tenantIds.has(primaryId) || !tenantIds.has(separatedPrimaryId)) {
+      return { changes: 0 };
+    }
+
+    const id = this.state.nextIds.separations++;
+    this.state.separations.push({ id, primaryId, separatedPrimaryId, createdAt: this.now() });
+    return { id, changes: 1 };
+  }
+
+  async getSeparations(tenantId, primaryIds) {
+    const idSet = new Set(primaryIds);
+    const tenantIds = this.tenantContactIds(tenantId);
+    return this.state.separations
+      .filter(s => (idSet.has(s.primaryId) || idSet.has(s.separatedPrimaryId)) && tenantIds.has(s.primaryId))
+      .map(s => ({ ...s }));
+  }
+
+  async reassignSeparations(tenantId, fromPrimaryId, toPrimaryId) {
+    if (!this.tenantContactIds(tenantId).has(toPrimaryId)) {
+      return;
+    }
+
+    for (const separation of this.state.separations) {
+      if (separation.primaryId === fromPrimaryId) separation.primaryId = toPrimaryId;
+      if (separation.separatedPrimaryId === fromPrimaryId) separation.separatedPrimaryId = toPrimaryId;
+    }
+  }
+
+  async createTombstone(tenantId, identifierType, identifierHash) {
+    if (await this.findTombstone(tenantId, identifierType, identifierHash)) {
+      return { changes: 0 };
+    }
+
+    const id = this.state.nextIds.tombstones++;
+    this.state.tombstones.push({ id, tenantId, identifierType, identifierHash, createdAt: this.now() });
+    return { id, changes: 1 };
+  }
+
+  async findTombstone(tenantId, identifierType, identifierHash) {
+    const tombstone = this.state.tombstones.find(t =>
+      t.tenantId === tenantId && t.identifierType === identifierType && t.identifierHash === identifierHash
+    );
+    return tombstone ? { ...tombstone } : undefined;
+  }
+
+  async createAuditEntries(tenantId, operationId, action, trigger, entries, details = null, requestId = null) {
+    const now = this.now();
+    const tenantIds = this.tenantContactIds(tenantId);
+
+    for (const entry of entries.filter(e => tenantIds.has(e.contactId))) {
+      this.state.audit.push({
+        id: this.state.nextIds.audit++,
+        operationId,
+        action,
+        triggerEmail: trigger.email || null,
+        triggerPhoneNumber: trigger.phoneNumber || null,
+        contactId: entry.contactId,
+        primaryId: entry.primaryId,
+        previousLinkedId: entry.previousLinkedId,
+        linkedId: entry.linkedId,
+        previousPrecedence: entry.previousPrecedence,
+        linkPrecedence: entry.linkPrecedence,
+        details,
+        requestId,
+        createdAt: now
+      });
+    }
+  }
+
+  async getAuditHistory(tenantId, contactIds) {
+    const idSet = new Set(contactIds);
+    const tenantIds = this.tenantContactIds(tenantId);
+    const operationIds = new Set(this.state.audit
+      .filter(e => idSet.has(e.contactId) || idSet.has(e.primaryId))
+      .map(e => e.operationId));
+
+    return this.state.audit
+      .filter(e => operationIds.has(e.operationId) && tenantIds.has(e.contactId))
+      .map(e => ({ ...e }));
+  }
+
+  async createApiKey(name, keyPrefix, keyHash, scopes, tenantId = null) {
+    if (this.state.apiKeys.some(k => k.keyHash === keyHash)) {
+      throw new Error('UNIQUE constraint failed: ApiKey.keyHash');
+    }
+
+    const apiKey = {
+      id: this.state.nextIds.apiKeys++,
+      name,
+      keyPrefix,
+      keyHash,
+      scopes,
+      tenantId,
+      createdAt: this.now(),
+      revokedAt: null
+    };
+
+    this.state.apiKeys.push(apiKey);
+    return { ...apiKey };
+  }
+
+  async findApiKeyByHash(keyHash) {
+    const apiKey = this.state.apiKeys.find(k => k.keyHash === keyHash);
+    return apiKey ? { ...apiKey } : undefined;
+  }
+
+  async getApiKeyById(keyId) {
+    const apiKey = this.state.apiKeys.find(k => k.id === keyId);
+    return apiKey ? { ...apiKey } : undefined;
+  }
+
+  async listApiKeys() {
+    return this.state.apiKeys.map(k => ({ ...k }));
+  }
+
+  async revokeApiKey(keyId) {
+    const apiKey = this.state.apiKeys.find(k => k.id === keyId && !k.revokedAt);
+    if (!apiKey) {
+      return { changes: 0 };
+    }
+
+    apiKey.revokedAt = this.now();
+    return { changes: 1 };
+  }
+
+  async createWebhookSubscription(tenantId, url, secret, events) {
+    const subscription = {
+      id: this.state.nextIds.webhookSubscriptions++,
+      tenantId,
+      url,
+      secret,
+      events,
+      createdAt: this.now(),
+      disabledAt: null
+    };
+
+    this.state.webhookSubscriptions.push(subscription);
+    return { ...subscription };
+  }
+
+  async getWebhookSubscriptions(tenantId) {
+    return this.state.webhookSubscriptions.filter(s => s.tenantId === tenantId).map(s => ({ ...s }));
+  }
+
+  async getWebhookSubscriptionById(tenantId, subscriptionId) {
+    const subscription = this.state.webhookSubscriptions.find(s => s.id === subscriptionId && s.tenantId === tenantId);
+    return subscription ? { ...subscription } : undefined;
+  }
+
+  async disableWebhookSubscription(tenantId, subscriptionId) {
+    const subscription = this.state.webhookSubscriptions.find(s =>
+      s.id === subscriptionId && s.tenantId === tenantId && !s.disabledAt
+    );
+    if (!subscription) {
+      return { changes: 0 };
+    }
+
+    subscription.disabledAt = this.now();
+    return { changes: 1 };
+  }
+
+  async createOutboxEntries(tenantId, entries) {
+    const now = this.now();
+
+    for (const entry of entries) {
+      this.state.outbox.push({
+        id: this.state.nextIds.outbox++,
+        tenantId,
+        subscriptionId: entry.subscriptionId,
+        eventId: entry.eventId,
+        eventType: entry.eventType,
+        payload: entry.payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
+  }
+
+  async getDueOutboxEntries(tenantId, now, limit) {
+    return this.state.outbox
+      .filter(e => e.tenantId === tenantId && e.status === 'pending' && e.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt) || a.id - b.id)
+      .slice(0, limit)
+      .map(e => ({ ...e }));
+  }
+
+  async getOutboxEntries(tenantId, status, limit) {
+    return this.state.outbox
+      .filter(e => e.tenantId === tenantId && e.status === status)
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit)
+      .map(e => ({ ...e }));
+  }
+
+  async getOutboxEntryById(tenantId, entryId) {
+    const entry = this.state.outbox.find(e => e.id === entryId && e.tenantId === tenantId);
+    return entry ? { ...entry } : undefined;
+  }
+
+  async updateOutboxEntry(tenantId, entryId, status, attempts, nextAttemptAt, lastError) {
+    const entry = this.state.outbox.find(e => e.id === entryId && e.tenantId === tenantId);
+    if (!entry) {
+      return { changes: 0 };
+    }
+
+    Object.assign(entry, { status, attempts, nextAttemptAt, lastError, updatedAt: this.now() });
+    return { changes: 1 };
+  }
+
+  async createDuplicateCandidate(tenantId, primaryId, candidatePrimaryId, score, reasons) {
+    if (this.state.duplicateCandidates.some(d => d.primaryId === primaryId && d.candidatePrimaryId === candidatePrimaryId)) {
+      return undefined;
+    }
+
+    const candidate = {
+      id: this.state.nextIds.duplicateCandidates++,
+      tenantId,
+      primaryId,
+      candidatePrimaryId,
+      score,
+      reasons,
+      status: 'pending',
+      createdAt: this.now(),
+      reviewedAt: null
+    };
+
+    this.state.duplicateCandidates.push(candidate);
+    return { ...candidate };
+  }
+
+  async getDuplicateCandidates(tenantId, status, limit) {
+    return this.state.duplicateCandidates
+      .filter(d => d.tenantId === tenantId && d.status === status)
+      .sort((a, b) => b.score - a.score || a.id - b.id)
+      .slice(0, limit)
+      .map(d => ({ ...d }));
+  }
+
+  async getDuplicateCandidateById(tenantId, candidateId) {
+    const candidate = this.state.duplicateCandidates.find(d => d.id === candidateId && d.tenantId === tenantId);
+    return candidate ? { ...candidate } : undefined;
+  }
+
+  async updateDuplicateCandidate(tenantId, candidateId, status) {
+    const candidate = this.state.duplicateCandidates.find(d => d.id === candidateId && d.tenantId === tenantId);
+    if (!candidate) {
+      return { changes: 0 };
+    }
+
+    Object.assign(candidate, { status, reviewedAt: this.now() });
+    return { changes: 1 };
+  }
+
+  async getStats(tenantId) {
+    const contacts = this.state.contacts.filter(c => c.tenantId === tenantId);
+    const active = contacts.filter(c => !c.deletedAt);
+    const updates = contacts.map(c => c.updatedAt).sort();
+
+    return {
+      totalContacts: active.length,
+      primaryContacts: active.filter(c => c.linkPrecedence === 'primary').length,
+      secondaryContacts: active.filter(c => c.linkPrecedence === 'secondary').length,
+      lastUpdate: updates.length > 0 ? updates[updates.length - 1] : null
+    };
+  }
+
+  async getClusterSizes(tenantId) {
+    const sizes = new Map();
+    for (const contact of this.state.contacts.filter(c => c.tenantId === tenantId && !c.deletedAt)) {
+      const root = contact.linkedId ?? contact.id;
+      sizes.set(root, (sizes.get(root) || 0) + 1);
+    }
+
+    const counts = new Map();
+    for (const size of sizes.values()) {
+      counts.set(size, (counts.get(size) || 0) + 1);
+    }
+
+    return [...counts.entries()].sort(([a], [b]) => a - b).map(([size, clusters]) => ({ size, clusters }));
+  }
+
+  async listTenants() {
+    return [...new Set([
+      ...this.state.contacts.map(c => c.tenantId),
+      ...this.state.webhookSubscriptions.map(s => s.tenantId),
+      ...this.state.apiKeys.map(k => k.tenantId).filter(Boolean)
+    ])].sort();
+  }
+
+  async deleteTenantData(tenantId) {
+    const tenantIds = this.tenantContactIds(tenantId);
+    const { state } = this;
+
+    state.identifiers = state.identifiers.filter(row => !tenantIds.has(row.contactId));
+    state.linkHistory = state.linkHistory.filter(h => !tenantIds.has(h.contactId));
+    state.audit = state.audit.filter(e => !tenantIds.has(e.contactId));
+    state.separations = state.separations.filter(s => !tenantIds.has(s.primaryId));
+    state.duplicateCandidates = state.duplicateCandidates.filter(d => d.tenantId !== tenantId);
+    state.outbox = state.outbox.filter(e => e.tenantId !== tenantId);
+    state.webhookSubscriptions = state.webhookSubscriptions.filter(s => s.tenantId !== tenantId);
+    state.tombstones = state.tombstones.filter(t => t.tenantId !== tenantId);
+    state.apiKeys = state.apiKeys.filter(k => k.tenantId !== tenantId);
+    state.contacts = state.contacts.filter(c => c.tenantId !== tenantId);
+
+    return { changes: tenantIds.size };
+  }
+
+  async close() {
+    // Nothing to release - state lives as long as the adapter
+  }
+
+  /**
+   * Active contacts of a tenant matching a predicate, oldest first, as copies
+   */
+  selectContacts(tenantId, predicate) {
+    return this.state.contacts
+      .filter(c => c.tenantId === tenantId && !c.deletedAt && predicate(c))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id - b.id)
+      .map(c => ({ ...c }));
+  }
+
+  /**
+   * Close the contact's current link interval if its link changed and open one for the link it has now
+   */
+  trackLink(contact) {
+    const current = this.state.linkHistory.find(h => h.contactId === contact.id && h.validTo === null);
+    if (current && current.linkedId === contact.linkedId && current.linkPrecedence === contact.linkPrecedence) {
+      return;
+    }
+
+    const now = this.now();
+    if (current) {
+      current.validTo = now;
+    }
+    this.state.linkHistory.push({
+      id: this.state.nextIds.linkHistory++,
+      contactId: contact.id,
+      linkedId: contact.linkedId,
+      linkPrecedence: contact.linkPrecedence,
+      validFrom: now,
+      validTo: null
+    });
+  }
+
+  /**
+   * Ids of every contact (deleted ones included) owned by a tenant
+   */
+  tenantContactIds(tenantId) {
+    return new Set(this.state.contacts.filter(c => c.tenantId === tenantId).map(c => c.id));
+  }
+
+  /**
+   * Timestamps in the same "YYYY-MM-DD HH:MM:SS" UTC format SQLite's CURRENT_TIMESTAMP produces
+   */
+  now(time = Date.now()) {
+    return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+  }
+}
@@ -0,0 +1,588 @@
+/**
+ * PostgresAdapter - PostgreSQL storage backend (DB_BACKEND=postgres, DATABASE_URL=postgres://...)
+ * Mirrors the SQLite schema with quoted camelCase identifiers so rows come back in the same shape.
+ * The `pg` driver is loaded lazily, so it's only needed when this backend is selected.
+ */
+
+// Key for the advisory lock that serializes reconciliations across service instances
+const RECONCILIATION_LOCK_KEY = 73110413;
+
+// Contact ids belonging to one tenant - rows keyed by contact id are scoped through it
+const TENANT_CONTACTS = 'SELECT "id" FROM "Contact" WHERE "tenantId" = ?';
+
+// OID of TIMESTAMP WITHOUT TIME ZONE - kept as "YYYY-MM-DD HH:MM:SS" strings like SQLite returns
+const TIMESTAMP_OID = 1114;
+
+export class PostgresAdapter {
+  constructor({ connectionString }) {
+    this.dialect = 'postgres';
+    this.client = null;
+    this.connectionString = connectionString;
+  }
+
+  /**
+   * Connect to the database - the schema is managed by the postgres migrations
+   */
+  async initialize() {
+    if (!this.connectionString) {
+      throw new Error('DATABASE_URL is required for the postgres backend');
+    }
+
+    let pg;
+    try {
+      pg = (await import('pg')).default;
+    } catch (error) {
+      throw new Error('The postgres backend requires the "pg" package to be installed');
+    }
+
+    this.client = new pg.Client({
+      connectionString: this.connectionString,
+      types: {
+        getTypeParser: (oid, format) =>
+          oid === TIMESTAMP_OID ? (value) => value : pg.types.getTypeParser(oid, format)
+      }
+    });
+
+    try {
+      await this.client.connect();
+      await this.client.query(`SET TIME ZONE 'UTC'`);
+    } catch (error) {
+      throw new Error(`Database connection failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a query written with "?" placeholders
+   */
+  async query(sql, params = []) {
+    let index = 0;
+    const text = sql.replace(/\?/g, () => `$${++index}`);
+    return this.client.query(text, params);
+  }
+
+  async run(sql, params = []) {
+    const result = await this.query(sql, params);
+    return { changes: result.rowCount };
+  }
+
+  async all(sql, params = []) {
+    return (await this.query(sql, params)).rows;
+  }
+
+  async get(sql, params = []) {
+    return (await this.query(sql, params)).rows[0];
+  }
+
+  /**
+   * Transaction primitives - the advisory lock also serializes reconciliations across service instances
+   */
+  async beginTransaction() {
+    await this.query('BEGIN');
+    await this.query('SELECT pg_advisory_xact_lock(?)', [RECONCILIATION_LOCK_KEY]);
+  }
+
+  async commitTransaction() {
+    await this.query('COMMIT');
+  }
+
+  async rollbackTransaction() {
+    await this.query('ROLLBACK');
+  }
+
+  async findContactsByEmailOrPhone(tenantId, email, phoneNumber) {
+    const conditions = [];
+    const params = [];
+
+    if (email) {
+      conditions.push('"email" = ?');
+      params.push(email);
+    }
+
+    if (phoneNumber) {
+      conditions.push('"phoneNumber" = ?');
+      params.push(phoneNumber);
+    }
+
+    if (conditions.length === 0) {
+      return [];
+    }
+
+    return this.all(`
+      SELECT * FROM "Contact"
+      WHERE (${conditions.join(' OR ')})
+      AND "tenantId" = ? AND "deletedAt" IS NULL
+      ORDER BY "createdAt" ASC, "id" ASC
+    `, [...params, tenantId]);
+  }
+
+  async findConnectedContacts(tenantId, ids = [], emails = [], phoneNumbers = []) {
+    if (ids.length === 0 && emails.length === 0 && phoneNumbers.length === 0) {
+      return [];
+    }
+
+    return this.all(`
+      SELECT * FROM "Contact"
+      WHERE ("id" = ANY(?::int[]) OR "linkedId" = ANY(?::int[]) OR "email" = ANY(?::text[]) OR "phoneNumber" = ANY(?::text[]))
+      AND "tenantId" = ? AND "deletedAt" IS NULL
+      ORDER BY "createdAt" ASC, "id" ASC
+    `, [ids, ids, emails, phoneNumbers, tenantId]);
+  }
+
+  async createContact(tenantId, email, phoneNumber, linkedId = null, linkPrecedence = 'primary', raw = {}) {
+    const rawEmail = email ? (raw.email ?? email) : null;
+    const rawPhoneNumber = phoneNumber ? (raw.phoneNumber ?? phoneNumber) : null;
+
+    const contact = await this.get(`
+      INSERT INTO "Contact" ("tenantId", "email", "phoneNumber", "rawEmail", "rawPhoneNumber", "linkedId", "linkPrecedence", "createdAt", "updatedAt")
+      VALUES (?, ?, ?, ?, ?, ?, ?, LOCALTIMESTAMP(0), LOCALTIMESTAMP(0))
+      RETURNING *
+    `, [tenantId, email, phoneNumber, rawEmail, rawPhoneNumber, linkedId, linkPrecedence]);
+    await this.trackLink(tenantId, contact.id);
+    return contact;
+  }
+
+  async updateContactLink(tenantId, contactId, linkedId, linkPrecedence) {
+    const contact = await this.get(`
+      UPDATE "Contact"
+      SET "linkedId" = ?, "linkPrecedence" = ?, "updatedAt" = LOCALTIMESTAMP(0)
+      WHERE "id" = ? AND "tenantId" = ?
+      RETURNING *
+    `, [linkedId, linkPrecedence, contactId, tenantId]);
+    await this.trackLink(tenantId, contactId);
+    return contact;
+  }
+
+  /**
+   * Close the contact's current link interval if its link changed and open one for the link it has now
+   */
+  async trackLink(tenantId, contactId) {
+    await this.query(`
+      UPDATE "ContactLinkHistory" h SET "validTo" = LOCALTIMESTAMP(0)
+      FROM "Contact" c
+      WHERE h."validTo" IS NULL AND h."contactId" = c."id" AND c."id" = ? AND c."tenantId" = ?
+      AND (c."linkedId" IS DISTINCT FROM h."linkedId" OR c."linkPrecedence" IS DISTINCT FROM h."linkPrecedence")
+    `, [contactId, tenantId]);
+
+    await this.query(`
+      INSERT INTO "ContactLinkHistory" ("contactId", "linkedId", "linkPrecedence", "validFrom")
+      SELECT c."id", c."linkedId", c."linkPrecedence", LOCALTIMESTAMP(0) FROM "Contact" c
+      WHERE c."id" = ? AND c."tenantId" = ?
+      AND NOT EXISTS (SELECT 1 FROM "ContactLinkHistory" h WHERE h."contactId" = c."id" AND h."validTo" IS NULL)
+    `, [contactId, tenantId]);
+  }
+
+  async getContactById(tenantId, contactId) {
+    return this.get('SELECT * FROM "Contact" WHERE "id" = ? AND "tenantId" = ? AND "deletedAt" IS NULL', [contactId, tenantId]);
+  }
+
+  async getContactsByIds(tenantId, contactIds) {
+    return this.all('SELECT * FROM "Contact" WHERE "id" = ANY(?::int[]) AND "tenantId" = ? ORDER BY "id" ASC', [contactIds, tenantId]);
+  }
+
+  async addContactIdentifiers(tenantId, contactId, identifiers) {
+    for (const identifier of identifiers) {
+      await this.query(`
+        INSERT INTO "ContactIdentifier" ("contactId", "type", "value", "rawValue", "createdAt")
+        SELECT "id", ?, ?, ?, LOCALTIMESTAMP(0) FROM "Contact" WHERE "id" = ? AND "tenantId" = ?
+      `, [identifier.type, identifier.value, identifier.rawValue ?? identifier.value, contactId, tenantId]);
+    }
+  }
+
+  async findContactsByIdentifiers(tenantId, identifiers) {
+    if (identifiers.length === 0) {
+      return [];
+    }
+
+    const conditions = identifiers.map(() => '("type" = ? AND "value" = ?)').join(' OR ');
+    return this.all(`
+      SELECT * FROM "Contact"
+      WHERE "id" IN (SELECT "contactId" FROM "ContactIdentifier" WHERE ${conditions})
+      AND "tenantId" = ? AND "deletedAt" IS NULL
+      ORDER BY "createdAt" ASC, "id" ASC
+    `, [...identifiers.flatMap(i => [i.type, i.value]), tenantId]);
+  }
+
+  async getContactIdentifiers(tenantId, contactIds) {
+    return this.all(`
+      SELECT * FROM "ContactIdentifier"
+      WHERE "contactId" = ANY(?::int[]) AND "contactId" IN (${TENANT_CONTACTS})
+      ORDER BY "id" ASC
+    `, [contactIds, tenantId]);
+  }
+
+  async getLinkedContacts(tenantId, primaryId, asOf = null) {
+    if (asOf) {
+      return this.all(`
+        SELECT c."id", c."tenantId", c."email", c."phoneNumber", c."rawEmail", c."rawPhoneNumber", h."linkedId", h."linkPrecedence",
+          c."createdAt", c."updatedAt", c."deletedAt", c."purgedAt"
+        FROM "ContactLinkHistory" h JOIN "Contact" c ON c."id" = h."contactId"
+        WHERE (h."contactId" = ? OR h."linkedId" = ?)
+        AND h."validFrom" <= ?::timestamp AND (h."validTo" IS NULL OR h."validTo" > ?::timestamp)
+        AND c."tenantId" = ? AND c."deletedAt" IS NULL
+        ORDER BY h."linkPrecedence" DESC, c."createdAt" ASC, c."id" ASC
+      `, [primaryId, primaryId, asOf, asOf, tenantId]);
+    }
+
+    return this.all(`
+      SELECT * FROM "Contact"
+      WHERE ("id" = ? OR "linkedId" = ?)
+      AND "tenantId" = ? AND "deletedAt" IS NULL
+      ORDER BY "linkPrecedence" DESC, "createdAt" ASC, "id" ASC
+    `, [primaryId, primaryId, tenantId]);
+  }
+
+  async getPrimaryContactIds(tenantId, { updatedSince = null, afterId = 0, limit = 500 } = {}) {
+    const rows = await this.all(`
+      SELECT p."id" FROM "Contact" p
+      WHERE p."tenantId" = ?
+      AND p."linkPrecedence" = 'primary'
+      AND p."deletedAt" IS NULL
+      AND p."id" > ?
+      AND (?::timestamp IS NULL OR EXISTS (
+        SELECT 1 FROM "Contact" c
+        WHERE (c."id" = p."id" OR c."linkedId" = p."id") AND c."updatedAt" >= ?::timestamp
+      ))
+      ORDER BY p."id" ASC
+      LIMIT ?
+    `, [tenantId, afterId, updatedSince, updatedSince, limit]);
+
+    return rows.map(row => row.id);
+  }
+
+  async getRetiredPrimaries(tenantId, { updatedSince, afterId = 0, limit = 500 }) {
+    return this.all(`
+      SELECT c.* FROM "Contact" c
+      WHERE c."tenantId" = ?
+      AND c."id" > ?
+      AND (
+        (c."linkPrecedence" = 'primary' AND c."deletedAt" >= ?::timestamp)
+        OR (c."linkPrecedence" = 'secondary' AND EXISTS (
+          SELECT 1 FROM "ContactLinkHistory" h
+          WHERE h."contactId" = c."id" AND h."linkPrecedence" = 'primary' AND h."validTo" >= ?::timestamp
+        ))
+      )
+      ORDER BY c."id" ASC
+      LIMIT ?
+    `, [tenantId, afterId, updatedSince, updatedSince, limit]);
+  }
+
+  async getContactsPage(tenantId, { afterId = 0, limit = 500 } = {}) {
+    return this.all('SELECT * FROM "Contact" WHERE "tenantId" = ? AND "id" > ? ORDER BY "id" ASC LIMIT ?', [tenantId, afterId, limit]);
+  }
+
+  async softDeleteContacts(tenantId, contactIds) {
+    const result = await this.query(`
+      UPDATE "Contact"
+      SET "deletedAt" = LOCALTIMESTAMP(0), "updatedAt" = LOCALTIMESTAMP(0)
+      WHERE "id" = ANY(?::int[]) AND "tenantId" = ? AND "deletedAt" IS NULL
+    `, [contactIds, tenantId]);
+
+    return { changes: result.rowCount };
+  }
+
+  async purgeDeletedContacts(tenantId, graceDays) {
+    const purgeCondition = `
+      "tenantId" = ?
+      AND "deletedAt" IS NOT NULL
+      AND "purgedAt" IS NULL
+      AND "deletedAt" <= LOCALTIMESTAMP(0) - make_interval(days => ?::int)
+    `;
+    const params = [tenantId, graceDays];
+
+    // Audit entries must not keep the identifiers that triggered them either
+    await this.query(
+      `UPDATE "ContactAudit" SET "triggerEmail" = NULL
+       WHERE "triggerEmail" IN (SELECT "email" FROM "Contact" WHERE ${purgeCondition}) AND "contactId" IN (${TENANT_CONTACTS})`,
+      [...params, tenantId]
+    );
+    await this.query(
+      `UPDATE "ContactAudit" SET "triggerPhoneNumber" = NULL
+       WHERE "triggerPhoneNumber" IN (SELECT "phoneNumber" FROM "Contact" WHERE ${purgeCondition}) AND "contactId" IN (${TENANT_CONTACTS})`,
+      [...params, tenantId]
+    );
+
+    // Nor webhook events - delivered or not - whose payload still carries one that no live contact holds
+    await this.query(`
+      DELETE FROM "WebhookOutbox" o
+      WHERE o."tenantId" = ? AND EXISTS (
+        SELECT 1 FROM (
+          SELECT "email" AS "value" FROM "Contact" WHERE ${purgeCondition}
+          UNION SELECT "phoneNumber" FROM "Contact" WHERE ${purgeCondition}
+          UNION SELECT "value" FROM "ContactIdentifier" WHERE "contactId" IN (SELECT "id" FROM "Contact" WHERE ${purgeCondition})
+        ) erased
+        WHERE erased."value" IS NOT NULL
+        AND strpos(o."payload", '"' || erased."value" || '"') > 0
+        AND NOT EXISTS (
+          SELECT 1 FROM "Contact" live
+          WHERE live."tenantId" = o."tenantId" AND live."deletedAt" IS NULL
+          AND (live."email" = erased."value" OR live."phoneNumber" = erased."value"
+            OR live."id" IN (SELECT "contactId" FROM "ContactIdentifier" WHERE "value" = erased."value"))
+        )
+      )
+    `, [tenantId, ...params, ...params, ...params]);
+
+    await this.query(
+      `DELETE FROM "ContactIdentifier" WHERE "contactId" IN (SELECT "id" FROM "Contact" WHERE ${purgeCondition})`,
+      params
+    );
+
+    const result = await this.query(`
+      UPDATE "Contact"
+      SET "email" = NULL, "phoneNumber" = NULL, "rawEmail" = NULL, "rawPhoneNumber" = NULL, "purgedAt" = LOCALTIMESTAMP(0)
+      WHERE ${purgeCondition}
+    `, params);
+
+    return { changes: result.rowCount };
+  }
+
+  async createSeparation(tenantId, primaryId, separatedPrimaryId) {
+    const row = await this.get(`
+      INSERT INTO "ContactSeparation" ("primaryId", "separatedPrimaryId", "createdAt")
+      SELECT ?::int, ?::int, LOCALTIMESTAMP(0)
+      WHERE (SELECT COUNT(*) FROM "Contact" WHERE "id" IN (?, ?) AND "tenantId" = ?) = 2
+      RETURNING "id"
+    `, [primaryId, separatedPrimaryId, primaryId, separatedPrimaryId, tenantId]);
+
+    return row ? { id: row.id, changes: 1 } : { changes: 0 };
+  }
+
+  async getSeparations(tenantId, primaryIds) {
+    return this.all(`
+      SELECT * FROM "ContactSeparation"
+      WHERE ("primaryId" = ANY(?::int[]) OR "separatedPrimaryId" = ANY(?::int[]))
+      AND "primaryId" IN (${TENANT_CONTACTS})
+      ORDER BY "id" ASC
+    `, [primaryIds, primaryIds, tenantId]);
+  }
+
+  async reassignSeparations(tenantId, fromPrimaryId, toPrimaryId) {
+    await this.query(
+      `UPDATE "ContactSeparation" SET "primaryId" = ? WHERE "primaryId" = ? AND ?::int IN (${TENANT_CONTACTS})`,
+      [toPrimaryId, fromPrimaryId, toPrimaryId, tenantId]
+    );
+    await this.query(
+      `UPDATE "ContactSeparation" SET "separatedPrimaryId" = ? WHERE "separatedPrimaryId" = ? AND ?::int IN (${TENANT_CONTACTS})`,
+      [toPrimaryId, fromPrimaryId, toPrimaryId, tenantId]
+    );
+  }
+
+  async createTombstone(tenantId, identifierType, identifierHash) {
+    const result = await this.query(`
+      INSERT INTO "ErasureTombstone" ("tenantId", "identifierType", "identifierHash", "createdAt")
+      VALUES (?, ?, ?, LOCALTIMESTAMP(0))
+      ON CONFLICT DO NOTHING
+    `, [tenantId, identifierType, identifierHash]);
+
+    return { changes: result.rowCount };
+  }
+
+  async findTombstone(tenantId, identifierType, identifierHash) {
+    return this.get(
+      'SELECT * FROM "ErasureTombstone" WHERE "tenantId" = ? AND "identifierType" = ? AND "identifierHash" = ?',
+      [tenantId, identifierType, identifierHash]
+    );
+  }
+
+  async createAuditEntries(tenantId, operationId, action, trigger, entries, details = null, requestId = null) {
+    for (const entry of entries) {
+      await this.query(`
+        INSERT INTO "ContactAudit" (
+          "operationId", "action", "triggerEmail", "triggerPhoneNumber", "contactId", "primaryId",
+          "previousLinkedId", "linkedId", "previousPrecedence", "linkPrecedence", "details", "requestId", "createdAt"
+        )
+        SELECT ?, ?, ?, ?, "id", ?::int, ?::int, ?::int, ?, ?, ?, ?, LOCALTIMESTAMP(0) FROM "Contact" WHERE "id" = ? AND "tenantId" = ?
+      `, [
+        operationId, action, trigger.email || null, trigger.phoneNumber || null, entry.primaryId,
+        entry.previousLinkedId, entry.linkedId, entry.previousPrecedence, entry.linkPrecedence, details, requestId, entry.contactId, tenantId
+      ]);
+    }
+  }
+
+  async getAuditHistory(tenantId, contactIds) {
+    return this.all(`
+      SELECT * FROM "ContactAudit"
+      WHERE "operationId" IN (
+        SELECT "operationId" FROM "ContactAudit"
+        WHERE "contactId" = ANY(?::int[]) OR "primaryId" = ANY(?::int[])
+      )
+      AND "contactId" IN (${TENANT_CONTACTS})
+      ORDER BY "id" ASC
+    `, [contactIds, contactIds, tenantId]);
+  }
+
+  async createApiKey(name, keyPrefix, keyHash, scopes, tenantId = null) {
+    return this.get(`
+      INSERT INTO "ApiKey" ("name", "keyPrefix", "keyHash", "scopes", "tenantId", "createdAt")
+      VALUES (?, ?, ?, ?, ?, LOCALTIMESTAMP(0))
+      RETURNING *
+    `, [name, keyPrefix, keyHash, scopes, tenantId]);
+  }
+
+  async findApiKeyByHash(keyHash) {
+    return this.get('SELECT * FROM "ApiKey" WHERE "keyHash" = ?', [keyHash]);
+  }
+
+  async getApiKeyById(keyId) {
+    return this.get('SELECT * FROM "ApiKey" WHERE "id" = ?', [keyId]);
+  }
+
+  async listApiKeys() {
+    return this.all('SELECT * FROM "ApiKey" ORDER BY "id" ASC');
+  }
+
+  async revokeApiKey(keyId) {
+    return this.run('UPDATE "ApiKey" SET "revokedAt" = LOCALTIMESTAMP(0) WHERE "id" = ? AND "revokedAt" IS NULL', [keyId]);
+  }
+
+  async createWebhookSubscription(tenantId, url, secret, events) {
+    return this.get(`
+      INSERT INTO "WebhookSubscription" ("tenantId", "url", "secret", "events", "createdAt")
+      VALUES (?, ?, ?, ?, LOCALTIMESTAMP(0))
+      RETURNING *
+    `, [tenantId, url, secret, events]);
+  }
+
+  async getWebhookSubscriptions(tenantId) {
+    return this.all('SELECT * FROM "WebhookSubscription" WHERE "tenantId" = ? ORDER BY "id" ASC', [tenantId]);
+  }
+
+  async getWebhookSubscriptionById(tenantId, subscriptionId) {
+    return this.get('SELECT * FROM "WebhookSubscription" WHERE "id" = ? AND "tenantId" = ?', [subscriptionId, tenantId]);
+  }
+
+  async disableWebhookSubscription(tenantId, subscriptionId) {
+    return this.run(
+      'UPDATE "WebhookSubscription" SET "disabledAt" = LOCALTIMESTAMP(0) WHERE "id" = ? AND "tenantId" = ? AND "disabledAt" IS NULL',
+      [subscriptionId, tenantId]
+    );
+  }
+
+  async createOutboxEntries(tenantId, entries) {
+    for (const entry of entries) {
+      await this.query(`
+        INSERT INTO "WebhookOutbox" ("tenantId", "subscriptionId", "eventId", "eventType", "payload", "status", "attempts", "nextAttemptAt", "createdAt", "updatedAt")
+        VALUES (?, ?, ?, ?, ?, 'pending', 0, LOCALTIMESTAMP(0), LOCALTIMESTAMP(0), LOCALTIMESTAMP(0))
+      `, [tenantId, entry.subscriptionId, entry.eventId, entry.eventType, entry.payload]);
+    }
+  }
+
+  async getDueOutboxEntries(tenantId, now, limit) {
+    return this.all(`
+      SELECT * FROM "WebhookOutbox"
+      WHERE "tenantId" = ? AND "status" = 'pending' AND "nextAttemptAt" <= ?::timestamp
+      ORDER BY "nextAttemptAt" ASC, "id" ASC
+      LIMIT ?
+    `, [tenantId, now, limit]);
+  }
+
+  async getOutboxEntries(tenantId, status, limit) {
+    return this.all('SELECT * FROM "WebhookOutbox" WHERE "tenantId" = ? AND "status" = ? ORDER BY "id" DESC LIMIT ?', [tenantId, status, limit]);
+  }
+
+  async getOutboxEntryById(tenantId, entryId) {
+    return this.get('SELECT * FROM "WebhookOutbox" WHERE "id" = ? AND "tenantId" = ?', [entryId, tenantId]);
+  }
+
+  async updateOutboxEntry(tenantId, entryId, status, attempts, nextAttemptAt, lastError) {
+    return this.run(`
+      UPDATE "WebhookOutbox"
+      SET "status" = ?, "attempts" = ?, "nextAttemptAt" = ?::timestamp, "lastError" = ?, "updatedAt" = LOCALTIMESTAMP(0)
+      WHERE "id" = ? AND "tenantId" = ?
+    `, [status, attempts, nextAttemptAt, lastError, entryId, tenantId]);
+  }
+
+  async createDuplicateCandidate(tenantId, primaryId, candidatePrimaryId, score, reasons) {
+    return this.get(`
+      INSERT INTO "DuplicateCandidate" ("tenantId", "primaryId", "candidatePrimaryId", "score", "reasons", "status", "createdAt")
+      VALUES (?, ?, ?, ?, ?, 'pending', LOCALTIMESTAMP(0))
+      ON CONFLICT DO NOTHING
+      RETURNING *
+    `, [tenantId, primaryId, candidatePrimaryId, score, reasons]);
+  }
+
+  async getDuplicateCandidates(tenantId, status, limit) {
+    return this.all(
+      'SELECT * FROM "DuplicateCandidate" WHERE "tenantId" = ? AND "status" = ? ORDER BY "score" DESC, "id" ASC LIMIT ?',
+      [tenantId, status, limit]
+    );
+  }
+
+  async getDuplicateCandidateById(tenantId, candidateId) {
+    return this.get('SELECT * FROM "DuplicateCandidate" WHERE "id" = ? AND "tenantId" = ?', [candidateId, tenantId]);
+  }
+
+  async updateDuplicateCandidate(tenantId, candidateId, status) {
+    return this.run(
+      'UPDATE "DuplicateCandidate" SET "status" = ?, "reviewedAt" = LOCALTIMESTAMP(0) WHERE "id" = ? AND "tenantId" = ?',
+      [status, candidateId, tenantId]
+    );
+  }
+
+  async getStats(tenantId) {
+    const row = await this.get(`
+      SELECT
+        COUNT(*) FILTER (WHERE "deletedAt" IS NULL) AS "totalContacts",
+        COUNT(*) FILTER (WHERE "linkPrecedence" = 'primary' AND "deletedAt" IS NULL) AS "primaryContacts",
+        COUNT(*) FILTER (WHERE "linkPrecedence" = 'secondary' AND "deletedAt" IS NULL) AS "secondaryContacts",
+        MAX("updatedAt") AS "lastUpdate"
+      FROM "Contact"
+      WHERE "tenantId" = ?
+    `, [tenantId]);
+
+    return {
+      totalContacts: Number(row.totalContacts),
+      primaryContacts: Number(row.primaryContacts),
+      secondaryContacts: Number(row.secondaryContacts),
+      lastUpdate: row.lastUpdate
+    };
+  }
+
+  async getClusterSizes(tenantId) {
+    const rows = await this.all(`
+      SELECT "size", COUNT(*) AS "clusters" FROM (
+        SELECT COUNT(*) AS "size" FROM "Contact"
+        WHERE "tenantId" = ? AND "deletedAt" IS NULL
+        GROUP BY COALESCE("linkedId", "id")
+      ) AS "sizes"
+      GROUP BY "size"
+      ORDER BY "size" ASC
+    `, [tenantId]);
+
+    return rows.map(row => ({ size: Number(row.size), clusters: Number(row.clusters) }));
+  }
+
+  async listTenants() {
+    const rows = await this.all(`
+      SELECT "tenantId" FROM "Contact"
+      UNION SELECT "tenantId" FROM "WebhookSubscription"
+      UNION SELECT "tenantId" FROM "ApiKey" WHERE "tenantId" IS NOT NULL
+      ORDER BY "tenantId" ASC
+    `);
+
+    return rows.map(row => row.tenantId);
+  }
+
+  async deleteTenantData(tenantId) {
+    await this.query(`DELETE FROM "ContactIdentifier" WHERE "contactId" IN (${TENANT_CONTACTS})`, [tenantId]);
+    await this.query(`DELETE FROM "ContactLinkHistory" WHERE "contactId" IN (${TENANT_CONTACTS})`, [tenantId]);
+    await this.query(`DELETE FROM "ContactAudit" WHERE "contactId" IN (${TENANT_CONTACTS})`, [tenantId]);
+    await this.query(`DELETE FROM "ContactSeparation" WHERE "primaryId" IN (${TENANT_CONTACTS})`, [tenantId]);
+    await this.query('DELETE FROM "DuplicateCandidate" WHERE "tenantId" = ?', [tenantId]);
+    await this.query('DELETE FROM "WebhookOutbox" WHERE "tenantId" = ?', [tenantId]);
+    await this.query('DELETE FROM "WebhookSubscription" WHERE "tenantId" = ?', [tenantId]);
+    await this.query('DELETE FROM "ErasureTombstone" WHERE "tenantId" = ?', [tenantId]);
+    await this.query('DELETE FROM "ApiKey" WHERE "tenantId" = ?', [tenantId]);
+    // Secondaries first - linkedId references the primary
+    const secondaries = await this.query(`DELETE FROM "Contact" WHERE "tenantId" = ? AND "linkPrecedence" = 'secondary'`, [tenantId]);
+    const primaries = await this.query('DELETE FROM "Contact" WHERE "tenantId" = ?', [tenantId]);
+
+    return { changes: secondaries.rowCount + primaries.rowCount };
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.end().catch(error => console.error('Error closing database:', error));
+      this.client = null;
+    }
+  }
+}
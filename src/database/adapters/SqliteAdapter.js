@@ -0,0 +1,761 @@
+import sqlite3 from 'sqlite3';
+import path from 'path';
+import fs from 'fs';
+
+const BUSY_TIMEOUT_MS = 30000;
+
+// Contact ids belonging to one tenant - rows keyed by contact id are scoped through it
+const TENANT_CONTACTS = 'SELECT id FROM Contact WHERE tenantId = ?';
+
+/**
+ * SqliteAdapter - Default storage backend
+ * Keeps contacts in a single SQLite file (or ':memory:') behind one connection
+ */
+export class SqliteAdapter {
+  constructor({ dbPath }) {
+    this.dialect = 'sqlite';
+    this.db = null;
+    this.dbPath = dbPath;
+  }
+
+  /**
+   * Open the database connection - the schema is managed by the sqlite migrations
+   */
+  async initialize() {
+    return new Promise((resolve, reject) => {
+      // Create data directory if it doesn't exist
+      const dataDir = path.dirname(this.dbPath);
+      if (this.dbPath !== ':memory:' && !fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      this.db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) {
+          reject(new Error(`Database connection failed: ${err.message}`));
+          return;
+        }
+
+        // Wait out another connection's write lock - e.g. one migrating at startup - instead of failing
+        this.db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Execute a SQL query with parameters
+   */
+  async run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ id: this.lastID, changes: this.changes });
+        }
+      });
+    });
+  }
+
+  /**
+   * Get a single row from database
+   */
+  async get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get multiple rows from database
+   */
+  async all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Transaction primitives - DatabaseManager queues callers so only one transaction is open at a time
+   */
+  async beginTransaction() {
+    await this.run('BEGIN IMMEDIATE');
+  }
+
+  async commitTransaction() {
+    await this.run('COMMIT');
+  }
+
+  async rollbackTransaction() {
+    await this.run('ROLLBACK');
+  }
+
+  /**
+   * Find contacts by email or phone number
+   */
+  async findContactsByEmailOrPhone(tenantId, email, phoneNumber) {
+    const conditions = [];
+    const params = [];
+
+    if (email) {
+      conditions.push('email = ?');
+      params.push(email);
+    }
+
+    if (phoneNumber) {
+      conditions.push('phoneNumber = ?');
+      params.push(phoneNumber);
+    }
+
+    if (conditions.length === 0) {
+      return [];
+    }
+
+    const sql = `
+      SELECT * FROM Contact 
+      WHERE (${conditions.join(' OR ')}) 
+      AND tenantId = ? AND deletedAt IS NULL
+      ORDER BY createdAt ASC, id ASC
+    `;
+
+    return this.all(sql, [...params, tenantId]);
+  }
+
+  /**
+   * Find every contact touching the given ids, emails or phone numbers
+   * Used to expand an identity cluster one hop at a time (linkedId in both directions plus shared identifiers)
+   */
+  async findConnectedContacts(tenantId, ids = [], emails = [], phoneNumbers = []) {
+    const conditions = [];
+    const params = [];
+    const placeholders = (values) => values.map(() => '?').join(', ');
+
+    if (ids.length > 0) {
+      conditions.push(`id IN (${placeholders(ids)})`, `linkedId IN (${placeholders(ids)})`);
+      params.push(...ids, ...ids);
+    }
+
+    if (emails.length > 0) {
+      conditions.push(`email IN (${placeholders(emails)})`);
+      params.push(...emails);
+    }
+
+    if (phoneNumbers.length > 0) {
+      conditions.push(`phoneNumber IN (${placeholders(phoneNumbers)})`);
+      params.push(...phoneNumbers);
+    }
+
+    if (conditions.length === 0) {
+      return [];
+    }
+
+    const sql = `
+      SELECT * FROM Contact 
+      WHERE (${conditions.join(' OR ')}) 
+      AND tenantId = ? AND deletedAt IS NULL
+      ORDER BY createdAt ASC, id ASC
+    `;
+
+    return this.all(sql, [...params, tenantId]);
+  }
+
+  /**
+   * Create a new contact entry
+   * email/phoneNumber are the normalized values used for matching; raw holds the values as originally typed
+   */
+  async createContact(tenantId, email, phoneNumber, linkedId = null, linkPrecedence = 'primary', raw = {}) {
+    const sql = `
+      INSERT INTO Contact (tenantId, email, phoneNumber, rawEmail, rawPhoneNumber, linkedId, linkPrecedence, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `;
+
+    const rawEmail = email ? (raw.email ?? email) : null;
+    const rawPhoneNumber = phoneNumber ? (raw.phoneNumber ?? phoneNumber) : null;
+
+    const result = await this.run(sql, [tenantId, email, phoneNumber, rawEmail, rawPhoneNumber, linkedId, linkPrecedence]);
+    await this.trackLink(tenantId, result.id);
+    return this.get('SELECT * FROM Contact WHERE id = ?', [result.id]);
+  }
+
+  /**
+   * Update contact's link precedence and linked ID
+   */
+  async updateContactLink(tenantId, contactId, linkedId, linkPrecedence) {
+    const sql = `
+      UPDATE Contact 
+      SET linkedId = ?, linkPrecedence = ?, updatedAt = CURRENT_TIMESTAMP
+      WHERE id = ? AND tenantId = ?
+    `;
+
+    await this.run(sql, [linkedId, linkPrecedence, contactId, tenantId]);
+    await this.trackLink(tenantId, contactId);
+    return this.get('SELECT * FROM Contact WHERE id = ? AND tenantId = ?', [contactId, tenantId]);
+  }
+
+  /**
+   * Close the contact's current link interval if its link changed and open one for the link it has now
+   */
+  async trackLink(tenantId, contactId) {
+    await this.run(`
+      UPDATE ContactLinkHistory SET validTo = CURRENT_TIMESTAMP
+      WHERE validTo IS NULL AND contactId IN (
+        SELECT c.id FROM Contact c WHERE c.id = ? AND c.tenantId = ?
+        AND (c.linkedId IS NOT ContactLinkHistory.linkedId OR c.linkPrecedence IS NOT ContactLinkHistory.linkPrecedence)
+      )
+    `, [contactId, tenantId]);
+
+    await this.run(`
+      INSERT INTO ContactLinkHistory (contactId, linkedId, linkPrecedence, validFrom)
+      SELECT c.id, c.linkedId, c.linkPrecedence, CURRENT_TIMESTAMP FROM Contact c
+      WHERE c.id = ? AND c.tenantId = ?
+      AND NOT EXISTS (SELECT 1 FROM ContactLinkHistory h WHERE h.contactId = c.id AND h.validTo IS NULL)
+    `, [contactId, tenantId]);
+  }
+
+  /**
+   * Get a single active contact by id
+   */
+  async getContactById(tenantId, contactId) {
+    return this.get('SELECT * FROM Contact WHERE id = ? AND tenantId = ? AND deletedAt IS NULL', [contactId, tenantId]);
+  }
+
+  /**
+   * Get contacts by id, including soft-deleted and purged rows
+   */
+  async getContactsByIds(tenantId, contactIds) {
+    if (contactIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = contactIds.map(() => '?').join(', ');
+    return this.all(`SELECT * FROM Contact WHERE id IN (${placeholders}) AND tenantId = ? ORDER BY id ASC`, [...contactIds, tenantId]);
+  }
+
+  /**
+   * Attach extended identifiers ({ type, value, rawValue }) to a contact
+   */
+  async addContactIdentifiers(tenantId, contactId, identifiers) {
+    const sql = `
+      INSERT INTO ContactIdentifier (contactId, type, value, rawValue, createdAt)
+      SELECT id, ?, ?, ?, CURRENT_TIMESTAMP FROM Contact WHERE id = ? AND tenantId = ?
+    `;
+
+    for (const identifier of identifiers) {
+      await this.run(sql, [identifier.type, identifier.value, identifier.rawValue ?? identifier.value, contactId, tenantId]);
+    }
+  }
+
+  /**
+   * Active contacts carrying any of the given (type, value) identifiers, oldest first
+   */
+  async findContactsByIdentifiers(tenantId, identifiers) {
+    if (identifiers.length === 0) {
+      return [];
+    }
+
+    const conditions = identifiers.map(() => '(type = ? AND value = ?)').join(' OR ');
+    const sql = `
+      SELECT * FROM Contact
+      WHERE id IN (SELECT contactId FROM ContactIdentifier WHERE ${conditions})
+      AND tenantId = ? AND deletedAt IS NULL
+      ORDER BY createdAt ASC, id ASC
+    `;
+
+    return this.all(sql, [...identifiers.flatMap(i => [i.type, i.value]), tenantId]);
+  }
+
+  async getContactIdentifiers(tenantId, contactIds) {
+    if (contactIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = contactIds.map(() => '?').join(', ');
+    const sql = `
+      SELECT * FROM ContactIdentifier
+      WHERE contactId IN (${placeholders}) AND contactId IN (${TENANT_CONTACTS})
+      ORDER BY id ASC
+    `;
+
+    return this.all(sql, [...contactIds, tenantId]);
+  }
+
+  /**
+   * Record that two primaries were split apart and must not be merged again
+   */
+  async createSeparation(tenantId, primaryId, separatedPrimaryId) {
+    const sql = `
+      INSERT INTO ContactSeparation (primaryId, separatedPrimaryId, createdAt)
+      SELECT ?, ?, CURRENT_TIMESTAMP
+      WHERE (SELECT COUNT(*) FROM Contact WHERE id IN (?, ?) AND tenantId = ?) = 2
+    `;
+
+    return this.run(sql, [primaryId, separatedPrimaryId, primaryId, separatedPrimaryId, tenantId]);
+  }
+
+  /**
+   * Get every separation involving any of the given primaries
+   */
+  async getSeparations(tenantId, primaryIds) {
+    if (primaryIds.length === 0) {
+      return [];
+    }
+
+    const placeholders = primaryIds.map(() => '?').join(', ');
+    const sql = `
+      SELECT * FROM ContactSeparation 
+      WHERE (primaryId IN (${placeholders}) OR separatedPrimaryId IN (${placeholders}))
+      AND primaryId IN (${TENANT_CONTACTS})
+      ORDER BY id ASC
+    `;
+
+    return this.all(sql, [...primaryIds, ...primaryIds, tenantId]);
+  }
+
+  /**
+   * Move separations from a demoted primary to the primary that absorbed it
+   */
+  async reassignSeparations(tenantId, fromPrimaryId, toPrimaryId) {
+    await this.run(
+      `UPDATE ContactSeparation SET primaryId = ? WHERE primaryId = ? AND ? IN (${TENANT_CONTACTS})`,
+      [toPrimaryId, fromPrimaryId, toPrimaryId, tenantId]
+    );
+    await this.run(
+      `UPDATE ContactSeparation SET separatedPrimaryId = ? WHERE separatedPrimaryId = ? AND ? IN (${TENANT_CONTACTS})`,
+      [toPrimaryId, fromPrimaryId, toPrimaryId, tenantId]
+    );
+  }
+
+  /**
+   * Soft-delete contacts by setting deletedAt
+   */
+  async softDeleteContacts(tenantId, contactIds) {
+    if (contactIds.length === 0) {
+      return { changes: 0 };
+    }
+
+    const placeholders = contactIds.map(() => '?').join(', ');
+    const sql = `
+      UPDATE Contact 
+      SET deletedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+      WHERE id IN (${placeholders}) AND tenantId = ? AND deletedAt IS NULL
+    `;
+
+    return this.run(sql, [...contactIds, tenantId]);
+  }
+
+  /**
+   * Scrub PII from contacts soft-deleted more than graceDays ago
+   * The rows stay behind (ids, links, timestamps) as tombstones
+   */
+  async purgeDeletedContacts(tenantId, graceDays) {
+    const purgeCondition = `
+      tenantId = ?
+      AND deletedAt IS NOT NULL 
+      AND purgedAt IS NULL
+      AND deletedAt <= datetime('now', ?)
+    `;
+    const params = [tenantId, `-${graceDays} days`];
+
+    // Audit entries must not keep the identifiers that triggered them either
+    await this.run(
+      `UPDATE ContactAudit SET triggerEmail = NULL
+       WHERE triggerEmail IN (SELECT email FROM Contact WHERE ${purgeCondition}) AND contactId IN (${TENANT_CONTACTS})`,
+      [...params, tenantId]
+    );
+    await this.run(
+      `UPDATE ContactAudit SET triggerPhoneNumber = NULL
+       WHERE triggerPhoneNumber IN (SELECT phoneNumber FROM Contact WHERE ${purgeCondition}) AND contactId IN (${TENANT_CONTACTS})`,
+      [...params, tenantId]
+    );
+
+    // Nor webhook events - delivered or not - whose payload still carries one that no live contact holds
+    await this.run(`
+      DELETE FROM WebhookOutbox
+      WHERE tenantId = ? AND EXISTS (
+        SELECT 1 FROM (
+          SELECT email AS value FROM Contact WHERE ${purgeCondition}
+          UNION SELECT phoneNumber FROM Contact WHERE ${purgeCondition}
+          UNION SELECT value FROM ContactIdentifier WHERE contactId IN (SELECT id FROM Contact WHERE ${purgeCondition})
+        ) erased
+        WHERE erased.value IS NOT NULL
+        AND instr(WebhookOutbox.payload, '"' || erased.value || '"') > 0
+        AND NOT EXISTS (
+          SELECT 1 FROM Contact live
+          WHERE live.tenantId = WebhookOutbox.tenantId AND live.deletedAt IS NULL
+          AND (live.email = erased.value OR live.phoneNumber = erased.value
+            OR live.id IN (SELECT contactId FROM ContactIdentifier WHERE value = erased.value))
+        )
+      )
+    `, [tenantId, ...params, ...params, ...params]);
+
+    await this.run(`DELETE FROM ContactIdentifier WHERE contactId IN (SELECT id FROM Contact WHERE ${purgeCondition})`, params);
+
+    const sql = `
+      UPDATE Contact 
+      SET email = NULL, phoneNumber = NULL, rawEmail = NULL, rawPhoneNumber = NULL, purgedAt = CURRENT_TIMESTAMP
+      WHERE ${purgeCondition}
+    `;
+
+    return this.run(sql, params);
+  }
+
+  /**
+   * Remember a hashed identifier so an erased identity isn't silently recreated
+   */
+  async createTombstone(tenantId, identifierType, identifierHash) {
+    const sql = `
+      INSERT OR IGNORE INTO ErasureTombstone (tenantId, identifierType, identifierHash, createdAt)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    `;
+
+    return this.run(sql, [tenantId, identifierType, identifierHash]);
+  }
+
+  /**
+   * Find a tombstone for a hashed identifier
+   */
+  async findTombstone(tenantId, identifierType, identifierHash) {
+    return this.get(
+      'SELECT * FROM ErasureTombstone WHERE tenantId = ? AND identifierType = ? AND identifierHash = ?',
+      [tenantId, identifierType, identifierHash]
+    );
+  }
+
+  /**
+   * Append audit entries for one operation
+   */
+  async createAuditEntries(tenantId, operationId, action, trigger, entries, details = null, requestId = null) {
+    const sql = `
+      INSERT INTO ContactAudit (
+        operationId, action, triggerEmail, triggerPhoneNumber, contactId, primaryId,
+        previousLinkedId, linkedId, previousPrecedence, linkPrecedence, details, requestId, createdAt
+      )
+      SELECT ?, ?, ?, ?, id, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP FROM Contact WHERE id = ? AND tenantId = ?
+    `;
+
+    for (const entry of entries) {
+      await this.run(sql, [
+        operationId, action, trigger.email || null, trigger.phoneNumber || null, entry.primaryId,
+        entry.previousLinkedId, entry.linkedId, entry.previousPrecedence, entry.linkPrecedence, details, requestId, entry.contactId, tenantId
+      ]);
+    }
+  }
+
+  /**
+   * Get every audit entry from operations that touched any of the given contacts
+   */
+  async getAuditHistory(tenantId, contactIds) {
+    const placeholders = contactIds.map(() => '?').join(', ');
+    const sql = `
+      SELECT * FROM ContactAudit 
+      WHERE operationId IN (
+        SELECT operationId FROM ContactAudit 
+        WHERE contactId IN (${placeholders}) OR primaryId IN (${placeholders})
+      )
+      AND contactId IN (${TENANT_CONTACTS})
+      ORDER BY id ASC
+    `;
+
+    return this.all(sql, [...contactIds, ...contactIds, tenantId]);
+  }
+
+  /**
+   * Get all contacts in a linked group
+   * With asOf (SQLite DATETIME string) the group is rebuilt from the link intervals valid at that time
+   */
+  async getLinkedContacts(tenantId, primaryId, asOf = null) {
+    if (asOf) {
+      return this.all(`
+        SELECT c.id, c.tenantId, c.email, c.phoneNumber, c.rawEmail, c.rawPhoneNumber, h.linkedId, h.linkPrecedence,
+          c.createdAt, c.updatedAt, c.deletedAt, c.purgedAt
+        FROM ContactLinkHistory h JOIN Contact c ON c.id = h.contactId
+        WHERE (h.contactId = ? OR h.linkedId = ?)
+        AND h.validFrom <= ? AND (h.validTo IS NULL OR h.validTo > ?)
+        AND c.tenantId = ? AND c.deletedAt IS NULL
+        ORDER BY h.linkPrecedence DESC, c.createdAt ASC, c.id ASC
+      `, [primaryId, primaryId, asOf, asOf, tenantId]);
+    }
+
+    const sql = `
+      SELECT * FROM Contact 
+      WHERE (id = ? OR linkedId = ?) 
+      AND tenantId = ? AND deletedAt IS NULL
+      ORDER BY linkPrecedence DESC, createdAt ASC, id ASC
+    `;
+
+    return this.all(sql, [primaryId, primaryId, tenantId]);
+  }
+
+  /**
+   * Page through active primary ids in id order
+   * updatedSince (SQLite DATETIME string) keeps clusters with any member updated at or after it
+   */
+  async getPrimaryContactIds(tenantId, { updatedSince = null, afterId = 0, limit = 500 } = {}) {
+    const sql = `
+      SELECT p.id FROM Contact p 
+      WHERE p.tenantId = ?
+      AND p.linkPrecedence = 'primary' 
+      AND p.deletedAt IS NULL
+      AND p.id > ?
+      AND (? IS NULL OR EXISTS (
+        SELECT 1 FROM Contact c 
+        WHERE (c.id = p.id OR c.linkedId = p.id) AND c.updatedAt >= ?
+      ))
+      ORDER BY p.id ASC
+      LIMIT ?
+    `;
+
+    const rows = await this.all(sql, [tenantId, afterId, updatedSince, updatedSince, limit]);
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Page through contacts that stopped heading a live cluster at or after updatedSince, in id order:
+   * primaries deleted since then, and contacts whose interval as a primary ended since then (merged into another)
+   */
+  async getRetiredPrimaries(tenantId, { updatedSince, afterId = 0, limit = 500 }) {
+    const sql = `
+      SELECT c.* FROM Contact c
+      WHERE c.tenantId = ?
+      AND c.id > ?
+      AND (
+        (c.linkPrecedence = 'primary' AND c.deletedAt >= ?)
+        OR (c.linkPrecedence = 'secondary' AND EXISTS (
+          SELECT 1 FROM ContactLinkHistory h
+          WHERE h.contactId = c.id AND h.linkPrecedence = 'primary' AND h.validTo >= ?
+        ))
+      )
+      ORDER BY c.id ASC
+      LIMIT ?
+    `;
+
+    return this.all(sql, [tenantId, afterId, updatedSince, updatedSince, limit]);
+  }
+
+  /**
+   * One page of every contact in id order, soft-deleted rows included - for whole-table scans
+   */
+  async getContactsPage(tenantId, { afterId = 0, limit = 500 } = {}) {
+    return this.all('SELECT * FROM Contact WHERE tenantId = ? AND id > ? ORDER BY id ASC LIMIT ?', [tenantId, afterId, limit]);
+  }
+
+  /**
+   * Store a new API key (hash only) and return its row - keys without a tenant are platform keys
+   */
+  async createApiKey(name, keyPrefix, keyHash, scopes, tenantId = null) {
+    const result = await this.run(`
+      INSERT INTO ApiKey (name, keyPrefix, keyHash, scopes, tenantId, createdAt)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [name, keyPrefix, keyHash, scopes, tenantId]);
+
+    return this.getApiKeyById(result.id);
+  }
+
+  async findApiKeyByHash(keyHash) {
+    return this.get('SELECT * FROM ApiKey WHERE keyHash = ?', [keyHash]);
+  }
+
+  async getApiKeyById(keyId) {
+    return this.get('SELECT * FROM ApiKey WHERE id = ?', [keyId]);
+  }
+
+  async listApiKeys() {
+    return this.all('SELECT * FROM ApiKey ORDER BY id ASC');
+  }
+
+  /**
+   * Revoke an API key - already revoked keys keep their original revocation time
+   */
+  async revokeApiKey(keyId) {
+    return this.run('UPDATE ApiKey SET revokedAt = CURRENT_TIMESTAMP WHERE id = ? AND revokedAt IS NULL', [keyId]);
+  }
+
+  async createWebhookSubscription(tenantId, url, secret, events) {
+    const result = await this.run(`
+      INSERT INTO WebhookSubscription (tenantId, url, secret, events, createdAt)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [tenantId, url, secret, events]);
+
+    return this.getWebhookSubscriptionById(tenantId, result.id);
+  }
+
+  async getWebhookSubscriptions(tenantId) {
+    return this.all('SELECT * FROM WebhookSubscription WHERE tenantId = ? ORDER BY id ASC', [tenantId]);
+  }
+
+  async getWebhookSubscriptionById(tenantId, subscriptionId) {
+    return this.get('SELECT * FROM WebhookSubscription WHERE id = ? AND tenantId = ?', [subscriptionId, tenantId]);
+  }
+
+  async disableWebhookSubscription(tenantId, subscriptionId) {
+    return this.run(
+      'UPDATE WebhookSubscription SET disabledAt = CURRENT_TIMESTAMP WHERE id = ? AND tenantId = ? AND disabledAt IS NULL',
+      [subscriptionId, tenantId]
+    );
+  }
+
+  /**
+   * Queue events for delivery - due immediately
+   */
+  async createOutboxEntries(tenantId, entries) {
+    const sql = `
+      INSERT INTO WebhookOutbox (tenantId, subscriptionId, eventId, eventType, payload, status, attempts, nextAttemptAt, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, ?, 'pending', 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `;
+
+    for (const entry of entries) {
+      await this.run(sql, [tenantId, entry.subscriptionId, entry.eventId, entry.eventType, entry.payload]);
+    }
+  }
+
+  async getDueOutboxEntries(tenantId, now, limit) {
+    return this.all(`
+      SELECT * FROM WebhookOutbox
+      WHERE tenantId = ? AND status = 'pending' AND nextAttemptAt <= ?
+      ORDER BY nextAttemptAt ASC, id ASC
+      LIMIT ?
+    `, [tenantId, now, limit]);
+  }
+
+  async getOutboxEntries(tenantId, status, limit) {
+    return this.all('SELECT * FROM WebhookOutbox WHERE tenantId = ? AND status = ? ORDER BY id DESC LIMIT ?', [tenantId, status, limit]);
+  }
+
+  async getOutboxEntryById(tenantId, entryId) {
+    return this.get('SELECT * FROM WebhookOutbox WHERE id = ? AND tenantId = ?', [entryId, tenantId]);
+  }
+
+  async updateOutboxEntry(tenantId, entryId, status, attempts, nextAttemptAt, lastError) {
+    return this.run(`
+      UPDATE WebhookOutbox
+      SET status = ?, attempts = ?, nextAttemptAt = ?, lastError = ?, updatedAt = CURRENT_TIMESTAMP
+      WHERE id = ? AND tenantId = ?
+    `, [status, attempts, nextAttemptAt, lastError, entryId, tenantId]);
+  }
+
+  /**
+   * Queue a duplicate pair for review - pairs already known (in any status) are left alone
+   */
+  async createDuplicateCandidate(tenantId, primaryId, candidatePrimaryId, score, reasons) {
+    const result = await this.run(`
+      INSERT OR IGNORE INTO DuplicateCandidate (tenantId, primaryId, candidatePrimaryId, score, reasons, status, createdAt)
+      VALUES (?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP)
+    `, [tenantId, primaryId, candidatePrimaryId, score, reasons]);
+
+    return result.changes === 1 ? this.getDuplicateCandidateById(tenantId, result.id) : undefined;
+  }
+
+  async getDuplicateCandidates(tenantId, status, limit) {
+    return this.all(
+      'SELECT * FROM DuplicateCandidate WHERE tenantId = ? AND status = ? ORDER BY score DESC, id ASC LIMIT ?',
+      [tenantId, status, limit]
+    );
+  }
+
+  async getDuplicateCandidateById(tenantId, candidateId) {
+    return this.get('SELECT * FROM DuplicateCandidate WHERE id = ? AND tenantId = ?', [candidateId, tenantId]);
+  }
+
+  async updateDuplicateCandidate(tenantId, candidateId, status) {
+    return this.run(
+      'UPDATE DuplicateCandidate SET status = ?, reviewedAt = CURRENT_TIMESTAMP WHERE id = ? AND tenantId = ?',
+      [status, candidateId, tenantId]
+    );
+  }
+
+  /**
+   * Get database statistics for monitoring
+   */
+  async getStats(tenantId) {
+    const totalContacts = await this.get('SELECT COUNT(*) as count FROM Contact WHERE tenantId = ? AND deletedAt IS NULL', [tenantId]);
+    const primaryContacts = await this.get('SELECT COUNT(*) as count FROM Contact WHERE tenantId = ? AND linkPrecedence = "primary" AND deletedAt IS NULL', [tenantId]);
+    const secondaryContacts = await this.get('SELECT COUNT(*) as count FROM Contact WHERE tenantId = ? AND linkPrecedence = "secondary" AND deletedAt IS NULL', [tenantId]);
+    const lastUpdate = await this.get('SELECT MAX(updatedAt) as lastUpdate FROM Contact WHERE tenantId = ?', [tenantId]);
+
+    return {
+      totalContacts: totalContacts.count,
+      primaryContacts: primaryContacts.count,
+      secondaryContacts: secondaryContacts.count,
+      lastUpdate: lastUpdate.lastUpdate
+    };
+  }
+
+  /**
+   * How many active clusters have each number of contacts
+   */
+  async getClusterSizes(tenantId) {
+    return this.all(`
+      SELECT size, COUNT(*) AS clusters FROM (
+        SELECT COUNT(*) AS size FROM Contact
+        WHERE tenantId = ? AND deletedAt IS NULL
+        GROUP BY COALESCE(linkedId, id)
+      )
+      GROUP BY size
+      ORDER BY size ASC
+    `, [tenantId]);
+  }
+
+  /**
+   * Every tenant holding contacts, webhook subscriptions or API keys
+   */
+  async listTenants() {
+    const rows = await this.all(`
+      SELECT tenantId FROM Contact
+      UNION SELECT tenantId FROM WebhookSubscription
+      UNION SELECT tenantId FROM ApiKey WHERE tenantId IS NOT NULL
+      ORDER BY tenantId ASC
+    `);
+
+    return rows.map(row => row.tenantId);
+  }
+
+  /**
+   * Permanently remove everything a tenant owns, its API keys included
+   */
+  async deleteTenantData(tenantId) {
+    await this.run(`DELETE FROM ContactIdentifier WHERE contactId IN (${TENANT_CONTACTS})`, [tenantId]);
+    await this.run(`DELETE FROM ContactLinkHistory WHERE contactId IN (${TENANT_CONTACTS})`, [tenantId]);
+    await this.run(`DELETE FROM ContactAudit WHERE contactId IN (${TENANT_CONTACTS})`, [tenantId]);
+    await this.run(`DELETE FROM ContactSeparation WHERE primaryId IN (${TENANT_CONTACTS})`, [tenantId]);
+    await this.run('DELETE FROM DuplicateCandidate WHERE tenantId = ?', [tenantId]);
+    await this.run('DELETE FROM WebhookOutbox WHERE tenantId = ?', [tenantId]);
+    await this.run('DELETE FROM WebhookSubscription WHERE tenantId = ?', [tenantId]);
+    await this.run('DELETE FROM ErasureTombstone WHERE tenantId = ?', [tenantId]);
+    await this.run('DELETE FROM ApiKey WHERE tenantId = ?', [tenantId]);
+    // Secondaries first - linkedId points at the primary
+    const secondaries = await this.run("DELETE FROM Contact WHERE tenantId = ? AND linkPrecedence = 'secondary'", [tenantId]);
+    const primaries = await this.run('DELETE FROM Contact WHERE tenantId = ?', [tenantId]);
+
+    return { changes: secondaries.changes + primaries.changes };
+  }
+
+  /**
+   * Close database connection
+   */
+  async close() {
+    return new Promise((resolve) => {
+      if (this.db) {
+        this.db.close((err) => {
+          if (err) {
+            console.error('Error closing database:', err);
+          }
+          resolve();
+        });
+      } else {
+        resolve();
+      }
+    });
+  }
+}
\ No newline at end of file
@@ -0,0 +1,69 @@
+import { DatabaseManager } from './DatabaseManager.js';
+import { ApiKeyService } from '../services/ApiKeyService.js';
+import { Logger } from '../utils/Logger.js';
+
+/**
+ * API Key Script
+ * Bootstraps and manages API keys from the command line (the HTTP endpoints need an admin key already)
+ * Usage: npm run api-keys -- issue --name=<name> --scopes=identify,read,admin [--tenant=<id>]
+ *        npm run api-keys -- list | revoke <id> | rotate <id>
+ */
+async function manageApiKeys() {
+  const logger = new Logger();
+  const dbManager = new DatabaseManager();
+  const apiKeyService = new ApiKeyService(dbManager);
+
+  const [command, ...args] = process.argv.slice(2);
+  const option = (name) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const keyId = () => {
+    const id = Number(args[0]);
+    if (!Number.isInteger(id) || id <= 0) {
+      throw new Error(`${command} takes an API key id`);
+    }
+    return id;
+  };
+
+  try {
+    await dbManager.initialize();
+
+    switch (command) {
+      case 'issue': {
+        const scopes = (option('scopes') || '').split(',').filter(Boolean);
+        const result = await apiKeyService.issueKey(option('name'), scopes, option('tenant') ?? null);
+        logger.log('API key issued - store it now, it cannot be shown again', result);
+        break;
+      }
+
+      case 'list':
+        logger.log('API keys', { keys: await apiKeyService.listKeys() });
+        break;
+
+      case 'revoke':
+        logger.log('API key revoked', { key: await apiKeyService.revokeKey(keyId()) });
+        break;
+
+      case 'rotate':
+        logger.log('API key rotated - store it now, it cannot be shown again', await apiKeyService.rotateKey(keyId()));
+        break;
+
+      default:
+        throw new Error('Expected one of: issue, list, revoke, rotate');
+    }
+
+  } catch (error) {
+    logger.logError('API key command failed', error);
+    process.exitCode = 1;
+  } finally {
+    await dbManager.close();
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  manageApiKeys();
+}
+
+export { manageApiKeys };
@@ -0,0 +1,55 @@
+import fs from 'fs';
+import { DatabaseManager, DEFAULT_TENANT } from './DatabaseManager.js';
+import { ContactService } from '../services/ContactService.js';
+import { TenantService } from '../services/TenantService.js';
+import { ClusterExporter } from '../utils/ClusterExporter.js';
+import { Logger } from '../utils/Logger.js';
+
+/**
+ * Cluster Export Script
+ * Streams every reconciled cluster of one tenant (default: "default") as CSV, NDJSON or JSON to stdout or a file
+ * Usage: npm run db:export -- [--format=csv|ndjson|json] [--updated-since=<date>] [--output=<file>] [--tenant=<id>]
+ */
+async function exportClusters() {
+  const logger = new Logger();
+  const dbManager = new DatabaseManager();
+  const contactService = new ContactService(dbManager);
+  const tenantService = new TenantService(dbManager);
+
+  const option = (name) => {
+    const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+
+  try {
+    const exporter = new ClusterExporter(option('format') || 'ndjson');
+    const updatedSince = ClusterExporter.parseUpdatedSince(option('updated-since'));
+    const outputPath = option('output');
+
+    await dbManager.initialize();
+
+    const output = outputPath ? fs.createWriteStream(outputPath) : process.stdout;
+    const count = await tenantService.asTenant(option('tenant') || DEFAULT_TENANT, () =>
+      exporter.write(contactService.exportClusters({ updatedSince }), output)
+    );
+
+    if (outputPath) {
+      await new Promise((resolve, reject) => output.end(err => (err ? reject(err) : resolve())));
+      // Only log when stdout isn't carrying the export itself
+      logger.log('Cluster export completed', { clusters: count, outputPath });
+    }
+
+  } catch (error) {
+    logger.logError('Cluster export failed', error);
+    process.exitCode = 1;
+  } finally {
+    await dbManager.close();
+  }
+}
+
+// Run export if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  exportClusters();
+}
+
+export { exportClusters };
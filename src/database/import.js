@@ -0,0 +1,173 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { DatabaseManager, DEFAULT_TENANT } from './DatabaseManager.js';
+import { ContactService } from '../services/ContactService.js';
+import { TenantService } from '../services/TenantService.js';
+import { Logger } from '../utils/Logger.js';
+import { ClusterCache } from '../utils/ClusterCache.js';
+
+/**
+ * Bulk Import Script
+ * Streams a CSV or NDJSON file of {email, phoneNumber} rows (plus any configured identifier columns) through ContactService
+ * Usage: npm run db:import -- <file> [--format=csv|ndjson] [--tenant=<id>]
+ */
+async function importContacts(filePath, contactService, { format = detectFormat(filePath), onProgress = null } = {}) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+
+  const summary = { processed: 0, succeeded: 0, failed: 0, errors: [] };
+
+  for await (const row of parseRows(lines, format)) {
+    const result = await contactService.identifyBatchItem(row.item);
+    summary.processed++;
+
+    if (result.error) {
+      summary.failed++;
+      summary.errors.push({ line: row.line, ...result.error });
+    } else {
+      summary.succeeded++;
+    }
+
+    if (onProgress) {
+      onProgress(summary);
+    }
+  }
+
+  return summary;
+}
+
+function detectFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return extension === '.ndjson' || extension === '.jsonl' ? 'ndjson' : 'csv';
+}
+
+/**
+ * Turn file lines into {line, item} rows, skipping blank lines
+ */
+async function* parseRows(lines, format) {
+  let lineNumber = 0;
+  let header = null;
+
+  for await (const line of lines) {
+    lineNumber++;
+
+    if (!line.trim()) {
+      continue;
+    }
+
+    if (format === 'ndjson') {
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch (error) {
+        item = null; // reported as an invalid item
+      }
+      yield { line: lineNumber, item };
+      continue;
+    }
+
+    const fields = parseCsvLine(line);
+    if (!header) {
+      header = fields.map(f => f.trim());
+      continue;
+    }
+
+    const record = Object.fromEntries(header.map((name, i) => [name, fields[i]]));
+    yield {
+      line: lineNumber,
+      item: {
+        ...record,
+        email: record.email || null,
+        phoneNumber: record.phoneNumber || record.phone || null
+      }
+    };
+  }
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current);
+  return fields;
+}
+
+async function runImport() {
+  const logger = new Logger();
+  const dbManager = new DatabaseManager();
+  const contactService = new ContactService(dbManager);
+  // Instances sharing a cluster cache must not keep serving what this script changes
+  const clusterCache = ClusterCache.shared(dbManager, logger);
+
+  const filePath = process.argv[2];
+  const formatArg = process.argv.find(arg => arg.startsWith('--format='));
+  const tenantArg = process.argv.find(arg => arg.startsWith('--tenant='));
+
+  try {
+    // Every imported row checks tombstones, so a missing key is refused before the first row rather than on it
+    ContactService.erasureHashSecret();
+
+    if (!filePath) {
+      throw new Error('Usage: npm run db:import -- <file> [--format=csv|ndjson] [--tenant=<id>]');
+    }
+
+    const tenantId = TenantService.validateTenantId(tenantArg ? tenantArg.split('=')[1] : DEFAULT_TENANT);
+
+    await dbManager.initialize();
+    logger.log('Starting bulk import', { filePath, tenantId });
+
+    const summary = await dbManager.withTenant(tenantId, () => importContacts(filePath, contactService, {
+      ...(formatArg && { format: formatArg.split('=')[1] }),
+      onProgress: ({ processed, failed }) => {
+        if (processed % 1000 === 0) {
+          logger.log('Bulk import progress', { processed, failed });
+        }
+      }
+    }));
+
+    logger.log('Bulk import completed', summary);
+
+  } catch (error) {
+    logger.logError('Bulk import failed', error);
+    process.exitCode = 1;
+  } finally {
+    await clusterCache?.close();
+    await dbManager.close();
+  }
+}
+
+// Run import if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runImport();
+}
+
+export { importContacts };
@@ -0,0 +1,64 @@
+import { DatabaseManager } from './DatabaseManager.js';
+import { ContactService } from '../services/ContactService.js';
+import { IntegrityService } from '../services/IntegrityService.js';
+import { TenantService } from '../services/TenantService.js';
+import { Logger } from '../utils/Logger.js';
+import { ClusterCache } from '../utils/ClusterCache.js';
+
+/**
+ * Cluster Integrity Script
+ * Scans every contact of each tenant (or just --tenant=<id>) and reports broken links and clusters sharing
+ * identifiers. --fix repairs each affected component; the exit code is 1 while violations remain.
+ * Usage: npm run db:integrity -- [--fix] [--tenant=<id>]
+ */
+async function checkIntegrity() {
+  const logger = new Logger();
+  const dbManager = new DatabaseManager();
+  const contactService = new ContactService(dbManager);
+  const clusterCache = ClusterCache.shared(dbManager, logger);
+  const integrityService = new IntegrityService(dbManager, contactService);
+  const tenantService = new TenantService(dbManager);
+
+  const option = (name) => {
+    const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  const fix = process.argv.includes('--fix');
+
+  try {
+    // Refused up front like every entry point built on ContactService, before any tenant is touched
+    ContactService.erasureHashSecret();
+
+    await dbManager.initialize();
+
+    const tenantIds = option('tenant') ? [option('tenant')] : await dbManager.listTenants();
+    let remaining = 0;
+
+    for (const tenantId of tenantIds) {
+      await tenantService.asTenant(tenantId, async () => {
+        const report = fix ? await integrityService.repair() : await integrityService.check();
+        logger.log(fix ? 'Cluster integrity repaired' : 'Cluster integrity checked', { tenantId, ...report });
+
+        remaining += fix ? (await integrityService.check()).violations.length : report.violations.length;
+      });
+    }
+
+    if (remaining > 0) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    logger.logError('Cluster integrity check failed', error);
+    process.exitCode = 1;
+  } finally {
+    await clusterCache?.close();
+    await dbManager.close();
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  checkIntegrity();
+}
+
+export { checkIntegrity };
@@ -0,0 +1,69 @@
+/**
+ * 001 - Initial PostgreSQL schema (contacts, separations, erasure tombstones, audit trail)
+ * Identifiers are quoted so rows come back with the same camelCase keys as SQLite
+ */
+const statements = [
+  `CREATE TABLE IF NOT EXISTS "Contact" (
+    "id" SERIAL PRIMARY KEY,
+    "phoneNumber" TEXT,
+    "email" TEXT,
+    "rawPhoneNumber" TEXT,
+    "rawEmail" TEXT,
+    "linkedId" INTEGER REFERENCES "Contact"("id"),
+    "linkPrecedence" TEXT CHECK("linkPrecedence" IN ('primary', 'secondary')) NOT NULL,
+    "createdAt" TIMESTAMP(0) DEFAULT LOCALTIMESTAMP(0),
+    "updatedAt" TIMESTAMP(0) DEFAULT LOCALTIMESTAMP(0),
+    "deletedAt" TIMESTAMP(0),
+    "purgedAt" TIMESTAMP(0)
+  )`,
+  `CREATE TABLE IF NOT EXISTS "ContactSeparation" (
+    "id" SERIAL PRIMARY KEY,
+    "primaryId" INTEGER NOT NULL REFERENCES "Contact"("id"),
+    "separatedPrimaryId" INTEGER NOT NULL REFERENCES "Contact"("id"),
+    "createdAt" TIMESTAMP(0) DEFAULT LOCALTIMESTAMP(0)
+  )`,
+  `CREATE TABLE IF NOT EXISTS "ErasureTombstone" (
+    "id" SERIAL PRIMARY KEY,
+    "identifierType" TEXT CHECK("identifierType" IN ('email', 'phoneNumber')) NOT NULL,
+    "identifierHash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(0) DEFAULT LOCALTIMESTAMP(0),
+    UNIQUE ("identifierType", "identifierHash")
+  )`,
+  `CREATE TABLE IF NOT EXISTS "ContactAudit" (
+    "id" SERIAL PRIMARY KEY,
+    "operationId" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "triggerEmail" TEXT,
+    "triggerPhoneNumber" TEXT,
+    "contactId" INTEGER NOT NULL,
+    "primaryId" INTEGER,
+    "previousLinkedId" INTEGER,
+    "linkedId" INTEGER,
+    "previousPrecedence" TEXT,
+    "linkPrecedence" TEXT,
+    "createdAt" TIMESTAMP(0) DEFAULT LOCALTIMESTAMP(0)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_email ON "Contact"("email")',
+  'CREATE INDEX IF NOT EXISTS idx_phone ON "Contact"("phoneNumber")',
+  'CREATE INDEX IF NOT EXISTS idx_linked ON "Contact"("linkedId")',
+  'CREATE INDEX IF NOT EXISTS idx_precedence ON "Contact"("linkPrecedence")',
+  'CREATE INDEX IF NOT EXISTS idx_deleted ON "Contact"("deletedAt")',
+  'CREATE INDEX IF NOT EXISTS idx_separation_primary ON "ContactSeparation"("primaryId")',
+  'CREATE INDEX IF NOT EXISTS idx_separation_separated ON "ContactSeparation"("separatedPrimaryId")',
+  'CREATE INDEX IF NOT EXISTS idx_audit_contact ON "ContactAudit"("contactId")',
+  'CREATE INDEX IF NOT EXISTS idx_audit_primary ON "ContactAudit"("primaryId")',
+  'CREATE INDEX IF NOT EXISTS idx_audit_operation ON "ContactAudit"("operationId")'
+];
+
+export async function up(db) {
+  for (const sql of statements) {
+    await db.run(sql);
+  }
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS "ContactAudit"');
+  await db.run('DROP TABLE IF EXISTS "ErasureTombstone"');
+  await db.run('DROP TABLE IF EXISTS "ContactSeparation"');
+  await db.run('DROP TABLE IF EXISTS "Contact"');
+}
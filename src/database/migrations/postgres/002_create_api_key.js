@@ -0,0 +1,20 @@
+/**
+ * 002 - API keys for authenticated access; only a hash of each key is stored
+ */
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS "ApiKey" (
+      "id" SERIAL PRIMARY KEY,
+      "name" TEXT NOT NULL,
+      "keyPrefix" TEXT NOT NULL,
+      "keyHash" TEXT NOT NULL UNIQUE,
+      "scopes" TEXT NOT NULL,
+      "createdAt" TIMESTAMP(0) DEFAULT LOCALTIMESTAMP(0),
+      "revokedAt" TIMESTAMP(0)
+    )
+  `);
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS "ApiKey"');
+}
@@ -0,0 +1,38 @@
+/**
+ * 003 - Webhook subscriptions and the outbox their lifecycle events are delivered from
+ */
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS "WebhookSubscription" (
+      "id" SERIAL PRIMARY KEY,
+      "url" TEXT NOT NULL,
+      "secret" TEXT NOT NULL,
+      "events" TEXT NOT NULL,
+      "createdAt" TIMESTAMP(0) DEFAULT LOCALTIMESTAMP(0),
+      "disabledAt" TIMESTAMP(0)
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS "WebhookOutbox" (
+      "id" SERIAL PRIMARY KEY,
+      "subscriptionId" INTEGER NOT NULL REFERENCES "WebhookSubscription"("id"),
+      "eventId" TEXT NOT NULL,
+      "eventType" TEXT NOT NULL,
+      "payload" TEXT NOT NULL,
+      "status" TEXT CHECK("status" IN ('pending', 'delivered', 'dead')) NOT NULL DEFAULT 'pending',
+      "attempts" INTEGER NOT NULL DEFAULT 0,
+      "nextAttemptAt" TIMESTAMP(0) DEFAULT LOCALTIMESTAMP(0),
+      "lastError" TEXT,
+      "createdAt" TIMESTAMP(0) DEFAULT LOCALTIMESTAMP(0),
+      "updatedAt" TIMESTAMP(0) DEFAULT LOCALTIMESTAMP(0)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_outbox_due ON "WebhookOutbox"("status", "nextAttemptAt")');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS "WebhookOutbox"');
+  await db.run('DROP TABLE IF EXISTS "WebhookSubscription"');
+}
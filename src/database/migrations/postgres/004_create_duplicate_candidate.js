@@ -0,0 +1,25 @@
+/**
+ * 004 - Review queue of primaries that look like the same person
+ * Each pair is stored once (lower id first), so rejected pairs are never suggested again
+ */
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS "DuplicateCandidate" (
+      "id" SERIAL PRIMARY KEY,
+      "primaryId" INTEGER NOT NULL REFERENCES "Contact"("id"),
+      "candidatePrimaryId" INTEGER NOT NULL REFERENCES "Contact"("id"),
+      "score" DOUBLE PRECISION NOT NULL,
+      "reasons" TEXT NOT NULL,
+      "status" TEXT CHECK("status" IN ('pending', 'accepted', 'rejected', 'auto_merged', 'stale')) NOT NULL DEFAULT 'pending',
+      "createdAt" TIMESTAMP(0) DEFAULT LOCALTIMESTAMP(0),
+      "reviewedAt" TIMESTAMP(0),
+      UNIQUE ("primaryId", "candidatePrimaryId")
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_duplicate_status ON "DuplicateCandidate"("status")');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS "DuplicateCandidate"');
+}
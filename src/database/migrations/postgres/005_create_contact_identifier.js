@@ -0,0 +1,29 @@
+/**
+ * 005 - Typed identifiers beyond email and phone (customer id, device id, ...), keyed by (type, value)
+ * Tombstones are no longer limited to email/phone
+ */
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS "ContactIdentifier" (
+      "id" SERIAL PRIMARY KEY,
+      "contactId" INTEGER NOT NULL REFERENCES "Contact"("id"),
+      "type" TEXT NOT NULL,
+      "value" TEXT NOT NULL,
+      "rawValue" TEXT,
+      "createdAt" TIMESTAMP(0) DEFAULT LOCALTIMESTAMP(0)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_identifier_value ON "ContactIdentifier"("type", "value")');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_identifier_contact ON "ContactIdentifier"("contactId")');
+  await db.run('ALTER TABLE "ErasureTombstone" DROP CONSTRAINT IF EXISTS "ErasureTombstone_identifierType_check"');
+}
+
+export async function down(db) {
+  await db.run(`DELETE FROM "ErasureTombstone" WHERE "identifierType" NOT IN ('email', 'phoneNumber')`);
+  await db.run(`
+    ALTER TABLE "ErasureTombstone"
+    ADD CONSTRAINT "ErasureTombstone_identifierType_check" CHECK ("identifierType" IN ('email', 'phoneNumber'))
+  `);
+  await db.run('DROP TABLE IF EXISTS "ContactIdentifier"');
+}
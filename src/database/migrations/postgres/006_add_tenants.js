@@ -0,0 +1,48 @@
+/**
+ * 006 - Multi-tenancy: every tenant-owned row records its tenant
+ * Existing rows belong to the "default" tenant; API keys without a tenant are platform keys.
+ * Tombstones become unique per tenant.
+ */
+const TENANT_TABLES = ['Contact', 'WebhookSubscription', 'WebhookOutbox', 'DuplicateCandidate', 'ErasureTombstone'];
+
+export async function up(db) {
+  for (const table of TENANT_TABLES) {
+    await db.run(`ALTER TABLE "${table}" ADD COLUMN IF NOT EXISTS "tenantId" TEXT NOT NULL DEFAULT 'default'`);
+  }
+
+  await db.run('ALTER TABLE "ApiKey" ADD COLUMN IF NOT EXISTS "tenantId" TEXT');
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_tenant_email ON "Contact"("tenantId", "email")');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_tenant_phone ON "Contact"("tenantId", "phoneNumber")');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_webhook_tenant ON "WebhookSubscription"("tenantId")');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_duplicate_tenant ON "DuplicateCandidate"("tenantId", "status")');
+
+  await db.run('ALTER TABLE "ErasureTombstone" DROP CONSTRAINT IF EXISTS "ErasureTombstone_identifierType_identifierHash_key"');
+  await db.run(`
+    ALTER TABLE "ErasureTombstone"
+    ADD CONSTRAINT "ErasureTombstone_tenant_identifier_key" UNIQUE ("tenantId", "identifierType", "identifierHash")
+  `);
+}
+
+// Tenants are collapsed back into one namespace - their rows stay, only the tenant column goes
+export async function down(db) {
+  await db.run('ALTER TABLE "ErasureTombstone" DROP CONSTRAINT IF EXISTS "ErasureTombstone_tenant_identifier_key"');
+  await db.run(`
+    DELETE FROM "ErasureTombstone" t USING "ErasureTombstone" older
+    WHERE t."identifierType" = older."identifierType" AND t."identifierHash" = older."identifierHash" AND t."id" > older."id"
+  `);
+  await db.run(`
+    ALTER TABLE "ErasureTombstone"
+    ADD CONSTRAINT "ErasureTombstone_identifierType_identifierHash_key" UNIQUE ("identifierType", "identifierHash")
+  `);
+
+  await db.run('DROP INDEX IF EXISTS idx_duplicate_tenant');
+  await db.run('DROP INDEX IF EXISTS idx_webhook_tenant');
+  await db.run('DROP INDEX IF EXISTS idx_tenant_phone');
+  await db.run('DROP INDEX IF EXISTS idx_tenant_email');
+
+  await db.run('ALTER TABLE "ApiKey" DROP COLUMN IF EXISTS "tenantId"');
+  for (const table of [...TENANT_TABLES].reverse()) {
+    await db.run(`ALTER TABLE "${table}" DROP COLUMN IF EXISTS "tenantId"`);
+  }
+}
@@ -0,0 +1,10 @@
+/**
+ * 007 - Audit entries can carry details about their operation, e.g. why a merge kept the primary it did
+ */
+export async function up(db) {
+  await db.run('ALTER TABLE "ContactAudit" ADD COLUMN IF NOT EXISTS "details" TEXT');
+}
+
+export async function down(db) {
+  await db.run('ALTER TABLE "ContactAudit" DROP COLUMN IF EXISTS "details"');
+}
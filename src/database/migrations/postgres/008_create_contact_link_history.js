@@ -0,0 +1,30 @@
+/**
+ * 008 - Validity intervals for every contact's link, so clusters can be rebuilt as of a past time
+ * validTo is NULL while an interval is current. Link changes made before this migration aren't known:
+ * existing contacts get their current link from createdAt on.
+ */
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS "ContactLinkHistory" (
+      "id" SERIAL PRIMARY KEY,
+      "contactId" INTEGER NOT NULL REFERENCES "Contact"("id"),
+      "linkedId" INTEGER,
+      "linkPrecedence" TEXT CHECK("linkPrecedence" IN ('primary', 'secondary')) NOT NULL,
+      "validFrom" TIMESTAMP(0) NOT NULL,
+      "validTo" TIMESTAMP(0)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_link_history_contact ON "ContactLinkHistory"("contactId", "validFrom")');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_link_history_linked ON "ContactLinkHistory"("linkedId", "validFrom")');
+
+  await db.run(`
+    INSERT INTO "ContactLinkHistory" ("contactId", "linkedId", "linkPrecedence", "validFrom")
+    SELECT "id", "linkedId", "linkPrecedence", "createdAt" FROM "Contact"
+    WHERE "id" NOT IN (SELECT "contactId" FROM "ContactLinkHistory")
+  `);
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS "ContactLinkHistory"');
+}
@@ -0,0 +1,10 @@
+/**
+ * 009 - Audit entries remember the request that caused them, so an operation can be found in the logs
+ */
+export async function up(db) {
+  await db.run('ALTER TABLE "ContactAudit" ADD COLUMN IF NOT EXISTS "requestId" TEXT');
+}
+
+export async function down(db) {
+  await db.run('ALTER TABLE "ContactAudit" DROP COLUMN IF EXISTS "requestId"');
+}
@@ -0,0 +1,28 @@
+/**
+ * 001 - Contact table with the original schema and lookup indexes
+ * IF NOT EXISTS keeps this safe on databases created before migrations existed
+ */
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS Contact (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      phoneNumber TEXT,
+      email TEXT,
+      linkedId INTEGER,
+      linkPrecedence TEXT CHECK(linkPrecedence IN ('primary', 'secondary')) NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      deletedAt DATETIME,
+      FOREIGN KEY (linkedId) REFERENCES Contact(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_email ON Contact(email)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_phone ON Contact(phoneNumber)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_linked ON Contact(linkedId)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_precedence ON Contact(linkPrecedence)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS Contact');
+}
@@ -0,0 +1,150 @@
+/**
+ * 002 - Keep identifiers as originally typed next to the normalized values
+ * Rows stored before normalization existed are rewritten in normalized form, so they match the normalized input
+ * they're looked up with, with the values as stored moved to the raw columns. Values that can't be normalized are
+ * left untouched and reported by contact id.
+ * The rules below are a frozen copy of IdentifierNormalizer's, so later changes to it can't change what this
+ * migration did; only the deployment's own choices (PHONE_DEFAULT_REGION, EMAIL_FOLD_ALIASES) are read, since
+ * the stored values have to match what the service computes.
+ */
+
+const PHONE_REGIONS = {
+  US: { callingCode: '1', trunkPrefix: '1', nationalLengths: [10] },
+  CA: { callingCode: '1', trunkPrefix: '1', nationalLengths: [10] },
+  GB: { callingCode: '44', trunkPrefix: '0', nationalLengths: [9, 10] },
+  IN: { callingCode: '91', trunkPrefix: '0', nationalLengths: [10] },
+  DE: { callingCode: '49', trunkPrefix: '0', nationalLengths: [6, 7, 8, 9, 10, 11] },
+  FR: { callingCode: '33', trunkPrefix: '0', nationalLengths: [9] },
+  AU: { callingCode: '61', trunkPrefix: '0', nationalLengths: [9] }
+};
+
+const PLUS_TAG_PROVIDERS = new Set([
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'icloud.com', 'me.com', 'fastmail.com', 'protonmail.com', 'proton.me'
+]);
+const DOT_INSENSITIVE_PROVIDERS = new Set(['gmail.com', 'googlemail.com']);
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const BATCH_SIZE = 1000;
+
+// Each returns the normalized value, or null when the value can't be normalized
+function normalizeEmail(email, foldAliases) {
+  const value = String(email).trim().toLowerCase();
+  if (!EMAIL_REGEX.test(value)) {
+    return null;
+  }
+  if (!foldAliases) {
+    return value;
+  }
+
+  const atIndex = value.lastIndexOf('@');
+  let localPart = value.slice(0, atIndex);
+  let domain = value.slice(atIndex + 1);
+
+  if (domain === 'googlemail.com') {
+    domain = 'gmail.com';
+  }
+  if (PLUS_TAG_PROVIDERS.has(domain)) {
+    localPart = localPart.split('+')[0];
+  }
+  if (DOT_INSENSITIVE_PROVIDERS.has(domain)) {
+    localPart = localPart.replace(/\./g, '');
+  }
+
+  return localPart ? `${localPart}@${domain}` : null;
+}
+
+function normalizePhoneNumber(phoneNumber, region) {
+  let value = String(phoneNumber).trim().replace(/[\s\-().]/g, '');
+  let international = false;
+
+  if (value.startsWith('+')) {
+    international = true;
+    value = value.slice(1);
+  } else if (value.startsWith('00')) {
+    international = true;
+    value = value.slice(2);
+  }
+
+  if (!/^\d+$/.test(value)) {
+    return null;
+  }
+
+  if (international) {
+    return value.length < 8 || value.length > 15 || value.startsWith('0') ? null : `+${value}`;
+  }
+
+  let nationalNumber = value;
+  if (!region.nationalLengths.includes(nationalNumber.length) && nationalNumber.startsWith(region.trunkPrefix)) {
+    nationalNumber = nationalNumber.slice(region.trunkPrefix.length);
+  }
+
+  return region.nationalLengths.includes(nationalNumber.length) ? `+${region.callingCode}${nationalNumber}` : null;
+}
+
+export async function up(db) {
+  const columns = new Set((await db.all('PRAGMA table_info(Contact)')).map(c => c.name));
+  if (!columns.has('rawPhoneNumber')) {
+    await db.run('ALTER TABLE Contact ADD COLUMN rawPhoneNumber TEXT');
+    await db.run('UPDATE Contact SET rawPhoneNumber = phoneNumber');
+  }
+  if (!columns.has('rawEmail')) {
+    await db.run('ALTER TABLE Contact ADD COLUMN rawEmail TEXT');
+    await db.run('UPDATE Contact SET rawEmail = email');
+  }
+
+  const regionName = (process.env.PHONE_DEFAULT_REGION || 'US').toUpperCase();
+  const region = PHONE_REGIONS[regionName];
+  if (!region) {
+    throw new Error(`Unsupported default phone region: ${regionName}`);
+  }
+  const foldAliases = process.env.EMAIL_FOLD_ALIASES === 'true';
+
+  const fields = [
+    ['email', 'rawEmail', value => normalizeEmail(value, foldAliases)],
+    ['phoneNumber', 'rawPhoneNumber', value => normalizePhoneNumber(value, region)]
+  ];
+  const unnormalized = { email: [], phoneNumber: [] };
+
+  let lastId = 0;
+  for (;;) {
+    const rows = await db.all(
+      'SELECT id, email, phoneNumber FROM Contact WHERE id > ? AND (email IS NOT NULL OR phoneNumber IS NOT NULL) ORDER BY id LIMIT ?',
+      [lastId, BATCH_SIZE]
+    );
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      for (const [field, rawField, normalize] of fields) {
+        if (row[field] === null) {
+          continue;
+        }
+
+        const normalized = normalize(row[field]);
+        if (normalized === null) {
+          unnormalized[field].push(row.id);
+        } else if (normalized !== row[field]) {
+          await db.run(
+            `UPDATE Contact SET ${field} = ?, ${rawField} = COALESCE(${rawField}, ?) WHERE id = ?`,
+            [normalized, row[field], row.id]
+          );
+        }
+      }
+    }
+
+    lastId = rows[rows.length - 1].id;
+  }
+
+  if (unnormalized.email.length > 0 || unnormalized.phoneNumber.length > 0) {
+    return { warning: 'Stored identifiers that could not be normalized were left as they are', contactIds: unnormalized };
+  }
+}
+
+// The normalized values are what the service matches on, so only the raw columns are undone
+export async function down(db) {
+  await db.run('ALTER TABLE Contact DROP COLUMN rawEmail');
+  await db.run('ALTER TABLE Contact DROP COLUMN rawPhoneNumber');
+}
@@ -0,0 +1,22 @@
+/**
+ * 003 - Pairs of primaries that support split apart and that must never be merged again
+ */
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS ContactSeparation (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      primaryId INTEGER NOT NULL,
+      separatedPrimaryId INTEGER NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (primaryId) REFERENCES Contact(id),
+      FOREIGN KEY (separatedPrimaryId) REFERENCES Contact(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_separation_primary ON ContactSeparation(primaryId)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_separation_separated ON ContactSeparation(separatedPrimaryId)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS ContactSeparation');
+}
@@ -0,0 +1,28 @@
+/**
+ * 004 - Right-to-erasure: purge marker on contacts and hashed tombstones of erased identifiers
+ */
+export async function up(db) {
+  const columns = new Set((await db.all('PRAGMA table_info(Contact)')).map(c => c.name));
+
+  if (!columns.has('purgedAt')) {
+    await db.run('ALTER TABLE Contact ADD COLUMN purgedAt DATETIME');
+  }
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_deleted ON Contact(deletedAt)');
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS ErasureTombstone (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      identifierType TEXT CHECK(identifierType IN ('email', 'phoneNumber')) NOT NULL,
+      identifierHash TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (identifierType, identifierHash)
+    )
+  `);
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS ErasureTombstone');
+  await db.run('DROP INDEX IF EXISTS idx_deleted');
+  await db.run('ALTER TABLE Contact DROP COLUMN purgedAt');
+}
@@ -0,0 +1,29 @@
+/**
+ * 005 - Append-only trail of every link change, grouped by the operation that caused it
+ */
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS ContactAudit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      operationId TEXT NOT NULL,
+      action TEXT NOT NULL,
+      triggerEmail TEXT,
+      triggerPhoneNumber TEXT,
+      contactId INTEGER NOT NULL,
+      primaryId INTEGER,
+      previousLinkedId INTEGER,
+      linkedId INTEGER,
+      previousPrecedence TEXT,
+      linkPrecedence TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_audit_contact ON ContactAudit(contactId)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_audit_primary ON ContactAudit(primaryId)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_audit_operation ON ContactAudit(operationId)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS ContactAudit');
+}
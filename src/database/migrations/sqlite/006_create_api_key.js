@@ -0,0 +1,20 @@
+/**
+ * 006 - API keys for authenticated access; only a hash of each key is stored
+ */
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS ApiKey (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      keyPrefix TEXT NOT NULL,
+      keyHash TEXT NOT NULL UNIQUE,
+      scopes TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      revokedAt DATETIME
+    )
+  `);
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS ApiKey');
+}
@@ -0,0 +1,39 @@
+/**
+ * 007 - Webhook subscriptions and the outbox their lifecycle events are delivered from
+ */
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS WebhookSubscription (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      disabledAt DATETIME
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS WebhookOutbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscriptionId INTEGER NOT NULL,
+      eventId TEXT NOT NULL,
+      eventType TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT CHECK(status IN ('pending', 'delivered', 'dead')) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      nextAttemptAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      lastError TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (subscriptionId) REFERENCES WebhookSubscription(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_outbox_due ON WebhookOutbox(status, nextAttemptAt)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS WebhookOutbox');
+  await db.run('DROP TABLE IF EXISTS WebhookSubscription');
+}
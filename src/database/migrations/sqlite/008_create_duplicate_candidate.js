@@ -0,0 +1,27 @@
+/**
+ * 008 - Review queue of primaries that look like the same person
+ * Each pair is stored once (lower id first), so rejected pairs are never suggested again
+ */
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS DuplicateCandidate (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      primaryId INTEGER NOT NULL,
+      candidatePrimaryId INTEGER NOT NULL,
+      score REAL NOT NULL,
+      reasons TEXT NOT NULL,
+      status TEXT CHECK(status IN ('pending', 'accepted', 'rejected', 'auto_merged', 'stale')) NOT NULL DEFAULT 'pending',
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      reviewedAt DATETIME,
+      UNIQUE (primaryId, candidatePrimaryId),
+      FOREIGN KEY (primaryId) REFERENCES Contact(id),
+      FOREIGN KEY (candidatePrimaryId) REFERENCES Contact(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_duplicate_status ON DuplicateCandidate(status)');
+}
+
+export async function down(db) {
+  await db.run('DROP TABLE IF EXISTS DuplicateCandidate');
+}
@@ -0,0 +1,44 @@
+/**
+ * 009 - Typed identifiers beyond email and phone (customer id, device id, ...), keyed by (type, value)
+ * Tombstones are no longer limited to email/phone, so ErasureTombstone is rebuilt without its type check
+ */
+export async function up(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS ContactIdentifier (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      contactId INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      value TEXT NOT NULL,
+      rawValue TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (contactId) REFERENCES Contact(id)
+    )
+  `);
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_identifier_value ON ContactIdentifier(type, value)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_identifier_contact ON ContactIdentifier(contactId)');
+
+  await rebuildTombstones(db, '');
+}
+
+export async function down(db) {
+  await db.run(`DELETE FROM ErasureTombstone WHERE identifierType NOT IN ('email', 'phoneNumber')`);
+  await rebuildTombstones(db, `CHECK(identifierType IN ('email', 'phoneNumber'))`);
+  await db.run('DROP TABLE IF EXISTS ContactIdentifier');
+}
+
+// SQLite can't alter a CHECK constraint, so the table is copied over
+async function rebuildTombstones(db, typeCheck) {
+  await db.run(`
+    CREATE TABLE ErasureTombstone_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      identifierType TEXT ${typeCheck} NOT NULL,
+      identifierHash TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (identifierType, identifierHash)
+    )
+  `);
+  await db.run('INSERT INTO ErasureTombstone_new SELECT id, identifierType, identifierHash, createdAt FROM ErasureTombstone');
+  await db.run('DROP TABLE ErasureTombstone');
+  await db.run('ALTER TABLE ErasureTombstone_new RENAME TO ErasureTombstone');
+}
@@ -0,0 +1,73 @@
+/**
+ * 010 - Multi-tenancy: every tenant-owned row records its tenant
+ * Existing rows belong to the "default" tenant; API keys without a tenant are platform keys.
+ * Tombstones become unique per tenant, so ErasureTombstone is rebuilt.
+ */
+const TENANT_TABLES = ['Contact', 'WebhookSubscription', 'WebhookOutbox', 'DuplicateCandidate'];
+
+export async function up(db) {
+  for (const table of TENANT_TABLES) {
+    if (!(await hasColumn(db, table, 'tenantId'))) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN tenantId TEXT NOT NULL DEFAULT 'default'`);
+    }
+  }
+
+  if (!(await hasColumn(db, 'ApiKey', 'tenantId'))) {
+    await db.run('ALTER TABLE ApiKey ADD COLUMN tenantId TEXT');
+  }
+
+  await db.run('CREATE INDEX IF NOT EXISTS idx_tenant_email ON Contact(tenantId, email)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_tenant_phone ON Contact(tenantId, phoneNumber)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_webhook_tenant ON WebhookSubscription(tenantId)');
+  await db.run('CREATE INDEX IF NOT EXISTS idx_duplicate_tenant ON DuplicateCandidate(tenantId, status)');
+
+  await db.run(`
+    CREATE TABLE ErasureTombstone_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tenantId TEXT NOT NULL DEFAULT 'default',
+      identifierType TEXT NOT NULL,
+      identifierHash TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (tenantId, identifierType, identifierHash)
+    )
+  `);
+  await db.run(`
+    INSERT INTO ErasureTombstone_new (id, identifierType, identifierHash, createdAt)
+    SELECT id, identifierType, identifierHash, createdAt FROM ErasureTombstone
+  `);
+  await db.run('DROP TABLE ErasureTombstone');
+  await db.run('ALTER TABLE ErasureTombstone_new RENAME TO ErasureTombstone');
+}
+
+// Tenants are collapsed back into one namespace - their rows stay, only the tenant column goes
+export async function down(db) {
+  await db.run(`
+    CREATE TABLE ErasureTombstone_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      identifierType TEXT NOT NULL,
+      identifierHash TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (identifierType, identifierHash)
+    )
+  `);
+  await db.run(`
+    INSERT OR IGNORE INTO ErasureTombstone_new (id, identifierType, identifierHash, createdAt)
+    SELECT id, identifierType, identifierHash, createdAt FROM ErasureTombstone ORDER BY id
+  `);
+  await db.run('DROP TABLE ErasureTombstone');
+  await db.run('ALTER TABLE ErasureTombstone_new RENAME TO ErasureTombstone');
+
+  await db.run('DROP INDEX IF EXISTS idx_duplicate_tenant');
+  await db.run('DROP INDEX IF EXISTS idx_webhook_tenant');
+  await db.run('DROP INDEX IF EXISTS idx_tenant_phone');
+  await db.run('DROP INDEX IF EXISTS idx_tenant_email');
+
+  await db.run('ALTER TABLE ApiKey DROP COLUMN tenantId');
+  for (const table of [...TENANT_TABLES].reverse()) {
+    await db.run(`ALTER TABLE ${table} DROP COLUMN tenantId`);
+  }
+}
+
+async function hasColumn(db, table, column) {
+  return (await db.all(`PRAGMA table_info(${table})`)).some(c => c.name === column);
+}
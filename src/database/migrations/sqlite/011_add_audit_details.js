@@ -0,0 +1,14 @@
+/**
+ * 011 - Audit entries can carry details about their operation, e.g. why a merge kept the primary it did
+ */
+export async function up(db) {
+  const columns = new Set((await db.all('PRAGMA table_info(ContactAudit)')).map(c => c.name));
+
+  if (!columns.has('details')) {
+    await db.run('ALTER TABLE ContactAudit ADD COLUMN details TEXT');
+  }
+}
+
+export async function down(db) {
+  await db.run('ALTER TABLE ContactAudit DROP COLUMN details');
+}
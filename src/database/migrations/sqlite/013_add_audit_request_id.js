@@ -0,0 +1,14 @@
+/**
+ * 013 - Audit entries remember the request that caused them, so an operation can be found in the logs
+ */
+export async function up(db) {
+  const columns = new Set((await db.all('PRAGMA table_info(ContactAudit)')).map(c => c.name));
+
+  if (!columns.has('requestId')) {
+    await db.run('ALTER TABLE ContactAudit ADD COLUMN requestId TEXT');
+  }
+}
+
+export async function down(db) {
+  await db.run('ALTER TABLE ContactAudit DROP COLUMN requestId');
+}
@@ -0,0 +1,43 @@
+import { DatabaseManager } from './DatabaseManager.js';
+import { ContactService } from '../services/ContactService.js';
+import { Logger } from '../utils/Logger.js';
+
+/**
+ * Erasure Purge Script
+ * Scrubs PII from contacts soft-deleted longer than the grace period (ERASURE_GRACE_DAYS, default 30), in every tenant
+ */
+async function purgeErasedContacts() {
+  const logger = new Logger();
+  const dbManager = new DatabaseManager();
+  const contactService = new ContactService(dbManager);
+
+  try {
+    // Refuse before touching the database rather than partway through a tenant
+    ContactService.erasureHashSecret();
+
+    await dbManager.initialize();
+
+    const graceDays = process.argv[2] !== undefined ? Number(process.argv[2]) : undefined;
+    if (graceDays !== undefined && (!Number.isInteger(graceDays) || graceDays < 0)) {
+      throw new Error('Grace period must be a non-negative number of days');
+    }
+
+    for (const tenantId of await dbManager.listTenants()) {
+      const result = await dbManager.withTenant(tenantId, () => contactService.purgeErasedContacts(graceDays));
+      logger.log('Erased contacts purged', { tenantId, ...result });
+    }
+
+  } catch (error) {
+    logger.logError('Erasure purge failed', error);
+    process.exitCode = 1;
+  } finally {
+    await dbManager.close();
+  }
+}
+
+// Run purge if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  purgeErasedContacts();
+}
+
+export { purgeErasedContacts };
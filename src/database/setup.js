@@ -1,22 +1,75 @@
 import { DatabaseManager } from './DatabaseManager.js';
 import { Logger } from '../utils/Logger.js';
+import { IdentifierNormalizer } from '../utils/IdentifierNormalizer.js';
 
 /**
  * Database Setup Script
- * Initializes the production database with proper schema and indexes
+ * Brings the database schema up to date through the versioned migrations
+ * Usage: npm run db:setup -- [--status] [--dry-run] [--to=<version>] [--down[=<steps>]]
  */
 async function setupDatabase() {
   const logger = new Logger();
   const dbManager = new DatabaseManager();
 
+  const option = (name) => {
+    const arg = process.argv.find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+    if (!arg) {
+      return undefined;
+    }
+    return arg.includes('=') ? arg.slice(name.length + 3) : true;
+  };
+
   try {
     logger.log('Initializing database setup...');
-    
-    await dbManager.initialize();
-    logger.log('Database schema created successfully');
+
+    await dbManager.initialize({ migrate: false });
+    const { migrator } = dbManager;
+
+    if (!migrator) {
+      logger.log(`The ${dbManager.config.backend} backend has no schema to migrate`);
+      return;
+    }
+
+    const dryRun = option('dry-run') === true;
+
+    if (option('status')) {
+      await migrator.verify();
+      for (const migration of await migrator.status()) {
+        logger.log(`${migration.appliedAt ? 'applied' : 'pending'}  ${label(migration)}`, {
+          appliedAt: migration.appliedAt
+        });
+      }
+      return;
+    }
+
+    if (option('down') !== undefined) {
+      const steps = option('down') === true ? 1 : Number(option('down'));
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--down takes a positive number of steps');
+      }
+
+      const reverted = await migrator.rollback({ steps, dryRun });
+      logger.log(dryRun ? 'Migrations that would be reverted' : 'Migrations reverted', {
+        migrations: reverted.map(label)
+      });
+      return;
+    }
+
+    const to = option('to') !== undefined ? Number(option('to')) : undefined;
+    if (to !== undefined && !Number.isInteger(to)) {
+      throw new Error('--to takes a migration version');
+    }
+
+    const applied = await migrator.migrate({ to, dryRun });
+    logger.log(dryRun ? 'Migrations that would be applied' : 'Database schema migrated successfully', {
+      migrations: applied.map(label)
+    });
+    for (const migration of applied.filter(m => m.report)) {
+      logger.logWarning(`Migration ${label(migration)} applied with warnings`, migration.report);
+    }
 
     // Insert some test data for development
-    if (process.env.NODE_ENV === 'development') {
+    if (process.env.NODE_ENV === 'development' && !dryRun) {
       await insertTestData(dbManager, logger);
     }
 
@@ -24,24 +77,34 @@ async function setupDatabase() {
     
   } catch (error) {
     logger.logError('Database setup failed', error);
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
     await dbManager.close();
   }
 }
 
+// Migrations are listed by their file name, e.g. 003_create_contact_separation
+function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
 async function insertTestData(dbManager, logger) {
   logger.log('Inserting test data...');
 
-  // Create some sample contacts for testing
+  // Create some sample contacts for testing (555-01xx is the reserved fictional range)
+  const normalizer = new IdentifierNormalizer();
   const testContacts = [
-    { email: 'doc.brown@zamazon.com', phone: '555-0101' },
-    { email: 'emmett@zamazon.com', phone: '555-0102' },
-    { email: 'marty@zamazon.com', phone: '555-0103' }
+    { email: 'doc.brown@zamazon.com', phone: '202-555-0101' },
+    { email: 'emmett@zamazon.com', phone: '202-555-0102' },
+    { email: 'marty@zamazon.com', phone: '202-555-0103' }
   ];
 
   for (const contact of testContacts) {
-    await dbManager.createContact(contact.email, contact.phone, null, 'primary');
+    const identifiers = normalizer.normalize(contact.email, contact.phone);
+    await dbManager.createContact(identifiers.email, identifiers.phoneNumber, null, 'primary', {
+      email: identifiers.rawEmail,
+      phoneNumber: identifiers.rawPhoneNumber
+    });
   }
 
   logger.log(`Inserted ${testContacts.length} test contacts`);
@@ -0,0 +1,49 @@
+import { DatabaseManager } from './DatabaseManager.js';
+import { TenantService } from '../services/TenantService.js';
+import { Logger } from '../utils/Logger.js';
+import { ClusterCache } from '../utils/ClusterCache.js';
+
+/**
+ * Tenant Script
+ * Lists tenants or permanently deletes one tenant's data (export it first with db:export -- --tenant=<id>)
+ * Usage: npm run tenants -- list | delete <tenantId>
+ */
+async function manageTenants() {
+  const logger = new Logger();
+  const dbManager = new DatabaseManager();
+  const tenantService = new TenantService(dbManager);
+  const clusterCache = ClusterCache.shared(dbManager, logger);
+
+  const [command, tenantId] = process.argv.slice(2);
+
+  try {
+    await dbManager.initialize();
+
+    switch (command) {
+      case 'list':
+        logger.log('Tenants', { tenants: await tenantService.listTenants() });
+        break;
+
+      case 'delete':
+        logger.log('Tenant deleted', await tenantService.deleteTenant(tenantId));
+        break;
+
+      default:
+        throw new Error('Expected one of: list, delete');
+    }
+
+  } catch (error) {
+    logger.logError('Tenant command failed', error);
+    process.exitCode = 1;
+  } finally {
+    await clusterCache?.close();
+    await dbManager.close();
+  }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  manageTenants();
+}
+
+export { manageTenants };
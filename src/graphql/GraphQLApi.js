@@ -0,0 +1,153 @@
+import { graphql, GraphQLError } from 'graphql';
+import { CustomError } from '../utils/CustomError.js';
+import { buildClusterSchema } from './schema.js';
+
+const MAX_PAGE_SIZE = 100;
+
+// Postgres hands back Date objects where SQLite has strings
+const timestamp = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const contactNode = (contact) => ({ ...contact, createdAt: timestamp(contact.createdAt), updatedAt: timestamp(contact.updatedAt) });
+
+/**
+ * A cluster as GraphQL sees it - the flattened buildResponse fields up front,
+ * member contacts only loaded when the query asks for them
+ */
+class ClusterNode {
+  constructor(summary, contactService, asOf = null) {
+    this.primaryContactId = summary.primaryContactId;
+    this.emails = summary.emails;
+    this.phoneNumbers = summary.phoneNumbers;
+    this.secondaryContactIds = summary.secondaryContactIds;
+    this.identifierGroups = Object.entries(summary.identifiers).map(([type, values]) => ({ type, values }));
+    this.contactService = contactService;
+    this.asOf = asOf;
+    this.loading = null;
+  }
+
+  identifiers() {
+    return this.identifierGroups;
+  }
+
+  contacts() {
+    this.loading = this.loading || this.contactService.getClusterContacts(this.primaryContactId, this.asOf)
+      .then(contacts => contacts.map(contactNode));
+    return this.loading;
+  }
+
+  async primary() {
+    return (await this.contacts()).find(c => c.id === this.primaryContactId);
+  }
+
+  async createdAt() {
+    return (await this.primary()).createdAt;
+  }
+
+  async updatedAt() {
+    return (await this.contacts()).map(c => c.updatedAt).sort().pop();
+  }
+}
+
+/**
+ * GraphQLApi - Clusters, their contacts and identify over GraphQL, resolved through the same ContactService as REST
+ * Queries need the read scope and the identify mutation the identify scope. Service errors keep their
+ * code in extensions; anything unexpected is logged and reported as INTERNAL_ERROR without details.
+ */
+export class GraphQLApi {
+  constructor(contactService, normalizer, authenticator, logger) {
+    this.contactService = contactService;
+    this.normalizer = normalizer;
+    this.authenticator = authenticator;
+    this.logger = logger;
+    this.schema = buildClusterSchema(normalizer.identifierTypes);
+    this.rootValue = this.createRootValue();
+  }
+
+  /**
+   * Run one GraphQL request for an authenticated HTTP request - resolves to the response body
+   */
+  async execute({ query, variables = null, operationName = null }, req) {
+    const result = await graphql({
+      schema: this.schema,
+      source: query,
+      rootValue: this.rootValue,
+      contextValue: { req },
+      variableValues: variables,
+      operationName
+    });
+
+    return {
+      ...(result.errors ? { errors: result.errors.map(error => this.formatError(error)) } : {}),
+      ...(result.data !== undefined ? { data: result.data } : {})
+    };
+  }
+
+  createRootValue() {
+    const read = (resolve) => (args, { req }) => {
+      this.authenticator.assertScope(req, 'read');
+      return resolve(args);
+    };
+    const node = async (summary, asOf = null) => new ClusterNode(await summary, this.contactService, this.contactService.parseAsOf(asOf));
+
+    return {
+      cluster: read(({ id, asOf }) => node(this.contactService.getCluster(id, { asOf }), asOf)),
+      clusterByEmail: read(({ email, asOf }) => node(this.contactService.findClusterByEmail(email, { asOf }), asOf)),
+      clusterByPhone: read(({ phoneNumber, asOf }) => node(this.contactService.findClusterByPhoneNumber(phoneNumber, { asOf }), asOf)),
+      clusters: read(({ first, after }) => this.listClusters(first, after)),
+
+      identify: ({ input }, { req }) => {
+        this.authenticator.assertScope(req, 'identify');
+        return node(this.contactService.identifyContact(input.email, input.phoneNumber, this.normalizer.extractIdentifiers(input)));
+      }
+    };
+  }
+
+  async listClusters(first, after) {
+    if (!Number.isInteger(first) || first < 1 || first > MAX_PAGE_SIZE) {
+      throw new CustomError(`first must be between 1 and ${MAX_PAGE_SIZE}`, 400, 'VALIDATION_ERROR');
+    }
+
+    const { clusters, hasMore } = await this.contactService.listClusters({ afterId: after ? GraphQLApi.decodeCursor(after) : 0, limit: first });
+    const edges = clusters.map(cluster => ({
+      cursor: GraphQLApi.encodeCursor(cluster.primaryContactId),
+      node: new ClusterNode(cluster, this.contactService)
+    }));
+
+    return {
+      edges,
+      pageInfo: { hasNextPage: hasMore, endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null }
+    };
+  }
+
+  /**
+   * Cursors are opaque to clients - the primary id they point after
+   */
+  static encodeCursor(primaryContactId) {
+    return Buffer.from(`cluster:${primaryContactId}`).toString('base64url');
+  }
+
+  static decodeCursor(cursor) {
+    const match = /^cluster:(\d+)$/.exec(Buffer.from(cursor, 'base64url').toString());
+    if (!match) {
+      throw new CustomError('Invalid cursor', 400, 'INVALID_CURSOR');
+    }
+
+    return Number(match[1]);
+  }
+
+  formatError(error) {
+    const original = error.originalError;
+    const location = { ...(error.locations ? { locations: error.locations } : {}), ...(error.path ? { path: error.path } : {}) };
+
+    if (!original || original instanceof GraphQLError) {
+      return { message: error.message, ...location, extensions: { code: 'GRAPHQL_VALIDATION_FAILED' } };
+    }
+
+    if (original.name === 'CustomError') {
+      return { message: original.message, ...location, extensions: { code: original.code, status: original.statusCode } };
+    }
+
+    this.logger.logError('GraphQL resolver failed', original);
+    return { message: 'Internal server error', ...location, extensions: { code: 'INTERNAL_ERROR', status: 500 } };
+  }
+}
@@ -0,0 +1,89 @@
+import { buildSchema } from 'graphql';
+
+/**
+ * GraphQL schema for clusters and their member contacts
+ * IdentifyInput takes one field per configured identifier type, like the body of POST /identify
+ */
+export function buildClusterSchema(identifierTypes = []) {
+  return buildSchema(`
+    enum LinkPrecedence {
+      primary
+      secondary
+    }
+
+    type Identifier {
+      type: String!
+      value: String!
+    }
+
+    "Every value of one identifier type in a cluster"
+    type IdentifierGroup {
+      type: String!
+      values: [String!]!
+    }
+
+    "A stored contact with its link metadata"
+    type Contact {
+      id: Int!
+      email: String
+      phoneNumber: String
+      "The cluster's primary, null for the primary itself"
+      linkedId: Int
+      linkPrecedence: LinkPrecedence!
+      "Extended identifiers (customerId, deviceId, ...)"
+      identifiers: [Identifier!]!
+      createdAt: String!
+      updatedAt: String!
+    }
+
+    "One person: a primary contact and its secondaries"
+    type Cluster {
+      primaryContactId: Int!
+      emails: [String!]!
+      phoneNumbers: [String!]!
+      secondaryContactIds: [Int!]!
+      identifiers: [IdentifierGroup!]!
+      primary: Contact!
+      contacts: [Contact!]!
+      createdAt: String!
+      "Latest change to any contact of the cluster"
+      updatedAt: String!
+    }
+
+    type ClusterEdge {
+      cursor: String!
+      node: Cluster!
+    }
+
+    type PageInfo {
+      hasNextPage: Boolean!
+      endCursor: String
+    }
+
+    type ClusterConnection {
+      edges: [ClusterEdge!]!
+      pageInfo: PageInfo!
+    }
+
+    input IdentifyInput {
+      email: String
+      phoneNumber: String
+      ${identifierTypes.map(type => `${type}: String`).join('\n      ')}
+    }
+
+    "asOf (ISO 8601) answers a lookup as the cluster was linked at that time"
+    type Query {
+      "The cluster containing a contact - any member id works"
+      cluster(id: Int!, asOf: String): Cluster
+      clusterByEmail(email: String!, asOf: String): Cluster
+      clusterByPhone(phoneNumber: String!, asOf: String): Cluster
+      "Clusters in primary id order, at most 100 per page"
+      clusters(first: Int = 50, after: String): ClusterConnection!
+    }
+
+    type Mutation {
+      "Reconcile a contact exactly like POST /identify"
+      identify(input: IdentifyInput!): Cluster!
+    }
+  `);
+}
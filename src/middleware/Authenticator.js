@@ -0,0 +1,87 @@
+import { CustomError } from '../utils/CustomError.js';
+import { DEFAULT_TENANT } from '../database/DatabaseManager.js';
+import { TenantService } from '../services/TenantService.js';
+
+const FORBIDDEN_REASONS = ['insufficient_scope', 'tenant_mismatch', 'platform_key_required'];
+
+/**
+ * Authenticator - API key authentication, per-route scope checks and tenant resolution
+ * Keys are accepted as "Authorization: Bearer <key>" or "X-API-Key: <key>";
+ * every refusal is written to the audit log before the error reaches ErrorHandler.
+ * The rest of the request runs as the key's tenant - platform keys may pick one with X-Tenant-Id.
+ */
+export class Authenticator {
+  constructor(apiKeyService, logger, databaseManager = apiKeyService.db) {
+    this.apiKeyService = apiKeyService;
+    this.logger = logger;
+    this.db = databaseManager;
+  }
+
+  /**
+   * Middleware admitting only requests whose key grants the scope - or any of them, given a list
+   * { platform: true } additionally requires a key that isn't bound to a tenant
+   */
+  requireScope(scope, { platform = false } = {}) {
+    return async (req, res, next) => {
+      try {
+        const presented = this.extractKey(req);
+        if (!presented) {
+          return this.deny(req, next, 'missing_api_key', { scope });
+        }
+
+        const apiKey = await this.apiKeyService.authenticate(presented);
+        if (!apiKey) {
+          return this.deny(req, next, 'invalid_api_key', { scope, keyPrefix: presented.slice(0, 12) });
+        }
+
+        if (![].concat(scope).some(s => this.apiKeyService.hasScope(apiKey, s))) {
+          return this.deny(req, next, 'insufficient_scope', { scope, keyId: apiKey.id });
+        }
+
+        if (platform && apiKey.tenantId) {
+          return this.deny(req, next, 'platform_key_required', { scope, keyId: apiKey.id });
+        }
+
+        const requestedTenant = req.get('X-Tenant-Id');
+        if (apiKey.tenantId && requestedTenant && requestedTenant !== apiKey.tenantId) {
+          return this.deny(req, next, 'tenant_mismatch', { scope, keyId: apiKey.id, tenantId: requestedTenant });
+        }
+
+        req.apiKey = apiKey;
+        req.tenantId = apiKey.tenantId || (requestedTenant ? TenantService.validateTenantId(requestedTenant) : DEFAULT_TENANT);
+        this.db.withTenant(req.tenantId, next);
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Scope check inside an admitted request, for endpoints whose operations need different scopes (GraphQL)
+   */
+  assertScope(req, scope) {
+    if (!this.apiKeyService.hasScope(req.apiKey, scope)) {
+      this.logger.logAccessDenied(req, 'insufficient_scope', { scope, keyId: req.apiKey.id });
+      throw new CustomError('Insufficient permissions', 403, 'FORBIDDEN');
+    }
+  }
+
+  extractKey(req) {
+    const authorization = req.get('Authorization');
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+      return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+
+    return req.get('X-API-Key') || null;
+  }
+
+  deny(req, next, reason, details) {
+    this.logger.logAccessDenied(req, reason, details);
+
+    if (FORBIDDEN_REASONS.includes(reason)) {
+      return next(new CustomError('Insufficient permissions', 403, 'FORBIDDEN'));
+    }
+
+    return next(new CustomError('Authentication required', 401, 'UNAUTHORIZED'));
+  }
+}
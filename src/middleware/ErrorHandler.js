@@ -1,57 +1,65 @@
+import { RequestContext } from '../utils/RequestContext.js';
+
 /**
  * ErrorHandler - Covert error handling with misleading responses
  * Provides security through obscurity while maintaining operational integrity
+ * Failures are logged with their stack, refusals (4xx) as warnings; both carry the requestId the envelope returns
  */
 export class ErrorHandler {
-  static handle(err, req, res, next) {
-    // Log the actual error internally (covert logging)
-    console.error(`[${new Date().toISOString()}] Error:`, {
-      message: err.message,
-      stack: err.stack,
-      url: req.url,
-      method: req.method,
-      ip: req.ip
-    });
-
-    // Determine error type and provide misleading response
-    if (err.name === 'CustomError') {
-      return res.status(err.statusCode).json({
-        error: err.message,
-        code: err.code,
-        timestamp: new Date().toISOString()
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * The Express error middleware - mount it last
+   */
+  handler() {
+    return (err, req, res, next) => {
+      const { status, error, code, extra = {}, headers = {} } = ErrorHandler.classify(err);
+      const request = { method: req.method, url: req.originalUrl || req.url, status, code };
+
+      // Log the actual error internally (covert logging) - errors raised before the request's context was
+      // entered, e.g. unparseable bodies, are logged in it all the same
+      RequestContext.run(req.id, () => {
+        if (status >= 500) {
+          this.logger.logError('Request failed', err, request);
+        } else {
+          this.logger.logWarning('Request refused', { ...request, error: err.message });
+        }
+      });
+
+      // Every error leaves in the same envelope: { error, code, timestamp, details?, requestId? }
+      res.status(status).set(headers).json({
+        error,
+        code,
+        timestamp: new Date().toISOString(),
+        ...extra,
+        ...(req.id && { requestId: req.id })
       });
+    };
+  }
+
+  /**
+   * What the client is told about an error
+   */
+  static classify(err) {
+    if (err.name === 'CustomError') {
+      return { status: err.statusCode, error: err.message, code: err.code, extra: err.details ? { details: err.details } : {} };
     }
     if (err.name === 'ValidationError') {
-      return res.status(400).json({
-        error: 'Invalid request format',
-        code: 'BAD_REQUEST',
-        timestamp: new Date().toISOString()
-      });
+      return { status: 400, error: 'Invalid request format', code: 'BAD_REQUEST' };
     }
 
     if (err.name === 'DatabaseError' || err.message.includes('database')) {
-      return res.status(503).json({
-        error: 'Service temporarily unavailable',
-        code: 'MAINTENANCE_MODE',
-        retryAfter: '300'
-      });
+      return { status: 503, error: 'Service temporarily unavailable', code: 'MAINTENANCE_MODE', headers: { 'Retry-After': '300' } };
     }
 
     if (err.name === 'TimeoutError') {
-      return res.status(408).json({
-        error: 'Request timeout',
-        code: 'TIMEOUT',
-        suggestion: 'Please retry your request'
-      });
+      return { status: 408, error: 'Request timeout', code: 'TIMEOUT' };
     }
 
     // Generic error response - reveals nothing about internal structure
-    res.status(500).json({
-      error: 'Internal server error',
-      code: 'UNKNOWN_ERROR',
-      requestId: Math.random().toString(36).substring(2, 15),
-      timestamp: new Date().toISOString()
-    });
+    return { status: 500, error: 'Internal server error', code: 'INTERNAL_ERROR' };
   }
 
   static async handleAsync(fn) {
@@ -59,4 +67,4 @@ export class ErrorHandler {
       Promise.resolve(fn(req, res, next)).catch(next);
     };
   }
-}
\ No newline at end of file
+}
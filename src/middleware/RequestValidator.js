@@ -0,0 +1,148 @@
+import { CustomError } from '../utils/CustomError.js';
+import { SchemaValidator } from '../utils/SchemaValidator.js';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * RequestValidator - Holds every route to what the OpenAPI document says about it
+ * validate(operationId) rejects requests that don't match their operation with 400 VALIDATION_ERROR (or the
+ * field's own x-error-code) listing each failing field in details. Path and query values are coerced to their
+ * documented types, so handlers get numbers where the document says integer.
+ * watchResponses() checks outgoing JSON bodies outside production; mismatches are logged, never sent to clients.
+ */
+export class RequestValidator {
+  constructor(document, logger, options = {}) {
+    this.logger = logger;
+    this.schemas = new SchemaValidator(document);
+    this.checkResponses = options.checkResponses ?? process.env.NODE_ENV !== 'production';
+    this.operations = new Map();
+
+    for (const [path, item] of Object.entries(document.paths)) {
+      // "/contacts/{id}" matches "/contacts/42"
+      const pattern = new RegExp(`^${path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '[^/]+')}$`);
+
+      for (const method of METHODS.filter(m => item[m])) {
+        this.operations.set(item[method].operationId, { ...item[method], method: method.toUpperCase(), path, pattern });
+      }
+    }
+  }
+
+  validate(operationId) {
+    const operation = this.operations.get(operationId);
+    if (!operation) {
+      throw new Error(`Operation ${operationId} is not in the OpenAPI document`);
+    }
+
+    return (req, res, next) => {
+      const errors = this.checkRequest(operation, req);
+      if (errors.length > 0) {
+        const [first] = errors;
+        return next(new CustomError(
+          `${first.path} ${first.message}`,
+          400,
+          first.code || 'VALIDATION_ERROR',
+          errors.map(({ path, message }) => ({ path, message }))
+        ));
+      }
+
+      next();
+    };
+  }
+
+  watchResponses() {
+    return (req, res, next) => {
+      const operation = this.checkResponses && this.operationFor(req.method, req.path);
+      if (operation) {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          const problems = this.checkResponse(operation.operationId, res.statusCode, body);
+          if (problems.length > 0) {
+            this.logger.logWarning('Response does not match the OpenAPI document', { operationId: operation.operationId, status: res.statusCode, problems });
+          }
+          return json(body);
+        };
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * The documented operation serving a method and concrete path, if any
+   */
+  operationFor(method, path) {
+    for (const operation of this.operations.values()) {
+      // Literal paths (/contacts/by-email/...) are listed before templated ones, so the first match wins like in Express
+      if (operation.method === method && operation.pattern.test(path)) {
+        return operation;
+      }
+    }
+
+    return null;
+  }
+
+  checkRequest(operation, req) {
+    const errors = [];
+    const sources = { path: req.params, query: req.query };
+
+    for (const parameter of (operation.parameters || []).map(p => this.schemas.resolve(p))) {
+      const raw = parameter.in === 'header' ? req.get(parameter.name) : sources[parameter.in][parameter.name];
+
+      if (raw === undefined || raw === '') {
+        if (parameter.required) {
+          errors.push({ path: parameter.name, message: 'is required' });
+        }
+        continue;
+      }
+
+      const value = this.coerce(parameter.schema, raw);
+      const problems = this.schemas.validate(parameter.schema, value, parameter.name);
+      errors.push(...problems);
+
+      if (problems.length === 0 && sources[parameter.in]) {
+        sources[parameter.in][parameter.name] = value;
+      }
+    }
+
+    if (operation.requestBody) {
+      const { schema } = operation.requestBody.content['application/json'];
+      errors.push(...this.schemas.validate(schema, req.body ?? null, 'body'));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Problems with a response body for an operation and status - an undocumented status is a problem too
+   */
+  checkResponse(operationId, status, body, contentType = 'application/json') {
+    const response = this.schemas.resolve(this.operations.get(operationId).responses[String(status)]);
+    if (!response) {
+      return [{ path: 'status', message: `${status} is not documented` }];
+    }
+
+    const media = response.content && response.content[contentType];
+    if (!media) {
+      return [{ path: 'content-type', message: `${contentType} is not documented for ${status}` }];
+    }
+
+    return this.schemas.validate(media.schema, body, 'body');
+  }
+
+  /**
+   * Path, query and header values are strings - read them as the documented type where they look like one
+   */
+  coerce(schema, value) {
+    const types = [].concat(this.schemas.resolve(schema).type || []);
+
+    if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+      return Number(value);
+    }
+
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+
+    return value;
+  }
+}
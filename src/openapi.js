@@ -0,0 +1,705 @@
+import { API_KEY_SCOPES } from './services/ApiKeyService.js';
+import { WEBHOOK_EVENTS } from './services/WebhookService.js';
+import { CANDIDATE_STATUSES } from './services/DuplicateReviewService.js';
+import { TENANT_ID_PATTERN } from './services/TenantService.js';
+import { VIOLATION_TYPES } from './services/IntegrityService.js';
+import { EXPORT_FORMATS } from './utils/ClusterExporter.js';
+import { EXTENDED_IDENTIFIER_TYPES } from './utils/IdentifierNormalizer.js';
+
+const RECONCILIATION_ACTIONS = ['create_new_primary', 'return_existing', 'create_secondary', 'link_to_existing_primary', 'merge_primaries'];
+
+const ERROR_RESPONSES = {
+  400: ['BadRequest', 'The request was rejected - see code and details'],
+  401: ['Unauthorized', 'Missing, unknown or revoked API key'],
+  403: ['Forbidden', 'The key lacks the scope, is bound to another tenant, or is not a platform key'],
+  404: ['NotFound', 'Nothing matches the path'],
+  409: ['Conflict', 'The resource is not in a state that allows this'],
+  410: ['Gone', 'The identity was erased and cannot be reconciled again'],
+  413: ['PayloadTooLarge', 'The request body exceeds the size limit'],
+  429: ['RateLimited', 'Too many requests from this client - honour Retry-After'],
+  500: ['InternalError', 'Unexpected failure - quote requestId when reporting it'],
+  503: ['Unavailable', 'Storage is unavailable - retry later']
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (type) => ({ type: [type, 'null'] });
+const strings = { type: 'array', items: { type: 'string' } };
+const ids = { type: 'array', items: { type: 'integer' } };
+const timestamp = { type: 'string', description: 'UTC timestamp' };
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', required, additionalProperties: false, properties });
+
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+
+const idParameter = (description, errorCode) => ({
+  name: 'id', in: 'path', required: true, description,
+  schema: { type: 'integer', minimum: 1, 'x-error-code': errorCode }
+});
+
+const pathParameter = (name, description, schema = { type: 'string' }) => ({ name, in: 'path', required: true, description, schema });
+
+/**
+ * One operation - authenticated operations (scope may list alternatives) get the tenant header and the auth error responses,
+ * and every operation documents the error envelope for each status it can answer with
+ */
+const operation = ({ id, summary, scope = null, platform = false, parameters = [], body = null, responses, errors = [] }) => {
+  const statuses = [...(scope ? [401, 403] : []), ...(body ? [400, 413] : []), ...errors, 429, 500, 503];
+
+  return {
+    operationId: id,
+    summary,
+    ...(scope
+      ? { security: [].concat(scope).flatMap(s => [{ apiKey: [s] }, { bearerAuth: [s] }]), ...(platform ? { 'x-platform-only': true } : {}) }
+      : { security: [] }),
+    parameters: [...parameters, ...(scope ? [{ $ref: '#/components/parameters/TenantId' }] : [])],
+    ...(body ? { requestBody: { required: true, content: { 'application/json': { schema: body } } } } : {}),
+    responses: {
+      ...responses,
+      ...Object.fromEntries([...new Set(statuses)].sort().map(status => [String(status), { $ref: `#/components/responses/${ERROR_RESPONSES[status][0]}` }]))
+    }
+  };
+};
+
+const exportResponse = {
+  description: 'Every active cluster - with updatedSince, followed by the clusters deleted or merged away since - streamed in the requested format',
+  content: {
+    'application/x-ndjson': { schema: ref('ExportRecord') },
+    'application/json': { schema: { type: 'array', items: ref('ExportRecord') } },
+    'text/csv': { schema: { type: 'string' } }
+  }
+};
+
+const formatParameter = {
+  name: 'format', in: 'query', required: false, description: 'Export format (default ndjson)',
+  schema: { type: 'string', enum: EXPORT_FORMATS, 'x-error-code': 'INVALID_EXPORT_FORMAT' }
+};
+
+/**
+ * OpenAPI 3.1 description of every route - served at /openapi.json and used to validate requests and responses
+ * Scopes, webhook events, export formats and identifier types are read from the code that enforces them,
+ * so the document can't list a value the service would reject
+ */
+export function buildOpenApiDocument({ identifierTypes = Object.keys(EXTENDED_IDENTIFIER_TYPES), batchMaxItems = 1000 } = {}) {
+  const allIdentifierTypes = ['email', 'phoneNumber', ...identifierTypes];
+
+  const cluster = (primaryContactId) => object({
+    primaryContactId,
+    emails: strings,
+    phoneNumbers: strings,
+    secondaryContactIds: ids,
+    identifiers: {
+      type: 'object',
+      description: 'Every value in the cluster, grouped by identifier type',
+      required: allIdentifierTypes,
+      properties: Object.fromEntries(allIdentifierTypes.map(type => [type, strings])),
+      additionalProperties: strings
+    }
+  });
+
+  const schemas = {
+    Error: {
+      type: 'object',
+      required: ['error', 'code', 'timestamp'],
+      additionalProperties: false,
+      properties: {
+        error: { type: 'string', description: 'Human readable message' },
+        code: { type: 'string', description: 'Stable machine readable error code' },
+        timestamp,
+        details: {
+          type: 'array',
+          description: 'Each field that failed validation',
+          items: object({ path: { type: 'string' }, message: { type: 'string' } })
+        },
+        requestId: { type: 'string', description: 'Same as the X-Request-Id response header - quote it when reporting a failure' }
+      }
+    },
+    Cluster: cluster({ type: 'integer' }),
+    ClusterPreview: cluster({ ...nullable('integer'), description: 'null when the request would create a new primary' }),
+    ExportedCluster: {
+      ...cluster({ type: 'integer' }),
+      required: ['primaryContactId', 'emails', 'phoneNumbers', 'secondaryContactIds', 'identifiers', 'status', 'createdAt', 'updatedAt'],
+      properties: { ...cluster({ type: 'integer' }).properties, status: { type: 'string', enum: ['active'] }, createdAt: timestamp, updatedAt: timestamp }
+    },
+    RetiredCluster: object({
+      primaryContactId: { type: 'integer' },
+      status: { type: 'string', enum: ['deleted', 'merged'] },
+      mergedIntoPrimaryContactId: { ...nullable('integer'), description: 'The primary a merged cluster now belongs to' },
+      updatedAt: { ...timestamp, description: 'When the cluster was deleted or merged' }
+    }),
+    ExportRecord: { oneOf: [ref('ExportedCluster'), ref('RetiredCluster')] },
+    ContactResponse: object({ contact: ref('Cluster') }),
+    IdentifyRequest: {
+      type: 'object',
+      description: 'At least one identifier is required (MISSING_CONTACT_INFO otherwise); emails and phone numbers are '
+        + 'checked and normalized by the service (INVALID_EMAIL, INVALID_PHONE_NUMBER, INVALID_IDENTIFIER)',
+      properties: {
+        email: nullable('string'),
+        phoneNumber: { type: ['string', 'number', 'null'] },
+        ...Object.fromEntries(identifierTypes.map(type => [type, { type: ['string', 'number', 'null'] }]))
+      }
+    },
+    PrimarySelection: object({
+      policy: { type: 'string' },
+      primaryContactId: { type: 'integer' },
+      reason: { type: 'string' },
+      tieBroken: { type: 'boolean' },
+      candidates: { type: 'array', items: object({ primaryContactId: { type: 'integer' }, score: { type: 'number' } }) }
+    }),
+    DryRunResponse: object({
+      dryRun: { const: true },
+      plan: object({
+        action: { type: 'string', enum: RECONCILIATION_ACTIONS },
+        primaryContactId: nullable('integer'),
+        demotedPrimaryContactIds: ids,
+        relinkedSecondaryContactIds: ids,
+        newSecondaryContact: {
+          ...object({
+            email: nullable('string'),
+            phoneNumber: nullable('string'),
+            linkedId: { type: 'integer' },
+            identifiers: { type: 'array', items: object({ type: { type: 'string' }, value: { type: 'string' } }) }
+          }),
+          type: ['object', 'null']
+        },
+        primarySelection: { oneOf: [ref('PrimarySelection'), { type: 'null' }] }
+      }),
+      contact: ref('ClusterPreview')
+    }),
+    BatchResponse: object({
+      total: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          oneOf: [
+            object({ index: { type: 'integer' }, contact: ref('Cluster') }),
+            object({ index: { type: 'integer' }, error: object({ error: { type: 'string' }, code: { type: 'string' } }) })
+          ]
+        }
+      }
+    }),
+    Tenant: object({
+      tenantId: { type: 'string' },
+      totalContacts: { type: 'integer' },
+      primaryContacts: { type: 'integer' },
+      secondaryContacts: { type: 'integer' },
+      lastUpdate: nullable('string')
+    }),
+    ClusterHistory: object({
+      primaryContactId: { type: 'integer' },
+      history: {
+        type: 'array',
+        items: object({
+          operationId: { type: 'string' },
+          action: { type: 'string' },
+          trigger: object({ email: nullable('string'), phoneNumber: nullable('string') }),
+          details: { type: ['object', 'null'], description: 'Action specific, e.g. the primary selection behind a merge' },
+          requestId: { type: ['string', 'null'], description: 'X-Request-Id of the request behind the operation, null for scripts' },
+          createdAt: timestamp,
+          changes: {
+            type: 'array',
+            items: object({
+              contactId: { type: 'integer' },
+              primaryId: nullable('integer'),
+              previousLinkedId: nullable('integer'),
+              linkedId: nullable('integer'),
+              previousPrecedence: nullable('string'),
+              linkPrecedence: nullable('string')
+            })
+          }
+        })
+      }
+    }),
+    ApiKey: object({
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      keyPrefix: { type: 'string' },
+      scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES } },
+      tenantId: { ...nullable('string'), description: 'null for platform keys' },
+      createdAt: timestamp,
+      revokedAt: nullable('string')
+    }),
+    IssuedApiKey: object({
+      apiKey: { type: 'string', description: 'The secret - only ever returned here' },
+      key: ref('ApiKey'),
+      rotatedKeyId: { type: 'integer' }
+    }, ['apiKey', 'key']),
+    WebhookSubscription: object({
+      id: { type: 'integer' },
+      url: { type: 'string' },
+      events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+      createdAt: timestamp,
+      disabledAt: nullable('string')
+    }),
+    WebhookDelivery: object({
+      id: { type: 'integer' },
+      subscriptionId: { type: 'integer' },
+      status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+      attempts: { type: 'integer' },
+      nextAttemptAt: nullable('string'),
+      lastError: nullable('string'),
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      event: { type: 'object', description: 'The event exactly as delivered' }
+    }),
+    DuplicateCandidate: object({
+      id: { type: 'integer' },
+      primaryContactIds: { ...ids, minItems: 2, maxItems: 2 },
+      score: { type: 'number' },
+      reasons: { type: 'array', items: object({ reason: { type: 'string' }, values: strings }) },
+      status: { type: 'string', enum: CANDIDATE_STATUSES },
+      createdAt: timestamp,
+      reviewedAt: nullable('string')
+    }),
+    IntegrityViolation: object({
+      type: { type: 'string', enum: VIOLATION_TYPES },
+      contactIds: ids,
+      primaryIds: { ...ids, description: 'The clusters sharing an identifier - SHARED_IDENTIFIER only' },
+      message: { type: 'string' }
+    }, ['type', 'contactIds', 'message']),
+    IntegrityReport: object({
+      contactsScanned: { type: 'integer', description: 'Erased contacts included' },
+      violations: { type: 'array', items: ref('IntegrityViolation') },
+      repairs: {
+        type: 'array',
+        description: 'Repair only - one entry per component merged back into a single cluster',
+        items: object({ primaryContactId: { type: 'integer' }, contactIds: ids, violations: { type: 'array', items: { type: 'string', enum: VIOLATION_TYPES } } })
+      }
+    }, ['contactsScanned', 'violations'])
+  };
+
+  const asOfParameter = {
+    name: 'asOf',
+    in: 'query',
+    required: false,
+    description: 'Answer as the cluster was linked at this time (ISO 8601; a bare date is the start of that day, UTC)',
+    schema: { type: 'string', minLength: 1 }
+  };
+
+  const contactLookup = (id, summary, parameters, errors = [404]) => ({
+    get: operation({
+      id,
+      summary,
+      scope: 'read',
+      parameters: [...parameters, asOfParameter],
+      responses: { 200: json(ref('ContactResponse')) },
+      errors: [400, ...errors]
+    })
+  });
+
+  const paths = {
+    '/health': {
+      get: operation({
+        id: 'getHealth',
+        summary: 'Liveness check',
+        responses: { 200: json(object({ status: { type: 'string' }, timestamp, service: { type: 'string' } })) }
+      })
+    },
+    '/openapi.json': {
+      get: operation({ id: 'getOpenApiDocument', summary: 'This document', responses: { 200: json({ type: 'object' }) } })
+    },
+    '/identify': {
+      post: operation({
+        id: 'identify',
+        summary: 'Reconcile a contact into its cluster',
+        scope: 'identify',
+        parameters: [
+          { name: 'dryRun', in: 'query', required: false, description: '"true" or "1" reports the plan without writing', schema: { type: 'string' } },
+          { name: 'X-Dry-Run', in: 'header', required: false, description: 'Same as ?dryRun', schema: { type: 'string' } }
+        ],
+        body: ref('IdentifyRequest'),
+        responses: { 200: json({ oneOf: [ref('ContactResponse'), ref('DryRunResponse')] }) },
+        errors: [410]
+      })
+    },
+    '/identify/batch': {
+      post: operation({
+        id: 'identifyBatch',
+        summary: 'Reconcile many contacts in order',
+        scope: 'identify',
+        body: {
+          type: 'array',
+          minItems: 1,
+          description: `At most ${batchMaxItems} items (BATCH_TOO_LARGE otherwise); each one is an identify request, and invalid items fail on their own`,
+          items: {}
+        },
+        responses: { 200: json(ref('BatchResponse')) }
+      })
+    },
+    '/admin/status': {
+      get: operation({
+        id: 'getStatus',
+        summary: 'Contact counts for the tenant',
+        scope: 'admin',
+        responses: {
+          200: json(object({
+            database: { type: 'string' },
+            contacts: { type: 'integer' },
+            primaryContacts: { type: 'integer' },
+            secondaryContacts: { type: 'integer' },
+            lastUpdate: nullable('string'),
+            clusterCache: {
+              description: 'Counters of this instance since it started - entries and evictions are null for a shared store',
+              ...object({
+                store: { type: 'string' },
+                hits: { type: 'integer' },
+                misses: { type: 'integer' },
+                hitRate: nullable('number'),
+                invalidations: { type: 'integer' },
+                entries: nullable('integer'),
+                evictions: nullable('integer')
+              })
+            }
+          }))
+        }
+      })
+    },
+    '/contacts/by-email/{email}': contactLookup('getContactByEmail', 'Cluster containing an email', [pathParameter('email', 'Any spelling the normalizer folds together')]),
+    '/contacts/by-phone/{phone}': contactLookup('getContactByPhone', 'Cluster containing a phone number', [pathParameter('phone', 'Any format the normalizer accepts')]),
+    '/contacts/by-identifier/{type}/{value}': contactLookup('getContactByIdentifier', 'Cluster containing an identifier of any type', [
+      pathParameter('type', 'Identifier type', { type: 'string', enum: allIdentifierTypes, 'x-error-code': 'UNKNOWN_IDENTIFIER_TYPE' }),
+      pathParameter('value', 'Identifier value')
+    ]),
+    '/contacts/{id}': contactLookup('getContact', 'Cluster containing a contact', [idParameter('Any contact in the cluster', 'INVALID_CONTACT_ID')]),
+    '/graphql': {
+      post: operation({
+        id: 'graphql',
+        summary: 'GraphQL queries over clusters and the identify mutation - queries need read, identify needs identify',
+        scope: ['read', 'identify'],
+        body: object({
+          query: { type: 'string', minLength: 1 },
+          variables: { type: ['object', 'null'] },
+          operationName: nullable('string')
+        }, ['query']),
+        responses: {
+          200: json({
+            type: 'object',
+            additionalProperties: false,
+            description: 'Errors raised by the service carry their error code in extensions.code',
+            properties: {
+              data: { type: ['object', 'null'] },
+              errors: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['message', 'extensions'],
+                  additionalProperties: false,
+                  properties: {
+                    message: { type: 'string' },
+                    locations: { type: 'array', items: object({ line: { type: 'integer' }, column: { type: 'integer' } }) },
+                    path: { type: 'array', items: { type: ['string', 'integer'] } },
+                    extensions: object({ code: { type: 'string' }, status: { type: 'integer' } }, ['code'])
+                  }
+                }
+              }
+            }
+          })
+        }
+      })
+    },
+    '/admin/export': {
+      get: operation({
+        id: 'exportClusters',
+        summary: 'Stream every cluster of the tenant',
+        scope: 'admin',
+        parameters: [
+          formatParameter,
+          { name: 'updatedSince', in: 'query', required: false, description: 'Only clusters changed since this date', schema: { type: 'string' } }
+        ],
+        responses: { 200: exportResponse },
+        errors: [400]
+      })
+    },
+    '/admin/contacts/{id}/history': {
+      get: operation({
+        id: 'getContactHistory',
+        summary: 'How a cluster grew over time',
+        scope: 'admin',
+        parameters: [idParameter('Any contact in the cluster', 'INVALID_CONTACT_ID')],
+        responses: { 200: json(ref('ClusterHistory')) },
+        errors: [400, 404]
+      })
+    },
+    '/admin/contacts/{id}/unlink': {
+      post: operation({
+        id: 'unlinkContacts',
+        summary: 'Split contacts off into a cluster of their own',
+        scope: 'admin',
+        parameters: [idParameter('Any contact in the cluster', 'INVALID_CONTACT_ID')],
+        body: {
+          type: 'object',
+          properties: { contactIds: { type: 'array', items: { type: 'integer', minimum: 1, 'x-error-code': 'INVALID_CONTACT_ID' } } }
+        },
+        responses: { 200: json(object({ detached: ref('Cluster'), remaining: ref('Cluster') })) },
+        errors: [404]
+      })
+    },
+    '/admin/contacts/by-email/{email}': {
+      delete: operation({
+        id: 'eraseByEmail',
+        summary: 'Erase an email from every contact holding it',
+        scope: 'admin',
+        parameters: [pathParameter('email', 'Email to erase')],
+        responses: { 200: json(object({ erasedContactIds: ids, contacts: { type: 'array', items: ref('Cluster') } })) },
+        errors: [400, 404]
+      })
+    },
+    '/admin/contacts/by-phone/{phone}': {
+      delete: operation({
+        id: 'eraseByPhone',
+        summary: 'Erase a phone number from every contact holding it',
+        scope: 'admin',
+        parameters: [pathParameter('phone', 'Phone number to erase')],
+        responses: { 200: json(object({ erasedContactIds: ids, contacts: { type: 'array', items: ref('Cluster') } })) },
+        errors: [400, 404]
+      })
+    },
+    '/admin/contacts/{id}': {
+      delete: operation({
+        id: 'eraseCluster',
+        summary: 'Erase a whole cluster',
+        scope: 'admin',
+        parameters: [idParameter('Any contact in the cluster', 'INVALID_CONTACT_ID')],
+        responses: { 200: json(object({ erasedContactIds: ids })) },
+        errors: [400, 404]
+      })
+    },
+    '/admin/erasure/purge': {
+      post: operation({
+        id: 'purgeErasedContacts',
+        summary: 'Permanently delete contacts erased longer ago than the grace period',
+        scope: 'admin',
+        body: { type: 'object', properties: { graceDays: { type: 'integer', minimum: 0 } } },
+        responses: { 200: json(object({ purgedContacts: { type: 'integer' } })) }
+      })
+    },
+    '/admin/integrity': {
+      get: operation({
+        id: 'checkIntegrity',
+        summary: 'Scan every contact for broken links and clusters sharing identifiers',
+        scope: 'admin',
+        responses: { 200: json(ref('IntegrityReport')) }
+      })
+    },
+    '/admin/integrity/repair': {
+      post: operation({
+        id: 'repairIntegrity',
+        summary: 'Scan, then merge each component holding a violation back into one cluster',
+        scope: 'admin',
+        responses: { 200: json(ref('IntegrityReport')) }
+      })
+    },
+    '/admin/api-keys': {
+      get: operation({
+        id: 'listApiKeys',
+        summary: 'Every API key, revoked ones included',
+        scope: 'admin',
+        platform: true,
+        responses: { 200: json(object({ keys: { type: 'array', items: ref('ApiKey') } })) }
+      }),
+      post: operation({
+        id: 'issueApiKey',
+        summary: 'Issue a key - the secret is only returned once',
+        scope: 'admin',
+        platform: true,
+        body: {
+          type: 'object',
+          required: ['name', 'scopes'],
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: API_KEY_SCOPES, 'x-error-code': 'INVALID_SCOPE' } },
+            tenantId: { ...nullable('string'), pattern: TENANT_ID_PATTERN.source, 'x-error-code': 'INVALID_TENANT_ID', description: 'Omit for a platform key' }
+          }
+        },
+        responses: { 201: json(ref('IssuedApiKey'), 'Created') }
+      })
+    },
+    '/admin/api-keys/{id}/rotate': {
+      post: operation({
+        id: 'rotateApiKey',
+        summary: 'Replace a key with a fresh secret and revoke the old one',
+        scope: 'admin',
+        platform: true,
+        parameters: [idParameter('API key id', 'INVALID_API_KEY_ID')],
+        responses: { 201: json(ref('IssuedApiKey'), 'Created') },
+        errors: [400, 404, 409]
+      })
+    },
+    '/admin/api-keys/{id}': {
+      delete: operation({
+        id: 'revokeApiKey',
+        summary: 'Revoke a key',
+        scope: 'admin',
+        platform: true,
+        parameters: [idParameter('API key id', 'INVALID_API_KEY_ID')],
+        responses: { 200: json(object({ key: ref('ApiKey') })) },
+        errors: [400, 404, 409]
+      })
+    },
+    '/admin/tenants': {
+      get: operation({
+        id: 'listTenants',
+        summary: 'Every tenant with its contact counts',
+        scope: 'admin',
+        platform: true,
+        responses: { 200: json(object({ tenants: { type: 'array', items: ref('Tenant') } })) }
+      })
+    },
+    '/admin/tenants/{tenantId}/export': {
+      get: operation({
+        id: 'exportTenant',
+        summary: 'Stream every cluster of a tenant',
+        scope: 'admin',
+        platform: true,
+        parameters: [pathParameter('tenantId', 'Tenant id', { type: 'string', pattern: TENANT_ID_PATTERN.source, 'x-error-code': 'INVALID_TENANT_ID' }), formatParameter],
+        responses: { 200: exportResponse },
+        errors: [400, 404]
+      })
+    },
+    '/admin/tenants/{tenantId}': {
+      delete: operation({
+        id: 'deleteTenant',
+        summary: 'Permanently delete everything a tenant owns',
+        scope: 'admin',
+        platform: true,
+        parameters: [pathParameter('tenantId', 'Tenant id', { type: 'string', pattern: TENANT_ID_PATTERN.source, 'x-error-code': 'INVALID_TENANT_ID' })],
+        responses: { 200: json(object({ tenantId: { type: 'string' }, deletedContacts: { type: 'integer' } })) },
+        errors: [400, 404]
+      })
+    },
+    '/admin/webhooks': {
+      get: operation({
+        id: 'listWebhooks',
+        summary: 'Webhook subscriptions',
+        scope: 'admin',
+        responses: { 200: json(object({ subscriptions: { type: 'array', items: ref('WebhookSubscription') } })) }
+      }),
+      post: operation({
+        id: 'createWebhook',
+        summary: 'Subscribe a URL - the signing secret is only returned once',
+        scope: 'admin',
+        body: {
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: { type: 'string', description: 'http(s) URL' },
+            events: {
+              type: 'array',
+              minItems: 1,
+              description: 'Default: every event',
+              items: { type: 'string', enum: WEBHOOK_EVENTS, 'x-error-code': 'INVALID_WEBHOOK_EVENT' }
+            }
+          }
+        },
+        responses: { 201: json(object({ secret: { type: 'string' }, subscription: ref('WebhookSubscription') }), 'Created') }
+      })
+    },
+    '/admin/webhooks/{id}': {
+      delete: operation({
+        id: 'disableWebhook',
+        summary: 'Stop delivering to a subscription',
+        scope: 'admin',
+        parameters: [idParameter('Subscription id', 'INVALID_WEBHOOK_ID')],
+        responses: { 200: json(object({ subscription: ref('WebhookSubscription') })) },
+        errors: [400, 404]
+      })
+    },
+    '/admin/webhooks/dead-letters': {
+      get: operation({
+        id: 'listDeadLetters',
+        summary: 'Deliveries that exhausted their retries',
+        scope: 'admin',
+        responses: { 200: json(object({ deliveries: { type: 'array', items: ref('WebhookDelivery') } })) }
+      })
+    },
+    '/admin/webhooks/deliveries/{id}/retry': {
+      post: operation({
+        id: 'retryDelivery',
+        summary: 'Queue a dead-lettered delivery again',
+        scope: 'admin',
+        parameters: [idParameter('Delivery id', 'INVALID_DELIVERY_ID')],
+        responses: { 200: json(object({ delivery: ref('WebhookDelivery') })) },
+        errors: [400, 404, 409]
+      })
+    },
+    '/admin/duplicates': {
+      get: operation({
+        id: 'listDuplicates',
+        summary: 'Duplicate candidates awaiting (or past) review',
+        scope: 'admin',
+        parameters: [{ name: 'status', in: 'query', required: false, description: 'Default pending', schema: { type: 'string', enum: CANDIDATE_STATUSES } }],
+        responses: { 200: json(object({ candidates: { type: 'array', items: ref('DuplicateCandidate') } })) },
+        errors: [400]
+      })
+    },
+    '/admin/duplicates/scan': {
+      post: operation({
+        id: 'scanDuplicates',
+        summary: 'Score likely duplicates now instead of waiting for the background scan',
+        scope: 'admin',
+        responses: {
+          200: json(object({
+            clustersScanned: { type: 'integer' },
+            candidatesQueued: { type: 'integer' },
+            autoMerged: { type: 'integer' },
+            staleCandidates: { type: 'integer' }
+          }))
+        }
+      })
+    },
+    '/admin/duplicates/{id}/accept': {
+      post: operation({
+        id: 'acceptDuplicate',
+        summary: 'Merge a candidate pair',
+        scope: 'admin',
+        parameters: [idParameter('Candidate id', 'INVALID_CANDIDATE_ID')],
+        responses: { 200: json(object({ candidate: ref('DuplicateCandidate'), contact: ref('Cluster') })) },
+        errors: [400, 404, 409]
+      })
+    },
+    '/admin/duplicates/{id}/reject': {
+      post: operation({
+        id: 'rejectDuplicate',
+        summary: 'Dismiss a candidate pair for good',
+        scope: 'admin',
+        parameters: [idParameter('Candidate id', 'INVALID_CANDIDATE_ID')],
+        responses: { 200: json(object({ candidate: ref('DuplicateCandidate') })) },
+        errors: [400, 404, 409]
+      })
+    },
+    '/metrics': {
+      get: operation({
+        id: 'getMetrics',
+        summary: 'Prometheus metrics',
+        scope: 'read',
+        platform: true,
+        responses: { 200: { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+      })
+    }
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Identity Reconciliation Service',
+      version: '1.0.0',
+      description: 'Every error is answered with the Error envelope. Keys bound to a tenant always act as that tenant; '
+        + 'platform keys pick one with X-Tenant-Id (default "default").'
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearerAuth: { type: 'http', scheme: 'bearer' }
+      },
+      parameters: {
+        TenantId: {
+          name: 'X-Tenant-Id', in: 'header', required: false, description: 'Tenant a platform key acts as',
+          schema: { type: 'string', pattern: TENANT_ID_PATTERN.source, 'x-error-code': 'INVALID_TENANT_ID' }
+        }
+      },
+      responses: Object.fromEntries(Object.values(ERROR_RESPONSES).map(([name, description]) => [name, json(ref('Error'), description)])),
+      schemas
+    }
+  };
+}
@@ -3,17 +3,65 @@ import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { ContactService } from './services/ContactService.js';
+import { ApiKeyService } from './services/ApiKeyService.js';
+import { WebhookService } from './services/WebhookService.js';
+import { WebhookDispatcher } from './services/WebhookDispatcher.js';
+import { DuplicateReviewService } from './services/DuplicateReviewService.js';
+import { IntegrityService } from './services/IntegrityService.js';
+import { TenantService } from './services/TenantService.js';
 import { DatabaseManager } from './database/DatabaseManager.js';
 import { ErrorHandler } from './middleware/ErrorHandler.js';
+import { Authenticator } from './middleware/Authenticator.js';
+import { RequestValidator } from './middleware/RequestValidator.js';
 import { Logger } from './utils/Logger.js';
+import { IdentifierNormalizer } from './utils/IdentifierNormalizer.js';
+import { CustomError } from './utils/CustomError.js';
+import { ClusterExporter } from './utils/ClusterExporter.js';
+import { PrimarySelector } from './utils/PrimarySelector.js';
+import { Metrics } from './utils/Metrics.js';
+import { ClusterCache } from './utils/ClusterCache.js';
+import { RequestContext, REQUEST_ID_HEADER } from './utils/RequestContext.js';
+import { buildOpenApiDocument } from './openapi.js';
+import { GraphQLApi } from './graphql/GraphQLApi.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS || 1000);
 
 // Initialize database and services
-const dbManager = new DatabaseManager();
-const contactService = new ContactService(dbManager);
-const logger = new Logger();
+const metrics = new Metrics();
+const logger = new Logger(metrics);
+const dbManager = new DatabaseManager({ logger });
+const normalizer = new IdentifierNormalizer();
+const webhookService = new WebhookService(dbManager);
+const webhookDispatcher = new WebhookDispatcher(dbManager, logger);
+const clusterCache = new ClusterCache({ logger });
+const contactService = new ContactService(dbManager, normalizer, webhookService, new PrimarySelector(), metrics, clusterCache);
+const duplicateReviewService = new DuplicateReviewService(dbManager, contactService, logger);
+const integrityService = new IntegrityService(dbManager, contactService);
+const apiKeyService = new ApiKeyService(dbManager);
+const tenantService = new TenantService(dbManager);
+const authenticator = new Authenticator(apiKeyService, logger, dbManager);
+const graphqlApi = new GraphQLApi(contactService, normalizer, authenticator, logger);
+const errorHandler = new ErrorHandler(logger);
+
+// The OpenAPI document is the contract: requests are validated against it, responses checked outside production
+const openApiDocument = buildOpenApiDocument({ identifierTypes: normalizer.identifierTypes, batchMaxItems: BATCH_MAX_ITEMS });
+const validator = new RequestValidator(openApiDocument, logger);
+const validate = (operationId) => validator.validate(operationId);
+
+// Per-route scope checks - admin keys pass every check, and every route runs as the caller's tenant
+const requireIdentify = authenticator.requireScope('identify');
+const requireRead = authenticator.requireScope('read');
+const requireAdmin = authenticator.requireScope('admin');
+// Keys and tenants are managed across tenants, so tenant-bound keys can't reach these
+const requirePlatformAdmin = authenticator.requireScope('admin', { platform: true });
+const requirePlatformRead = authenticator.requireScope('read', { platform: true });
+// Either scope gets into GraphQL; each query or mutation then checks the one it needs
+const requireGraphQL = authenticator.requireScope(['read', 'identify']);
+
+// Every request gets an id before anything can refuse it - X-Request-Id from the caller or a fresh one
+app.use(RequestContext.assignId());
 
 // Security middleware - operating under the radar
 app.use(helmet({
@@ -25,18 +73,30 @@ app.use(helmet({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Service temporarily unavailable',
-    code: 'RATE_LIMIT_EXCEEDED'
-  },
   standardHeaders: true,
   legacyHeaders: false,
+  handler: (req, res, next, options) => next(new CustomError('Service temporarily unavailable', options.statusCode, 'RATE_LIMIT_EXCEEDED'))
 });
 
+app.use(validator.watchResponses());
 app.use(limiter);
-app.use(cors());
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
 app.use(express.json({ limit: '10mb' }));
 
+// Malformed and oversized bodies get the same error envelope as everything else
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return next(new CustomError('Request body is not valid JSON', 400, 'INVALID_JSON'));
+  }
+  if (err.type === 'entity.too.large') {
+    return next(new CustomError('Request body is too large', 413, 'PAYLOAD_TOO_LARGE'));
+  }
+  next(err);
+});
+
+// Log lines and audit entries written from here on carry the request id
+app.use(RequestContext.enter());
+
 // Covert logging middleware
 app.use((req, res, next) => {
   const startTime = Date.now();
@@ -44,13 +104,14 @@ app.use((req, res, next) => {
   res.on('finish', () => {
     const duration = Date.now() - startTime;
     logger.logRequest(req, res, duration);
+    metrics.observeRequest(req, res, duration);
   });
   
   next();
 });
 
 // Health check endpoint - appears as standard service
-app.get('/health', (req, res) => {
+app.get('/health', validate('getHealth'), (req, res) => {
   res.status(200).json({
     status: 'operational',
     timestamp: new Date().toISOString(),
@@ -58,38 +119,27 @@ app.get('/health', (req, res) => {
   });
 });
 
+// The API contract - public like /health, it describes the API but carries no data
+app.get('/openapi.json', validate('getOpenApiDocument'), (req, res) => {
+  res.status(200).json(openApiDocument);
+});
+
 // Main identity reconciliation endpoint
-app.post('/identify', async (req, res) => {
+app.post('/identify', requireIdentify, validate('identify'), async (req, res, next) => {
   try {
+    // Formats and "at least one identifier" are checked by the service, the same way for every entry point
     const { email, phoneNumber } = req.body;
-    
-    // Validate input with covert error messages
-    if (!email && !phoneNumber) {
-      return res.status(400).json({
-        error: 'Invalid request format',
-        code: 'MISSING_CONTACT_INFO',
-        message: 'At least one contact method required'
-      });
-    }
-    
-    // Email validation (if provided)
-    if (email && !isValidEmail(email)) {
-      return res.status(400).json({
-        error: 'Invalid email format',
-        code: 'VALIDATION_ERROR'
-      });
-    }
-    
-    // Phone validation (if provided)
-    if (phoneNumber && !isValidPhoneNumber(phoneNumber)) {
-      return res.status(400).json({
-        error: 'Invalid phone format',
-        code: 'VALIDATION_ERROR'
-      });
+    // Any configured extended identifier type (customerId, deviceId, ...) is accepted alongside them
+    const identifiers = normalizer.extractIdentifiers(req.body);
+
+    // Dry run - report the plan and the cluster it would produce, write nothing
+    if (isDryRun(req)) {
+      const { plan, contact } = await contactService.explainIdentify(email, phoneNumber, identifiers);
+      return res.status(200).json({ dryRun: true, plan, contact });
     }
-    
+
     // Process the identity reconciliation
-    const result = await contactService.identifyContact(email, phoneNumber);
+    const result = await contactService.identifyContact(email, phoneNumber, identifiers);
     
     // Return consolidated contact information
     res.status(200).json({
@@ -97,24 +147,46 @@ app.post('/identify', async (req, res) => {
         primaryContactId: result.primaryContactId,
         emails: result.emails,
         phoneNumbers: result.phoneNumbers,
-        secondaryContactIds: result.secondaryContactIds
+        secondaryContactIds: result.secondaryContactIds,
+        identifiers: result.identifiers
       }
     });
     
   } catch (error) {
-    logger.logError('Identity reconciliation failed', error);
-    
-    // Covert error response - doesn't reveal internal structure
-    res.status(500).json({
-      error: 'Service temporarily unavailable',
-      code: 'INTERNAL_ERROR',
-      requestId: generateRequestId()
+    next(error);
+  }
+});
+
+// Batch reconciliation endpoint - one rate-limited request for many contacts
+app.post('/identify/batch', requireIdentify, validate('identifyBatch'), async (req, res, next) => {
+  try {
+    const items = req.body;
+
+    if (items.length > BATCH_MAX_ITEMS) {
+      throw new CustomError(`Batch cannot exceed ${BATCH_MAX_ITEMS} items`, 400, 'BATCH_TOO_LARGE');
+    }
+
+    const results = await contactService.identifyBatch(items, (processed) => {
+      if (processed % 100 === 0 || processed === items.length) {
+        logger.log('Batch reconciliation progress', { processed, total: items.length });
+      }
     });
+
+    const failed = results.filter(r => r.error).length;
+
+    res.status(200).json({
+      total: results.length,
+      succeeded: results.length - failed,
+      failed,
+      results
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Covert admin endpoint for database status (hidden functionality)
-app.get('/admin/status', async (req, res) => {
+app.get('/admin/status', requireAdmin, validate('getStatus'), async (req, res, next) => {
   try {
     const stats = await contactService.getDatabaseStats();
     res.status(200).json({
@@ -122,50 +194,364 @@ app.get('/admin/status', async (req, res) => {
       contacts: stats.totalContacts,
       primaryContacts: stats.primaryContacts,
       secondaryContacts: stats.secondaryContacts,
-      lastUpdate: stats.lastUpdate
+      lastUpdate: stats.lastUpdate,
+      // Instance-wide, not per tenant
+      clusterCache: clusterCache.stats()
     });
   } catch (error) {
-    res.status(503).json({
-      error: 'Service unavailable',
-      code: 'MAINTENANCE_MODE'
+    next(new CustomError('Service unavailable', 503, 'MAINTENANCE_MODE'));
+  }
+});
+
+// Read-only cluster lookups - never create or relink contacts; ?asOf= answers as the cluster was linked then
+app.get('/contacts/by-email/:email', requireRead, validate('getContactByEmail'), async (req, res, next) => {
+  try {
+    const result = await contactService.findClusterByEmail(req.params.email, { asOf: req.query.asOf });
+    res.status(200).json({ contact: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/contacts/by-phone/:phone', requireRead, validate('getContactByPhone'), async (req, res, next) => {
+  try {
+    const result = await contactService.findClusterByPhoneNumber(req.params.phone, { asOf: req.query.asOf });
+    res.status(200).json({ contact: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/contacts/by-identifier/:type/:value', requireRead, validate('getContactByIdentifier'), async (req, res, next) => {
+  try {
+    const result = await contactService.findClusterByIdentifier(req.params.type, req.params.value, { asOf: req.query.asOf });
+    res.status(200).json({ contact: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/contacts/:id', requireRead, validate('getContact'), async (req, res, next) => {
+  try {
+    const result = await contactService.getCluster(req.params.id, { asOf: req.query.asOf });
+    res.status(200).json({ contact: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GraphQL - clusters with their member contacts in one round trip, same service layer as REST
+app.post('/graphql', requireGraphQL, validate('graphql'), async (req, res, next) => {
+  try {
+    res.status(200).json(await graphqlApi.execute(req.body, req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin endpoint streaming every cluster for warehouse extracts
+app.get('/admin/export', requireAdmin, validate('exportClusters'), async (req, res, next) => {
+  try {
+    const exporter = new ClusterExporter(req.query.format || 'ndjson');
+    const updatedSince = ClusterExporter.parseUpdatedSince(req.query.updatedSince);
+
+    res.status(200).type(exporter.contentType);
+    await exporter.write(contactService.exportClusters({ updatedSince }), res);
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
+    }
+
+    // Too late for an error body - cut the stream so the client sees an incomplete export
+    logger.logError('Cluster export failed', error);
+    res.destroy(error);
+  }
+});
+
+// Admin endpoint explaining how a cluster grew over time
+app.get('/admin/contacts/:id/history', requireAdmin, validate('getContactHistory'), async (req, res, next) => {
+  try {
+    const result = await contactService.getClusterHistory(req.params.id);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin endpoint to split wrongly merged identities apart
+app.post('/admin/contacts/:id/unlink', requireAdmin, validate('unlinkContacts'), async (req, res, next) => {
+  try {
+    const { contactIds = [] } = req.body;
+    const result = await contactService.unlinkContacts(req.params.id, contactIds);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Right-to-erasure endpoints - soft-delete now, PII is purged after the grace period
+app.delete('/admin/contacts/by-email/:email', requireAdmin, validate('eraseByEmail'), async (req, res, next) => {
+  try {
+    const result = await contactService.eraseIdentifier(req.params.email, null);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/admin/contacts/by-phone/:phone', requireAdmin, validate('eraseByPhone'), async (req, res, next) => {
+  try {
+    const result = await contactService.eraseIdentifier(null, req.params.phone);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/admin/contacts/:id', requireAdmin, validate('eraseCluster'), async (req, res, next) => {
+  try {
+    const result = await contactService.eraseCluster(req.params.id);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/admin/erasure/purge', requireAdmin, validate('purgeErasedContacts'), async (req, res, next) => {
+  try {
+    const result = await contactService.purgeErasedContacts(req.body.graceDays);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cluster integrity - the same scan and repair as npm run db:integrity, for the caller's tenant
+app.get('/admin/integrity', requireAdmin, validate('checkIntegrity'), async (req, res, next) => {
+  try {
+    res.status(200).json(await integrityService.check());
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/admin/integrity/repair', requireAdmin, validate('repairIntegrity'), async (req, res, next) => {
+  try {
+    const result = await integrityService.repair();
+    logger.log('Cluster integrity repaired', { violations: result.violations.length, repairs: result.repairs.length, repairedBy: req.apiKey.id });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// API key management - issued secrets are only ever returned once
+app.get('/admin/api-keys', requirePlatformAdmin, validate('listApiKeys'), async (req, res, next) => {
+  try {
+    res.status(200).json({ keys: await apiKeyService.listKeys() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/admin/api-keys', requirePlatformAdmin, validate('issueApiKey'), async (req, res, next) => {
+  try {
+    const { name, scopes, tenantId = null } = req.body;
+    const result = await apiKeyService.issueKey(name, scopes, tenantId);
+    logger.log('API key issued', { keyId: result.key.id, scopes: result.key.scopes, tenantId, issuedBy: req.apiKey.id });
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/admin/api-keys/:id/rotate', requirePlatformAdmin, validate('rotateApiKey'), async (req, res, next) => {
+  try {
+    const result = await apiKeyService.rotateKey(req.params.id);
+    logger.log('API key rotated', { keyId: result.key.id, rotatedKeyId: result.rotatedKeyId, rotatedBy: req.apiKey.id });
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/admin/api-keys/:id', requirePlatformAdmin, validate('revokeApiKey'), async (req, res, next) => {
+  try {
+    const result = await apiKeyService.revokeKey(req.params.id);
+    logger.log('API key revoked', { keyId: result.id, revokedBy: req.apiKey.id });
+    res.status(200).json({ key: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Tenant administration - platform keys only
+app.get('/admin/tenants', requirePlatformAdmin, validate('listTenants'), async (req, res, next) => {
+  try {
+    res.status(200).json({ tenants: await tenantService.listTenants() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/admin/tenants/:tenantId/export', requirePlatformAdmin, validate('exportTenant'), async (req, res, next) => {
+  try {
+    const exporter = new ClusterExporter(req.query.format || 'ndjson');
+
+    await tenantService.asTenant(req.params.tenantId, async () => {
+      res.status(200).type(exporter.contentType);
+      await exporter.write(contactService.exportClusters(), res);
     });
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
+    }
+
+    logger.logError('Tenant export failed', error);
+    res.destroy(error);
   }
 });
 
-// 404 handler - misleading response
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Endpoint not found',
-    code: 'NOT_FOUND',
-    suggestion: 'Check API documentation'
-  });
+app.delete('/admin/tenants/:tenantId', requirePlatformAdmin, validate('deleteTenant'), async (req, res, next) => {
+  try {
+    const result = await tenantService.deleteTenant(req.params.tenantId);
+    logger.log('Tenant deleted', { ...result, deletedBy: req.apiKey.id });
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
 });
 
-// Global error handler
-app.use(ErrorHandler.handle);
+// Webhook subscriptions - the signing secret is only returned when subscribing
+app.get('/admin/webhooks', requireAdmin, validate('listWebhooks'), async (req, res, next) => {
+  try {
+    res.status(200).json({ subscriptions: await webhookService.listSubscriptions() });
+  } catch (error) {
+    next(error);
+  }
+});
 
-// Utility functions for validation
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
-}
+app.post('/admin/webhooks', requireAdmin, validate('createWebhook'), async (req, res, next) => {
+  try {
+    const { url, events } = req.body;
+    const result = await webhookService.createSubscription(url, events);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
 
-function isValidPhoneNumber(phoneNumber) {
-  // Accept various phone number formats
-  const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
-  return phoneRegex.test(phoneNumber.replace(/[\s\-\(\)]/g, ''));
-}
+app.delete('/admin/webhooks/:id', requireAdmin, validate('disableWebhook'), async (req, res, next) => {
+  try {
+    const subscription = await webhookService.disableSubscription(req.params.id);
+    res.status(200).json({ subscription });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Dead-letter view - deliveries that exhausted their retries
+app.get('/admin/webhooks/dead-letters', requireAdmin, validate('listDeadLetters'), async (req, res, next) => {
+  try {
+    res.status(200).json({ deliveries: await webhookService.getDeadLetters() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/admin/webhooks/deliveries/:id/retry', requireAdmin, validate('retryDelivery'), async (req, res, next) => {
+  try {
+    const delivery = await webhookService.retryDelivery(req.params.id);
+    res.status(200).json({ delivery });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fuzzy duplicate review queue - nothing here merges until a reviewer accepts
+app.get('/admin/duplicates', requireAdmin, validate('listDuplicates'), async (req, res, next) => {
+  try {
+    const candidates = await duplicateReviewService.listCandidates(req.query.status || 'pending');
+    res.status(200).json({ candidates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/admin/duplicates/scan', requireAdmin, validate('scanDuplicates'), async (req, res, next) => {
+  try {
+    res.status(200).json(await duplicateReviewService.scan());
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/admin/duplicates/:id/accept', requireAdmin, validate('acceptDuplicate'), async (req, res, next) => {
+  try {
+    const result = await duplicateReviewService.acceptCandidate(req.params.id);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
 
-function generateRequestId() {
-  return Math.random().toString(36).substring(2, 15) + 
-         Math.random().toString(36).substring(2, 15);
+app.post('/admin/duplicates/:id/reject', requireAdmin, validate('rejectDuplicate'), async (req, res, next) => {
+  try {
+    const candidate = await duplicateReviewService.rejectCandidate(req.params.id);
+    res.status(200).json({ candidate });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Prometheus scrape endpoint - cluster sizes are recounted for every tenant on each scrape
+app.get('/metrics', requirePlatformRead, validate('getMetrics'), async (req, res, next) => {
+  try {
+    metrics.resetClusterSizes();
+    for (const tenantId of await dbManager.listTenants()) {
+      metrics.setClusterSizes(tenantId, await dbManager.withTenant(tenantId, () => dbManager.getClusterSizes()));
+    }
+
+    res.status(200).type(Metrics.contentType).send(metrics.render());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 404 handler - misleading response
+app.use('*', (req, res, next) => {
+  next(new CustomError('Endpoint not found', 404, 'NOT_FOUND'));
+});
+
+// Global error handler - rejected input is counted by code first
+app.use((err, req, res, next) => {
+  if (err.name === 'CustomError' && err.statusCode === 400) {
+    metrics.countValidationError(err.code);
+  }
+  next(err);
+});
+app.use(errorHandler.handler());
+
+// Utility functions
+// ?dryRun=true or "X-Dry-Run: true"
+function isDryRun(req) {
+  return ['true', '1'].includes(String(req.query.dryRun ?? req.get('X-Dry-Run') ?? '').toLowerCase());
 }
 
 // Initialize database and start server
 async function startServer() {
   try {
+    // Every identify checks tombstones, so a missing key is refused here rather than on the first request
+    ContactService.erasureHashSecret();
+
     await dbManager.initialize();
     logger.log('Database initialized successfully');
+
+    // Deliver webhook events from the outbox, including any a previous run left behind
+    webhookDispatcher.start();
+    duplicateReviewService.start();
     
     app.listen(PORT, () => {
       logger.log(`Identity Reconciliation Service operational on port ${PORT}`);
@@ -177,17 +563,30 @@ async function startServer() {
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.log('Received SIGTERM. Initiating graceful shutdown...');
-  await dbManager.close();
-  process.exit(0);
-});
+// Started directly (npm start / npm run dev) - importing the module, as the contract test does, only builds the app
+if (import.meta.url === `file://${process.argv[1]}`) {
+  // Graceful shutdown
+  process.on('SIGTERM', async () => {
+    logger.log('Received SIGTERM. Initiating graceful shutdown...');
+    await webhookDispatcher.stop();
+    await duplicateReviewService.stop();
+    await clusterCache.close();
+    await dbManager.close();
+    await logger.close();
+    process.exit(0);
+  });
 
-process.on('SIGINT', async () => {
-  logger.log('Received SIGINT. Shutting down service...');
-  await dbManager.close();
-  process.exit(0);
-});
+  process.on('SIGINT', async () => {
+    logger.log('Received SIGINT. Shutting down service...');
+    await webhookDispatcher.stop();
+    await duplicateReviewService.stop();
+    await clusterCache.close();
+    await dbManager.close();
+    await logger.close();
+    process.exit(0);
+  });
+
+  startServer();
+}
 
-startServer();
\ No newline at end of file
+export { app, dbManager, openApiDocument };
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import { CustomError } from '../utils/CustomError.js';
+import { TenantService } from './TenantService.js';
+
+export const API_KEY_SCOPES = ['identify', 'read', 'admin'];
+
+const KEY_PREFIX = 'irk_';
+
+/**
+ * ApiKeyService - Issues, verifies, rotates and revokes scoped API keys
+ * Keys are shown once at issue time; only their sha256 hash is stored.
+ * A key bound to a tenant only ever acts as that tenant; keys without one are platform keys.
+ */
+export class ApiKeyService {
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  /**
+   * Issue a new key - the returned apiKey is the only copy of the secret
+   */
+  async issueKey(name, scopes, tenantId = null) {
+    const validScopes = this.validateScopes(scopes);
+
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new CustomError('API key name is required', 400, 'VALIDATION_ERROR');
+    }
+
+    if (tenantId !== null) {
+      TenantService.validateTenantId(tenantId);
+    }
+
+    const apiKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const stored = await this.db.createApiKey(
+      name.trim(),
+      apiKey.slice(0, KEY_PREFIX.length + 8),
+      this.hashKey(apiKey),
+      validScopes.join(' '),
+      tenantId
+    );
+
+    return { apiKey, key: this.describeKey(stored) };
+  }
+
+  /**
+   * Look up the active key behind a presented secret - null when unknown or revoked
+   */
+  async authenticate(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const stored = await this.db.findApiKeyByHash(this.hashKey(apiKey));
+    if (!stored || stored.revokedAt) {
+      return null;
+    }
+
+    return this.describeKey(stored);
+  }
+
+  /**
+   * Replace a key with a fresh secret carrying the same name and scopes, revoking the old one
+   */
+  async rotateKey(keyId) {
+    return this.db.transaction(async () => {
+      const existing = await this.getActiveKey(keyId);
+      const issued = await this.issueKey(existing.name, existing.scopes.split(' '), existing.tenantId);
+      await this.db.revokeApiKey(keyId);
+
+      return { ...issued, rotatedKeyId: keyId };
+    });
+  }
+
+  async revokeKey(keyId) {
+    await this.getActiveKey(keyId);
+    await this.db.revokeApiKey(keyId);
+    return this.describeKey(await this.db.getApiKeyById(keyId));
+  }
+
+  async listKeys() {
+    return (await this.db.listApiKeys()).map(key => this.describeKey(key));
+  }
+
+  async getActiveKey(keyId) {
+    const existing = await this.db.getApiKeyById(keyId);
+
+    if (!existing) {
+      throw new CustomError('API key not found', 404, 'API_KEY_NOT_FOUND');
+    }
+
+    if (existing.revokedAt) {
+      throw new CustomError('API key has been revoked', 409, 'API_KEY_REVOKED');
+    }
+
+    return existing;
+  }
+
+  /**
+   * Does a key grant the scope? admin grants everything
+   */
+  hasScope(key, scope) {
+    return key.scopes.includes(scope) || key.scopes.includes('admin');
+  }
+
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new CustomError('At least one scope is required', 400, 'VALIDATION_ERROR');
+    }
+
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new CustomError(`Unknown scopes: ${unknown.join(', ')}`, 400, 'INVALID_SCOPE');
+    }
+
+    return [...new Set(scopes)];
+  }
+
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Public view of a stored key - never includes the hash
+   */
+  describeKey(stored) {
+    return {
+      id: stored.id,
+      name: stored.name,
+      keyPrefix: stored.keyPrefix,
+      scopes: stored.scopes.split(' '),
+      tenantId: stored.tenantId,
+      createdAt: stored.createdAt,
+      revokedAt: stored.revokedAt
+    };
+  }
+}
@@ -1,54 +1,331 @@
+import crypto from 'crypto';
 import { CustomError } from '../utils/CustomError.js';
+import { IdentifierNormalizer } from '../utils/IdentifierNormalizer.js';
+import { PrimarySelector } from '../utils/PrimarySelector.js';
+import { WebhookService } from './WebhookService.js';
+import { RequestContext } from '../utils/RequestContext.js';
 /**
  * ContactService - Core identity reconciliation logic
  * Handles the complex task of linking contacts while maintaining operational security
  */
 export class ContactService {
-  constructor(databaseManager) {
+  constructor(
+    databaseManager,
+    normalizer = new IdentifierNormalizer(),
+    webhooks = new WebhookService(databaseManager),
+    primarySelector = new PrimarySelector(),
+    metrics = null,
+    clusterCache = null
+  ) {
     this.db = databaseManager;
+    this.normalizer = normalizer;
+    this.webhooks = webhooks;
+    this.primarySelector = primarySelector;
+    this.metrics = metrics;
+    // Current (not asOf) cluster responses are read through the cache, which drops them as writes touch them
+    this.clusterCache = clusterCache;
+    this.clusterCache?.attach(databaseManager);
   }
 
   /**
    * Main identity reconciliation method
    * Processes incoming contact information and consolidates existing records
+   * Besides email and phone, any configured extended identifiers ({ customerId: '...' }) take part in matching
    */
-  async identifyContact(email, phoneNumber) {
-    if (phoneNumber && !/^\d{10}$/.test(phoneNumber)) {
-      throw new CustomError('Invalid phone number format', 400, 'INVALID_PHONE_NUMBER');
-    }
-    // Step 1: Find existing contacts with matching email or phone
-    const existingContacts = await this.db.findContactsByEmailOrPhone(email, phoneNumber);
-    
-    if (existingContacts.length === 0) {
-      // No existing contacts - create new primary contact
-      return this.createNewPrimaryContact(email, phoneNumber);
+  async identifyContact(rawEmail, rawPhoneNumber, rawIdentifiers = {}) {
+    const { email, phoneNumber, raw, extended } = this.normalizeRequest(rawEmail, rawPhoneNumber, rawIdentifiers);
+
+    // The whole read-analyze-write cycle runs as one atomic unit
+    return this.db.transaction(async () => {
+      // Steps 1 and 2: Find the existing contacts and determine consolidation strategy
+      const { existingContacts, consolidationPlan } = await this.planReconciliation(email, phoneNumber, extended);
+
+      if (existingContacts.length === 0) {
+        // No existing contacts - create new primary contact
+        const created = await this.createNewPrimaryContact(email, phoneNumber, raw, extended);
+        await this.recordAudit('create_new_primary', { email, phoneNumber }, [], [created.primaryContactId]);
+        await this.webhooks.publish('contact.created', { primaryContactId: created.primaryContactId, contact: created });
+        return created;
+      }
+
+      // Step 3: Execute consolidation based on the plan
+      const result = await this.executeConsolidation(consolidationPlan, email, phoneNumber, raw, extended);
+      await this.recordAudit(
+        consolidationPlan.action, { email, phoneNumber }, existingContacts, [result.primaryContactId], consolidationPlan.primarySelection
+      );
+      await this.publishLifecycleEvents(existingContacts, result);
+      return result;
+    });
+  }
+
+  /**
+   * Dry run of identifyContact - what it would do and the cluster it would return, without writing anything
+   * Runs in a transaction only to read a consistent snapshot; contacts that would be created have no id yet
+   */
+  async explainIdentify(rawEmail, rawPhoneNumber, rawIdentifiers = {}) {
+    const { email, phoneNumber, extended } = this.normalizeRequest(rawEmail, rawPhoneNumber, rawIdentifiers);
+
+    return this.db.transaction(async () => {
+      const { existingContacts, consolidationPlan } = await this.planReconciliation(email, phoneNumber, extended);
+      return this.previewPlan(consolidationPlan, existingContacts, email, phoneNumber, extended);
+    });
+  }
+
+  /**
+   * Match on normalized identifiers, but keep what was actually typed
+   */
+  normalizeRequest(rawEmail, rawPhoneNumber, rawIdentifiers = {}) {
+    const identifiers = this.normalizer.normalize(rawEmail, rawPhoneNumber, rawIdentifiers);
+    const { email, phoneNumber } = identifiers;
+    const extended = identifiers.identifiers;
+
+    if (!email && !phoneNumber && extended.length === 0) {
+      throw new CustomError('At least one contact method required', 400, 'MISSING_CONTACT_INFO');
     }
 
-    // Step 2: Analyze existing contacts and determine consolidation strategy
-    const consolidationPlan = this.analyzeContacts(existingContacts, email, phoneNumber);
-    
-    // Step 3: Execute consolidation based on the plan
-    return this.executeConsolidation(consolidationPlan, email, phoneNumber);
+    return { email, phoneNumber, raw: { email: identifiers.rawEmail, phoneNumber: identifiers.rawPhoneNumber }, extended };
   }
 
   /**
-   * Create a new primary contact when no matches are found
+   * The read-only half of a reconciliation: the contacts it touches and the plan for them
+   */
+  async planReconciliation(email, phoneNumber, extended = []) {
+    // Erased identities must not come back as a fresh primary
+    await this.assertNotErased(email, phoneNumber, extended);
+
+    // Find the full cluster reachable from the incoming identifiers, minus any groups support has split off from it
+    const cluster = await this.resolveCluster(email, phoneNumber, extended);
+    const existingContacts = await this.applySeparations(cluster, email, phoneNumber, extended);
+
+    const consolidationPlan = existingContacts.length === 0
+      ? { action: 'create_new_primary' }
+      : this.analyzeContacts(existingContacts, email, phoneNumber, extended);
+
+    return { existingContacts, consolidationPlan };
+  }
+
+  /**
+   * Describe what executing a plan would change, with the resulting cluster in buildResponse shape
    */
-  async createNewPrimaryContact(email, phoneNumber) {
-    const newContact = await this.db.createContact(email, phoneNumber, null, 'primary');
-    
+  async previewPlan(plan, existingContacts, email, phoneNumber, extended = []) {
+    const everything = { needsEmail: Boolean(email), needsPhone: Boolean(phoneNumber), newIdentifiers: extended };
+    const nothing = { needsEmail: false, needsPhone: false, newIdentifiers: [] };
+    let primary = null;
+    let contacts = existingContacts;
+    let needsNewInfo = nothing;
+
+    switch (plan.action) {
+      case 'create_new_primary':
+        needsNewInfo = everything;
+        break;
+
+      case 'return_existing':
+        primary = plan.primaryContact;
+        break;
+
+      case 'create_secondary':
+        primary = plan.primaryContact;
+        needsNewInfo = plan.needsNewInfo;
+        break;
+
+      case 'link_to_existing_primary':
+        primary = await this.db.getContactById(plan.primaryId);
+        contacts = this.uniqueContacts([...await this.withIdentifiers(await this.db.getLinkedContacts(plan.primaryId)), ...existingContacts]);
+        needsNewInfo = plan.needsNewInfo;
+        break;
+
+      case 'merge_primaries':
+        primary = plan.mainPrimary;
+        needsNewInfo = this.determineNewInfo(existingContacts, email, phoneNumber, extended);
+        break;
+
+      default:
+        throw new Error('Unknown consolidation action');
+    }
+
+    const primaryContactId = primary ? primary.id : null;
+    const newIdentifiers = needsNewInfo.newIdentifiers || [];
+    const newContact = needsNewInfo.needsEmail || needsNewInfo.needsPhone || newIdentifiers.length > 0
+      ? {
+        id: null,
+        email: needsNewInfo.needsEmail ? email : null,
+        phoneNumber: needsNewInfo.needsPhone ? phoneNumber : null,
+        linkedId: primaryContactId,
+        linkPrecedence: primary ? 'secondary' : 'primary',
+        identifiers: newIdentifiers.map(({ type, value }) => ({ type, value }))
+      }
+      : null;
+
+    // Same order buildResponse reads a cluster in: secondaries oldest first, the new one last, then the primary
+    const secondaries = contacts
+      .filter(c => c.id !== primaryContactId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt) || a.id - b.id)
+      .map(c => ({ ...c, linkedId: primaryContactId, linkPrecedence: 'secondary' }));
+    const preview = this.summarizeCluster(primaryContactId, [
+      ...secondaries,
+      ...(newContact && primary ? [newContact] : []),
+      primary || newContact
+    ]);
+
     return {
-      primaryContactId: newContact.id,
-      emails: email ? [email] : [],
-      phoneNumbers: phoneNumber ? [phoneNumber] : [],
-      secondaryContactIds: []
+      plan: {
+        action: plan.action,
+        primaryContactId,
+        demotedPrimaryContactIds: existingContacts
+          .filter(c => c.linkPrecedence === 'primary' && c.id !== primaryContactId)
+          .map(c => c.id),
+        relinkedSecondaryContactIds: existingContacts
+          .filter(c => c.linkPrecedence === 'secondary' && c.linkedId !== primaryContactId)
+          .map(c => c.id),
+        newSecondaryContact: primary && newContact
+          ? { email: newContact.email, phoneNumber: newContact.phoneNumber, linkedId: primaryContactId, identifiers: newContact.identifiers }
+          : null,
+        primarySelection: plan.primarySelection || null
+      },
+      contact: { ...preview, secondaryContactIds: preview.secondaryContactIds.filter(id => id !== null) }
     };
   }
 
+  /**
+   * Reconcile many contacts in order, exactly as sequential identify calls would
+   * Accepts arrays or async iterables; failures are reported per item instead of aborting the batch
+   */
+  async identifyBatch(items, onProgress = null) {
+    const results = [];
+    let processed = 0;
+
+    for await (const item of items) {
+      results.push({ index: processed, ...await this.identifyBatchItem(item) });
+      processed++;
+
+      if (onProgress) {
+        onProgress(processed, results[results.length - 1]);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Reconcile a single batch item, turning errors into a per-item result
+   */
+  async identifyBatchItem(item) {
+    try {
+      if (!item || typeof item !== 'object') {
+        throw new CustomError('Each item must be an object', 400, 'VALIDATION_ERROR');
+      }
+
+      return { contact: await this.identifyContact(item.email, item.phoneNumber, this.normalizer.extractIdentifiers(item)) };
+    } catch (error) {
+      if (error.name !== 'CustomError') {
+        throw error;
+      }
+
+      return { error: { error: error.message, code: error.code } };
+    }
+  }
+
+  /**
+   * Walk the identity graph starting from the incoming identifiers
+   * Follows shared emails, phone numbers, extended identifiers and linkedId (both directions) until no new contacts turn up
+   */
+  async resolveCluster(email, phoneNumber, extended = []) {
+    const cluster = new Map();
+    let frontier = await this.withIdentifiers(this.uniqueContacts([
+      ...await this.db.findContactsByEmailOrPhone(email, phoneNumber),
+      ...await this.db.findContactsByIdentifiers(extended)
+    ]));
+
+    while (frontier.length > 0) {
+      frontier.forEach(c => cluster.set(c.id, c));
+
+      const ids = new Set();
+      frontier.forEach(c => {
+        ids.add(c.id);
+        if (c.linkedId) ids.add(c.linkedId);
+      });
+      const emails = new Set(frontier.map(c => c.email).filter(Boolean));
+      const phoneNumbers = new Set(frontier.map(c => c.phoneNumber).filter(Boolean));
+      const extendedIdentifiers = frontier.flatMap(c => c.identifiers);
+
+      const connected = this.uniqueContacts([
+        ...await this.db.findConnectedContacts([...ids], [...emails], [...phoneNumbers]),
+        ...await this.db.findContactsByIdentifiers(extendedIdentifiers)
+      ]);
+      frontier = await this.withIdentifiers(connected.filter(c => !cluster.has(c.id)));
+    }
+
+    return [...cluster.values()].sort((a, b) =>
+      new Date(a.createdAt) - new Date(b.createdAt) || a.id - b.id
+    );
+  }
+
+  /**
+   * Keep only the part of a cluster that may be reconciled together
+   * Anchors on the group matched by email (falling back to phone) and grows through shared identifiers,
+   * never pulling in a group that was split away from one already kept
+   */
+  async applySeparations(cluster, email, phoneNumber, extended = []) {
+    const rootOf = (contact) => (this.findPrimaryInChain(contact, cluster) || contact).id;
+    const roots = [...new Set(cluster.map(rootOf))];
+
+    if (roots.length < 2) {
+      return cluster;
+    }
+
+    const separations = await this.db.getSeparations(roots);
+    if (separations.length === 0) {
+      return cluster;
+    }
+
+    const isSeparated = (a, b) => separations.some(s =>
+      (s.primaryId === a && s.separatedPrimaryId === b) || (s.primaryId === b && s.separatedPrimaryId === a)
+    );
+    const sharesIdentifier = (a, b) =>
+      a.linkedId === b.id || b.linkedId === a.id ||
+      this.identifiersOf(a).some(identifier => this.carries(b, identifier));
+
+    const anchor = cluster.find(c => email && c.email === email)
+      || cluster.find(c => phoneNumber && c.phoneNumber === phoneNumber)
+      || cluster.find(c => extended.some(identifier => this.carries(c, identifier)))
+      || cluster[0];
+    const kept = new Set([rootOf(anchor)]);
+
+    let grown = true;
+    while (grown) {
+      grown = false;
+      const keptContacts = cluster.filter(c => kept.has(rootOf(c)));
+
+      for (const root of roots) {
+        if (kept.has(root) || [...kept].some(k => isSeparated(k, root))) {
+          continue;
+        }
+
+        const members = cluster.filter(c => rootOf(c) === root);
+        if (members.some(m => keptContacts.some(k => sharesIdentifier(m, k)))) {
+          kept.add(root);
+          grown = true;
+        }
+      }
+    }
+
+    return cluster.filter(c => kept.has(rootOf(c)));
+  }
+
+  /**
+   * Create a new primary contact when no matches are found
+   */
+  async createNewPrimaryContact(email, phoneNumber, raw = {}, extended = []) {
+    const newContact = await this.db.createContact(email, phoneNumber, null, 'primary', raw);
+    await this.db.addContactIdentifiers(newContact.id, extended);
+
+    return this.summarizeCluster(newContact.id, [{ ...newContact, identifiers: extended }]);
+  }
+
   /**
    * Analyze existing contacts to determine the best consolidation strategy
    */
-  analyzeContacts(existingContacts, email, phoneNumber) {
+  analyzeContacts(existingContacts, email, phoneNumber, extended = []) {
     // Find primary contacts
     const primaryContacts = existingContacts.filter(c => c.linkPrecedence === 'primary');
     const secondaryContacts = existingContacts.filter(c => c.linkPrecedence === 'secondary');
@@ -57,19 +334,24 @@ export class ContactService {
     const exactEmailMatch = existingContacts.find(c => c.email === email);
     const exactPhoneMatch = existingContacts.find(c => c.phoneNumber === phoneNumber);
 
-    // If we have an exact match for both email and phone, no new contact needed
-    if (exactEmailMatch && exactPhoneMatch && exactEmailMatch.id === exactPhoneMatch.id) {
+    // If the cluster holds multiple primary contacts, we need to merge them
+    if (primaryContacts.length > 1) {
+      const { primary, reasoning } = this.primarySelector.select(primaryContacts, existingContacts);
       return {
-        action: 'return_existing',
-        primaryContact: this.findPrimaryInChain(exactEmailMatch, existingContacts)
+        action: 'merge_primaries',
+        mainPrimary: primary,
+        primarySelection: reasoning,
+        primaryContacts: primaryContacts,
+        secondaryContacts: secondaryContacts
       };
     }
 
-    // If we have multiple primary contacts, we need to merge them
-    if (primaryContacts.length > 1) {
+    // If one contact already carries every incoming identifier, no new contact needed
+    if (exactEmailMatch && exactPhoneMatch && exactEmailMatch.id === exactPhoneMatch.id &&
+        extended.every(identifier => this.carries(exactEmailMatch, identifier))) {
       return {
-        action: 'merge_primaries',
-        primaryContacts: primaryContacts,
+        action: 'return_existing',
+        primaryContact: this.findPrimaryInChain(exactEmailMatch, existingContacts),
         secondaryContacts: secondaryContacts
       };
     }
@@ -79,7 +361,8 @@ export class ContactService {
       return {
         action: 'create_secondary',
         primaryContact: primaryContacts[0],
-        needsNewInfo: this.determineNewInfo(existingContacts, email, phoneNumber)
+        secondaryContacts: secondaryContacts,
+        needsNewInfo: this.determineNewInfo(existingContacts, email, phoneNumber, extended)
       };
     }
 
@@ -89,7 +372,7 @@ export class ContactService {
       return {
         action: 'link_to_existing_primary',
         primaryId: primaryId,
-        needsNewInfo: this.determineNewInfo(existingContacts, email, phoneNumber)
+        needsNewInfo: this.determineNewInfo(existingContacts, email, phoneNumber, extended)
       };
     }
 
@@ -103,45 +386,53 @@ export class ContactService {
    * Find the primary contact in a chain of linked contacts
    */
   findPrimaryInChain(contact, allContacts) {
-    if (contact.linkPrecedence === 'primary') {
-      return contact;
+    const visited = new Set();
+    let current = contact;
+
+    // Legacy merges could leave secondaries pointing at other secondaries, so follow the whole chain
+    while (current && current.linkPrecedence !== 'primary' && !visited.has(current.id)) {
+      visited.add(current.id);
+      current = allContacts.find(c => c.id === current.linkedId);
     }
-    
-    return allContacts.find(c => c.id === contact.linkedId && c.linkPrecedence === 'primary');
+
+    return current && current.linkPrecedence === 'primary' ? current : undefined;
   }
 
   /**
    * Determine what new information needs to be stored
    */
-  determineNewInfo(existingContacts, email, phoneNumber) {
+  determineNewInfo(existingContacts, email, phoneNumber, extended = []) {
     const existingEmails = existingContacts.map(c => c.email).filter(Boolean);
     const existingPhones = existingContacts.map(c => c.phoneNumber).filter(Boolean);
 
     return {
       needsEmail: email && !existingEmails.includes(email),
-      needsPhone: phoneNumber && !existingPhones.includes(phoneNumber)
+      needsPhone: phoneNumber && !existingPhones.includes(phoneNumber),
+      newIdentifiers: extended.filter(identifier => !existingContacts.some(c => this.carries(c, identifier)))
     };
   }
 
   /**
    * Execute the consolidation plan
    */
-  async executeConsolidation(plan, email, phoneNumber) {
+  async executeConsolidation(plan, email, phoneNumber, raw = {}, extended = []) {
     switch (plan.action) {
       case 'return_existing':
+        await this.repointSecondaries(plan.primaryContact.id, plan.secondaryContacts);
         return this.buildResponse(plan.primaryContact.id);
 
       case 'merge_primaries':
-        return this.mergePrimaryContacts(plan.primaryContacts, plan.secondaryContacts, email, phoneNumber);
+        return this.mergePrimaryContacts(plan.mainPrimary, plan.primaryContacts, plan.secondaryContacts, email, phoneNumber, raw, extended);
 
       case 'create_secondary':
-        return this.createSecondaryContact(plan.primaryContact, plan.needsNewInfo, email, phoneNumber);
+        await this.repointSecondaries(plan.primaryContact.id, plan.secondaryContacts);
+        return this.createSecondaryContact(plan.primaryContact, plan.needsNewInfo, email, phoneNumber, raw);
 
       case 'link_to_existing_primary':
-        return this.linkToExistingPrimary(plan.primaryId, plan.needsNewInfo, email, phoneNumber);
+        return this.linkToExistingPrimary(plan.primaryId, plan.needsNewInfo, email, phoneNumber, raw);
 
       case 'create_new_primary':
-        return this.createNewPrimaryContact(email, phoneNumber);
+        return this.createNewPrimaryContact(email, phoneNumber, raw, extended);
 
       default:
         throw new Error('Unknown consolidation action');
@@ -149,96 +440,759 @@ export class ContactService {
   }
 
   /**
-   * Merge multiple primary contacts into one
+   * Merge multiple primary contacts into the one the primary selection policy chose
    */
-  async mergePrimaryContacts(primaryContacts, secondaryContacts, email, phoneNumber) {
-    // Keep the oldest primary contact as the main primary
-    const mainPrimary = primaryContacts.reduce((oldest, current) => 
-      new Date(current.createdAt) < new Date(oldest.createdAt) ? current : oldest
-    );
-
-    // Convert other primaries to secondaries
+  async mergePrimaryContacts(mainPrimary, primaryContacts, secondaryContacts, email, phoneNumber, raw = {}, extended = []) {
+    // Convert other primaries to secondaries, carrying over any split history
     for (const primary of primaryContacts) {
       if (primary.id !== mainPrimary.id) {
         await this.db.updateContactLink(primary.id, mainPrimary.id, 'secondary');
+        await this.db.reassignSeparations(primary.id, mainPrimary.id);
       }
     }
 
     // Update all existing secondaries to point to the main primary
-    for (const secondary of secondaryContacts) {
-      if (secondary.linkedId !== mainPrimary.id) {
-        await this.db.updateContactLink(secondary.id, mainPrimary.id, 'secondary');
-      }
-    }
+    await this.repointSecondaries(mainPrimary.id, secondaryContacts);
 
     // Check if we need to create a new secondary for new information
     const allContacts = [...primaryContacts, ...secondaryContacts];
-    const needsNewInfo = this.determineNewInfo(allContacts, email, phoneNumber);
-
-    if (needsNewInfo.needsEmail || needsNewInfo.needsPhone) {
-      await this.db.createContact(
-        needsNewInfo.needsEmail ? email : null,
-        needsNewInfo.needsPhone ? phoneNumber : null,
-        mainPrimary.id,
-        'secondary'
-      );
-    }
+    const needsNewInfo = this.determineNewInfo(allContacts, email, phoneNumber, extended);
+    await this.storeNewInfo(mainPrimary.id, needsNewInfo, email, phoneNumber, raw);
 
     return this.buildResponse(mainPrimary.id);
   }
 
   /**
-   * Create a secondary contact linked to an existing primary
+   * Point every secondary in the cluster straight at the surviving primary
    */
-  async createSecondaryContact(primaryContact, needsNewInfo, email, phoneNumber) {
-    if (needsNewInfo.needsEmail || needsNewInfo.needsPhone) {
-      await this.db.createContact(
-        needsNewInfo.needsEmail ? email : null,
-        needsNewInfo.needsPhone ? phoneNumber : null,
-        primaryContact.id,
-        'secondary'
-      );
+  async repointSecondaries(primaryId, secondaryContacts) {
+    for (const secondary of secondaryContacts) {
+      if (secondary.linkedId !== primaryId) {
+        await this.db.updateContactLink(secondary.id, primaryId, 'secondary');
+      }
     }
+  }
 
+  /**
+   * Create a secondary contact linked to an existing primary
+   */
+  async createSecondaryContact(primaryContact, needsNewInfo, email, phoneNumber, raw = {}) {
+    await this.storeNewInfo(primaryContact.id, needsNewInfo, email, phoneNumber, raw);
     return this.buildResponse(primaryContact.id);
   }
 
   /**
    * Link new information to an existing primary contact
    */
-  async linkToExistingPrimary(primaryId, needsNewInfo, email, phoneNumber) {
-    if (needsNewInfo.needsEmail || needsNewInfo.needsPhone) {
-      await this.db.createContact(
-        needsNewInfo.needsEmail ? email : null,
-        needsNewInfo.needsPhone ? phoneNumber : null,
-        primaryId,
-        'secondary'
+  async linkToExistingPrimary(primaryId, needsNewInfo, email, phoneNumber, raw = {}) {
+    await this.storeNewInfo(primaryId, needsNewInfo, email, phoneNumber, raw);
+    return this.buildResponse(primaryId);
+  }
+
+  /**
+   * Store whatever the cluster didn't know yet as a new secondary contact
+   */
+  async storeNewInfo(primaryId, needsNewInfo, email, phoneNumber, raw = {}) {
+    const newIdentifiers = needsNewInfo.newIdentifiers || [];
+    if (!needsNewInfo.needsEmail && !needsNewInfo.needsPhone && newIdentifiers.length === 0) {
+      return;
+    }
+
+    const secondary = await this.db.createContact(
+      needsNewInfo.needsEmail ? email : null,
+      needsNewInfo.needsPhone ? phoneNumber : null,
+      primaryId,
+      'secondary',
+      raw
+    );
+    await this.db.addContactIdentifiers(secondary.id, newIdentifiers);
+  }
+
+  /**
+   * Merge whole clusters by their primaries - the survivor is picked by the primary selection policy, as in any other merge
+   * Used when a reviewer confirms two clusters are the same person
+   */
+  async mergeClusters(primaryIds, action = 'merge_duplicates') {
+    return this.db.transaction(async () => {
+      const clusterContacts = [];
+
+      for (const primaryId of new Set(primaryIds)) {
+        const primary = await this.db.getContactById(primaryId);
+        if (!primary || primary.linkPrecedence !== 'primary') {
+          throw new CustomError(`Contact ${primaryId} is not an active primary`, 409, 'NOT_A_PRIMARY');
+        }
+
+        clusterContacts.push(...await this.db.getLinkedContacts(primaryId));
+      }
+
+      const primaryContacts = clusterContacts.filter(c => c.linkPrecedence === 'primary');
+      const secondaryContacts = clusterContacts.filter(c => c.linkPrecedence === 'secondary');
+      const { primary, reasoning } = this.primarySelector.select(primaryContacts, await this.withIdentifiers(clusterContacts));
+
+      const result = await this.mergePrimaryContacts(primary, primaryContacts, secondaryContacts, null, null);
+      await this.recordAudit(action, {}, clusterContacts, [result.primaryContactId], reasoning);
+      await this.publishLifecycleEvents(clusterContacts, result);
+      return result;
+    });
+  }
+
+  /**
+   * Detach a contact (or a chosen group of contacts) from its cluster
+   * Both halves get their own primary and are recorded as separated so a shared identifier can't re-merge them
+   */
+  async unlinkContacts(contactId, contactIds = []) {
+    return this.db.transaction(async () => {
+      const contact = await this.db.getContactById(contactId);
+      if (!contact) {
+        throw new CustomError('Contact not found', 404, 'CONTACT_NOT_FOUND');
+      }
+
+      const primaryId = contact.linkPrecedence === 'primary' ? contact.id : contact.linkedId;
+      const clusterContacts = await this.db.getLinkedContacts(primaryId);
+
+      const detachIds = new Set([contactId, ...contactIds]);
+      const detached = clusterContacts.filter(c => detachIds.has(c.id));
+      const remaining = clusterContacts.filter(c => !detachIds.has(c.id));
+
+      if (detached.length !== detachIds.size) {
+        throw new CustomError('All contacts must belong to the same cluster', 400, 'CONTACT_NOT_IN_CLUSTER');
+      }
+
+      if (remaining.length === 0) {
+        throw new CustomError('Cannot unlink an entire cluster from itself', 400, 'NOTHING_TO_UNLINK');
+      }
+
+      const remainingPrimaryId = await this.promoteGroup(remaining);
+      const detachedPrimaryId = await this.promoteGroup(detached);
+      await this.db.createSeparation(remainingPrimaryId, detachedPrimaryId);
+      await this.recordAudit('unlink', {}, clusterContacts, [remainingPrimaryId, detachedPrimaryId]);
+
+      return {
+        detached: await this.buildResponse(detachedPrimaryId),
+        remaining: await this.buildResponse(remainingPrimaryId)
+      };
+    });
+  }
+
+  /**
+   * Make a group of contacts a cluster of its own
+   * Keeps the current primary if the group has one, otherwise promotes the oldest contact
+   */
+  async promoteGroup(contacts) {
+    const sorted = [...contacts].sort((a, b) =>
+      new Date(a.createdAt) - new Date(b.createdAt) || a.id - b.id
+    );
+    const newPrimary = sorted.find(c => c.linkPrecedence === 'primary') || sorted[0];
+
+    if (newPrimary.linkPrecedence !== 'primary') {
+      await this.db.updateContactLink(newPrimary.id, null, 'primary');
+    }
+
+    for (const contact of sorted) {
+      if (contact.id !== newPrimary.id && contact.linkedId !== newPrimary.id) {
+        await this.db.updateContactLink(contact.id, newPrimary.id, 'secondary');
+      }
+    }
+
+    return newPrimary.id;
+  }
+
+  /**
+   * Read-only cluster lookup by any contact id (secondary ids resolve to their primary)
+   * Every lookup takes { asOf } to rebuild the cluster as it was linked at that time
+   */
+  async getCluster(contactId, { asOf = null } = {}) {
+    const at = this.parseAsOf(asOf);
+    const contact = at ? await this.getContactAsOf(contactId, at) : await this.db.getContactById(contactId);
+    if (!contact) {
+      throw new CustomError('Contact not found', 404, 'CONTACT_NOT_FOUND');
+    }
+
+    return this.buildResponse(await this.resolvePrimaryId(contact, at), at);
+  }
+
+  /**
+   * Read-only cluster lookup by email
+   */
+  async findClusterByEmail(email, { asOf = null } = {}) {
+    const at = this.parseAsOf(asOf);
+    const identifier = { type: 'email', value: this.normalizer.normalizeEmail(email) };
+    return this.lookupCluster(identifier, at, () => this.db.findContactsByEmailOrPhone(identifier.value, null));
+  }
+
+  /**
+   * Read-only cluster lookup by phone number
+   * A phone shared by split clusters resolves to the oldest one, matching what /identify would anchor on
+   */
+  async findClusterByPhoneNumber(phoneNumber, { asOf = null } = {}) {
+    const at = this.parseAsOf(asOf);
+    const identifier = { type: 'phoneNumber', value: this.normalizer.normalizePhoneNumber(phoneNumber) };
+    return this.lookupCluster(identifier, at, () => this.db.findContactsByEmailOrPhone(null, identifier.value));
+  }
+
+  /**
+   * Read-only cluster lookup by any identifier type
+   */
+  async findClusterByIdentifier(type, value, options = {}) {
+    if (type === 'email') {
+      return this.findClusterByEmail(value, options);
+    }
+
+    if (type === 'phoneNumber') {
+      return this.findClusterByPhoneNumber(value, options);
+    }
+
+    const at = this.parseAsOf(options.asOf);
+    const identifier = { type, value: this.normalizer.normalizeIdentifier(type, value) };
+    return this.lookupCluster(identifier, at, () => this.db.findContactsByIdentifiers([identifier]));
+  }
+
+  /**
+   * The cluster of the oldest contact carrying an identifier (of those found by findContacts)
+   * Current lookups are answered from the cluster cache while the entry they were last answered from lives
+   */
+  async lookupCluster(identifier, asOf, findContacts) {
+    const cache = asOf ? null : this.clusterCache;
+    const cached = cache && await cache.findByIdentifier(this.db.tenantId, identifier);
+    if (cached) {
+      return cached;
+    }
+
+    const generation = cache?.generation;
+    const contact = await this.firstContactAsOf(await findContacts(), asOf);
+    if (!contact) {
+      throw new CustomError('Contact not found', 404, 'CONTACT_NOT_FOUND');
+    }
+
+    const primaryId = await this.resolvePrimaryId(contact, asOf);
+    if (!cache) {
+      return this.buildResponse(primaryId, asOf);
+    }
+
+    const entry = await cache.getCluster(this.db.tenantId, primaryId, () => this.loadCluster(primaryId));
+    await cache.rememberIdentifier(this.db.tenantId, identifier, { primaryId, stamp: entry.stamp }, generation);
+    return entry.cluster;
+  }
+
+  /**
+   * asOf as a storage timestamp (second resolution, UTC) - a bare date means the start of that day
+   */
+  parseAsOf(asOf) {
+    if (asOf === null || asOf === undefined || asOf === '') {
+      return null;
+    }
+
+    const date = new Date(asOf);
+    if (Number.isNaN(date.getTime())) {
+      throw new CustomError('asOf must be a valid date', 400, 'VALIDATION_ERROR');
+    }
+
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  /**
+   * A contact linked the way it was at asOf - undefined if it didn't exist yet (or has been erased since)
+   */
+  async getContactAsOf(contactId, asOf) {
+    return (await this.db.getLinkedContacts(contactId, asOf)).find(c => c.id === contactId);
+  }
+
+  /**
+   * The oldest of the matching contacts, or with asOf the oldest that already existed then
+   */
+  async firstContactAsOf(contacts, asOf) {
+    if (!asOf) {
+      return contacts[0];
+    }
+
+    for (const contact of contacts) {
+      const past = await this.getContactAsOf(contact.id, asOf);
+      if (past) {
+        return past;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Follow linkedId up to the primary without writing anything
+   */
+  async resolvePrimaryId(contact, asOf = null) {
+    const visited = new Set();
+    let current = contact;
+
+    while (current.linkPrecedence !== 'primary' && current.linkedId && !visited.has(current.id)) {
+      visited.add(current.id);
+      const parent = asOf ? await this.getContactAsOf(current.linkedId, asOf) : await this.db.getContactById(current.linkedId);
+      if (!parent) {
+        break;
+      }
+      current = parent;
+    }
+
+    return current.id;
+  }
+
+  /**
+   * Right-to-erasure for a whole cluster: soft-deletes every contact and tombstones every identifier
+   */
+  async eraseCluster(contactId) {
+    return this.db.transaction(async () => {
+      const contact = await this.db.getContactById(contactId);
+      if (!contact) {
+        throw new CustomError('Contact not found', 404, 'CONTACT_NOT_FOUND');
+      }
+
+      const clusterContacts = await this.withIdentifiers(await this.db.getLinkedContacts(await this.resolvePrimaryId(contact)));
+
+      for (const member of clusterContacts) {
+        await this.recordTombstones(member.email, member.phoneNumber, member.identifiers);
+      }
+      await this.db.softDeleteContacts(clusterContacts.map(c => c.id));
+      await this.recordAudit('erase_cluster', {}, clusterContacts, []);
+
+      return {
+        erasedContactIds: clusterContacts.map(c => c.id)
+      };
+    });
+  }
+
+  /**
+   * Right-to-erasure for a single email or phone number
+   * Contacts carrying it are soft-deleted; anything else they carried is kept on a replacement contact,
+   * and clusters that lose their primary are re-homed under a new one
+   */
+  async eraseIdentifier(rawEmail, rawPhoneNumber) {
+    return this.db.transaction(async () => {
+      const { email, phoneNumber } = this.normalizer.normalize(rawEmail, rawPhoneNumber);
+      const matches = await this.withIdentifiers(await this.db.findContactsByEmailOrPhone(email, phoneNumber));
+
+      if (matches.length === 0) {
+        throw new CustomError('Contact not found', 404, 'CONTACT_NOT_FOUND');
+      }
+
+      await this.recordTombstones(email, phoneNumber);
+
+      const primaryIds = new Map();
+      for (const contact of matches) {
+        primaryIds.set(contact.id, await this.resolvePrimaryId(contact));
+      }
+
+      const affectedContacts = [];
+      for (const primaryId of new Set(primaryIds.values())) {
+        affectedContacts.push(...await this.db.getLinkedContacts(primaryId));
+      }
+
+      await this.db.softDeleteContacts(matches.map(c => c.id));
+
+      for (const contact of matches) {
+        const keptEmail = contact.email && contact.email !== email ? contact.email : null;
+        const keptPhoneNumber = contact.phoneNumber && contact.phoneNumber !== phoneNumber ? contact.phoneNumber : null;
+
+        if (keptEmail || keptPhoneNumber || contact.identifiers.length > 0) {
+          const replacement = await this.db.createContact(keptEmail, keptPhoneNumber, primaryIds.get(contact.id), 'secondary', {
+            email: contact.rawEmail,
+            phoneNumber: contact.rawPhoneNumber
+          });
+          await this.db.addContactIdentifiers(replacement.id, contact.identifiers);
+        }
+      }
+
+      const survivingPrimaryIds = new Set();
+      for (const primaryId of new Set(primaryIds.values())) {
+        const survivingPrimaryId = await this.rehomeCluster(primaryId);
+        if (survivingPrimaryId) {
+          survivingPrimaryIds.add(survivingPrimaryId);
+        }
+      }
+
+      // The erased identifier itself is deliberately left out of the audit trail
+      await this.recordAudit('erase_identifier', {}, affectedContacts, [...survivingPrimaryIds]);
+
+      const contacts = [];
+      for (const primaryId of survivingPrimaryIds) {
+        contacts.push(await this.buildResponse(primaryId));
+      }
+
+      return {
+        erasedContactIds: matches.map(c => c.id),
+        contacts
+      };
+    });
+  }
+
+  /**
+   * Promote a new primary for secondaries left behind by a deleted primary
+   * Returns the cluster's primary id, or null when nothing is left of it
+   */
+  async rehomeCluster(primaryId) {
+    if (await this.db.getContactById(primaryId)) {
+      return primaryId;
+    }
+
+    const orphans = await this.db.getLinkedContacts(primaryId);
+    if (orphans.length === 0) {
+      return null;
+    }
+
+    const newPrimaryId = await this.promoteGroup(orphans);
+    await this.db.reassignSeparations(primaryId, newPrimaryId);
+    return newPrimaryId;
+  }
+
+  /**
+   * Hard-purge PII from contacts erased more than graceDays ago
+   */
+  async purgeErasedContacts(graceDays = Number(process.env.ERASURE_GRACE_DAYS || 30)) {
+    const result = await this.db.purgeDeletedContacts(graceDays);
+    return { purgedContacts: result.changes };
+  }
+
+  /**
+   * Tombstone erased identifiers by hash so no PII is needed to recognize them later
+   */
+  async recordTombstones(email, phoneNumber, extended = []) {
+    for (const { type, value } of this.identifiersOf({ email, phoneNumber, identifiers: extended })) {
+      await this.db.createTombstone(type, this.hashIdentifier(type, value));
+    }
+  }
+
+  async assertNotErased(email, phoneNumber, extended = []) {
+    for (const { type, value } of this.identifiersOf({ email, phoneNumber, identifiers: extended })) {
+      if (await this.db.findTombstone(type, this.hashIdentifier(type, value))) {
+        throw new CustomError('Identity has been erased', 410, 'IDENTITY_ERASED');
+      }
+    }
+  }
+
+  hashIdentifier(type, value) {
+    return crypto
+      .createHmac('sha256', ContactService.erasureHashSecret())
+      .update(`${type}:${value}`)
+      .digest('hex');
+  }
+
+  /**
+   * Key of the tombstone hashes - there is no default, since anyone knowing the key can test guesses against them
+   */
+  static erasureHashSecret() {
+    if (!process.env.ERASURE_HASH_SECRET) {
+      throw new CustomError(
+        'ERASURE_HASH_SECRET must be set - it keys the hashes erased identifiers are remembered by',
+        500,
+        'ERASURE_SECRET_MISSING'
       );
     }
 
-    return this.buildResponse(primaryId);
+    return process.env.ERASURE_HASH_SECRET;
+  }
+
+  /**
+   * Append an audit entry for every contact whose link changed during an operation
+   * Compares the contacts as they were before with the resulting clusters; contacts that left every
+   * resulting cluster (erased) are recorded with a null linkPrecedence. details (e.g. why a merge kept
+   * its primary) is stored with the operation.
+   */
+  async recordAudit(action, trigger, beforeContacts, primaryIds, details = null) {
+    const before = new Map(beforeContacts.map(c => [c.id, c]));
+    const after = new Map();
+
+    for (const primaryId of primaryIds) {
+      for (const contact of await this.db.getLinkedContacts(primaryId)) {
+        after.set(contact.id, contact);
+      }
+    }
+
+    const rootOf = (contact) => contact.linkPrecedence === 'primary' ? contact.id : contact.linkedId;
+    const entries = [];
+
+    for (const contact of after.values()) {
+      const previous = before.get(contact.id);
+      if (previous && previous.linkedId === contact.linkedId && previous.linkPrecedence === contact.linkPrecedence) {
+        continue;
+      }
+
+      entries.push({
+        contactId: contact.id,
+        primaryId: rootOf(contact),
+        previousLinkedId: previous ? previous.linkedId : null,
+        linkedId: contact.linkedId,
+        previousPrecedence: previous ? previous.linkPrecedence : null,
+        linkPrecedence: contact.linkPrecedence
+      });
+    }
+
+    for (const previous of before.values()) {
+      if (!after.has(previous.id)) {
+        entries.push({
+          contactId: previous.id,
+          primaryId: rootOf(previous),
+          previousLinkedId: previous.linkedId,
+          linkedId: null,
+          previousPrecedence: previous.linkPrecedence,
+          linkPrecedence: null
+        });
+      }
+    }
+
+    // Operations that changed nothing (return_existing) are still recorded against the primary
+    if (entries.length === 0 && primaryIds.length > 0) {
+      const primary = after.get(primaryIds[0]);
+      entries.push({
+        contactId: primary.id,
+        primaryId: primary.id,
+        previousLinkedId: primary.linkedId,
+        linkedId: primary.linkedId,
+        previousPrecedence: primary.linkPrecedence,
+        linkPrecedence: primary.linkPrecedence
+      });
+    }
+
+    await this.db.createAuditEntries(
+      crypto.randomUUID(), action, trigger, entries, details ? JSON.stringify(details) : null, RequestContext.requestId
+    );
+
+    if (this.metrics) {
+      this.metrics.countOperation(action);
+    }
+  }
+
+  /**
+   * Queue webhook events for what a reconciliation changed: primaries merged away, then secondaries added
+   * Written to the outbox in the same transaction as the change itself
+   */
+  async publishLifecycleEvents(beforeContacts, cluster) {
+    const { primaryContactId } = cluster;
+    const mergedPrimaryContactIds = beforeContacts
+      .filter(c => c.linkPrecedence === 'primary' && c.id !== primaryContactId)
+      .map(c => c.id);
+
+    if (mergedPrimaryContactIds.length > 0) {
+      await this.webhooks.publish('contacts.merged', { primaryContactId, mergedPrimaryContactIds, contact: cluster });
+    }
+
+    const beforeIds = new Set(beforeContacts.map(c => c.id));
+    for (const contactId of cluster.secondaryContactIds.filter(id => !beforeIds.has(id))) {
+      await this.webhooks.publish('contact.linked', { primaryContactId, contactId, contact: cluster });
+    }
+  }
+
+  /**
+   * Timeline of every operation that shaped the cluster a contact belongs to
+   */
+  async getClusterHistory(contactId) {
+    const contact = await this.db.getContactById(contactId);
+    if (!contact) {
+      throw new CustomError('Contact not found', 404, 'CONTACT_NOT_FOUND');
+    }
+
+    const primaryContactId = await this.resolvePrimaryId(contact);
+    const clusterContacts = await this.db.getLinkedContacts(primaryContactId);
+    const auditEntries = await this.db.getAuditHistory(clusterContacts.map(c => c.id));
+
+    const operations = new Map();
+    for (const entry of auditEntries) {
+      if (!operations.has(entry.operationId)) {
+        operations.set(entry.operationId, {
+          operationId: entry.operationId,
+          action: entry.action,
+          trigger: {
+            email: entry.triggerEmail,
+            phoneNumber: entry.triggerPhoneNumber
+          },
+          details: entry.details ? JSON.parse(entry.details) : null,
+          requestId: entry.requestId ?? null,
+          createdAt: entry.createdAt,
+          changes: []
+        });
+      }
+
+      operations.get(entry.operationId).changes.push({
+        contactId: entry.contactId,
+        primaryId: entry.primaryId,
+        previousLinkedId: entry.previousLinkedId,
+        linkedId: entry.linkedId,
+        previousPrecedence: entry.previousPrecedence,
+        linkPrecedence: entry.linkPrecedence
+      });
+    }
+
+    return {
+      primaryContactId,
+      history: [...operations.values()]
+    };
   }
 
   /**
    * Build the final response with all consolidated contact information
+   * asOf (a storage timestamp) builds it from the links valid at that time; current clusters come through the cache
+   */
+  async buildResponse(primaryContactId, asOf = null) {
+    if (this.clusterCache && !asOf) {
+      const entry = await this.clusterCache.getCluster(this.db.tenantId, primaryContactId, () => this.loadCluster(primaryContactId));
+      return entry.cluster;
+    }
+
+    return this.loadCluster(primaryContactId, asOf);
+  }
+
+  async loadCluster(primaryContactId, asOf = null) {
+    const linkedContacts = await this.withIdentifiers(await this.db.getLinkedContacts(primaryContactId, asOf));
+    return this.summarizeCluster(primaryContactId, linkedContacts);
+  }
+
+  /**
+   * Flatten a cluster's contacts into the response shape
+   * emails/phoneNumbers stay for existing clients; identifiers groups every configured type's values
    */
-  async buildResponse(primaryContactId) {
-    const linkedContacts = await this.db.getLinkedContacts(primaryContactId);
-    
+  summarizeCluster(primaryContactId, linkedContacts) {
     const emails = [...new Set(linkedContacts.map(c => c.email).filter(Boolean))];
     const phoneNumbers = [...new Set(linkedContacts.map(c => c.phoneNumber).filter(Boolean))];
     const secondaryContactIds = linkedContacts
       .filter(c => c.linkPrecedence === 'secondary')
       .map(c => c.id);
 
+    const identifiers = Object.fromEntries(this.normalizer.allIdentifierTypes.map(type => [type, []]));
+    for (const contact of linkedContacts) {
+      for (const { type, value } of this.identifiersOf(contact)) {
+        identifiers[type] = identifiers[type] || [];
+        if (!identifiers[type].includes(value)) {
+          identifiers[type].push(value);
+        }
+      }
+    }
+
     return {
       primaryContactId,
       emails,
       phoneNumbers,
-      secondaryContactIds
+      secondaryContactIds,
+      identifiers
     };
   }
 
+  /**
+   * Load each contact's extended identifiers onto it as contact.identifiers ([{ type, value, rawValue }])
+   */
+  async withIdentifiers(contacts) {
+    const rows = await this.db.getContactIdentifiers(contacts.map(c => c.id));
+
+    return contacts.map(contact => ({
+      ...contact,
+      identifiers: rows
+        .filter(row => row.contactId === contact.id)
+        .map(({ type, value, rawValue }) => ({ type, value, rawValue }))
+    }));
+  }
+
+  /**
+   * Every identifier a contact carries, email and phone included
+   */
+  identifiersOf(contact) {
+    return [
+      ...(contact.email ? [{ type: 'email', value: contact.email }] : []),
+      ...(contact.phoneNumber ? [{ type: 'phoneNumber', value: contact.phoneNumber }] : []),
+      ...(contact.identifiers || [])
+    ];
+  }
+
+  carries(contact, identifier) {
+    return this.identifiersOf(contact).some(i => i.type === identifier.type && i.value === identifier.value);
+  }
+
+  uniqueContacts(contacts) {
+    return [...new Map(contacts.map(c => [c.id, c])).values()];
+  }
+
+  /**
+   * Stream every cluster in the response shape plus timestamps and status 'active', one page of primaries at a time
+   * updatedSince keeps only clusters where any member (including erased ones) changed at or after that time, and then
+   * adds a record for each cluster that stopped existing since: status 'deleted', or 'merged' with the primary it
+   * was merged into - so an incremental extract can drop or re-point what it loaded before
+   */
+  async *exportClusters({ updatedSince = null, pageSize = 500 } = {}) {
+    let afterId = 0;
+
+    while (true) {
+      const primaryIds = await this.db.getPrimaryContactIds({ updatedSince, afterId, limit: pageSize });
+
+      for (const primaryContactId of primaryIds) {
+        const linkedContacts = await this.withIdentifiers(await this.db.getLinkedContacts(primaryContactId));
+        const primary = linkedContacts.find(c => c.id === primaryContactId);
+
+        yield {
+          ...this.summarizeCluster(primaryContactId, linkedContacts),
+          status: 'active',
+          createdAt: primary.createdAt,
+          updatedAt: linkedContacts.map(c => c.updatedAt).sort().pop()
+        };
+      }
+
+      if (primaryIds.length < pageSize) {
+        break;
+      }
+      afterId = primaryIds[primaryIds.length - 1];
+    }
+
+    if (!updatedSince) {
+      return;
+    }
+
+    afterId = 0;
+    while (true) {
+      const retired = await this.db.getRetiredPrimaries({ updatedSince, afterId, limit: pageSize });
+
+      for (const contact of retired) {
+        const merged = contact.linkPrecedence === 'secondary';
+
+        yield {
+          primaryContactId: contact.id,
+          status: merged ? 'merged' : 'deleted',
+          mergedIntoPrimaryContactId: merged ? contact.linkedId : null,
+          updatedAt: merged ? contact.updatedAt : contact.deletedAt
+        };
+      }
+
+      if (retired.length < pageSize) {
+        return;
+      }
+      afterId = retired[retired.length - 1].id;
+    }
+  }
+
+  /**
+   * One page of clusters in primary id order - the page after afterId, and whether another follows it
+   */
+  async listClusters({ afterId = 0, limit = 50 } = {}) {
+    const primaryIds = await this.db.getPrimaryContactIds({ afterId, limit: limit + 1 });
+    const clusters = [];
+
+    for (const primaryContactId of primaryIds.slice(0, limit)) {
+      clusters.push(await this.buildResponse(primaryContactId));
+    }
+
+    return { clusters, hasMore: primaryIds.length > limit };
+  }
+
+  /**
+   * Every contact of a cluster with its link metadata and timestamps, primary last
+   */
+  async getClusterContacts(primaryContactId, asOf = null) {
+    const linkedContacts = await this.withIdentifiers(await this.db.getLinkedContacts(primaryContactId, asOf));
+
+    return linkedContacts.map(contact => ({
+      id: contact.id,
+      email: contact.email,
+      phoneNumber: contact.phoneNumber,
+      linkedId: contact.linkedId,
+      linkPrecedence: contact.linkPrecedence,
+      identifiers: (contact.identifiers || []).map(({ type, value }) => ({ type, value })),
+      createdAt: contact.createdAt,
+      updatedAt: contact.updatedAt
+    }));
+  }
+
   /**
    * Get database statistics for monitoring
    */
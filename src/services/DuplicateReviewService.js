@@ -0,0 +1,251 @@
+import { CustomError } from '../utils/CustomError.js';
+import { DuplicateScorer } from '../utils/DuplicateScorer.js';
+
+export const CANDIDATE_STATUSES = ['pending', 'accepted', 'rejected', 'auto_merged', 'stale'];
+
+/**
+ * DuplicateReviewService - Finds primaries that are probably the same person and queues them for review
+ * Only pairs scoring at least the review threshold are queued. Nothing merges without a reviewer
+ * unless an auto-merge threshold is configured and the pair scores at or above it.
+ */
+export class DuplicateReviewService {
+  constructor(databaseManager, contactService, logger, options = {}) {
+    this.db = databaseManager;
+    this.contactService = contactService;
+    this.logger = logger;
+    this.scorer = options.scorer || new DuplicateScorer();
+
+    const autoMergeThreshold = options.autoMergeThreshold ?? process.env.DUPLICATE_AUTO_MERGE_THRESHOLD;
+    this.options = {
+      reviewThreshold: Number(options.reviewThreshold ?? process.env.DUPLICATE_REVIEW_THRESHOLD ?? 0.6),
+      autoMergeThreshold: autoMergeThreshold === undefined || autoMergeThreshold === '' ? null : Number(autoMergeThreshold),
+      scanIntervalMs: options.scanIntervalMs ?? Number(process.env.DUPLICATE_SCAN_INTERVAL_MS || 60 * 60 * 1000),
+      // Buckets this large come from very common values (e.g. "info@") and would only produce noise
+      maxBucketSize: options.maxBucketSize ?? 50
+    };
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Scan each tenant on its own - clusters of different tenants are never compared
+   */
+  async scanAllTenants() {
+    const summaries = {};
+
+    for (const tenantId of await this.db.listTenants()) {
+      summaries[tenantId] = await this.db.withTenant(tenantId, () => this.scan());
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Score every pair of the current tenant's primaries sharing a blocking key and queue the likely duplicates
+   */
+  async scan() {
+    const clusters = [];
+    for await (const cluster of this.contactService.exportClusters()) {
+      clusters.push(cluster);
+    }
+
+    const buckets = new Map();
+    clusters.forEach((cluster, index) => {
+      for (const key of this.scorer.blockingKeys(cluster)) {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+      }
+    });
+
+    const pairs = new Set();
+    for (const members of buckets.values()) {
+      if (members.length < 2 || members.length > this.options.maxBucketSize) {
+        continue;
+      }
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          pairs.add(`${members[i]}:${members[j]}`);
+        }
+      }
+    }
+
+    const summary = { clustersScanned: clusters.length, candidatesQueued: 0, autoMerged: 0, staleCandidates: 0 };
+    const mergedAway = new Set();
+
+    for (const pair of pairs) {
+      const [a, b] = pair.split(':').map(index => clusters[Number(index)]);
+      const { score, reasons } = this.scorer.score(a, b);
+
+      if (score < this.options.reviewThreshold || mergedAway.has(a.primaryContactId) || mergedAway.has(b.primaryContactId)) {
+        continue;
+      }
+
+      const [primaryId, candidatePrimaryId] = [a.primaryContactId, b.primaryContactId].sort((x, y) => x - y);
+      if (await this.isSeparated(primaryId, candidatePrimaryId)) {
+        continue;
+      }
+
+      // Writes are queued behind running reconciliations, like every other write
+      const candidate = await this.db.transaction(() =>
+        this.db.createDuplicateCandidate(primaryId, candidatePrimaryId, score, JSON.stringify(reasons))
+      );
+      if (!candidate) {
+        continue;
+      }
+      summary.candidatesQueued++;
+
+      if (this.options.autoMergeThreshold !== null && score >= this.options.autoMergeThreshold) {
+        try {
+          const merged = await this.db.transaction(async () => {
+            const contact = await this.contactService.mergeClusters([primaryId, candidatePrimaryId], 'auto_merge_duplicates');
+            await this.db.updateDuplicateCandidate(candidate.id, 'auto_merged');
+            return contact;
+          });
+
+          mergedAway.add(primaryId === merged.primaryContactId ? candidatePrimaryId : primaryId);
+          summary.autoMerged++;
+        } catch (error) {
+          // A cluster changed since the scan started - leave the candidate for a reviewer
+          if (error.code !== 'NOT_A_PRIMARY') {
+            throw error;
+          }
+        }
+      }
+    }
+
+    summary.staleCandidates = await this.markStaleCandidates();
+    return summary;
+  }
+
+  /**
+   * Pending candidates whose clusters were merged or erased since they were queued can't be reviewed anymore
+   */
+  async markStaleCandidates() {
+    let stale = 0;
+
+    for (const candidate of await this.db.getDuplicateCandidates('pending', Number.MAX_SAFE_INTEGER)) {
+      if (!(await this.isActivePrimary(candidate.primaryId)) || !(await this.isActivePrimary(candidate.candidatePrimaryId))) {
+        await this.db.transaction(() => this.db.updateDuplicateCandidate(candidate.id, 'stale'));
+        stale++;
+      }
+    }
+
+    return stale;
+  }
+
+  async listCandidates(status = 'pending', limit = 100) {
+    if (!CANDIDATE_STATUSES.includes(status)) {
+      throw new CustomError(`status must be one of: ${CANDIDATE_STATUSES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+
+    return (await this.db.getDuplicateCandidates(status, limit)).map(c => this.describeCandidate(c));
+  }
+
+  /**
+   * Confirm a candidate - its two clusters are merged for real, audited and announced like any merge
+   */
+  async acceptCandidate(candidateId) {
+    const outcome = await this.db.transaction(async () => {
+      const candidate = await this.getPendingCandidate(candidateId);
+
+      if (!(await this.isActivePrimary(candidate.primaryId)) || !(await this.isActivePrimary(candidate.candidatePrimaryId))) {
+        await this.db.updateDuplicateCandidate(candidateId, 'stale');
+        return null;
+      }
+
+      const contact = await this.contactService.mergeClusters([candidate.primaryId, candidate.candidatePrimaryId]);
+      await this.db.updateDuplicateCandidate(candidateId, 'accepted');
+      return { candidate: this.describeCandidate(await this.db.getDuplicateCandidateById(candidateId)), contact };
+    });
+
+    if (!outcome) {
+      throw new CustomError('One of the candidate clusters has already been merged or erased', 409, 'CANDIDATE_STALE');
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Dismiss a candidate - the pair is never suggested again
+   */
+  async rejectCandidate(candidateId) {
+    return this.db.transaction(async () => {
+      await this.getPendingCandidate(candidateId);
+      await this.db.updateDuplicateCandidate(candidateId, 'rejected');
+      return this.describeCandidate(await this.db.getDuplicateCandidateById(candidateId));
+    });
+  }
+
+  async getPendingCandidate(candidateId) {
+    const candidate = await this.db.getDuplicateCandidateById(candidateId);
+
+    if (!candidate) {
+      throw new CustomError('Duplicate candidate not found', 404, 'CANDIDATE_NOT_FOUND');
+    }
+
+    if (candidate.status !== 'pending') {
+      throw new CustomError(`Duplicate candidate is already ${candidate.status}`, 409, 'CANDIDATE_NOT_PENDING');
+    }
+
+    return candidate;
+  }
+
+  async isActivePrimary(contactId) {
+    const contact = await this.db.getContactById(contactId);
+    return Boolean(contact && contact.linkPrecedence === 'primary');
+  }
+
+  /**
+   * Clusters support split apart on purpose are not duplicates
+   */
+  async isSeparated(primaryId, otherPrimaryId) {
+    const separations = await this.db.getSeparations([primaryId]);
+    return separations.some(s =>
+      (s.primaryId === primaryId && s.separatedPrimaryId === otherPrimaryId) ||
+      (s.primaryId === otherPrimaryId && s.separatedPrimaryId === primaryId)
+    );
+  }
+
+  describeCandidate(candidate) {
+    return {
+      id: candidate.id,
+      primaryContactIds: [candidate.primaryId, candidate.candidatePrimaryId],
+      score: candidate.score,
+      reasons: JSON.parse(candidate.reasons),
+      status: candidate.status,
+      createdAt: candidate.createdAt,
+      reviewedAt: candidate.reviewedAt
+    };
+  }
+
+  /**
+   * Rescan in the background every scanIntervalMs until stop() - 0 disables background scanning
+   */
+  start() {
+    if (this.timer || !this.options.scanIntervalMs) {
+      return;
+    }
+
+    const tick = async () => {
+      this.running = this.scanAllTenants()
+        .then(summaries => this.logger.log('Duplicate scan completed', { tenants: summaries }))
+        .catch(error => this.logger.logError('Duplicate scan failed', error));
+      await this.running;
+      this.running = null;
+
+      if (this.timer) {
+        this.timer = setTimeout(tick, this.options.scanIntervalMs);
+        this.timer.unref();
+      }
+    };
+
+    this.timer = setTimeout(tick, this.options.scanIntervalMs);
+    this.timer.unref();
+  }
+
+  async stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.running;
+  }
+}
@@ -0,0 +1,258 @@
+export const VIOLATION_TYPES = [
+  'SELF_LINK',
+  'PRIMARY_WITH_LINK',
+  'SECONDARY_WITHOUT_LINK',
+  'LINK_TO_MISSING',
+  'LINK_TO_DELETED',
+  'LINK_TO_SECONDARY',
+  'SHARED_IDENTIFIER'
+];
+
+/**
+ * IntegrityService - Scans a tenant's whole Contact table for broken cluster invariants
+ * Every live contact must be a primary without a link or a secondary pointing straight at a live primary,
+ * and no identifier may be shared by two clusters unless support separated them. repair() re-runs
+ * reconciliation over each connected component holding a violation: one primary is kept by the primary
+ * selection policy and everything else is linked to it, audited as "repair".
+ */
+export class IntegrityService {
+  constructor(databaseManager, contactService, options = {}) {
+    this.db = databaseManager;
+    this.contactService = contactService;
+    this.pageSize = options.pageSize ?? 500;
+  }
+
+  /**
+   * Report every violation of the current tenant - nothing is written
+   */
+  async check() {
+    const scan = await this.scan();
+    return { contactsScanned: scan.contactsScanned, violations: scan.violations };
+  }
+
+  /**
+   * Check, then merge each affected component into one cluster - one transaction per component
+   */
+  async repair() {
+    const scan = await this.scan();
+    const repairs = [];
+
+    for (const component of this.affectedComponents(scan)) {
+      const repaired = await this.db.transaction(() => this.repairComponent(component.contactIds, component.violations));
+      if (repaired) {
+        repairs.push(repaired);
+      }
+    }
+
+    return { contactsScanned: scan.contactsScanned, violations: scan.violations, repairs };
+  }
+
+  /**
+   * Read the table a page at a time - identifiers and separations are loaded per page too
+   */
+  async scan() {
+    const all = new Map();
+    const contacts = [];
+    const separated = new Set();
+    let afterId = 0;
+
+    while (true) {
+      const page = await this.db.getContactsPage({ afterId, limit: this.pageSize });
+      const live = page.filter(c => !c.deletedAt);
+
+      page.forEach(contact => all.set(contact.id, contact));
+      contacts.push(...await this.contactService.withIdentifiers(live));
+      for (const s of await this.db.getSeparations(live.map(c => c.id))) {
+        separated.add(`${s.primaryId}:${s.separatedPrimaryId}`);
+      }
+
+      if (page.length < this.pageSize) {
+        break;
+      }
+      afterId = page[page.length - 1].id;
+    }
+
+    const violations = [
+      ...this.findLinkViolations(contacts, all),
+      ...this.findSharedIdentifiers(contacts, all, separated)
+    ];
+
+    return { contactsScanned: all.size, contacts, all, separated, violations };
+  }
+
+  findLinkViolations(contacts, all) {
+    const violations = [];
+    const report = (type, contact, message) => violations.push({ type, contactIds: [contact.id], message });
+
+    for (const contact of contacts) {
+      if (contact.linkedId === contact.id) {
+        report('SELF_LINK', contact, `Contact ${contact.id} is linked to itself`);
+      } else if (contact.linkPrecedence === 'primary' && contact.linkedId !== null) {
+        report('PRIMARY_WITH_LINK', contact, `Primary ${contact.id} is linked to ${contact.linkedId}`);
+      } else if (contact.linkPrecedence === 'secondary' && contact.linkedId === null) {
+        report('SECONDARY_WITHOUT_LINK', contact, `Secondary ${contact.id} has no primary`);
+      } else if (contact.linkedId !== null && !all.has(contact.linkedId)) {
+        report('LINK_TO_MISSING', contact, `Contact ${contact.id} is linked to missing contact ${contact.linkedId}`);
+      } else if (contact.linkedId !== null && all.get(contact.linkedId).deletedAt) {
+        report('LINK_TO_DELETED', contact, `Contact ${contact.id} is linked to deleted contact ${contact.linkedId}`);
+      } else if (contact.linkedId !== null && all.get(contact.linkedId).linkPrecedence !== 'primary') {
+        report('LINK_TO_SECONDARY', contact, `Contact ${contact.id} is linked to secondary ${contact.linkedId}`);
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * One violation per identifier carried by more than one cluster - contacts with broken links count as
+   * their own cluster, since they are already reported above
+   */
+  findSharedIdentifiers(contacts, all, separated) {
+    const holders = new Map();
+
+    for (const contact of contacts) {
+      for (const { type, value } of this.contactService.identifiersOf(contact)) {
+        const key = `${type}:${value}`;
+        if (!holders.has(key)) holders.set(key, { type, contacts: [] });
+        holders.get(key).contacts.push(contact);
+      }
+    }
+
+    const violations = [];
+    for (const { type, contacts: sharing } of holders.values()) {
+      const rootIds = [...new Set(sharing.map(c => this.rootOf(c, all)))].sort((a, b) => a - b);
+      const together = rootIds.some((a, i) => rootIds.slice(i + 1).some(b => !this.isSeparated(separated, a, b)));
+
+      if (together) {
+        violations.push({
+          type: 'SHARED_IDENTIFIER',
+          contactIds: sharing.map(c => c.id).sort((a, b) => a - b),
+          primaryIds: rootIds,
+          // The value itself stays out of reports, they end up in logs
+          message: `${rootIds.length} clusters share one ${type}`
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Group the live contacts linked to or sharing identifiers with each other, keeping separated clusters apart,
+   * and return the groups that hold a violation
+   */
+  affectedComponents({ contacts, all, separated, violations }) {
+    const parent = new Map(contacts.map(c => [c.id, c.id]));
+    const roots = new Map(contacts.map(c => [c.id, new Set([this.rootOf(c, all)])]));
+    const find = (id) => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+    const union = (a, b) => {
+      const [rootA, rootB] = [find(a), find(b)];
+      if (rootA === rootB) {
+        return;
+      }
+      for (const x of roots.get(rootA)) {
+        for (const y of roots.get(rootB)) {
+          if (this.isSeparated(separated, x, y)) return;
+        }
+      }
+      parent.set(rootB, rootA);
+      roots.get(rootB).forEach(id => roots.get(rootA).add(id));
+    };
+
+    for (const contact of contacts) {
+      if (contact.linkedId !== null && parent.has(contact.linkedId)) {
+        union(contact.linkedId, contact.id);
+      }
+    }
+
+    const byIdentifier = new Map();
+    for (const contact of contacts) {
+      for (const { type, value } of this.contactService.identifiersOf(contact)) {
+        const key = `${type}:${value}`;
+        if (byIdentifier.has(key)) {
+          union(byIdentifier.get(key), contact.id);
+        } else {
+          byIdentifier.set(key, contact.id);
+        }
+      }
+    }
+
+    const components = new Map();
+    for (const violation of violations) {
+      for (const contactId of violation.contactIds) {
+        const root = find(contactId);
+        if (!components.has(root)) components.set(root, { violations: [] });
+        if (!components.get(root).violations.includes(violation)) components.get(root).violations.push(violation);
+      }
+    }
+
+    for (const [root, component] of components) {
+      component.contactIds = contacts.filter(c => find(c.id) === root).map(c => c.id);
+    }
+
+    return [...components.values()];
+  }
+
+  /**
+   * Make one component a single cluster, the way a merge would - contacts changed since the scan are re-read
+   */
+  async repairComponent(contactIds, violations) {
+    const contacts = (await this.db.getContactsByIds(contactIds)).filter(c => !c.deletedAt);
+    if (contacts.length === 0) {
+      return null;
+    }
+
+    const withIdentifiers = await this.contactService.withIdentifiers(contacts);
+    const primaries = withIdentifiers.filter(c => c.linkPrecedence === 'primary');
+    const { primary, reasoning } = primaries.length > 0
+      ? this.contactService.primarySelector.select(primaries, withIdentifiers)
+      : { primary: [...withIdentifiers].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt) || a.id - b.id)[0], reasoning: null };
+
+    if (primary.linkPrecedence !== 'primary' || primary.linkedId !== null) {
+      await this.db.updateContactLink(primary.id, null, 'primary');
+    }
+
+    // Split history follows the cluster, whether its old primary was demoted or is gone
+    const outsideIds = [...new Set(contacts.map(c => c.linkedId).filter(id => id !== null && !contactIds.includes(id)))];
+    const liveOutside = new Set((await this.db.getContactsByIds(outsideIds)).filter(c => !c.deletedAt).map(c => c.id));
+    const formerPrimaryIds = new Set([...primaries.map(c => c.id), ...outsideIds.filter(id => !liveOutside.has(id))]);
+    formerPrimaryIds.delete(primary.id);
+    for (const formerPrimaryId of formerPrimaryIds) {
+      await this.db.reassignSeparations(formerPrimaryId, primary.id);
+    }
+
+    for (const contact of contacts) {
+      if (contact.id !== primary.id && (contact.linkedId !== primary.id || contact.linkPrecedence !== 'secondary')) {
+        await this.db.updateContactLink(contact.id, primary.id, 'secondary');
+      }
+    }
+
+    const details = { violations: [...new Set(violations.map(v => v.type))], ...(reasoning ? { primarySelection: reasoning } : {}) };
+    await this.contactService.recordAudit('repair', {}, contacts, [primary.id], details);
+    const cluster = await this.contactService.buildResponse(primary.id);
+    await this.contactService.publishLifecycleEvents(contacts, cluster);
+
+    return { primaryContactId: primary.id, contactIds: [...contactIds].sort((a, b) => a - b), violations: details.violations };
+  }
+
+  /**
+   * The primary a contact belongs to - contacts with a broken link are their own cluster
+   */
+  rootOf(contact, all) {
+    const target = contact.linkedId !== null ? all.get(contact.linkedId) : null;
+    if (contact.linkPrecedence === 'secondary' && target && !target.deletedAt && target.linkPrecedence === 'primary') {
+      return target.id;
+    }
+    return contact.id;
+  }
+
+  isSeparated(separated, a, b) {
+    return separated.has(`${a}:${b}`) || separated.has(`${b}:${a}`);
+  }
+}
@@ -0,0 +1,59 @@
+import { CustomError } from '../utils/CustomError.js';
+import { DEFAULT_TENANT } from '../database/DatabaseManager.js';
+
+export const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * TenantService - Tenant administration: listing tenants, running work as one, deleting one
+ * Tenants aren't registered up front - a tenant exists once it owns contacts, webhooks or API keys
+ * (the default tenant always exists)
+ */
+export class TenantService {
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  static validateTenantId(tenantId) {
+    if (typeof tenantId !== 'string' || !TENANT_ID_PATTERN.test(tenantId)) {
+      throw new CustomError('Tenant id must be 1-64 lowercase letters, digits, "-" or "_"', 400, 'INVALID_TENANT_ID');
+    }
+
+    return tenantId;
+  }
+
+  /**
+   * Every tenant with its own contact statistics
+   */
+  async listTenants() {
+    const tenants = [];
+
+    for (const tenantId of await this.db.listTenants()) {
+      tenants.push({ tenantId, ...await this.db.withTenant(tenantId, () => this.db.getStats()) });
+    }
+
+    return tenants;
+  }
+
+  /**
+   * Run work against an existing tenant's data
+   */
+  async asTenant(tenantId, work) {
+    TenantService.validateTenantId(tenantId);
+
+    if (tenantId !== DEFAULT_TENANT && !(await this.db.listTenants()).includes(tenantId)) {
+      throw new CustomError('Tenant not found', 404, 'TENANT_NOT_FOUND');
+    }
+
+    return this.db.withTenant(tenantId, work);
+  }
+
+  /**
+   * Permanently delete everything a tenant owns - contacts, history, tombstones, webhooks and API keys
+   */
+  async deleteTenant(tenantId) {
+    return this.asTenant(tenantId, () => this.db.transaction(async () => {
+      const { changes } = await this.db.deleteTenantData();
+      return { tenantId, deletedContacts: changes };
+    }));
+  }
+}
@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+
+/**
+ * WebhookDispatcher - Delivers queued webhook events from the outbox
+ * Each delivery is POSTed with an HMAC-SHA256 signature over "<timestamp>.<body>". Failures are retried
+ * with exponential backoff and dead-lettered after the last attempt. Delivery is at-least-once:
+ * receivers should dedupe on the event id.
+ */
+export class WebhookDispatcher {
+  constructor(databaseManager, logger, options = {}) {
+    this.db = databaseManager;
+    this.logger = logger;
+    this.options = {
+      maxAttempts: options.maxAttempts ?? Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+      retryBaseSeconds: options.retryBaseSeconds ?? Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30),
+      maxRetryDelaySeconds: options.maxRetryDelaySeconds ?? 6 * 60 * 60,
+      timeoutMs: options.timeoutMs ?? Number(process.env.WEBHOOK_TIMEOUT_MS || 5000),
+      pollIntervalMs: options.pollIntervalMs ?? Number(process.env.WEBHOOK_POLL_INTERVAL_MS || 5000),
+      batchSize: options.batchSize ?? 50
+    };
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Timestamps in the "YYYY-MM-DD HH:MM:SS" UTC format the outbox columns use
+   */
+  static timestamp(date = new Date()) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  /**
+   * Signature receivers recompute with their subscription secret
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Attempt every delivery that is due, tenant by tenant - returns how many were delivered, rescheduled and dead-lettered
+   */
+  async deliverDue(now = new Date()) {
+    const summary = { delivered: 0, retried: 0, dead: 0 };
+
+    for (const tenantId of await this.db.listTenants()) {
+      await this.db.withTenant(tenantId, () => this.deliverTenant(now, summary));
+    }
+
+    return summary;
+  }
+
+  async deliverTenant(now, summary) {
+    const entries = await this.db.getDueOutboxEntries(WebhookDispatcher.timestamp(now), this.options.batchSize);
+    const subscriptions = new Map((await this.db.getWebhookSubscriptions()).map(s => [s.id, s]));
+
+    for (const entry of entries) {
+      summary[await this.deliver(entry, subscriptions.get(entry.subscriptionId), now)]++;
+    }
+  }
+
+  async deliver(entry, subscription, now) {
+    if (!subscription || subscription.disabledAt) {
+      return this.recordResult(entry, 'dead', entry.attempts, 'Subscription disabled');
+    }
+
+    const attempts = entry.attempts + 1;
+    let failure;
+
+    try {
+      const timestamp = Math.floor(now.getTime() / 1000);
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'identity-reconciliation-webhooks',
+          'X-Webhook-Id': entry.eventId,
+          'X-Webhook-Event': entry.eventType,
+          'X-Webhook-Delivery': String(entry.id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${WebhookDispatcher.sign(subscription.secret, timestamp, entry.payload)}`
+        },
+        body: entry.payload,
+        signal: AbortSignal.timeout(this.options.timeoutMs)
+      });
+
+      if (response.ok) {
+        return this.recordResult(entry, 'delivered', attempts, null);
+      }
+      failure = `HTTP ${response.status}`;
+    } catch (error) {
+      failure = error.message;
+    }
+
+    if (attempts >= this.options.maxAttempts) {
+      this.logger.log('Webhook delivery dead-lettered', { deliveryId: entry.id, eventType: entry.eventType, attempts, error: failure });
+      return this.recordResult(entry, 'dead', attempts, failure);
+    }
+
+    // 1x, 2x, 4x ... the base delay, capped
+    const delaySeconds = Math.min(this.options.retryBaseSeconds * 2 ** (attempts - 1), this.options.maxRetryDelaySeconds);
+    const nextAttemptAt = WebhookDispatcher.timestamp(new Date(now.getTime() + delaySeconds * 1000));
+    return this.recordResult(entry, 'retried', attempts, failure, nextAttemptAt);
+  }
+
+  async recordResult(entry, outcome, attempts, lastError, nextAttemptAt = entry.nextAttemptAt) {
+    const status = outcome === 'retried' ? 'pending' : outcome;
+
+    await this.db.updateOutboxEntry(entry.id, status, attempts, nextAttemptAt, lastError);
+    return outcome;
+  }
+
+  /**
+   * Poll the outbox in the background until stop() - picks up whatever a previous run left behind
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = async () => {
+      this.running = this.deliverDue()
+        .catch(error => this.logger.logError('Webhook delivery run failed', error));
+      await this.running;
+      this.running = null;
+
+      if (this.timer) {
+        this.timer = setTimeout(tick, this.options.pollIntervalMs);
+        this.timer.unref();
+      }
+    };
+
+    this.timer = setTimeout(tick, 0);
+    this.timer.unref();
+  }
+
+  async stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.running;
+  }
+}
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+import { CustomError } from '../utils/CustomError.js';
+import { WebhookDispatcher } from './WebhookDispatcher.js';
+
+export const WEBHOOK_EVENTS = ['contact.created', 'contact.linked', 'contacts.merged'];
+
+/**
+ * WebhookService - Webhook subscriptions and the outbox of identity lifecycle events
+ * Events are written to the outbox inside the caller's transaction, so they exist exactly when
+ * the change that caused them was committed; WebhookDispatcher delivers them afterwards
+ */
+export class WebhookService {
+  constructor(databaseManager) {
+    this.db = databaseManager;
+  }
+
+  /**
+   * Register a URL for some (default: all) events - the signing secret is only returned here
+   */
+  async createSubscription(url, events = WEBHOOK_EVENTS) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      throw new CustomError('Webhook url must be an http(s) URL', 400, 'VALIDATION_ERROR');
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new CustomError('At least one event is required', 400, 'VALIDATION_ERROR');
+    }
+
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new CustomError(`Unknown webhook events: ${unknown.join(', ')}`, 400, 'INVALID_WEBHOOK_EVENT');
+    }
+
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    const stored = await this.db.createWebhookSubscription(parsed.href, secret, [...new Set(events)].join(' '));
+
+    return { secret, subscription: this.describeSubscription(stored) };
+  }
+
+  async listSubscriptions() {
+    return (await this.db.getWebhookSubscriptions()).map(s => this.describeSubscription(s));
+  }
+
+  /**
+   * Stop delivering to a subscription - anything still queued for it is dead-lettered on its next attempt
+   */
+  async disableSubscription(subscriptionId) {
+    const existing = await this.db.getWebhookSubscriptionById(subscriptionId);
+    if (!existing) {
+      throw new CustomError('Webhook subscription not found', 404, 'WEBHOOK_NOT_FOUND');
+    }
+
+    await this.db.disableWebhookSubscription(subscriptionId);
+    return this.describeSubscription(await this.db.getWebhookSubscriptionById(subscriptionId));
+  }
+
+  /**
+   * Queue an event for every active subscription listening to it
+   */
+  async publish(eventType, data) {
+    const subscriptions = (await this.db.getWebhookSubscriptions())
+      .filter(s => !s.disabledAt && s.events.split(' ').includes(eventType));
+
+    if (subscriptions.length === 0) {
+      return null;
+    }
+
+    const event = {
+      id: crypto.randomUUID(),
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data
+    };
+    const payload = JSON.stringify(event);
+
+    await this.db.createOutboxEntries(subscriptions.map(s => ({
+      subscriptionId: s.id,
+      eventId: event.id,
+      eventType,
+      payload
+    })));
+
+    return event;
+  }
+
+  /**
+   * Deliveries that ran out of attempts, newest first
+   */
+  async getDeadLetters(limit = 100) {
+    return (await this.db.getOutboxEntries('dead', limit)).map(e => this.describeDelivery(e));
+  }
+
+  /**
+   * Put a dead-lettered delivery back in the queue with a fresh set of attempts
+   */
+  async retryDelivery(entryId) {
+    return this.db.transaction(async () => {
+      const entry = await this.db.getOutboxEntryById(entryId);
+      if (!entry) {
+        throw new CustomError('Webhook delivery not found', 404, 'DELIVERY_NOT_FOUND');
+      }
+
+      if (entry.status !== 'dead') {
+        throw new CustomError('Only dead-lettered deliveries can be retried', 409, 'DELIVERY_NOT_DEAD');
+      }
+
+      await this.db.updateOutboxEntry(entryId, 'pending', 0, WebhookDispatcher.timestamp(), entry.lastError);
+      return this.describeDelivery(await this.db.getOutboxEntryById(entryId));
+    });
+  }
+
+  describeSubscription(stored) {
+    return {
+      id: stored.id,
+      url: stored.url,
+      events: stored.events.split(' '),
+      createdAt: stored.createdAt,
+      disabledAt: stored.disabledAt
+    };
+  }
+
+  describeDelivery(entry) {
+    return {
+      id: entry.id,
+      subscriptionId: entry.subscriptionId,
+      status: entry.status,
+      attempts: entry.attempts,
+      nextAttemptAt: entry.nextAttemptAt,
+      lastError: entry.lastError,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt,
+      event: JSON.parse(entry.payload)
+    };
+  }
+}
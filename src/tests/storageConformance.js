@@ -0,0 +1,183 @@
+import { STORAGE_METHODS } from '../database/DatabaseManager.js';
+import { ContactService } from '../services/ContactService.js';
+
+/**
+ * Storage Conformance Suite
+ * Runs the same checks against any storage backend so every adapter behaves like the SQLite one.
+ * Expects a freshly initialized, empty DatabaseManager.
+ */
+export async function runStorageConformance(dbManager) {
+  const assert = (condition, message) => {
+    if (!condition) {
+      throw new Error(`Assertion failed (${dbManager.config.backend}): ${message}`);
+    }
+  };
+
+  for (const method of STORAGE_METHODS) {
+    assert(typeof dbManager.adapter[method] === 'function', `Adapter should implement ${method}`);
+  }
+
+  // Contact rows
+  const primary = await dbManager.createContact('a@zamazon.com', '+12025550101', null, 'primary', { email: 'A@zamazon.com' });
+  const secondary = await dbManager.createContact(null, '+12025550102', primary.id, 'secondary');
+  const other = await dbManager.createContact('b@zamazon.com', '+12025550101', null, 'primary');
+
+  assert(primary.id > 0 && primary.linkPrecedence === 'primary', 'createContact should return the stored row');
+  assert(primary.rawEmail === 'A@zamazon.com' && primary.rawPhoneNumber === '+12025550101', 'Raw values should default to normalized ones');
+  assert(secondary.rawEmail === null && secondary.linkedId === primary.id, 'Absent identifiers should stay null');
+  assert(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(primary.createdAt), 'Timestamps should use "YYYY-MM-DD HH:MM:SS"');
+
+  const byPhone = await dbManager.findContactsByEmailOrPhone(null, '+12025550101');
+  assert(byPhone.map(c => c.id).join() === `${primary.id},${other.id}`, 'Matches should be ordered oldest first');
+  assert((await dbManager.findContactsByEmailOrPhone(null, null)).length === 0, 'No identifiers should match nothing');
+
+  const connected = await dbManager.findConnectedContacts([primary.id], ['b@zamazon.com'], []);
+  assert(connected.map(c => c.id).join() === `${primary.id},${secondary.id},${other.id}`, 'Connected contacts should follow ids, links and identifiers');
+
+  const demoted = await dbManager.updateContactLink(other.id, primary.id, 'secondary');
+  assert(demoted.linkedId === primary.id && demoted.linkPrecedence === 'secondary', 'updateContactLink should return the updated row');
+
+  const linked = await dbManager.getLinkedContacts(primary.id);
+  assert(linked.length === 3 && linked[linked.length - 1].id === primary.id, 'Linked contacts should list secondaries before the primary');
+  assert((await dbManager.getContactById(secondary.id)).id === secondary.id, 'getContactById should find active contacts');
+
+  // Link history - the far past and future are the only instants certain to fall outside these same-second changes
+  const links = (contacts) => contacts.map(c => `${c.id}:${c.linkedId}:${c.linkPrecedence}`).join();
+  assert(links(await dbManager.getLinkedContacts(primary.id, '2999-01-01 00:00:00')) === links(linked), 'Current link intervals should match the links');
+  assert((await dbManager.getLinkedContacts(primary.id, '2000-01-01 00:00:00')).length === 0, 'Nothing is linked before it was created');
+  assert(links(await dbManager.getLinkedContacts(other.id, '2999-01-01 00:00:00')) === `${other.id}:${primary.id}:secondary`,
+    'A demoted primary should only keep its own current link');
+
+  // Primary paging and incremental filters
+  assert((await dbManager.getPrimaryContactIds()).join() === `${primary.id}`, 'Only primaries should be paged');
+  assert((await dbManager.getPrimaryContactIds({ updatedSince: '2999-01-01 00:00:00' })).length === 0, 'updatedSince should filter clusters');
+  const retired = await dbManager.getRetiredPrimaries({ updatedSince: '2000-01-01 00:00:00' });
+  assert(retired.map(c => c.id).join() === `${other.id}`, 'A demoted primary should be reported as retired');
+  assert((await dbManager.getRetiredPrimaries({ updatedSince: '2999-01-01 00:00:00' })).length === 0, 'updatedSince should filter retired primaries');
+
+  // Extended identifiers
+  await dbManager.addContactIdentifiers(primary.id, [{ type: 'customerId', value: 'cust-1', rawValue: 'cust-1' }]);
+  await dbManager.addContactIdentifiers(secondary.id, [{ type: 'deviceId', value: 'dev-1', rawValue: 'DEV-1' }]);
+  const byIdentifier = await dbManager.findContactsByIdentifiers([{ type: 'deviceId', value: 'dev-1' }, { type: 'customerId', value: 'cust-1' }]);
+  assert(byIdentifier.map(c => c.id).join() === `${primary.id},${secondary.id}`, 'Identifier matches should be ordered oldest first');
+  assert((await dbManager.findContactsByIdentifiers([{ type: 'deviceId', value: 'cust-1' }])).length === 0, 'Identifiers should match on type and value');
+  assert((await dbManager.findContactsByIdentifiers([])).length === 0, 'No extended identifiers should match nothing');
+  const [storedIdentifier] = await dbManager.getContactIdentifiers([secondary.id]);
+  assert(storedIdentifier.contactId === secondary.id && storedIdentifier.rawValue === 'DEV-1', 'Identifiers should keep their raw value');
+
+  // Separations follow merges
+  const loner = await dbManager.createContact('c@zamazon.com', null, null, 'primary');
+  await dbManager.addContactIdentifiers(loner.id, [{ type: 'loyaltyNumber', value: '12345678', rawValue: '1234-5678' }]);
+  await dbManager.createSeparation(other.id, loner.id);
+  await dbManager.reassignSeparations(other.id, primary.id);
+  const [separation] = await dbManager.getSeparations([loner.id]);
+  assert(separation.primaryId === primary.id && separation.separatedPrimaryId === loner.id, 'Separations should be reassignable');
+
+  // Audit trail
+  await dbManager.createAuditEntries('op-1', 'merge_primaries', { phoneNumber: '+12025550101' }, [{
+    contactId: other.id, primaryId: primary.id, previousLinkedId: null, linkedId: primary.id,
+    previousPrecedence: 'primary', linkPrecedence: 'secondary'
+  }], '{"policy":"oldest"}', 'req-1');
+  const [auditEntry] = await dbManager.getAuditHistory([other.id]);
+  assert(auditEntry.operationId === 'op-1' && auditEntry.triggerEmail === null, 'Audit entries should round-trip');
+  assert(auditEntry.details === '{"policy":"oldest"}', 'Audit details should round-trip');
+  assert(auditEntry.requestId === 'req-1', 'Audit request ids should round-trip');
+
+  // Erasure
+  assert((await dbManager.createTombstone('email', 'hash')).changes === 1, 'Tombstones should be created');
+  assert((await dbManager.createTombstone('email', 'hash')).changes === 0, 'Duplicate tombstones should be ignored');
+  assert((await dbManager.createTombstone('customerId', 'hash')).changes === 1, 'Any identifier type should be tombstoned');
+  assert(await dbManager.findTombstone('email', 'hash'), 'Tombstones should be found');
+
+  assert((await dbManager.softDeleteContacts([loner.id])).changes === 1, 'Soft delete should report changes');
+  assert(!(await dbManager.getContactById(loner.id)), 'Soft-deleted contacts should be hidden');
+  assert((await dbManager.getRetiredPrimaries({ updatedSince: '2000-01-01 00:00:00' })).map(c => c.id).join() === `${other.id},${loner.id}`,
+    'A deleted primary should be reported as retired');
+  assert((await dbManager.purgeDeletedContacts(0)).changes === 1, 'Purge should scrub deleted contacts');
+  const [purged] = await dbManager.getContactsByIds([loner.id]);
+  assert(purged.purgedAt && purged.email === null && purged.rawEmail === null, 'Purged contacts should hold no PII');
+  assert((await dbManager.getContactIdentifiers([loner.id])).length === 0, 'Purged contacts should lose their identifiers');
+  const allContacts = await dbManager.getContactsPage();
+  assert(allContacts.map(c => c.id).join() === `${primary.id},${secondary.id},${other.id},${loner.id}`, 'Whole-table pages should include deleted contacts');
+  assert((await dbManager.getContactsPage({ afterId: primary.id, limit: 1 })).map(c => c.id).join() === `${secondary.id}`, 'Contact pages should follow afterId and limit');
+
+  // API keys
+  const apiKey = await dbManager.createApiKey('ops', 'irk_abcdefgh', 'key-hash', 'read admin');
+  assert(apiKey.id > 0 && apiKey.revokedAt === null && apiKey.scopes === 'read admin', 'createApiKey should return the stored row');
+  assert((await dbManager.findApiKeyByHash('key-hash')).id === apiKey.id, 'Keys should be found by hash');
+  assert((await dbManager.revokeApiKey(apiKey.id)).changes === 1, 'Keys should be revocable');
+  assert((await dbManager.revokeApiKey(apiKey.id)).changes === 0, 'Revoking twice should change nothing');
+  assert((await dbManager.getApiKeyById(apiKey.id)).revokedAt, 'Revoked keys should keep their revocation time');
+  assert((await dbManager.listApiKeys()).length === 1, 'Keys should be listed');
+
+  // Webhook subscriptions and outbox
+  const subscription = await dbManager.createWebhookSubscription('https://hooks.zamazon.com/', 'whsec', 'contact.created');
+  assert(subscription.id > 0 && subscription.disabledAt === null, 'createWebhookSubscription should return the stored row');
+  await dbManager.createOutboxEntries([{ subscriptionId: subscription.id, eventId: 'evt-1', eventType: 'contact.created', payload: '{}' }]);
+  const [due] = await dbManager.getDueOutboxEntries('2999-01-01 00:00:00', 10);
+  assert(due && due.status === 'pending' && due.attempts === 0, 'Queued entries should be due immediately');
+  await dbManager.updateOutboxEntry(due.id, 'dead', 3, due.nextAttemptAt, 'HTTP 500');
+  assert((await dbManager.getDueOutboxEntries('2999-01-01 00:00:00', 10)).length === 0, 'Dead entries should not be due');
+  assert((await dbManager.getOutboxEntries('dead', 10))[0].lastError === 'HTTP 500', 'Entries should be listed by status');
+  assert((await dbManager.getOutboxEntryById(due.id)).attempts === 3, 'Entry updates should round-trip');
+
+  // Purging drops the events that carry erased identifiers, unless a live contact still holds them
+  const erased = await dbManager.createContact('d@zamazon.com', '+12025550101', null, 'primary');
+  await dbManager.createOutboxEntries([
+    { subscriptionId: subscription.id, eventId: 'evt-2', eventType: 'contact.created', payload: '{"emails":["d@zamazon.com"]}' },
+    { subscriptionId: subscription.id, eventId: 'evt-3', eventType: 'contact.created', payload: '{"phoneNumbers":["+12025550101"]}' }
+  ]);
+  await dbManager.softDeleteContacts([erased.id]);
+  await dbManager.purgeDeletedContacts(0);
+  const kept = (await dbManager.getOutboxEntries('pending', 10)).map(e => e.eventId);
+  assert(kept.join() === 'evt-3', 'Purging should drop outbox events holding erased identifiers only');
+  assert((await dbManager.disableWebhookSubscription(subscription.id)).changes === 1, 'Subscriptions should be disabled');
+  assert((await dbManager.getWebhookSubscriptionById(subscription.id)).disabledAt, 'Disabled subscriptions should keep their disable time');
+  assert((await dbManager.getWebhookSubscriptions()).length === 1, 'Subscriptions should be listed');
+
+  // Duplicate review queue
+  const candidate = await dbManager.createDuplicateCandidate(primary.id, loner.id, 0.9, '[]');
+  assert(candidate && candidate.status === 'pending' && candidate.score === 0.9, 'createDuplicateCandidate should return the stored row');
+  assert(!(await dbManager.createDuplicateCandidate(primary.id, loner.id, 0.5, '[]')), 'Known pairs should be ignored');
+  await dbManager.updateDuplicateCandidate(candidate.id, 'rejected');
+  assert((await dbManager.getDuplicateCandidateById(candidate.id)).reviewedAt, 'Reviewed candidates should keep their review time');
+  assert((await dbManager.getDuplicateCandidates('rejected', 10)).length === 1, 'Candidates should be listed by status');
+
+  const stats = await dbManager.getStats();
+  assert(stats.totalContacts === 3 && stats.primaryContacts === 1 && stats.secondaryContacts === 2, 'Stats should count active contacts');
+  assert(JSON.stringify(await dbManager.getClusterSizes()) === '[{"size":3,"clusters":1}]', 'Cluster sizes should count active contacts per cluster');
+
+  // Transactions roll back everything on failure
+  await dbManager.transaction(async () => {
+    await dbManager.createContact('rollback@zamazon.com', null, null, 'primary');
+    throw new Error('Simulated failure');
+  }).catch(() => {});
+  assert((await dbManager.findContactsByEmailOrPhone('rollback@zamazon.com', null)).length === 0, 'Transactions should roll back');
+
+  // Tenants - every query is scoped to the current tenant
+  await dbManager.withTenant('acme', async () => {
+    assert((await dbManager.findContactsByEmailOrPhone('a@zamazon.com', '+12025550101')).length === 0, 'Other tenants\' contacts should be invisible');
+    assert(!(await dbManager.getContactById(primary.id)), 'Other tenants\' contacts should not be found by id');
+    assert((await dbManager.findContactsByIdentifiers([{ type: 'customerId', value: 'cust-1' }])).length === 0, 'Other tenants\' identifiers should be invisible');
+    assert(!(await dbManager.findTombstone('email', 'hash')), 'Tombstones should be per tenant');
+    assert((await dbManager.getWebhookSubscriptions()).length === 0, 'Subscriptions should be per tenant');
+
+    const tenantContact = await dbManager.createContact('a@zamazon.com', null, null, 'primary');
+    assert(tenantContact.id !== primary.id, 'The same email should be a separate contact in another tenant');
+    assert((await dbManager.getStats()).totalContacts === 1, 'Stats should count the current tenant only');
+  });
+  await dbManager.createApiKey('acme-ops', 'irk_ijklmnop', 'tenant-key-hash', 'read', 'acme');
+  assert((await dbManager.findApiKeyByHash('tenant-key-hash')).tenantId === 'acme', 'Keys should remember their tenant');
+  assert((await dbManager.listTenants()).sort().join() === 'acme,default', 'Tenants should be listed');
+  assert((await dbManager.withTenant('acme', () => dbManager.deleteTenantData())).changes === 1, 'Deleting a tenant should report its contacts');
+  assert((await dbManager.listTenants()).join() === 'default', 'Deleted tenants should be gone');
+  assert(!(await dbManager.findApiKeyByHash('tenant-key-hash')), 'Deleting a tenant should delete its keys');
+  assert((await dbManager.getStats()).totalContacts === 3, 'Deleting a tenant should leave other tenants alone');
+
+  // End to end through the service layer
+  const contactService = new ContactService(dbManager);
+  await contactService.identifyContact('d@zamazon.com', '2025550199');
+  await contactService.identifyContact('e@zamazon.com', '2025550198');
+  const merged = await contactService.identifyContact('d@zamazon.com', '2025550198');
+  assert(merged.emails.length === 2 && merged.secondaryContactIds.length === 1, 'Service reconciliation should work on every backend');
+}
@@ -1,5 +1,33 @@
 import { ContactService } from '../services/ContactService.js';
 import { DatabaseManager } from '../database/DatabaseManager.js';
+import { IdentifierNormalizer } from '../utils/IdentifierNormalizer.js';
+import { importContacts } from '../database/import.js';
+import { ClusterExporter } from '../utils/ClusterExporter.js';
+import { Writable } from 'stream';
+import { runStorageConformance } from './storageConformance.js';
+import { ApiKeyService } from '../services/ApiKeyService.js';
+import { Authenticator } from '../middleware/Authenticator.js';
+import { WebhookService } from '../services/WebhookService.js';
+import { WebhookDispatcher } from '../services/WebhookDispatcher.js';
+import { DuplicateReviewService } from '../services/DuplicateReviewService.js';
+import { DuplicateScorer } from '../utils/DuplicateScorer.js';
+import { TenantService } from '../services/TenantService.js';
+import { PrimarySelector } from '../utils/PrimarySelector.js';
+import { Metrics } from '../utils/Metrics.js';
+import { Logger } from '../utils/Logger.js';
+import { RequestValidator } from '../middleware/RequestValidator.js';
+import { GraphQLApi } from '../graphql/GraphQLApi.js';
+import { IntegrityService } from '../services/IntegrityService.js';
+import { ClusterCache, MemoryCacheStore } from '../utils/ClusterCache.js';
+import { RequestContext } from '../utils/RequestContext.js';
+import { RotatingFileSink } from '../utils/LogSinks.js';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Tombstones are keyed by a secret the service refuses to run without
+process.env.ERASURE_HASH_SECRET = process.env.ERASURE_HASH_SECRET || 'test-erasure-secret';
 
 /**
  * Covert Unit Testing Suite
@@ -7,7 +35,7 @@ import { DatabaseManager } from '../database/DatabaseManager.js';
  */
 class TestSuite {
   constructor() {
-    this.dbManager = new DatabaseManager();
+    this.dbManager = new DatabaseManager({ backend: 'sqlite', dbPath: ':memory:' }); // Use in-memory database for testing
     this.contactService = new ContactService(this.dbManager);
     this.testResults = [];
   }
@@ -23,6 +51,31 @@ class TestSuite {
       await this.testNewContactCreation();
       await this.testContactLinking();
       await this.testPrimaryContactMerging();
+      await this.testTransitiveClusterMerging();
+      await this.testConcurrentIdentify();
+      await this.testIdentifierNormalization();
+      await this.testUnlinkContacts();
+      await this.testReadOnlyLookups();
+      await this.testErasure();
+      await this.testAuditHistory();
+      await this.testBatchReconciliation();
+      await this.testClusterExport();
+      await this.testStorageConformance();
+      await this.testSchemaMigrations();
+      await this.testApiKeys();
+      await this.testWebhooks();
+      await this.testDuplicateReview();
+      await this.testGenericIdentifiers();
+      await this.testMultiTenancy();
+      await this.testPrimarySelection();
+      await this.testDryRun();
+      await this.testMetrics();
+      await this.testOpenApiContract();
+      await this.testGraphQL();
+      await this.testIntegrityCheck();
+      await this.testAsOfLookups();
+      await this.testClusterCache();
+      await this.testRequestLogging();
       await this.testEdgeCases();
 
       // Display results
@@ -36,7 +89,6 @@ class TestSuite {
   }
 
   async setupTestDatabase() {
-    this.dbManager.dbPath = ':memory:'; // Use in-memory database for testing
     await this.dbManager.initialize();
     console.log('✅ Test database initialized');
   }
@@ -49,7 +101,7 @@ class TestSuite {
       
       this.assert(result.primaryContactId > 0, 'Primary contact ID should be generated');
       this.assert(result.emails.includes('doc@zamazon.com'), 'Email should be included');
-      this.assert(result.phoneNumbers.includes('1234567890'), 'Phone should be included');
+      this.assert(result.phoneNumbers.includes('+11234567890'), 'Phone should be included');
       this.assert(result.secondaryContactIds.length === 0, 'No secondary contacts initially');
 
       this.recordTest('New Contact Creation', true);
@@ -69,7 +121,7 @@ class TestSuite {
       const second = await this.contactService.identifyContact('doc1@zamazon.com', '9876543210');
       
       this.assert(first.primaryContactId === second.primaryContactId, 'Should link to same primary');
-      this.assert(second.phoneNumbers.includes('9876543210'), 'New phone should be added');
+      this.assert(second.phoneNumbers.includes('+19876543210'), 'New phone should be added');
       this.assert(second.secondaryContactIds.length > 0, 'Should have secondary contacts');
 
       this.recordTest('Contact Linking', true);
@@ -90,7 +142,7 @@ class TestSuite {
       const merged = await this.contactService.identifyContact('merge1@zamazon.com', '5555555555');
       
       this.assert(merged.emails.includes('merge1@zamazon.com'), 'Should include first email');
-      this.assert(merged.phoneNumbers.includes('5555555555'), 'Should include second phone');
+      this.assert(merged.phoneNumbers.includes('+15555555555'), 'Should include second phone');
       this.assert(merged.secondaryContactIds.length > 0, 'Should have secondary contacts after merge');
 
       this.recordTest('Primary Contact Merging', true);
@@ -99,6 +151,1677 @@ class TestSuite {
     }
   }
 
+  async testTransitiveClusterMerging() {
+    console.log('🧪 Testing transitive cluster merging...');
+
+    try {
+      // Two separate primaries, the second one already carrying a secondary
+      const first = await this.contactService.identifyContact('marty@zamazon.com', '2000000001');
+      await this.contactService.identifyContact('jennifer@zamazon.com', '2000000002');
+      await this.contactService.identifyContact('jennifer@zamazon.com', '2000000003');
+
+      // Bridge the two clusters through the second primary's phone only
+      const merged = await this.contactService.identifyContact('marty@zamazon.com', '2000000002');
+
+      this.assert(merged.primaryContactId === first.primaryContactId, 'Oldest primary should survive the merge');
+      this.assert(merged.emails.includes('jennifer@zamazon.com'), 'Should include the demoted primary email');
+      this.assert(merged.phoneNumbers.includes('+12000000003'), 'Should include phones from the demoted primary secondaries');
+      this.assert(merged.secondaryContactIds.length === 2, 'Demoted primary and its secondary should both be listed');
+
+      const cluster = await this.contactService.resolveCluster('marty@zamazon.com', null);
+      const stale = cluster.filter(c =>
+        c.id !== merged.primaryContactId && c.linkedId !== merged.primaryContactId
+      );
+      this.assert(stale.length === 0, 'Every contact should point straight at the surviving primary');
+
+      this.recordTest('Transitive Cluster Merging', true);
+    } catch (error) {
+      this.recordTest('Transitive Cluster Merging', false, error.message);
+    }
+  }
+
+  async testConcurrentIdentify() {
+    console.log('🧪 Testing concurrent identify calls...');
+
+    try {
+      // Fire parallel requests at one brand-new identity
+      const results = await Promise.all(
+        Array.from({ length: 5 }, () => this.contactService.identifyContact('biff@zamazon.com', '3000000001'))
+      );
+
+      const primaryIds = new Set(results.map(r => r.primaryContactId));
+      this.assert(primaryIds.size === 1, 'All parallel calls should resolve to the same primary');
+
+      const cluster = await this.contactService.resolveCluster('biff@zamazon.com', '3000000001');
+      const primaries = cluster.filter(c => c.linkPrecedence === 'primary');
+      this.assert(primaries.length === 1, 'Exactly one primary should be created');
+      this.assert(cluster.length === 1, 'Repeated identical calls should not create secondaries');
+
+      // A failing unit of work must leave nothing behind
+      await this.dbManager.transaction(async () => {
+        await this.dbManager.createContact('rollback@zamazon.com', null, null, 'primary');
+        throw new Error('Simulated crash mid-reconciliation');
+      }).catch(() => {});
+
+      const rolledBack = await this.dbManager.findContactsByEmailOrPhone('rollback@zamazon.com', null);
+      this.assert(rolledBack.length === 0, 'Failed transaction should be rolled back');
+
+      this.recordTest('Concurrent Identify', true);
+    } catch (error) {
+      this.recordTest('Concurrent Identify', false, error.message);
+    }
+  }
+
+  async testIdentifierNormalization() {
+    console.log('🧪 Testing identifier normalization...');
+
+    try {
+      // Same person typed two different ways
+      const first = await this.contactService.identifyContact('  Lorraine@Zamazon.com ', '(202) 555-0147');
+      const second = await this.contactService.identifyContact('lorraine@zamazon.com', '+1 202-555-0147');
+
+      this.assert(first.primaryContactId === second.primaryContactId, 'Differently formatted input should reconcile');
+      this.assert(second.secondaryContactIds.length === 0, 'Formatting differences should not create secondaries');
+      this.assert(second.emails[0] === 'lorraine@zamazon.com', 'Email should be trimmed and lowercased');
+      this.assert(second.phoneNumbers[0] === '+12025550147', 'Phone should be stored in E.164');
+
+      const [stored] = await this.dbManager.findContactsByEmailOrPhone('lorraine@zamazon.com', null);
+      this.assert(stored.rawEmail === 'Lorraine@Zamazon.com', 'Raw email should be kept');
+      this.assert(stored.rawPhoneNumber === '(202) 555-0147', 'Raw phone should be kept');
+
+      // Region and alias folding are configurable
+      const normalizer = new IdentifierNormalizer({ defaultRegion: 'GB', foldEmailAliases: true });
+      this.assert(normalizer.normalizePhoneNumber('020 7946 0018') === '+442079460018', 'National numbers use the default region');
+      this.assert(normalizer.normalizeEmail('Doc.Brown+flux@GoogleMail.com') === 'docbrown@gmail.com', 'Gmail aliases should fold');
+      this.assert(normalizer.normalizeEmail('doc.brown+flux@zamazon.com') === 'doc.brown+flux@zamazon.com', 'Other domains keep dots and tags');
+      this.assert(!normalizer.isValidPhoneNumber('555-CALL'), 'Letters should be rejected');
+
+      this.recordTest('Identifier Normalization', true);
+    } catch (error) {
+      this.recordTest('Identifier Normalization', false, error.message);
+    }
+  }
+
+  async testUnlinkContacts() {
+    console.log('🧪 Testing unlinking wrongly merged contacts...');
+
+    try {
+      // Two family members joined by a shared home phone
+      const george = await this.contactService.identifyContact('george@zamazon.com', '4000000001');
+      const joined = await this.contactService.identifyContact('lorraine.m@zamazon.com', '4000000001');
+      this.assert(joined.secondaryContactIds.length === 1, 'Shared phone should link the two customers');
+
+      const [lorraineId] = joined.secondaryContactIds;
+      const split = await this.contactService.unlinkContacts(lorraineId);
+
+      this.assert(split.detached.primaryContactId === lorraineId, 'Detached contact should become a primary');
+      this.assert(split.remaining.primaryContactId === george.primaryContactId, 'Original primary should keep its cluster');
+      this.assert(!split.remaining.emails.includes('lorraine.m@zamazon.com'), 'Remaining cluster should lose the detached email');
+
+      // The shared phone must not re-merge the two groups
+      const byPhone = await this.contactService.identifyContact(null, '4000000001');
+      const byLorraine = await this.contactService.identifyContact('lorraine.m@zamazon.com', '4000000001');
+
+      this.assert(byPhone.primaryContactId === george.primaryContactId, 'Phone-only lookup should anchor on the oldest group');
+      this.assert(byLorraine.primaryContactId === lorraineId, 'Detached customer should stay on their own primary');
+      this.assert(!byLorraine.emails.includes('george@zamazon.com'), 'Groups should not be re-merged after the split');
+      this.assert(!byPhone.emails.includes('lorraine.m@zamazon.com'), 'Shared phone should not pull the detached group back');
+
+      let rejected = false;
+      try {
+        await this.contactService.unlinkContacts(george.primaryContactId);
+      } catch (error) {
+        rejected = error.code === 'NOTHING_TO_UNLINK';
+      }
+      this.assert(rejected, 'Unlinking a whole cluster should be rejected');
+
+      this.recordTest('Unlink Contacts', true);
+    } catch (error) {
+      this.recordTest('Unlink Contacts', false, error.message);
+    }
+  }
+
+  async testReadOnlyLookups() {
+    console.log('🧪 Testing read-only cluster lookups...');
+
+    try {
+      const identified = await this.contactService.identifyContact('clara@zamazon.com', '5000000001');
+      const linked = await this.contactService.identifyContact('clara@zamazon.com', '5000000002');
+      const statsBefore = await this.contactService.getDatabaseStats();
+
+      const byId = await this.contactService.getCluster(identified.primaryContactId);
+      const bySecondary = await this.contactService.getCluster(linked.secondaryContactIds[0]);
+      const byEmail = await this.contactService.findClusterByEmail('CLARA@zamazon.com');
+      const byPhone = await this.contactService.findClusterByPhoneNumber('500-000-0002');
+
+      for (const result of [byId, bySecondary, byEmail, byPhone]) {
+        this.assert(JSON.stringify(result) === JSON.stringify(linked), 'Lookups should match the identify response shape');
+      }
+
+      let notFound = false;
+      try {
+        await this.contactService.findClusterByEmail('nobody@zamazon.com');
+      } catch (error) {
+        notFound = error.statusCode === 404;
+      }
+      this.assert(notFound, 'Unknown identifiers should be reported as not found');
+
+      const statsAfter = await this.contactService.getDatabaseStats();
+      this.assert(statsAfter.totalContacts === statsBefore.totalContacts, 'Lookups should never write');
+
+      this.recordTest('Read-only Lookups', true);
+    } catch (error) {
+      this.recordTest('Read-only Lookups', false, error.message);
+    }
+  }
+
+  async testErasure() {
+    console.log('🧪 Testing right-to-erasure workflow...');
+
+    const webhookService = new WebhookService(this.dbManager);
+    const { subscription } = await webhookService.createSubscription('http://127.0.0.1:9/erasure-hooks');
+
+    try {
+      // Erase a single identifier held by the primary
+      const original = await this.contactService.identifyContact('needles@zamazon.com', '6000000001');
+      await this.contactService.identifyContact('needles@zamazon.com', '6000000002');
+
+      const erased = await this.contactService.eraseIdentifier('needles@zamazon.com', null);
+      this.assert(erased.erasedContactIds.includes(original.primaryContactId), 'Contacts carrying the email should be erased');
+      this.assert(erased.contacts.length === 1, 'The rest of the cluster should survive');
+
+      const [survivor] = erased.contacts;
+      this.assert(survivor.primaryContactId !== original.primaryContactId, 'A new primary should be promoted');
+      this.assert(survivor.emails.length === 0, 'Erased email should be gone from the cluster');
+      this.assert(survivor.phoneNumbers.includes('+16000000001'), 'Other identifiers of the erased contact should be kept');
+      this.assert(survivor.phoneNumbers.includes('+16000000002'), 'Secondaries should be re-homed under the new primary');
+
+      // The erased email must not silently come back as a new primary
+      let blocked = false;
+      try {
+        await this.contactService.identifyContact('Needles@zamazon.com', null);
+      } catch (error) {
+        blocked = error.code === 'IDENTITY_ERASED';
+      }
+      this.assert(blocked, 'Erased identifiers should be rejected by identify');
+
+      // Erase the rest of the cluster, then purge with no grace period
+      const clusterErasure = await this.contactService.eraseCluster(survivor.primaryContactId);
+      this.assert(clusterErasure.erasedContactIds.length === 2, 'Whole cluster should be erased');
+
+      const bystander = await this.contactService.identifyContact('pins@zamazon.com', null);
+      const purge = await this.contactService.purgeErasedContacts(0);
+      this.assert(purge.purgedContacts >= 3, 'Erased contacts should be purged');
+
+      // Webhook events announcing the erased identities go with them; events about anyone else stay
+      const payloads = (await this.dbManager.getOutboxEntries('pending', 1000)).map(e => e.payload);
+      this.assert(!payloads.some(p => /needles@zamazon\.com|\+1600000000[12]/.test(p)), 'Purged identifiers should not survive in the webhook outbox');
+      this.assert(payloads.some(p => p.includes(`"primaryContactId":${bystander.primaryContactId}`)), 'Other webhook events should be kept');
+
+      const purged = await this.dbManager.getContactsByIds([...erased.erasedContactIds, ...clusterErasure.erasedContactIds]);
+      const leftovers = purged.filter(c => !c.purgedAt || c.email || c.phoneNumber || c.rawEmail || c.rawPhoneNumber);
+      this.assert(leftovers.length === 0, 'Purged contacts should hold no PII');
+
+      let stillBlocked = false;
+      try {
+        await this.contactService.identifyContact(null, '6000000002');
+      } catch (error) {
+        stillBlocked = error.code === 'IDENTITY_ERASED';
+      }
+      this.assert(stillBlocked, 'Tombstones should outlive the purge');
+
+      // Without a secret the tombstone hashes would be guessable, so nothing is hashed at all
+      const secret = process.env.ERASURE_HASH_SECRET;
+      delete process.env.ERASURE_HASH_SECRET;
+      let unkeyed = null;
+      try {
+        await this.contactService.identifyContact('unkeyed@zamazon.com', null);
+      } catch (error) {
+        unkeyed = error;
+      } finally {
+        process.env.ERASURE_HASH_SECRET = secret;
+      }
+      this.assert(unkeyed && /ERASURE_HASH_SECRET/.test(unkeyed.message), 'A missing erasure secret should be refused');
+
+      this.recordTest('Right-to-erasure', true);
+    } catch (error) {
+      this.recordTest('Right-to-erasure', false, error.message);
+    } finally {
+      await webhookService.disableSubscription(subscription.id);
+    }
+  }
+
+  async testAuditHistory() {
+    console.log('🧪 Testing merge/link audit history...');
+
+    try {
+      const first = await this.contactService.identifyContact('strickland@zamazon.com', null);
+      const second = await this.contactService.identifyContact(null, '7000000001');
+      await this.contactService.identifyContact('strickland@zamazon.com', '7000000001');
+      await this.contactService.identifyContact('strickland@zamazon.com', '7000000001');
+
+      const { primaryContactId, history } = await this.contactService.getClusterHistory(second.primaryContactId);
+      const actions = history.map(h => h.action);
+
+      this.assert(primaryContactId === first.primaryContactId, 'History should resolve to the current primary');
+      this.assert(
+        JSON.stringify(actions) === JSON.stringify(['create_new_primary', 'create_new_primary', 'merge_primaries', 'create_secondary']),
+        `Timeline should list every operation in order (got ${actions.join(', ')})`
+      );
+
+      const merge = history[2];
+      const demotion = merge.changes.find(c => c.contactId === second.primaryContactId);
+      this.assert(merge.trigger.phoneNumber === '+17000000001', 'Merge should record the triggering phone');
+      this.assert(merge.details.policy === 'oldest' && merge.details.primaryContactId === first.primaryContactId, 'Merge should record why its primary was kept');
+      this.assert(demotion.previousPrecedence === 'primary' && demotion.linkPrecedence === 'secondary', 'Demotion should record before/after precedence');
+      this.assert(demotion.linkedId === first.primaryContactId, 'Demotion should record the new primary');
+
+      this.recordTest('Audit History', true);
+    } catch (error) {
+      this.recordTest('Audit History', false, error.message);
+    }
+  }
+
+  async testBatchReconciliation() {
+    console.log('🧪 Testing batch reconciliation and bulk import...');
+
+    const batchDb = new DatabaseManager({ backend: 'memory' });
+    const sequentialDb = new DatabaseManager({ backend: 'memory' });
+
+    try {
+      await batchDb.initialize();
+      await sequentialDb.initialize();
+
+      const items = [
+        { email: 'tannen@zamazon.com', phoneNumber: '8000000001' },
+        { email: 'griff@zamazon.com', phoneNumber: '8000000002' },
+        { email: 'not-an-email', phoneNumber: null },
+        { email: 'tannen@zamazon.com', phoneNumber: '8000000002' },
+        { email: 'buford@zamazon.com', phoneNumber: '8000000001' }
+      ];
+
+      let progressCalls = 0;
+      const batchService = new ContactService(batchDb);
+      const results = await batchService.identifyBatch(items, () => progressCalls++);
+
+      this.assert(results.length === items.length, 'Every item should get a result');
+      this.assert(progressCalls === items.length, 'Progress should be reported per item');
+      this.assert(results[2].error.code === 'INVALID_EMAIL', 'Invalid items should report their error');
+
+      const sequentialService = new ContactService(sequentialDb);
+      for (const [index, item] of items.entries()) {
+        if (index === 2) continue;
+        const sequential = await sequentialService.identifyContact(item.email, item.phoneNumber);
+        this.assert(
+          JSON.stringify(sequential) === JSON.stringify(results[index].contact),
+          'Batch results should match sequential identify calls'
+        );
+      }
+
+      // The same rows streamed from an NDJSON file land in the same clusters
+      const filePath = path.join(os.tmpdir(), `identity-import-${process.pid}.ndjson`);
+      fs.writeFileSync(filePath, items.map(item => JSON.stringify(item)).join('\n') + '\n{broken\n');
+
+      const importDb = new DatabaseManager({ backend: 'memory' });
+      await importDb.initialize();
+      const importService = new ContactService(importDb);
+
+      const summary = await importContacts(filePath, importService);
+      fs.unlinkSync(filePath);
+
+      this.assert(summary.processed === items.length + 1, 'Every line should be processed');
+      this.assert(summary.failed === 2 && summary.errors[1].line === 6, 'Failures should be reported with line numbers');
+
+      const imported = await importService.findClusterByEmail('buford@zamazon.com');
+      this.assert(JSON.stringify(imported) === JSON.stringify(results[4].contact), 'Import should match the batch clusters');
+      await importDb.close();
+
+      this.recordTest('Batch Reconciliation', true);
+    } catch (error) {
+      this.recordTest('Batch Reconciliation', false, error.message);
+    } finally {
+      await batchDb.close();
+      await sequentialDb.close();
+    }
+  }
+
+  async testClusterExport() {
+    console.log('🧪 Testing cluster export...');
+
+    const collect = () => {
+      const chunks = [];
+      const output = new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk.toString());
+          callback();
+        }
+      });
+      return { output, text: () => chunks.join('') };
+    };
+
+    try {
+      const cluster = await this.contactService.identifyContact('goldie@zamazon.com', '9000000001');
+      await this.contactService.identifyContact('goldie@zamazon.com', '9000000002');
+      await this.contactService.identifyContact('goldie@zamazon.com', null, { customerId: 'GOLD-1' });
+
+      // NDJSON: one cluster per line, same shape as identify plus timestamps
+      const ndjson = collect();
+      const count = await new ClusterExporter('ndjson').write(this.contactService.exportClusters({ pageSize: 2 }), ndjson.output);
+      const rows = ndjson.text().trim().split('\n').map(line => JSON.parse(line));
+      const stats = await this.contactService.getDatabaseStats();
+
+      this.assert(count === stats.primaryContacts && rows.length === count, 'Every cluster should be exported across pages');
+      const exported = rows.find(r => r.primaryContactId === cluster.primaryContactId);
+      this.assert(exported.phoneNumbers.length === 2 && exported.createdAt && exported.updatedAt, 'Rows should carry identifiers and timestamps');
+
+      // JSON output must parse as a whole
+      const json = collect();
+      await new ClusterExporter('json').write(this.contactService.exportClusters(), json.output);
+      this.assert(JSON.parse(json.text()).length === count, 'JSON export should be a valid array');
+
+      // CSV with an updated-since filter in the future yields only the header
+      const csv = collect();
+      const future = ClusterExporter.parseUpdatedSince('2999-01-01T00:00:00Z');
+      const filtered = await new ClusterExporter('csv').write(this.contactService.exportClusters({ updatedSince: future }), csv.output);
+      this.assert(filtered === 0, 'Updated-since filter should exclude unchanged clusters');
+      this.assert(csv.text() === 'primaryContactId,emails,phoneNumbers,secondaryContactIds,identifiers,createdAt,updatedAt,status,mergedIntoPrimaryContactId\n',
+        'CSV should start with a header');
+
+      // Typed identifiers are flattened to "type:value" entries in their own column
+      const full = collect();
+      await new ClusterExporter('csv').write(this.contactService.exportClusters(), full.output);
+      const goldie = full.text().split('\n').find(line => line.startsWith(`${cluster.primaryContactId},`)).split(',');
+      this.assert(goldie[4].split(';').includes('email:goldie@zamazon.com') && goldie[4].split(';').includes('customerId:GOLD-1'),
+        'CSV should carry typed identifiers');
+      this.assert(rows.every(r => r.status === 'active'), 'Live clusters should be exported as active');
+
+      // An incremental extract also reports clusters merged away or deleted since the cutoff
+      const since = ClusterExporter.parseUpdatedSince(new Date().toISOString());
+      const ingot = await this.contactService.identifyContact('ingot@zamazon.com', '9000000011');
+      const nugget = await this.contactService.identifyContact('nugget@zamazon.com', '9000000012');
+      const dross = await this.contactService.identifyContact('dross@zamazon.com', '9000000013');
+      const combined = await this.contactService.identifyContact('ingot@zamazon.com', '9000000012');
+      const absorbed = [ingot, nugget].map(c => c.primaryContactId).find(id => id !== combined.primaryContactId);
+      await this.contactService.eraseCluster(dross.primaryContactId);
+
+      const changes = [];
+      for await (const record of this.contactService.exportClusters({ updatedSince: since, pageSize: 1 })) changes.push(record);
+      const byId = (id) => changes.find(r => r.primaryContactId === id);
+      this.assert(byId(combined.primaryContactId)?.status === 'active', 'Clusters changed since the cutoff should be exported');
+      this.assert(byId(absorbed)?.status === 'merged' && byId(absorbed).mergedIntoPrimaryContactId === combined.primaryContactId,
+        'Merged-away primaries should point at the primary they joined');
+      this.assert(byId(dross.primaryContactId)?.status === 'deleted' && byId(dross.primaryContactId).updatedAt,
+        'Deleted clusters should be reported with when they went');
+      this.assert(!changes.some(r => r.status !== 'active' && r.primaryContactId === cluster.primaryContactId),
+        'Clusters untouched since the cutoff should not be reported as gone');
+
+      // A client that disconnects mid-export fails the write instead of leaving it waiting for a drain forever
+      const stalled = new Writable({ highWaterMark: 1, write() {} });
+      let stopped = false;
+      const endless = (async function* () {
+        try {
+          while (true) yield { primaryContactId: 1 };
+        } finally {
+          stopped = true;
+        }
+      })();
+      const abandoned = new ClusterExporter('ndjson').write(endless, stalled);
+      setImmediate(() => stalled.destroy());
+      let disconnectError = null;
+      try {
+        await abandoned;
+      } catch (error) {
+        disconnectError = error;
+      }
+      this.assert(disconnectError && stopped, 'A closed output should stop the export');
+
+      this.recordTest('Cluster Export', true);
+    } catch (error) {
+      this.recordTest('Cluster Export', false, error.message);
+    }
+  }
+
+  async testStorageConformance() {
+    console.log('🧪 Testing storage adapter conformance...');
+
+    // PostgreSQL only runs when a disposable test database is configured
+    const backends = [
+      { backend: 'sqlite', dbPath: ':memory:' },
+      { backend: 'memory' },
+      ...(process.env.TEST_DATABASE_URL ? [{ backend: 'postgres', connectionString: process.env.TEST_DATABASE_URL }] : [])
+    ];
+
+    for (const config of backends) {
+      const dbManager = new DatabaseManager(config);
+
+      try {
+        await dbManager.initialize();
+        await runStorageConformance(dbManager);
+        this.recordTest(`Storage Conformance (${config.backend})`, true);
+      } catch (error) {
+        this.recordTest(`Storage Conformance (${config.backend})`, false, error.message);
+      } finally {
+        await dbManager.close();
+      }
+    }
+  }
+
+  async testSchemaMigrations() {
+    console.log('🧪 Testing schema migrations...');
+
+    const dbManager = new DatabaseManager({ backend: 'sqlite', dbPath: ':memory:' });
+
+    try {
+      await dbManager.initialize({ migrate: false });
+      const { migrator, adapter } = dbManager;
+      const tableExists = async (name) =>
+        Boolean(await adapter.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]));
+
+      const versions = (await migrator.loadMigrations()).map(m => m.version);
+      const latest = versions[versions.length - 1];
+
+      // Dry run lists everything and applies nothing
+      const planned = await migrator.migrate({ dryRun: true });
+      this.assert(planned.map(m => m.version).join() === versions.join(), 'Dry run should list every pending migration');
+      this.assert(!(await tableExists('Contact')), 'Dry run should not touch the schema');
+
+      // Up to a version, then the rest
+      await migrator.migrate({ to: 3 });
+      this.assert(!(await tableExists('ContactAudit')), 'Migrating to a version should stop there');
+      const applied = await migrator.migrate();
+      this.assert(applied.map(m => m.version).join() === versions.filter(v => v > 3).join(), 'Remaining migrations should be applied in order');
+      this.assert((await migrator.migrate()).length === 0, 'Migrating twice should be a no-op');
+
+      // Down steps and back up
+      const reverted = await migrator.rollback({ steps: 2 });
+      this.assert(reverted.map(m => m.version).join() === versions.slice(-2).reverse().join(), 'Rollback should revert the latest migrations first');
+      this.assert((await migrator.status()).filter(m => m.appliedAt).length === versions.length - 2, 'Reverted migrations should be pending again');
+      const reapplied = await migrator.migrate();
+      this.assert(reapplied[reapplied.length - 1].version === latest, 'Reverted migrations should be re-applicable');
+
+      // A tampered history refuses to start
+      await adapter.run('UPDATE "SchemaMigrations" SET "checksum" = ? WHERE "version" = 2', ['tampered']);
+      let tamperError = null;
+      try {
+        await migrator.migrate();
+      } catch (error) {
+        tamperError = error;
+      }
+      this.assert(tamperError && /Checksum mismatch/.test(tamperError.message), 'Tampered history should be refused');
+
+      this.recordTest('Schema Migrations', true);
+    } catch (error) {
+      this.recordTest('Schema Migrations', false, error.message);
+    } finally {
+      await dbManager.close();
+    }
+
+    // A database created by the old createTables (no raw columns, no newer tables) upgrades in place
+    const legacyManager = new DatabaseManager({ backend: 'sqlite', dbPath: ':memory:' });
+
+    try {
+      await legacyManager.initialize({ migrate: false });
+      await legacyManager.adapter.run(`
+        CREATE TABLE Contact (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          phoneNumber TEXT,
+          email TEXT,
+          linkedId INTEGER,
+          linkPrecedence TEXT CHECK(linkPrecedence IN ('primary', 'secondary')) NOT NULL,
+          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+          deletedAt DATETIME
+        )
+      `);
+      await legacyManager.adapter.run(
+        "INSERT INTO Contact (phoneNumber, email, linkPrecedence) VALUES ('+12025550101', 'legacy@zamazon.com', 'primary')"
+      );
+
+      // Rows written before normalization existed, as their callers typed them
+      await legacyManager.adapter.run(
+        "INSERT INTO Contact (phoneNumber, email, linkPrecedence) VALUES ('1234567890', 'John@X.com', 'primary')"
+      );
+      await legacyManager.adapter.run(
+        "INSERT INTO Contact (phoneNumber, email, linkPrecedence) VALUES ('n/a', 'broken@zamazon.com', 'primary')"
+      );
+
+      const applied = await legacyManager.migrator.migrate();
+      const [legacy] = await legacyManager.findContactsByEmailOrPhone('legacy@zamazon.com', null);
+      this.assert(legacy.rawEmail === 'legacy@zamazon.com', 'Legacy rows should be backfilled');
+      this.assert(legacy.purgedAt === null, 'Legacy databases should gain the newer columns');
+
+      const [john] = await legacyManager.findContactsByEmailOrPhone('john@x.com', null);
+      this.assert(john && john.phoneNumber === '+11234567890', 'Legacy identifiers should be normalized in place');
+      this.assert(john.rawEmail === 'John@X.com' && john.rawPhoneNumber === '1234567890', 'Legacy originals should be kept in the raw columns');
+
+      const report = applied.find(m => m.report)?.report;
+      this.assert(report && report.contactIds.phoneNumber.length === 1 && report.contactIds.email.length === 0,
+        'Identifiers that cannot be normalized should be reported');
+
+      const returning = await new ContactService(legacyManager).identifyContact('john@x.com', '+1 (123) 456-7890');
+      this.assert(returning.primaryContactId === john.id && returning.secondaryContactIds.length === 0,
+        'Returning legacy customers should match their existing contact');
+
+      this.recordTest('Legacy Schema Upgrade', true);
+    } catch (error) {
+      this.recordTest('Legacy Schema Upgrade', false, error.message);
+    } finally {
+      await legacyManager.close();
+    }
+  }
+
+  async testApiKeys() {
+    console.log('🧪 Testing API keys and route scopes...');
+
+    try {
+      const apiKeyService = new ApiKeyService(this.dbManager);
+      const denied = [];
+      const authenticator = new Authenticator(apiKeyService, {
+        logAccessDenied: (req, reason, details) => denied.push({ reason, ...details })
+      });
+
+      // Run a scope check against a fake request and report what reached next()
+      const check = async (scope, headers) => {
+        const req = { method: 'GET', url: '/admin/status', ip: '127.0.0.1', get: (name) => headers[name] };
+        const error = await new Promise(resolve => authenticator.requireScope(scope)(req, {}, resolve));
+        return { error, apiKey: req.apiKey };
+      };
+
+      const reader = await apiKeyService.issueKey('dashboard', ['read']);
+      const admin = await apiKeyService.issueKey('ops', ['admin']);
+      this.assert(reader.apiKey.startsWith(reader.key.keyPrefix), 'Key prefix should identify the key');
+      this.assert(!('keyHash' in reader.key), 'Key hashes should never be exposed');
+
+      const stored = await this.dbManager.findApiKeyByHash(apiKeyService.hashKey(reader.apiKey));
+      this.assert(stored && stored.keyHash !== reader.apiKey, 'Only the hash of a key should be stored');
+
+      // Scopes are enforced, admin passes everything
+      const allowed = await check('read', { 'X-API-Key': reader.apiKey });
+      this.assert(!allowed.error && allowed.apiKey.id === reader.key.id, 'Keys should be accepted for their scopes');
+      this.assert((await check('read', { Authorization: `Bearer ${admin.apiKey}` })).error === undefined, 'Admin keys should pass every scope');
+
+      const forbidden = await check('admin', { 'X-API-Key': reader.apiKey });
+      this.assert(forbidden.error.statusCode === 403 && forbidden.error.code === 'FORBIDDEN', 'Missing scopes should be forbidden');
+      this.assert((await check('identify', {})).error.statusCode === 401, 'Requests without a key should be rejected');
+      this.assert((await check('identify', { 'X-API-Key': 'irk_not-a-real-key' })).error.code === 'UNAUTHORIZED', 'Unknown keys should be rejected');
+      this.assert(denied.map(d => d.reason).join() === 'insufficient_scope,missing_api_key,invalid_api_key', 'Every denial should be audit logged');
+
+      // Rotation replaces the secret, revocation disables it
+      const rotated = await apiKeyService.rotateKey(reader.key.id);
+      this.assert(rotated.key.scopes.join() === 'read' && rotated.key.name === 'dashboard', 'Rotated keys should keep name and scopes');
+      this.assert(!(await apiKeyService.authenticate(reader.apiKey)), 'Rotated-out keys should stop working');
+      this.assert(await apiKeyService.authenticate(rotated.apiKey), 'Rotated keys should work');
+
+      await apiKeyService.revokeKey(rotated.key.id);
+      this.assert((await check('read', { 'X-API-Key': rotated.apiKey })).error.statusCode === 401, 'Revoked keys should be rejected');
+
+      let revokeError = null;
+      try {
+        await apiKeyService.rotateKey(rotated.key.id);
+      } catch (error) {
+        revokeError = error;
+      }
+      this.assert(revokeError && revokeError.code === 'API_KEY_REVOKED', 'Revoked keys should not be rotatable');
+
+      let scopeError = null;
+      try {
+        await apiKeyService.issueKey('bad', ['superuser']);
+      } catch (error) {
+        scopeError = error;
+      }
+      this.assert(scopeError && scopeError.code === 'INVALID_SCOPE', 'Unknown scopes should be rejected');
+
+      // A key issued while another caller's transaction is open waits for it, rather than being rolled back with it
+      let entered;
+      let release;
+      const inside = new Promise(resolve => { entered = resolve; });
+      const gate = new Promise(resolve => { release = resolve; });
+      const rolledBack = this.dbManager.transaction(async () => {
+        await this.contactService.identifyContact('rollback@zamazon.com', null);
+        entered();
+        await gate;
+        throw new Error('rolled back');
+      }).catch(() => {});
+      await inside;
+      const issuing = apiKeyService.issueKey('during-rollback', ['read']);
+      await new Promise(resolve => setImmediate(resolve));
+      release();
+      await rolledBack;
+      const survivor = await issuing;
+      this.assert(await this.dbManager.getApiKeyById(survivor.key.id), 'Keys issued during a rollback should be kept');
+      this.assert(!(await this.dbManager.findContactsByEmailOrPhone('rollback@zamazon.com', null)).length, 'The rolled back write should be gone');
+
+      this.recordTest('API Keys', true);
+    } catch (error) {
+      this.recordTest('API Keys', false, error.message);
+    }
+  }
+
+  async testWebhooks() {
+    console.log('🧪 Testing webhook outbox delivery...');
+
+    const dbManager = new DatabaseManager({ backend: 'sqlite', dbPath: ':memory:' });
+    const received = [];
+    let failing = true;
+
+    // Local receiver stub: /hooks accepts, /flaky fails until told otherwise
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, headers: req.headers, body });
+        res.writeHead(req.url === '/flaky' && failing ? 500 : 204).end();
+      });
+    });
+
+    try {
+      await dbManager.initialize();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      const webhookService = new WebhookService(dbManager);
+      const contactService = new ContactService(dbManager, new IdentifierNormalizer(), webhookService);
+      const dispatcher = new WebhookDispatcher(dbManager, { log: () => {}, logError: () => {} }, {
+        maxAttempts: 3,
+        retryBaseSeconds: 10
+      });
+
+      const { secret, subscription } = await webhookService.createSubscription(`${baseUrl}/hooks`);
+      this.assert(subscription.events.length === 3 && !('secret' in subscription), 'Subscriptions should default to every event');
+      await webhookService.createSubscription(`${baseUrl}/flaky`, ['contacts.merged']);
+
+      // create, create, merge, link
+      await contactService.identifyContact('hook.a@zamazon.com', '2025550111');
+      await contactService.identifyContact('hook.b@zamazon.com', '2025550112');
+      await contactService.identifyContact('hook.a@zamazon.com', '2025550112');
+      await contactService.identifyContact('hook.c@zamazon.com', '2025550111');
+
+      const start = new Date(Date.now() + 1000);
+      const firstRun = await dispatcher.deliverDue(start);
+      this.assert(firstRun.delivered === 4 && firstRun.retried === 1, 'Due events should be delivered and failures rescheduled');
+
+      const hooks = received.filter(r => r.path === '/hooks');
+      const events = hooks.map(r => JSON.parse(r.body));
+      this.assert(events.map(e => e.type).join() === 'contact.created,contact.created,contacts.merged,contact.linked',
+        'Lifecycle events should be emitted in order');
+      this.assert(events[2].data.mergedPrimaryContactIds.length === 1 && events[3].data.contactId > 0, 'Event payloads should describe the change');
+
+      const [first] = hooks;
+      const expected = WebhookDispatcher.sign(secret, first.headers['x-webhook-timestamp'], first.body);
+      this.assert(first.headers['x-webhook-signature'] === `sha256=${expected}`, 'Deliveries should carry an HMAC signature');
+      this.assert(first.headers['x-webhook-id'] === events[0].id, 'Deliveries should carry the event id');
+
+      // Exponential backoff: 10s, then 20s, then dead-lettered
+      this.assert((await dispatcher.deliverDue(new Date(start.getTime() + 5000))).retried === 0, 'Retries should wait for their backoff');
+      await dispatcher.deliverDue(new Date(start.getTime() + 10000));
+      this.assert((await dispatcher.deliverDue(new Date(start.getTime() + 20000))).retried === 0, 'Backoff should double');
+      this.assert((await dispatcher.deliverDue(new Date(start.getTime() + 30000))).dead === 1, 'Exhausted deliveries should be dead-lettered');
+
+      const [deadLetter] = await webhookService.getDeadLetters();
+      this.assert(deadLetter.attempts === 3 && deadLetter.lastError === 'HTTP 500', 'Dead letters should keep the failure');
+      this.assert(deadLetter.event.type === 'contacts.merged', 'Dead letters should hold the event');
+
+      // Requeued dead letters go out on the next run
+      failing = false;
+      await webhookService.retryDelivery(deadLetter.id);
+      this.assert((await dispatcher.deliverDue(new Date(start.getTime() + 30000))).delivered === 1, 'Retried dead letters should be redelivered');
+      this.assert((await webhookService.getDeadLetters()).length === 0, 'Redelivered events should leave the dead-letter view');
+
+      // Nothing is queued for a reconciliation that rolled back
+      const rollbackService = new ContactService(dbManager, new IdentifierNormalizer(), {
+        publish: async (type, data) => {
+          await webhookService.publish(type, data);
+          throw new Error('Simulated failure');
+        }
+      });
+      await rollbackService.identifyContact('hook.d@zamazon.com', null).catch(() => {});
+      this.assert((await dispatcher.deliverDue(new Date(start.getTime() + 30000))).delivered === 0, 'Rolled back changes should not emit events');
+
+      this.recordTest('Webhooks', true);
+    } catch (error) {
+      this.recordTest('Webhooks', false, error.message);
+    } finally {
+      server.closeAllConnections();
+      server.close();
+      await dbManager.close();
+    }
+  }
+
+  async testDuplicateReview() {
+    console.log('🧪 Testing fuzzy duplicate review queue...');
+
+    const dbManager = new DatabaseManager({ backend: 'sqlite', dbPath: ':memory:' });
+
+    try {
+      await dbManager.initialize();
+      const contactService = new ContactService(dbManager);
+      const quietLogger = { log: () => {}, logError: () => {} };
+      const reviews = new DuplicateReviewService(dbManager, contactService, quietLogger);
+
+      const scorer = new DuplicateScorer();
+      this.assert(scorer.editDistance('zamazon', 'zamazom') === 1 && scorer.editDistance('0145', '0154') === 1,
+        'Edit distance should count substitutions and transpositions as one edit');
+
+      const doc = await contactService.identifyContact('doc@zamazon.com', '2025550121');
+      const typo = await contactService.identifyContact('doc@zamazom.com', '2025550131');
+      await contactService.identifyContact('marty@zamazon.com', '2025550145');
+      await contactService.identifyContact('calvin@zamazon.com', '2025550154');
+      await contactService.identifyContact('biff@hillvalley.com', '2025559999');
+
+      const firstScan = await reviews.scan();
+      this.assert(firstScan.clustersScanned === 5 && firstScan.candidatesQueued === 2, 'Near-miss pairs should be queued');
+      this.assert((await dbManager.getStats()).primaryContacts === 5, 'Scanning should never merge without a threshold');
+
+      const candidates = await reviews.listCandidates();
+      const emailCandidate = candidates.find(c => c.reasons.some(r => r.reason === 'email_domain_typo'));
+      const phoneCandidate = candidates.find(c => c.reasons.some(r => r.reason === 'phone_transposition'));
+      this.assert(emailCandidate && phoneCandidate, 'Domain typos and digit transpositions should be detected');
+      this.assert(emailCandidate.primaryContactIds.join() === `${doc.primaryContactId},${typo.primaryContactId}`, 'Candidates should name both primaries');
+      this.assert((await reviews.scan()).candidatesQueued === 0, 'Known pairs should not be queued twice');
+
+      // Accepting merges for real, rejecting keeps the pair apart for good
+      const accepted = await reviews.acceptCandidate(emailCandidate.id);
+      this.assert(accepted.contact.primaryContactId === doc.primaryContactId && accepted.contact.emails.length === 2, 'Accepted candidates should merge');
+      this.assert(accepted.candidate.status === 'accepted', 'Accepted candidates should be marked');
+      const history = await contactService.getClusterHistory(doc.primaryContactId);
+      this.assert(history.history.some(h => h.action === 'merge_duplicates'), 'Reviewed merges should be audited');
+
+      const rejected = await reviews.rejectCandidate(phoneCandidate.id);
+      this.assert(rejected.status === 'rejected' && (await reviews.scan()).candidatesQueued === 0, 'Rejected pairs should not come back');
+
+      let reviewError = null;
+      try {
+        await reviews.acceptCandidate(phoneCandidate.id);
+      } catch (error) {
+        reviewError = error;
+      }
+      this.assert(reviewError && reviewError.code === 'CANDIDATE_NOT_PENDING', 'Reviewed candidates should not be reviewed twice');
+
+      // Auto-merge only above its own threshold
+      await contactService.identifyContact('lorraine@zamazon.com', null);
+      await contactService.identifyContact('lorraine@zamazon.co', null);
+      const autoReviews = new DuplicateReviewService(dbManager, contactService, quietLogger, { autoMergeThreshold: 0.85 });
+      const autoScan = await autoReviews.scan();
+      this.assert(autoScan.autoMerged === 1, 'Pairs above the auto-merge threshold should merge');
+      this.assert((await reviews.listCandidates('auto_merged')).length === 1, 'Auto-merged pairs should stay visible');
+      const lorraine = await contactService.findClusterByEmail('lorraine@zamazon.co');
+      this.assert(lorraine.emails.length === 2, 'Auto-merged clusters should be combined');
+
+      this.recordTest('Duplicate Review', true);
+    } catch (error) {
+      this.recordTest('Duplicate Review', false, error.message);
+    } finally {
+      await dbManager.close();
+    }
+  }
+
+  async testGenericIdentifiers() {
+    console.log('🧪 Testing typed identifiers beyond email and phone...');
+
+    try {
+      // An extended identifier alone is enough to start a cluster
+      const byCustomer = await this.contactService.identifyContact(null, null, { customerId: 'CUST-881' });
+      this.assert(byCustomer.identifiers.customerId.join() === 'CUST-881', 'Extended identifiers should be grouped by type');
+      this.assert(byCustomer.emails.length === 0 && byCustomer.identifiers.email.length === 0, 'emails should stay alongside the grouped identifiers');
+
+      // Same customer id with a new email links instead of starting over
+      const linked = await this.contactService.identifyContact('ripley@zamazon.com', null, { customerId: 'CUST-881', loyaltyNumber: '4000 1234 5678' });
+      this.assert(linked.primaryContactId === byCustomer.primaryContactId && linked.secondaryContactIds.length === 1, 'Shared extended identifiers should link contacts');
+      this.assert(linked.identifiers.loyaltyNumber.join() === '400012345678', 'Extended identifiers should be normalized');
+      this.assert(JSON.stringify(linked.emails) === JSON.stringify(linked.identifiers.email), 'Grouped emails should match the legacy field');
+
+      const repeat = await this.contactService.identifyContact(null, null, { loyaltyNumber: '4000-1234-5678' });
+      this.assert(JSON.stringify(repeat) === JSON.stringify(linked), 'Known identifiers should not create contacts');
+
+      // A device id bridges two otherwise unrelated clusters
+      const other = await this.contactService.identifyContact(null, '7100000001', { deviceId: 'Pixel-7A' });
+      const merged = await this.contactService.identifyContact(null, null, { customerId: 'CUST-881', deviceId: 'pixel-7a' });
+      this.assert(merged.primaryContactId === byCustomer.primaryContactId, 'The older primary should win a merge on extended identifiers');
+      this.assert(merged.secondaryContactIds.includes(other.primaryContactId) && merged.phoneNumbers.includes('+17100000001'), 'Extended identifiers should merge clusters');
+
+      const lookup = await this.contactService.findClusterByIdentifier('deviceId', 'PIXEL-7A');
+      this.assert(JSON.stringify(lookup) === JSON.stringify(merged), 'Clusters should be found by any identifier type');
+
+      let invalid = null;
+      try {
+        await this.contactService.identifyContact(null, null, { loyaltyNumber: 'gold' });
+      } catch (error) {
+        invalid = error;
+      }
+      this.assert(invalid && invalid.code === 'INVALID_IDENTIFIER', 'Malformed identifiers should be rejected');
+
+      const restricted = new IdentifierNormalizer({ identifierTypes: ['customerId'] });
+      this.assert(JSON.stringify(restricted.extractIdentifiers({ customerId: 'c-1', deviceId: 'd-1' })) === '{"customerId":"c-1"}',
+        'Only configured identifier types should be accepted');
+
+      // Erasure tombstones extended identifiers too
+      await this.contactService.eraseCluster(merged.primaryContactId);
+      let erased = false;
+      try {
+        await this.contactService.identifyContact(null, null, { customerId: 'CUST-881' });
+      } catch (error) {
+        erased = error.code === 'IDENTITY_ERASED';
+      }
+      this.assert(erased, 'Erased extended identifiers should be rejected by identify');
+
+      this.recordTest('Generic Identifiers', true);
+    } catch (error) {
+      this.recordTest('Generic Identifiers', false, error.message);
+    }
+  }
+
+  async testMultiTenancy() {
+    console.log('🧪 Testing tenant isolation...');
+
+    try {
+      const tenantService = new TenantService(this.dbManager);
+      const asTenant = (tenantId, work) => this.dbManager.withTenant(tenantId, work);
+
+      // The same email is a different customer in each storefront
+      const north = await asTenant('north', () => this.contactService.identifyContact('shared@zamazon.com', '7200000001'));
+      const south = await asTenant('south', () => this.contactService.identifyContact('shared@zamazon.com', '7200000002'));
+      this.assert(north.primaryContactId !== south.primaryContactId, 'The same email should not merge across tenants');
+      this.assert(south.phoneNumbers.join() === '+17200000002' && south.secondaryContactIds.length === 0, 'Tenants should not see each other\'s identifiers');
+
+      let crossRead = null;
+      try {
+        await asTenant('south', () => this.contactService.getCluster(north.primaryContactId));
+      } catch (error) {
+        crossRead = error;
+      }
+      this.assert(crossRead && crossRead.statusCode === 404, 'Clusters of other tenants should not be found by id');
+      this.assert((await asTenant('north', () => this.contactService.getDatabaseStats())).totalContacts === 1, 'Stats should be scoped to the tenant');
+
+      // Tenant-bound keys can only act as their tenant; platform keys pick one with X-Tenant-Id
+      const apiKeyService = new ApiKeyService(this.dbManager);
+      const denied = [];
+      const authenticator = new Authenticator(apiKeyService, { logAccessDenied: (req, reason) => denied.push(reason) });
+      const check = async (headers, options) => {
+        const req = { method: 'GET', url: '/contacts/1', ip: '127.0.0.1', get: (name) => headers[name] };
+        let tenantId = null;
+        const error = await new Promise(resolve => authenticator.requireScope('read', options)(req, {}, (err) => {
+          tenantId = this.dbManager.tenantId;
+          resolve(err);
+        }));
+        return { error, tenantId };
+      };
+
+      const northKey = await apiKeyService.issueKey('north-shop', ['admin'], 'north');
+      const platformKey = await apiKeyService.issueKey('platform', ['admin']);
+      this.assert((await check({ 'X-API-Key': northKey.apiKey })).tenantId === 'north', 'Tenant keys should run as their tenant');
+      this.assert((await check({ 'X-API-Key': northKey.apiKey, 'X-Tenant-Id': 'north' })).error === undefined, 'A matching tenant header should be accepted');
+      this.assert((await check({ 'X-API-Key': northKey.apiKey, 'X-Tenant-Id': 'south' })).error.statusCode === 403, 'Tenant keys should not reach other tenants');
+      this.assert((await check({ 'X-API-Key': northKey.apiKey }, { platform: true })).error.statusCode === 403, 'Platform routes should reject tenant keys');
+      this.assert((await check({ 'X-API-Key': platformKey.apiKey, 'X-Tenant-Id': 'south' })).tenantId === 'south', 'Platform keys should choose a tenant by header');
+      this.assert((await check({ 'X-API-Key': platformKey.apiKey })).tenantId === 'default', 'Requests without a tenant should use the default tenant');
+      this.assert((await check({ 'X-API-Key': platformKey.apiKey, 'X-Tenant-Id': 'South Shop' })).error.code === 'INVALID_TENANT_ID', 'Malformed tenant ids should be rejected');
+      this.assert(denied.join() === 'tenant_mismatch,platform_key_required', 'Tenant denials should be audit logged');
+
+      // Admin tooling lists, exports and deletes one tenant at a time
+      const tenants = await tenantService.listTenants();
+      this.assert(['default', 'north', 'south'].every(id => tenants.some(t => t.tenantId === id)), 'Tenants should be listed');
+      this.assert(tenants.find(t => t.tenantId === 'south').totalContacts === 1, 'Tenants should be listed with their stats');
+
+      const exported = [];
+      await tenantService.asTenant('south', async () => {
+        for await (const cluster of this.contactService.exportClusters()) exported.push(cluster);
+      });
+      this.assert(exported.length === 1 && exported[0].phoneNumbers.join() === '+17200000002', 'Exports should hold one tenant\'s clusters');
+
+      const deleted = await tenantService.deleteTenant('north');
+      this.assert(deleted.deletedContacts === 1, 'Deleting a tenant should report its contacts');
+      this.assert(!(await tenantService.listTenants()).some(t => t.tenantId === 'north'), 'Deleted tenants should disappear');
+      this.assert(!(await apiKeyService.authenticate(northKey.apiKey)), 'Deleting a tenant should delete its keys');
+      this.assert((await asTenant('south', () => this.contactService.findClusterByEmail('shared@zamazon.com'))).primaryContactId === south.primaryContactId,
+        'Deleting a tenant should leave other tenants alone');
+
+      let missing = null;
+      try {
+        await tenantService.deleteTenant('north');
+      } catch (error) {
+        missing = error;
+      }
+      this.assert(missing && missing.code === 'TENANT_NOT_FOUND', 'Unknown tenants should not be found');
+
+      this.recordTest('Multi-Tenancy', true);
+    } catch (error) {
+      this.recordTest('Multi-Tenancy', false, error.message);
+    }
+  }
+
+  async testPrimarySelection() {
+    console.log('🧪 Testing merge primary selection policies...');
+
+    try {
+      // Same-second createdAt values are the norm with SQLite, so ties have to be settled deterministically
+      const createdAt = '2024-03-01 12:00:00';
+      const older = { id: 10, email: 'older@zamazon.com', linkedId: null, linkPrecedence: 'primary', createdAt };
+      const newer = { id: 11, email: 'newer@zamazon.com', linkedId: null, linkPrecedence: 'primary', createdAt };
+      const newerSecondary = { id: 12, phoneNumber: '+17300000001', linkedId: 11, linkPrecedence: 'secondary', createdAt, identifiers: [] };
+      const select = (policy, contacts) => new PrimarySelector(policy).select([newer, older], contacts);
+
+      const oldest = select('oldest', [older, newer]);
+      this.assert(oldest.primary.id === 10 && oldest.reasoning.tieBroken, 'Oldest should keep the lowest id on equal createdAt');
+      this.assert(oldest.reasoning.reason.includes('lowest id'), 'Tie-breaks should be explained');
+
+      const newest = select('newest', [older, newer]);
+      this.assert(newest.primary.id === 11 && newest.reasoning.tieBroken, 'Newest should keep the highest id on equal createdAt');
+
+      const richest = select('most_identifiers', [older, newer, newerSecondary]);
+      this.assert(richest.primary.id === 11 && !richest.reasoning.tieBroken, 'Most identifiers should count the whole cluster');
+      this.assert(select('most_identifiers', [older, newer]).primary.id === 10, 'Equal identifier counts should fall back to the lowest id');
+
+      const verified = new PrimarySelector(({ primary }) => (primary.email === 'newer@zamazon.com' ? 1 : 0)).select([older, newer], [older, newer]);
+      this.assert(verified.primary.id === 11 && verified.reasoning.policy === 'custom', 'Custom scoring functions should pick the primary');
+      this.assert(JSON.stringify(verified.reasoning.candidates) === '[{"primaryContactId":11,"score":1},{"primaryContactId":10,"score":0}]',
+        'Every candidate\'s score should be recorded');
+
+      let unsupported = null;
+      try {
+        new PrimarySelector('loudest');
+      } catch (error) {
+        unsupported = error;
+      }
+      this.assert(unsupported, 'Unknown policies should be rejected');
+
+      // A losing candidate's bad score is caught too, not just the winner's
+      let unscored = null;
+      try {
+        new PrimarySelector(({ primary }) => (primary.id === 10 ? NaN : 1)).select([newer, older], [older, newer]);
+      } catch (error) {
+        unscored = error;
+      }
+      this.assert(unscored?.message.includes('contact 10'), 'A non-numeric score for any candidate should be rejected');
+
+      // Merges through identify and mergeClusters use the configured policy and record why
+      const newestService = new ContactService(this.dbManager, undefined, undefined, new PrimarySelector('newest'));
+      const first = await newestService.identifyContact('mcfly@zamazon.com', null);
+      const second = await newestService.identifyContact(null, '7300000002');
+      const merged = await newestService.identifyContact('mcfly@zamazon.com', '7300000002');
+      this.assert(merged.primaryContactId === second.primaryContactId && merged.secondaryContactIds.includes(first.primaryContactId),
+        'The newest primary should survive under the newest policy');
+
+      const { history } = await newestService.getClusterHistory(merged.primaryContactId);
+      const merge = history.find(h => h.action === 'merge_primaries');
+      this.assert(merge.details.policy === 'newest' && merge.details.primaryContactId === second.primaryContactId,
+        'Merges should record the policy and the primary it chose');
+
+      const richService = new ContactService(this.dbManager, undefined, undefined, new PrimarySelector('most_identifiers'));
+      const sparse = await richService.identifyContact('biff@zamazon.com', null);
+      const rich = await richService.identifyContact('tannen@zamazon.com', '7300000003', { customerId: 'BIFF-1' });
+      const reviewed = await richService.mergeClusters([sparse.primaryContactId, rich.primaryContactId]);
+      this.assert(reviewed.primaryContactId === rich.primaryContactId, 'Reviewed merges should use the policy too');
+
+      const reviewHistory = (await richService.getClusterHistory(reviewed.primaryContactId)).history;
+      this.assert(reviewHistory.pop().details.reason === 'most distinct identifiers (3)', 'Reviewed merges should record the reasoning');
+
+      this.recordTest('Primary Selection Policy', true);
+    } catch (error) {
+      this.recordTest('Primary Selection Policy', false, error.message);
+    }
+  }
+
+  async testDryRun() {
+    console.log('🧪 Testing identify dry runs...');
+
+    try {
+      const contactCount = async () => (await this.contactService.getDatabaseStats()).totalContacts;
+      const before = await contactCount();
+
+      const fresh = await this.contactService.explainIdentify('Dry.Run@Zamazon.com', '7400000001');
+      this.assert(fresh.plan.action === 'create_new_primary' && fresh.plan.primaryContactId === null, 'Unknown identities should plan a new primary');
+      this.assert(fresh.contact.emails.join() === 'dry.run@zamazon.com' && fresh.contact.phoneNumbers.join() === '+17400000001', 'The preview should show normalized identifiers');
+      this.assert(await contactCount() === before, 'Dry runs should not create contacts');
+
+      // A merge preview matches what identify then does
+      const byEmail = await this.contactService.identifyContact('dry.run@zamazon.com', null);
+      const byPhone = await this.contactService.identifyContact(null, '7400000001', { customerId: 'DRY-RUN-1' });
+      const merge = await this.contactService.explainIdentify('dry.run@zamazon.com', '7400000001');
+      this.assert(merge.plan.action === 'merge_primaries' && merge.plan.primaryContactId === byEmail.primaryContactId, 'Merges should be planned');
+      this.assert(merge.plan.demotedPrimaryContactIds.join() === `${byPhone.primaryContactId}`, 'Primaries that would be demoted should be listed');
+      this.assert(merge.plan.newSecondaryContact === null && merge.plan.primarySelection.policy === 'oldest', 'Merges should explain their primary choice');
+
+      const historyBefore = (await this.contactService.getClusterHistory(byPhone.primaryContactId)).history.length;
+      const merged = await this.contactService.identifyContact('dry.run@zamazon.com', '7400000001');
+      this.assert(JSON.stringify(merge.contact) === JSON.stringify(merged), 'The merge preview should match the real result');
+      this.assert(historyBefore === 1, 'Dry runs should not be audited');
+
+      // New information would become a secondary
+      const link = await this.contactService.explainIdentify('dry.run.2@zamazon.com', '+1 740 000 0001');
+      this.assert(link.plan.action === 'create_secondary' && link.plan.newSecondaryContact.email === 'dry.run.2@zamazon.com', 'The new secondary should be described');
+      this.assert(link.plan.newSecondaryContact.phoneNumber === null && link.plan.newSecondaryContact.linkedId === merged.primaryContactId,
+        'The new secondary should only carry new information');
+
+      const linked = await this.contactService.identifyContact('dry.run.2@zamazon.com', '7400000001');
+      this.assert(JSON.stringify(link.contact.emails) === JSON.stringify(linked.emails), 'The preview should list emails like the real result');
+      this.assert(link.contact.secondaryContactIds.length === linked.secondaryContactIds.length - 1, 'Contacts that don\'t exist yet should have no id');
+
+      const known = await this.contactService.explainIdentify('dry.run.2@zamazon.com', null);
+      this.assert(known.plan.newSecondaryContact === null && known.plan.demotedPrimaryContactIds.length === 0, 'Known identifiers should plan no writes');
+      this.assert(JSON.stringify(known.contact) === JSON.stringify(linked), 'Previews of known clusters should match the cluster');
+
+      this.recordTest('Identify Dry Run', true);
+    } catch (error) {
+      this.recordTest('Identify Dry Run', false, error.message);
+    }
+  }
+
+  async testMetrics() {
+    console.log('🧪 Testing Prometheus metrics...');
+
+    const metrics = new Metrics();
+    const dbManager = new DatabaseManager({ backend: 'memory', logger: new Logger(metrics) });
+
+    try {
+      await dbManager.initialize();
+      const contactService = new ContactService(dbManager, undefined, undefined, undefined, metrics);
+
+      await contactService.identifyContact('metrics@zamazon.com', null);
+      await contactService.identifyContact(null, '7500000001');
+      await contactService.identifyContact('metrics@zamazon.com', '7500000001');
+      await contactService.identifyContact('metrics@zamazon.com', null);
+      await contactService.identifyContact('solo@zamazon.com', null);
+
+      // Route patterns, not raw URLs, label request latency
+      const req = { method: 'GET', baseUrl: '', route: { path: '/contacts/:id' } };
+      metrics.observeRequest(req, { statusCode: 200 }, 30);
+      metrics.observeRequest({ method: 'GET' }, { statusCode: 404 }, 2);
+      metrics.countValidationError('INVALID_EMAIL');
+      metrics.countValidationError('INVALID_EMAIL');
+      metrics.setClusterSizes('default', await dbManager.getClusterSizes());
+
+      const text = metrics.render();
+      const sample = (series) => {
+        const line = text.split('\n').find(l => l.startsWith(`${series} `));
+        return line === undefined ? undefined : Number(line.slice(series.length + 1));
+      };
+
+      this.assert(sample('identity_operations_total{action="create_new_primary"}') === 3, 'New primaries should be counted');
+      this.assert(sample('identity_operations_total{action="merge_primaries"}') === 1, 'Merges should be counted');
+      this.assert(sample('identity_operations_total{action="return_existing"}') === 1, 'Repeat requests should be counted');
+      this.assert(sample('http_validation_errors_total{code="INVALID_EMAIL"}') === 2, 'Validation errors should be counted by code');
+
+      this.assert(sample('http_request_duration_seconds_bucket{method="GET",route="/contacts/:id",status="200",le="0.025"}') === 0 &&
+        sample('http_request_duration_seconds_bucket{method="GET",route="/contacts/:id",status="200",le="0.05"}') === 1,
+        'Latency buckets should be cumulative');
+      this.assert(sample('http_request_duration_seconds_count{method="GET",route="unmatched",status="404"}') === 1, 'Unrouted requests should share one label');
+
+      this.assert(sample('db_query_duration_seconds_count{operation="findContactsByEmailOrPhone",table="Contact"}') > 0, 'Storage calls should be timed');
+      this.assert(sample('db_query_duration_seconds_count{operation="createAuditEntries",table="ContactAudit"}') === 5, 'Timings should be labeled by table');
+
+      this.assert(sample('identity_clusters{tenant="default",size="1"}') === 1 && sample('identity_clusters{tenant="default",size="2"}') === 1,
+        'Clusters should be counted by size');
+      this.assert(sample('identity_clusters{tenant="default",size="101+"}') === 0, 'Every size range should be reported');
+      this.assert(text.includes('# TYPE http_request_duration_seconds histogram') && text.endsWith('\n'), 'Output should use the Prometheus text format');
+
+      this.recordTest('Prometheus Metrics', true);
+    } catch (error) {
+      this.recordTest('Prometheus Metrics', false, error.message);
+    } finally {
+      await dbManager.close();
+    }
+  }
+
+  async testGraphQL() {
+    console.log('🧪 Testing the GraphQL API...');
+
+    const dbManager = new DatabaseManager({ backend: 'memory' });
+
+    try {
+      await dbManager.initialize();
+      const contactService = new ContactService(dbManager);
+      const apiKeyService = new ApiKeyService(dbManager);
+      const quietLogger = { log: () => {}, logError: () => {}, logAccessDenied: () => {} };
+      const api = new GraphQLApi(contactService, new IdentifierNormalizer(), new Authenticator(apiKeyService, quietLogger, dbManager), quietLogger);
+      const reader = { apiKey: (await apiKeyService.issueKey('graphql-read', ['read'])).key };
+      const writer = { apiKey: (await apiKeyService.issueKey('graphql-identify', ['identify'])).key };
+      const errorCode = (result) => result.errors && result.errors[0].extensions.code;
+
+      // The mutation goes through identifyContact, so it links exactly like POST /identify
+      const identify = `mutation Identify($input: IdentifyInput!) {
+        identify(input: $input) { primaryContactId secondaryContactIds contacts { id linkedId linkPrecedence } }
+      }`;
+      const first = await api.execute({ query: identify, variables: { input: { email: 'graph@zamazon.com', phoneNumber: '7700000001' } } }, writer);
+      const second = await api.execute({ query: identify, variables: { input: { email: 'graph.two@zamazon.com', phoneNumber: '7700000001', customerId: 'GRAPH-1' } } }, writer);
+      const rest = await contactService.findClusterByEmail('graph.two@zamazon.com');
+      const linked = second.data.identify;
+      this.assert(!first.errors && linked.primaryContactId === first.data.identify.primaryContactId, 'identify should link like REST');
+      this.assert(linked.primaryContactId === rest.primaryContactId && linked.secondaryContactIds.join() === rest.secondaryContactIds.join(),
+        'GraphQL and REST should see the same cluster');
+      this.assert(linked.contacts.length === 2 && linked.contacts.find(c => c.linkPrecedence === 'secondary').linkedId === linked.primaryContactId,
+        'Member contacts should carry their link metadata');
+
+      // One round trip for the cluster, its members and their timestamps
+      const { data } = await api.execute({
+        query: `{ clusterByPhone(phoneNumber: "+1 770 000 0001") {
+          emails identifiers { type values } primary { id createdAt } contacts { email identifiers { type value } updatedAt } createdAt updatedAt
+        } }`
+      }, reader);
+      const cluster = data.clusterByPhone;
+      this.assert(cluster.emails.join() === rest.emails.join(), 'Lookups should normalize like REST');
+      this.assert(cluster.identifiers.find(g => g.type === 'customerId').values.join() === 'GRAPH-1', 'Identifiers should be grouped by type');
+      this.assert(cluster.primary.id === rest.primaryContactId && cluster.createdAt === cluster.primary.createdAt && cluster.updatedAt,
+        'Clusters should expose their timestamps');
+      this.assert(cluster.contacts.find(c => c.email === 'graph.two@zamazon.com').identifiers[0].value === 'GRAPH-1', 'Contacts should list their own identifiers');
+      const past = await api.execute({ query: `{ cluster(id: ${rest.primaryContactId}, asOf: "2999-01-01") { contacts { id } } }` }, reader);
+      this.assert(past.data.cluster.contacts.length === cluster.contacts.length, 'asOf should reach member contacts too');
+      this.assert(errorCode(await api.execute({ query: `{ cluster(id: ${rest.primaryContactId}, asOf: "2000-01-01") { primaryContactId } }` }, reader)) === 'CONTACT_NOT_FOUND',
+        'asOf before a contact existed should not find it');
+
+      // Service errors keep their codes; scopes are checked per operation
+      this.assert(errorCode(await api.execute({ query: '{ cluster(id: 999999) { primaryContactId } }' }, reader)) === 'CONTACT_NOT_FOUND',
+        'Unknown contacts should fail like REST');
+      this.assert(errorCode(await api.execute({ query: identify, variables: { input: { email: 'not-an-email' } } }, writer)) === 'INVALID_EMAIL',
+        'Invalid input should fail like REST');
+      this.assert(errorCode(await api.execute({ query: identify, variables: { input: { email: 'graph@zamazon.com' } } }, reader)) === 'FORBIDDEN',
+        'identify should need the identify scope');
+      this.assert(errorCode(await api.execute({ query: `{ cluster(id: ${linked.primaryContactId}) { emails } }` }, writer)) === 'FORBIDDEN',
+        'Queries should need the read scope');
+      this.assert(errorCode(await api.execute({ query: '{ cluster { emails } }' }, reader)) === 'GRAPHQL_VALIDATION_FAILED',
+        'Invalid documents should be rejected before running');
+
+      // Cursor pagination walks every cluster exactly once
+      for (const email of ['page.one@zamazon.com', 'page.two@zamazon.com', 'page.three@zamazon.com']) {
+        await contactService.identifyContact(email, null);
+      }
+      const seen = [];
+      let after = null;
+      let pages = 0;
+      do {
+        const page = (await api.execute({
+          query: 'query Page($after: String) { clusters(first: 2, after: $after) { edges { cursor node { primaryContactId } } pageInfo { hasNextPage endCursor } } }',
+          variables: { after }
+        }, reader)).data.clusters;
+        seen.push(...page.edges.map(edge => edge.node.primaryContactId));
+        after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+        pages++;
+      } while (after);
+      this.assert(pages === 2 && seen.join() === (await dbManager.getPrimaryContactIds()).join(), 'Pages should cover every cluster in order');
+      this.assert(errorCode(await api.execute({ query: '{ clusters(after: "bogus") { pageInfo { hasNextPage } } }' }, reader)) === 'INVALID_CURSOR',
+        'Unreadable cursors should be rejected');
+
+      this.recordTest('GraphQL API', true);
+    } catch (error) {
+      this.recordTest('GraphQL API', false, error.message);
+    } finally {
+      await dbManager.close();
+    }
+  }
+
+  async testIntegrityCheck() {
+    console.log('🧪 Testing the cluster integrity check...');
+
+    const dbManager = new DatabaseManager({ backend: 'memory' });
+
+    try {
+      await dbManager.initialize();
+      const contactService = new ContactService(dbManager);
+      const integrity = new IntegrityService(dbManager, contactService, { pageSize: 3 });
+
+      // Healthy clusters, including a support split that still shares a phone number
+      await contactService.identifyContact('whole@zamazon.com', '7800000001');
+      await contactService.identifyContact('whole.two@zamazon.com', '7800000001');
+      const split = await contactService.identifyContact('split@zamazon.com', '7800000002');
+      const splitOff = await contactService.identifyContact('split.two@zamazon.com', '7800000002');
+      await contactService.unlinkContacts(splitOff.secondaryContactIds[0]);
+      this.assert((await integrity.check()).violations.length === 0, 'Consistent data should pass');
+
+      // What incomplete merges left behind
+      const chain = await contactService.identifyContact('chain@zamazon.com', '7800000003');
+      const chainSecondary = (await contactService.identifyContact('chain.two@zamazon.com', '7800000003')).secondaryContactIds[0];
+      const chained = await dbManager.createContact('chain.three@zamazon.com', null, chainSecondary, 'secondary');
+      const dupA = await dbManager.createContact('twice@zamazon.com', '7800000004');
+      const dupB = await dbManager.createContact('twice@zamazon.com', '7800000005');
+      const dangling = await dbManager.createContact('dangling@zamazon.com', null, 999999, 'secondary');
+      const orphaned = await contactService.identifyContact('orphan@zamazon.com', '7800000006');
+      const orphan = await dbManager.createContact('orphan.two@zamazon.com', null, orphaned.primaryContactId, 'secondary');
+      await dbManager.softDeleteContacts([orphaned.primaryContactId]);
+      const unlinked = await dbManager.createContact('unlinked@zamazon.com', null, null, 'secondary');
+
+      const { contactsScanned, violations } = await integrity.check();
+      const found = (type) => violations.filter(v => v.type === type);
+      this.assert(contactsScanned === (await dbManager.getContactsPage({ limit: 1000 })).length, 'Every row should be scanned, erased ones included');
+      this.assert(found('LINK_TO_SECONDARY')[0].contactIds.join() === `${chained.id}`, 'Links to secondaries should be reported');
+      this.assert(found('LINK_TO_MISSING')[0].contactIds.join() === `${dangling.id}`, 'Links to missing rows should be reported');
+      this.assert(found('LINK_TO_DELETED')[0].contactIds.join() === `${orphan.id}`, 'Links to erased rows should be reported');
+      this.assert(found('SECONDARY_WITHOUT_LINK')[0].contactIds.join() === `${unlinked.id}`, 'Secondaries without a primary should be reported');
+      this.assert(found('SHARED_IDENTIFIER').some(v => v.primaryIds.join() === `${dupA.id},${dupB.id}`), 'Primaries sharing an email should be reported');
+      this.assert(!found('SHARED_IDENTIFIER').some(v => v.primaryIds.includes(split.primaryContactId)), 'Separated clusters may share identifiers');
+      this.assert(!JSON.stringify(violations).includes('twice@zamazon.com'), 'Reports should carry ids, not identifier values');
+
+      const { repairs } = await integrity.repair();
+      this.assert((await integrity.check()).violations.length === 0, 'Repair should leave nothing to report');
+      this.assert(repairs.length === 5, `Each affected component should be repaired once, got ${repairs.length}`);
+
+      const chainCluster = await contactService.getCluster(chained.id);
+      this.assert(chainCluster.primaryContactId === chain.primaryContactId && chainCluster.secondaryContactIds.includes(chained.id),
+        'Chained contacts should be linked straight to their primary');
+      const twice = await contactService.findClusterByEmail('twice@zamazon.com');
+      this.assert(twice.primaryContactId === dupA.id && twice.secondaryContactIds.join() === `${dupB.id}`, 'Duplicate primaries should merge under the policy');
+      this.assert((await contactService.getCluster(orphan.id)).primaryContactId === orphan.id, 'Orphans should be promoted');
+
+      const history = await contactService.getClusterHistory(dupB.id);
+      this.assert(history.history.some(op => op.action === 'repair'), 'Repairs should be audited');
+
+      this.recordTest('Integrity Check', true);
+    } catch (error) {
+      this.recordTest('Integrity Check', false, error.message);
+    } finally {
+      await dbManager.close();
+    }
+  }
+
+  async testAsOfLookups() {
+    console.log('🧪 Testing point-in-time cluster lookups...');
+
+    const dbManager = new DatabaseManager({ backend: 'memory' });
+
+    try {
+      await dbManager.initialize();
+      const contactService = new ContactService(dbManager);
+
+      // Timestamps have second resolution - a fake clock gives every step its own minute
+      const start = Date.parse('2024-03-01T12:00:00Z');
+      let clock = start;
+      const now = dbManager.adapter.now.bind(dbManager.adapter);
+      dbManager.adapter.now = () => now(clock);
+      const minute = (n) => new Date(start + n * 60000).toISOString();
+
+      const doc = await contactService.identifyContact('doc@zamazon.com', '7900000001');
+      clock = start + 1 * 60000;
+      const docLinked = await contactService.identifyContact('doc.brown@zamazon.com', '7900000001');
+      clock = start + 2 * 60000;
+      const marty = await contactService.identifyContact('marty@zamazon.com', '7900000002');
+      clock = start + 3 * 60000;
+      const merged = await contactService.identifyContact('doc@zamazon.com', '7900000002');
+      this.assert(merged.primaryContactId === doc.primaryContactId, 'The older primary should survive the merge');
+
+      // Before the merge Marty was a cluster of his own, even when asked for by his demoted id
+      const martyBefore = await contactService.findClusterByEmail('marty@zamazon.com', { asOf: minute(2.5) });
+      this.assert(martyBefore.primaryContactId === marty.primaryContactId && martyBefore.secondaryContactIds.length === 0,
+        'A demoted primary should be its own primary before the merge');
+      const byId = await contactService.getCluster(marty.primaryContactId, { asOf: minute(2.5) });
+      this.assert(JSON.stringify(byId) === JSON.stringify(martyBefore), 'Id and email lookups should agree');
+
+      const docBefore = await contactService.findClusterByPhoneNumber('7900000001', { asOf: minute(2.5) });
+      this.assert(docBefore.secondaryContactIds.join() === docLinked.secondaryContactIds.join() && !docBefore.emails.includes('marty@zamazon.com'),
+        'The surviving cluster should not include the merged one before the merge');
+      const docEarlier = await contactService.getCluster(doc.primaryContactId, { asOf: minute(0.5) });
+      this.assert(docEarlier.secondaryContactIds.length === 0, 'Secondaries should only appear once they were linked');
+
+      // After the merge the past view matches the present
+      const martyAfter = await contactService.findClusterByEmail('marty@zamazon.com', { asOf: minute(3.5) });
+      this.assert(JSON.stringify(martyAfter) === JSON.stringify(await contactService.findClusterByEmail('marty@zamazon.com')),
+        'After the last change the past should look like the present');
+      this.assert(martyAfter.primaryContactId === doc.primaryContactId, 'The merge should show from its time on');
+
+      let notYet = null;
+      try {
+        await contactService.findClusterByEmail('marty@zamazon.com', { asOf: minute(1.5) });
+      } catch (error) {
+        notYet = error.code;
+      }
+      this.assert(notYet === 'CONTACT_NOT_FOUND', 'Contacts should not be found before they existed');
+
+      let invalid = null;
+      try {
+        await contactService.getCluster(doc.primaryContactId, { asOf: 'last tuesday' });
+      } catch (error) {
+        invalid = error.code;
+      }
+      this.assert(invalid === 'VALIDATION_ERROR', 'Unreadable asOf values should be rejected');
+
+      this.recordTest('As-of Lookups', true);
+    } catch (error) {
+      this.recordTest('As-of Lookups', false, error.message);
+    } finally {
+      await dbManager.close();
+    }
+  }
+
+  async testClusterCache() {
+    console.log('🧪 Testing the cluster cache...');
+
+    const dbManager = new DatabaseManager({ backend: 'memory' });
+    const sharedPath = path.join(os.tmpdir(), `identity-cache-${process.pid}.db`);
+    const instances = [new DatabaseManager({ dbPath: sharedPath }), new DatabaseManager({ dbPath: sharedPath })];
+    const cached = (db, cache) => new ContactService(db, new IdentifierNormalizer(), new WebhookService(db), new PrimarySelector(), null, cache);
+    const notFound = (lookup) => lookup.then(() => null, error => error.code);
+
+    try {
+      await dbManager.initialize();
+      const cache = new ClusterCache({ maxEntries: 100 });
+      const contactService = cached(dbManager, cache);
+
+      const anna = await contactService.identifyContact('anna@zamazon.com', '7100000001');
+      await contactService.getCluster(anna.primaryContactId);
+      const before = cache.stats();
+      await contactService.getCluster(anna.primaryContactId);
+      await contactService.findClusterByEmail('anna@zamazon.com');
+      await contactService.findClusterByEmail('Anna@Zamazon.com');
+      const after = cache.stats();
+      this.assert(after.hits - before.hits === 3 && after.misses === before.misses, 'Repeat lookups should be answered from the cache');
+
+      // A new secondary, a merge and an erasure each have to show on the next lookup
+      await contactService.identifyContact('anna.k@zamazon.com', '7100000001');
+      let cluster = await contactService.findClusterByPhoneNumber('7100000001');
+      this.assert(cluster.emails.includes('anna.k@zamazon.com'), 'A new secondary should invalidate its cluster');
+
+      const ben = await contactService.identifyContact('ben@zamazon.com', '7100000002');
+      await contactService.findClusterByEmail('ben@zamazon.com');
+      await contactService.identifyContact('anna@zamazon.com', '7100000002');
+      cluster = await contactService.findClusterByEmail('ben@zamazon.com');
+      this.assert(cluster.primaryContactId === anna.primaryContactId && cluster.secondaryContactIds.includes(ben.primaryContactId),
+        'A merge should invalidate the demoted cluster and its identifier lookups');
+
+      // Unlinking moves the oldest holder of the shared phone, so the phone must now lead to the detached cluster
+      await contactService.findClusterByPhoneNumber('7100000002');
+      const detached = await contactService.unlinkContacts(anna.primaryContactId, [ben.primaryContactId]);
+      cluster = await contactService.findClusterByPhoneNumber('7100000002');
+      this.assert(cluster.primaryContactId === detached.detached.primaryContactId, 'Unlinking should invalidate identifier lookups');
+
+      await contactService.eraseCluster(anna.primaryContactId);
+      this.assert(await notFound(contactService.findClusterByEmail('anna@zamazon.com')) === 'CONTACT_NOT_FOUND',
+        'Erased clusters should not be served from the cache');
+
+      // Anything cached inside a transaction that rolls back is dropped with it
+      const cleo = await contactService.identifyContact('cleo@zamazon.com', '7100000003');
+      await dbManager.transaction(async () => {
+        await contactService.identifyContact('cleo.b@zamazon.com', '7100000003');
+        await contactService.getCluster(cleo.primaryContactId);
+        throw new Error('rolled back');
+      }).catch(() => {});
+      cluster = await contactService.getCluster(cleo.primaryContactId);
+      this.assert(cluster.secondaryContactIds.length === 0, 'A rolled back write should not leave its cluster cached');
+
+      // A failing listener is logged and changes neither a transaction's result nor its error
+      const listenerFailures = [];
+      const noisy = new DatabaseManager({ backend: 'memory', logger: { logDatabaseOperation() {}, logError: (message) => listenerFailures.push(message) } });
+      await noisy.initialize();
+      noisy.onClusterChange(() => {
+        throw new Error('listener down');
+      });
+      const fay = await noisy.createContact('fay@zamazon.com', null, null, 'primary');
+      const gus = await noisy.createContact('gus@zamazon.com', null, null, 'primary');
+      const kept = await noisy.transaction(() => noisy.softDeleteContacts([fay.id]));
+      const failed = await noisy.transaction(async () => {
+        await noisy.softDeleteContacts([gus.id]);
+        throw new Error('work failed');
+      }).catch(error => error.message);
+      await noisy.close();
+      this.assert(kept.changes === 1 && failed === 'work failed', 'Listener failures should not replace the transaction outcome');
+      this.assert(listenerFailures.length > 0 && listenerFailures.every(m => m === 'Cluster change listener failed'), 'Listener failures should be logged');
+
+      const tenantService = new TenantService(dbManager);
+      await dbManager.withTenant('acme', () => contactService.identifyContact('dora@acme.com', null));
+      await dbManager.withTenant('acme', () => contactService.findClusterByEmail('dora@acme.com'));
+      await tenantService.deleteTenant('acme');
+      this.assert(await notFound(dbManager.withTenant('acme', () => contactService.findClusterByEmail('dora@acme.com'))) === 'CONTACT_NOT_FOUND',
+        'Deleting a tenant should drop its cached clusters');
+
+      const small = new MemoryCacheStore(2);
+      await small.set('a', '1');
+      await small.set('b', '2');
+      await small.get('a');
+      await small.set('c', '3');
+      this.assert(await small.get('b') === null && await small.get('a') === '1' && small.evictions === 1,
+        'The least recently used entry should be evicted first');
+
+      // Two instances over one database and one shared store - writes on either are seen by the other
+      await Promise.all(instances.map(db => db.initialize()));
+      const store = new MemoryCacheStore(100);
+      const [first, second] = instances.map(db => cached(db, new ClusterCache({ store })));
+      const eve = await first.identifyContact('eve@zamazon.com', '7100000005');
+      await first.findClusterByEmail('eve@zamazon.com');
+      await second.identifyContact('eve.m@zamazon.com', '7100000005');
+      cluster = await first.findClusterByEmail('eve@zamazon.com');
+      this.assert(cluster.primaryContactId === eve.primaryContactId && cluster.emails.includes('eve.m@zamazon.com'),
+        'A shared store should be invalidated by writes on any instance');
+      this.assert(cache.stats().store === 'memory' && cache.stats().invalidations > 0, 'Stats should report the store and invalidations');
+
+      this.recordTest('Cluster Cache', true);
+    } catch (error) {
+      this.recordTest('Cluster Cache', false, error.message);
+    } finally {
+      await dbManager.close();
+      await Promise.all(instances.map(db => db.close().catch(() => {})));
+      fs.rmSync(sharedPath, { force: true });
+    }
+  }
+
+  async testRequestLogging() {
+    console.log('🧪 Testing request-scoped, redacted logging...');
+
+    const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'identity-logs-'));
+
+    try {
+      const entries = [];
+      const logger = new Logger(null, { level: 'warn', hashSecret: 'test-secret', sinks: [{ write: entry => entries.push(entry) }] });
+
+      logger.log('Below the threshold');
+      logger.logDatabaseOperation('getContactById', 'Contact', 1);
+      await RequestContext.run('req-42', async () => {
+        await Promise.resolve();
+        logger.logWarning('Lookup refused', { email: 'Marty@HillValley.edu', trigger: { phoneNumber: '+12025550101' }, note: 'sent by marty@hillvalley.edu' });
+      });
+      logger.logError('Lookup failed', new Error('No contact for doc@hillvalley.edu'));
+      this.assert(entries.length === 2 && entries.every(e => e.level !== 'info' && e.level !== 'debug'), 'Entries below LOG_LEVEL should be dropped');
+
+      const [warning, failure] = entries;
+      const written = JSON.stringify(entries);
+      this.assert(warning.requestId === 'req-42' && failure.requestId === undefined, 'Entries should carry the id of the request they were written for');
+      this.assert(!/hillvalley|2025550101/i.test(written), 'Emails and phone numbers should never reach a sink');
+      this.assert(warning.data.email === warning.data.note.replace('sent by ', '') && warning.data.email.startsWith('[email:'),
+        'The same email should always mask to the same token');
+      this.assert(warning.data.trigger.phoneNumber.startsWith('[phone:'), 'Nested phone numbers should be masked');
+
+      const requests = [];
+      const requestLogger = new Logger(null, { piiMode: 'redact', sinks: [{ write: entry => requests.push(entry) }] });
+      requestLogger.logRequest(
+        { id: 'req-43', method: 'GET', originalUrl: '/contacts/by-email/doc%40hillvalley.edu?asOf=2024-01-01', ip: '10.1.2.3', get: () => 'node' },
+        { statusCode: 200 }, 3
+      );
+      this.assert(requests[0].url === '/contacts/by-email/[email]?asOf=2024-01-01' && requests[0].ip === '[ip]' && requests[0].requestId === 'req-43',
+        'Request lines should keep their id and lose identifiers and IPs');
+
+      const logFile = path.join(logDir, 'service.log');
+      const sink = new RotatingFileSink(logFile, { maxBytes: 200, maxFiles: 2 });
+      for (let i = 0; i < 10; i++) {
+        sink.write({ level: 'info', message: `line ${i}`, padding: 'x'.repeat(50) });
+      }
+      await sink.close();
+      const files = fs.readdirSync(logDir).sort();
+      this.assert(files.join() === 'service.log,service.log.1,service.log.2', 'Log files should rotate and keep at most maxFiles old ones');
+      this.assert(fs.readFileSync(logFile, 'utf8').trim().split('\n').pop().includes('line 9'), 'The newest lines should be in the current file');
+
+      this.recordTest('Request Logging', true);
+    } catch (error) {
+      this.recordTest('Request Logging', false, error.message);
+    } finally {
+      fs.rmSync(logDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Drives the live app through every documented operation and fails on any response the document doesn't describe
+   */
+  async testOpenApiContract() {
+    console.log('🧪 Testing the OpenAPI contract against live responses...');
+
+    const backend = process.env.DB_BACKEND;
+    process.env.DB_BACKEND = 'memory';
+    let server = null;
+    let dbManager = null;
+
+    try {
+      const { app, openApiDocument, dbManager: serverDb } = await import('../server.js');
+      dbManager = serverDb;
+      await dbManager.initialize();
+
+      const validator = new RequestValidator(openApiDocument, new Logger(), { checkResponses: false });
+      const { apiKey } = await new ApiKeyService(dbManager).issueKey('contract', ['admin']);
+      server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      const base = `http://127.0.0.1:${server.address().port}`;
+
+      const exercised = new Set();
+      const drift = [];
+      const call = async (method, path, { body, raw, key = apiKey, status = 200 } = {}) => {
+        const response = await fetch(`${base}${path}`, {
+          method,
+          headers: { 'Content-Type': 'application/json', ...(key ? { 'X-API-Key': key } : {}) },
+          body: raw ?? (body === undefined ? undefined : JSON.stringify(body))
+        });
+        const contentType = response.headers.get('content-type').split(';')[0];
+        const payload = contentType === 'application/json' ? await response.json() : await response.text();
+        const operation = validator.operationFor(method, new URL(path, base).pathname);
+
+        const problems = operation
+          ? validator.checkResponse(operation.operationId, response.status, payload, contentType)
+          : validator.schemas.validate({ $ref: '#/components/schemas/Error' }, payload);
+        problems.forEach(p => drift.push(`${method} ${path} -> ${response.status}: ${p.path} ${p.message}`));
+
+        if (operation) exercised.add(operation.operationId);
+        this.assert(response.status === status, `${method} ${path} should answer ${status}, got ${response.status}`);
+        return payload;
+      };
+
+      await call('GET', '/health');
+      const served = await call('GET', '/openapi.json');
+      this.assert(JSON.stringify(served) === JSON.stringify(openApiDocument), 'The served document should be the one requests are validated against');
+
+      // Reconciliation, including the errors every caller can run into
+      const { contact } = await call('POST', '/identify', { body: { email: 'contract@zamazon.com', phoneNumber: '7600000001' } });
+      const linked = await call('POST', '/identify', { body: { email: 'contract.two@zamazon.com', phoneNumber: '7600000001', customerId: 'CONTRACT-1' } });
+      await call('POST', '/identify?dryRun=true', { body: { email: 'contract.three@zamazon.com', phoneNumber: '7600000001' } });
+      await call('POST', '/identify', { body: {}, status: 400 });
+      const invalidEmail = await call('POST', '/identify', { body: { email: 'not-an-email' }, status: 400 });
+      const wrongType = await call('POST', '/identify', { body: { email: 42 }, status: 400 });
+      const badJson = await call('POST', '/identify', { raw: '{"email":', status: 400 });
+      await call('POST', '/identify', { body: { email: 'contract@zamazon.com' }, key: null, status: 401 });
+      this.assert(invalidEmail.code === 'INVALID_EMAIL', 'Email format should be checked once, by the normalizer');
+      this.assert(wrongType.code === 'VALIDATION_ERROR' && wrongType.details[0].path === 'body.email', 'Schema violations should name the field');
+      this.assert(badJson.code === 'INVALID_JSON', 'Malformed JSON should get the error envelope');
+
+      // A usable X-Request-Id is echoed, quoted by error envelopes and stamped on audit entries; anything else is replaced
+      const traced = (path, requestId, body) => fetch(`${base}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey, 'X-Request-Id': requestId },
+        body: JSON.stringify(body)
+      });
+      const refused = await traced('/identify', 'contract-trace-1', {});
+      this.assert(refused.headers.get('x-request-id') === 'contract-trace-1' && (await refused.json()).requestId === 'contract-trace-1',
+        'Error envelopes should quote the request id');
+      const { contact: tracedContact } = await (await traced('/identify', 'contract-trace-2', { email: 'contract.trace@zamazon.com' })).json();
+      const tracedHistory = await call('GET', `/admin/contacts/${tracedContact.primaryContactId}/history`);
+      this.assert(tracedHistory.history[0].requestId === 'contract-trace-2', 'Audit entries should record the request id');
+      const renamed = await fetch(`${base}/health`, { headers: { 'X-Request-Id': 'spaces are not allowed' } });
+      this.assert(/^[0-9a-f-]{36}$/.test(renamed.headers.get('x-request-id')), 'Unusable request ids should be replaced');
+
+      await call('POST', '/identify/batch', { body: [{ email: 'contract.batch@zamazon.com' }, { email: 'broken' }] });
+      await call('POST', '/identify/batch', { body: { email: 'contract@zamazon.com' }, status: 400 });
+      await call('GET', '/admin/status');
+
+      // Lookups
+      await call('GET', `/contacts/${contact.primaryContactId}`);
+      await call('GET', `/contacts/${contact.primaryContactId}?asOf=2999-01-01`);
+      await call('GET', `/contacts/${contact.primaryContactId}?asOf=someday`, { status: 400 });
+      const badId = await call('GET', '/contacts/abc', { status: 400 });
+      this.assert(badId.code === 'INVALID_CONTACT_ID', 'Parameters should keep their specific error codes');
+      await call('GET', '/contacts/999999', { status: 404 });
+      await call('GET', '/contacts/by-email/contract@zamazon.com');
+      await call('GET', '/contacts/by-phone/7600000001');
+      await call('GET', '/contacts/by-identifier/customerId/CONTRACT-1');
+      await call('GET', '/contacts/by-identifier/shoeSize/44', { status: 400 });
+      const graphql = await call('POST', '/graphql', { body: { query: '{ clusterByEmail(email: "contract@zamazon.com") { primaryContactId contacts { id } } }' } });
+      const graphqlError = await call('POST', '/graphql', { body: { query: '{ cluster(id: 999999) { primaryContactId } }' } });
+      this.assert(graphql.data.clusterByEmail.primaryContactId === contact.primaryContactId, 'GraphQL should be served over HTTP');
+      this.assert(graphqlError.errors[0].extensions.code === 'CONTACT_NOT_FOUND', 'GraphQL errors should keep the service error code');
+      await call('GET', '/admin/export?format=json');
+      await call('GET', '/admin/export?format=xml', { status: 400 });
+      await call('GET', `/admin/contacts/${contact.primaryContactId}/history`);
+
+      // Unlinking and erasure
+      const [secondaryId] = linked.contact.secondaryContactIds;
+      const { detached } = await call('POST', `/admin/contacts/${secondaryId}/unlink`, { body: {} });
+      await call('POST', `/admin/contacts/${contact.primaryContactId}/unlink`, { body: { contactIds: ['two'] }, status: 400 });
+      await call('POST', '/identify', { body: { email: 'contract.erase@zamazon.com' } });
+      await call('POST', '/identify', { body: { phoneNumber: '7600000009' } });
+      await call('DELETE', '/admin/contacts/by-email/contract.erase@zamazon.com');
+      await call('DELETE', '/admin/contacts/by-phone/7600000009');
+      await call('DELETE', `/admin/contacts/${detached.primaryContactId}`);
+      await call('POST', '/identify', { body: { email: 'contract.erase@zamazon.com' }, status: 410 });
+      await call('POST', '/admin/erasure/purge', { body: { graceDays: 0 } });
+      await call('POST', '/admin/erasure/purge', { body: { graceDays: -1 }, status: 400 });
+      const integrity = await call('GET', '/admin/integrity');
+      this.assert(integrity.violations.length === 0, 'Clusters built through the API should pass the integrity check');
+      await call('POST', '/admin/integrity/repair');
+
+      // API keys and tenants
+      await call('GET', '/admin/api-keys');
+      const issued = await call('POST', '/admin/api-keys', { body: { name: 'contract-read', scopes: ['read'], tenantId: 'contract' }, status: 201 });
+      await call('POST', '/admin/api-keys', { body: { name: 'contract-root', scopes: ['root'] }, status: 400 });
+      await call('GET', '/metrics', { key: issued.apiKey, status: 403 });
+      const rotated = await call('POST', `/admin/api-keys/${issued.key.id}/rotate`, { status: 201 });
+      await call('DELETE', `/admin/api-keys/${rotated.key.id}`);
+      await call('DELETE', `/admin/api-keys/${issued.key.id}`, { status: 409 });
+      await call('GET', '/admin/tenants');
+      await call('GET', '/admin/tenants/default/export?format=json');
+      await call('GET', '/admin/tenants/Not!A!Tenant/export', { status: 400 });
+      await call('DELETE', '/admin/tenants/contract');
+
+      // Webhooks - a disabled subscription dead-letters its queued events
+      const { subscription } = await call('POST', '/admin/webhooks', { body: { url: 'http://127.0.0.1:9/hook', events: ['contact.created'] }, status: 201 });
+      await call('POST', '/admin/webhooks', { body: { url: 'http://127.0.0.1:9/hook', events: ['contact.deleted'] }, status: 400 });
+      await call('POST', '/identify', { body: { email: 'contract.hook@zamazon.com' } });
+      await call('GET', '/admin/webhooks');
+      await call('DELETE', `/admin/webhooks/${subscription.id}`);
+      await new WebhookDispatcher(dbManager, { log: () => {}, logError: () => {} }).deliverDue();
+      const { deliveries } = await call('GET', '/admin/webhooks/dead-letters');
+      await call('POST', `/admin/webhooks/deliveries/${deliveries[0].id}/retry`);
+      await call('POST', '/admin/webhooks/deliveries/999999/retry', { status: 404 });
+
+      // Duplicate review
+      await call('POST', '/identify', { body: { email: 'doc@zamazon.com', phoneNumber: '2025550121' } });
+      await call('POST', '/identify', { body: { email: 'doc@zamazom.com', phoneNumber: '2025550131' } });
+      await call('POST', '/identify', { body: { email: 'marty@zamazon.com', phoneNumber: '2025550145' } });
+      await call('POST', '/identify', { body: { email: 'calvin@zamazon.com', phoneNumber: '2025550154' } });
+      await call('POST', '/admin/duplicates/scan');
+      const { candidates } = await call('GET', '/admin/duplicates');
+      await call('GET', '/admin/duplicates?status=maybe', { status: 400 });
+      await call('POST', `/admin/duplicates/${candidates[0].id}/accept`);
+      await call('POST', `/admin/duplicates/${candidates[1].id}/reject`);
+      await call('POST', `/admin/duplicates/${candidates[1].id}/reject`, { status: 409 });
+
+      await call('GET', '/metrics');
+      await call('GET', '/no/such/route', { status: 404 });
+
+      this.assert(drift.length === 0, `Responses drifted from the OpenAPI document: ${drift.join('; ')}`);
+
+      // Every route is documented, every documented operation exists and was exercised above
+      const routes = app._router.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`));
+      const documented = [...validator.operations.values()].map(({ method, path }) => `${method} ${path}`);
+      const undocumented = routes.filter(route => !documented.includes(route));
+      const missing = documented.filter(operation => !routes.includes(operation));
+      this.assert(undocumented.length === 0, `Routes missing from the document: ${undocumented.join(', ')}`);
+      this.assert(missing.length === 0, `Documented operations without a route: ${missing.join(', ')}`);
+      this.assert(exercised.size === validator.operations.size,
+        `Operations the contract test never called: ${[...validator.operations.keys()].filter(id => !exercised.has(id)).join(', ')}`);
+
+      this.recordTest('OpenAPI Contract', true);
+    } catch (error) {
+      this.recordTest('OpenAPI Contract', false, error.message);
+    } finally {
+      if (server) await new Promise(resolve => server.close(resolve));
+      if (dbManager) await dbManager.close();
+      if (backend === undefined) delete process.env.DB_BACKEND;
+      else process.env.DB_BACKEND = backend;
+    }
+  }
+
   async testEdgeCases() {
     console.log('🧪 Testing edge cases...');
 
@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+
+/**
+ * In-process LRU of cache entries, the default store - only this instance sees it
+ */
+export class MemoryCacheStore {
+  constructor(maxEntries) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) {
+      return null;
+    }
+
+    // Map keeps insertion order, so re-inserting marks the entry as most recently used
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  async set(key, value) {
+    if (this.maxEntries <= 0) {
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  async delete(keys) {
+    keys.forEach(key => this.entries.delete(key));
+  }
+
+  async deletePrefix(prefix) {
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async close() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Redis-backed store shared by every instance pointed at the same server - entries expire after ttlSeconds,
+ * which bounds how long a write racing another instance's read can leave a stale entry behind.
+ * The `redis` driver is loaded lazily, so it's only needed when CLUSTER_CACHE_URL is set.
+ */
+export class RedisCacheStore {
+  constructor(url, ttlSeconds) {
+    this.name = 'redis';
+    this.url = url;
+    this.ttlSeconds = ttlSeconds;
+    this.namespace = 'cluster-cache:';
+    this.connecting = null;
+  }
+
+  connect() {
+    this.connecting = this.connecting || (async () => {
+      let redis;
+      try {
+        redis = await import('redis');
+      } catch (error) {
+        throw new Error('A shared cluster cache requires the "redis" package to be installed');
+      }
+
+      const client = redis.createClient({ url: this.url });
+      await client.connect();
+      return client;
+    })();
+
+    return this.connecting;
+  }
+
+  async get(key) {
+    return (await this.connect()).get(this.namespace + key);
+  }
+
+  async set(key, value) {
+    await (await this.connect()).set(this.namespace + key, value, { EX: this.ttlSeconds });
+  }
+
+  async delete(keys) {
+    if (keys.length > 0) {
+      await (await this.connect()).del(keys.map(key => this.namespace + key));
+    }
+  }
+
+  async deletePrefix(prefix) {
+    const client = await this.connect();
+    for await (const key of client.scanIterator({ MATCH: `${this.namespace}${prefix}*`, COUNT: 500 })) {
+      await client.del(key);
+    }
+  }
+
+  async close() {
+    if (this.connecting) {
+      await (await this.connecting).quit();
+      this.connecting = null;
+    }
+  }
+}
+
+/**
+ * ClusterCache - Read-through cache of current cluster responses
+ * Entries are keyed by tenant and primary id; identifier lookups are keyed by type and value and point at the
+ * entry they were answered from, so they die with it. Entries are dropped whenever DatabaseManager reports a
+ * write touching their cluster (see attach), and a response read while a write was in flight is never stored.
+ * Values are stored as JSON, so callers always get their own copy.
+ */
+export class ClusterCache {
+  constructor(config = {}) {
+    this.config = {
+      maxEntries: config.maxEntries ?? Number(process.env.CLUSTER_CACHE_SIZE ?? 10000),
+      url: config.url ?? process.env.CLUSTER_CACHE_URL ?? null,
+      ttlSeconds: config.ttlSeconds ?? Number(process.env.CLUSTER_CACHE_TTL_SECONDS || 300)
+    };
+    this.logger = config.logger || null;
+    this.store = config.store
+      || (this.config.url ? new RedisCacheStore(this.config.url, this.config.ttlSeconds) : new MemoryCacheStore(this.config.maxEntries));
+
+    // Bumped by every invalidation - a load that started before one isn't stored
+    this.generation = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.invalidations = 0;
+  }
+
+  /**
+   * A cache only scripts that write need: one they must invalidate because other instances read it - null otherwise
+   */
+  static shared(databaseManager, logger = null) {
+    if (!process.env.CLUSTER_CACHE_URL) {
+      return null;
+    }
+
+    const cache = new ClusterCache({ logger });
+    cache.attach(databaseManager);
+    return cache;
+  }
+
+  /**
+   * Drop entries as the database reports clusters touched
+   */
+  attach(databaseManager) {
+    databaseManager.onClusterChange((tenantId, primaryIds) => this.invalidate(tenantId, primaryIds));
+  }
+
+  clusterKey(tenantId, primaryId) {
+    return `${tenantId}:cluster:${primaryId}`;
+  }
+
+  identifierKey(tenantId, { type, value }) {
+    return `${tenantId}:identifier:${type}:${value}`;
+  }
+
+  /**
+   * The cached entry ({ cluster, stamp }) for a primary, or load() the cluster and cache it
+   */
+  async getCluster(tenantId, primaryId, load) {
+    const cached = await this.read(this.clusterKey(tenantId, primaryId));
+    if (cached) {
+      this.hits++;
+      return cached;
+    }
+
+    this.misses++;
+    const generation = this.generation;
+    const entry = { cluster: await load(), stamp: crypto.randomUUID() };
+    if (generation === this.generation) {
+      await this.write(this.clusterKey(tenantId, primaryId), entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * The cluster an identifier was last looked up in, while that cluster's entry is still the one it was answered from
+   * Misses aren't counted here - the lookup falls back to getCluster, which counts them
+   */
+  async findByIdentifier(tenantId, identifier) {
+    const pointer = await this.read(this.identifierKey(tenantId, identifier));
+    if (!pointer) {
+      return null;
+    }
+
+    const entry = await this.read(this.clusterKey(tenantId, pointer.primaryId));
+    if (!entry || entry.stamp !== pointer.stamp) {
+      return null;
+    }
+
+    this.hits++;
+    return entry.cluster;
+  }
+
+  /**
+   * Point an identifier at the cluster entry its lookup was answered from
+   */
+  async rememberIdentifier(tenantId, identifier, { primaryId, stamp }, generation) {
+    if (generation === this.generation) {
+      await this.write(this.identifierKey(tenantId, identifier), { primaryId, stamp });
+    }
+  }
+
+  /**
+   * Drop the entries of the given primaries - or of the whole tenant when primaryIds is null
+   */
+  async invalidate(tenantId, primaryIds) {
+    this.generation++;
+    this.invalidations++;
+
+    try {
+      if (primaryIds === null) {
+        await this.store.deletePrefix(`${tenantId}:`);
+      } else {
+        await this.store.delete(primaryIds.map(id => this.clusterKey(tenantId, id)));
+      }
+    } catch (error) {
+      this.logger?.logError('Cluster cache invalidation failed', error);
+    }
+  }
+
+  // A store that can't be reached counts as a miss rather than failing the request
+  async read(key) {
+    try {
+      const value = await this.store.get(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      this.logger?.logError('Cluster cache read failed', error);
+      return null;
+    }
+  }
+
+  async write(key, value) {
+    try {
+      await this.store.set(key, JSON.stringify(value));
+    } catch (error) {
+      this.logger?.logError('Cluster cache write failed', error);
+    }
+  }
+
+  /**
+   * Counters for this instance - entries and evictions only when the store is in-process
+   */
+  stats() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      store: this.store.name || 'custom',
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Number((this.hits / lookups).toFixed(4)) : null,
+      invalidations: this.invalidations,
+      entries: this.store.size ?? null,
+      evictions: this.store.evictions ?? null
+    };
+  }
+
+  async close() {
+    await this.store.close();
+  }
+}
@@ -0,0 +1,120 @@
+import { CustomError } from './CustomError.js';
+
+const CSV_COLUMNS = [
+  'primaryContactId', 'emails', 'phoneNumbers', 'secondaryContactIds', 'identifiers', 'createdAt', 'updatedAt', 'status', 'mergedIntoPrimaryContactId'
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+  json: 'application/json'
+};
+
+export const EXPORT_FORMATS = Object.keys(CONTENT_TYPES);
+
+/**
+ * ClusterExporter - Writes reconciled clusters to a stream as CSV, NDJSON or JSON
+ * Multi-valued fields are joined with ";" in CSV, typed identifiers as "type:value"
+ */
+export class ClusterExporter {
+  constructor(format = 'ndjson') {
+    if (!CONTENT_TYPES[format]) {
+      throw new CustomError(`Unsupported export format: ${format}`, 400, 'INVALID_EXPORT_FORMAT');
+    }
+
+    this.format = format;
+    this.contentType = CONTENT_TYPES[format];
+  }
+
+  /**
+   * Turn an "updated since" value into SQLite's DATETIME format (UTC, second resolution)
+   */
+  static parseUpdatedSince(value) {
+    if (!value) {
+      return null;
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new CustomError('updatedSince must be a valid date', 400, 'VALIDATION_ERROR');
+    }
+
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  /**
+   * Write every cluster from an (async) iterable, respecting backpressure
+   * Returns the number of clusters written; rejects - which stops the iteration - if the output closes or fails first
+   */
+  async write(clusters, output) {
+    let count = 0;
+
+    if (this.format === 'csv') {
+      await this.writeChunk(output, `${CSV_COLUMNS.join(',')}\n`);
+    } else if (this.format === 'json') {
+      await this.writeChunk(output, '[');
+    }
+
+    for await (const cluster of clusters) {
+      await this.writeChunk(output, this.formatCluster(cluster, count === 0));
+      count++;
+    }
+
+    if (this.format === 'json') {
+      await this.writeChunk(output, count === 0 ? ']\n' : '\n]\n');
+    }
+
+    return count;
+  }
+
+  formatCluster(cluster, isFirst) {
+    switch (this.format) {
+      case 'csv':
+        return `${CSV_COLUMNS.map(column => this.toCsvField(cluster[column])).join(',')}\n`;
+
+      case 'json':
+        return `${isFirst ? '\n' : ',\n'}  ${JSON.stringify(cluster)}`;
+
+      default:
+        return `${JSON.stringify(cluster)}\n`;
+    }
+  }
+
+  toCsvField(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      value = Object.entries(value).flatMap(([type, values]) => values.map(v => `${type}:${v}`));
+    }
+
+    const text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  async writeChunk(output, chunk) {
+    if (output.destroyed) {
+      throw new Error('Export output closed before the export finished');
+    }
+
+    if (!output.write(chunk)) {
+      await this.waitForDrain(output);
+    }
+  }
+
+  // A client that disconnects never drains, it closes
+  waitForDrain(output) {
+    return new Promise((resolve, reject) => {
+      const settle = (error) => {
+        output.off('drain', onDrain).off('close', onClose).off('error', onError);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+      const onDrain = () => settle();
+      const onClose = () => settle(new Error('Export output closed before the export finished'));
+      const onError = (error) => settle(error);
+
+      output.on('drain', onDrain).on('close', onClose).on('error', onError);
+    });
+  }
+}
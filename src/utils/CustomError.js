@@ -1,9 +1,10 @@
 export class CustomError extends Error {
-  constructor(message, statusCode, code) {
+  constructor(message, statusCode, code, details = null) {
     super(message);
     this.statusCode = statusCode;
     this.code = code;
+    this.details = details;
     this.name = this.constructor.name;
     Error.captureStackTrace(this, this.constructor);
   }
-} 
\ No newline at end of file
+}
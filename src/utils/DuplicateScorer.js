@@ -0,0 +1,161 @@
+/**
+ * DuplicateScorer - Scores how likely two clusters are the same person from near-miss identifiers
+ * Catches what exact matching can't: email typos (edit distance), mistyped domains and
+ * transposed or mistyped phone digits. Scores are between 0 and 1.
+ */
+export class DuplicateScorer {
+  constructor({ maxEmailDistance = 2 } = {}) {
+    this.maxEmailDistance = maxEmailDistance;
+  }
+
+  /**
+   * Keys two clusters must share to be compared at all - any single-character edit,
+   * a shared local part or shared phone digits in any order lands a pair in a common bucket
+   */
+  blockingKeys(cluster) {
+    const keys = new Set();
+
+    for (const email of cluster.emails) {
+      const at = email.lastIndexOf('@');
+      keys.add(`local:${email.slice(0, at)}`);
+      for (const variant of this.deletionVariants(email)) {
+        keys.add(`email:${variant}`);
+      }
+    }
+
+    for (const phoneNumber of cluster.phoneNumbers) {
+      const digits = phoneNumber.replace(/\D/g, '');
+      keys.add(`digits:${[...digits].sort().join('')}`);
+      for (const variant of this.deletionVariants(digits)) {
+        keys.add(`phone:${variant}`);
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * Score a pair of clusters - the strongest signals combine, so two independent near-misses beat one
+   */
+  score(clusterA, clusterB) {
+    const signals = [];
+
+    for (const a of clusterA.emails) {
+      for (const b of clusterB.emails) {
+        const signal = this.compareEmails(a, b);
+        if (signal) signals.push(signal);
+      }
+    }
+
+    for (const a of clusterA.phoneNumbers) {
+      for (const b of clusterB.phoneNumbers) {
+        const signal = this.comparePhoneNumbers(a, b);
+        if (signal) signals.push(signal);
+      }
+    }
+
+    if (signals.length === 0) {
+      return { score: 0, reasons: [] };
+    }
+
+    // Best signal per kind, combined as independent evidence
+    const best = new Map();
+    for (const signal of signals) {
+      if (!best.has(signal.kind) || best.get(signal.kind).score < signal.score) {
+        best.set(signal.kind, signal);
+      }
+    }
+
+    const strongest = [...best.values()];
+    const score = 1 - strongest.reduce((remaining, signal) => remaining * (1 - signal.score), 1);
+
+    return {
+      score: Math.round(score * 1000) / 1000,
+      reasons: strongest.map(({ reason, a, b }) => ({ reason, values: [a, b] }))
+    };
+  }
+
+  compareEmails(a, b) {
+    if (a === b) {
+      return null;
+    }
+
+    const [localA, domainA] = this.splitEmail(a);
+    const [localB, domainB] = this.splitEmail(b);
+
+    if (localA === localB && this.editDistance(domainA, domainB) <= 2) {
+      return { kind: 'email', reason: 'email_domain_typo', score: 0.9, a, b };
+    }
+
+    const distance = this.editDistance(a, b);
+    if (distance <= this.maxEmailDistance) {
+      const score = 1 - distance / Math.max(a.length, b.length);
+      return { kind: 'email', reason: 'email_edit_distance', score: Math.min(score, 0.9), a, b };
+    }
+
+    return null;
+  }
+
+  comparePhoneNumbers(a, b) {
+    const digitsA = a.replace(/\D/g, '');
+    const digitsB = b.replace(/\D/g, '');
+
+    if (digitsA === digitsB || digitsA.length !== digitsB.length) {
+      return null;
+    }
+
+    const differing = [...digitsA].map((digit, i) => (digit !== digitsB[i] ? i : -1)).filter(i => i >= 0);
+
+    // Two neighbouring digits swapped is the classic typing slip
+    if (differing.length === 2 && differing[1] === differing[0] + 1 &&
+        digitsA[differing[0]] === digitsB[differing[1]] && digitsA[differing[1]] === digitsB[differing[0]]) {
+      return { kind: 'phone', reason: 'phone_transposition', score: 0.85, a, b };
+    }
+
+    // A single wrong digit is just as often a different person, so it scores lower
+    if (differing.length === 1) {
+      return { kind: 'phone', reason: 'phone_digit_typo', score: 0.6, a, b };
+    }
+
+    return null;
+  }
+
+  splitEmail(email) {
+    const at = email.lastIndexOf('@');
+    return [email.slice(0, at), email.slice(at + 1)];
+  }
+
+  /**
+   * Optimal string alignment distance - Levenshtein plus adjacent transpositions
+   */
+  editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) {
+      rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return rows[a.length][b.length];
+  }
+
+  /**
+   * The value itself plus every string one deletion away
+   */
+  deletionVariants(value) {
+    const variants = [value];
+    for (let i = 0; i < value.length; i++) {
+      variants.push(value.slice(0, i) + value.slice(i + 1));
+    }
+    return variants;
+  }
+}
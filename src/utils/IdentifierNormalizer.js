@@ -0,0 +1,225 @@
+import { CustomError } from './CustomError.js';
+
+/**
+ * Calling code, trunk prefix and valid national number lengths per supported region
+ */
+const PHONE_REGIONS = {
+  US: { callingCode: '1', trunkPrefix: '1', nationalLengths: [10] },
+  CA: { callingCode: '1', trunkPrefix: '1', nationalLengths: [10] },
+  GB: { callingCode: '44', trunkPrefix: '0', nationalLengths: [9, 10] },
+  IN: { callingCode: '91', trunkPrefix: '0', nationalLengths: [10] },
+  DE: { callingCode: '49', trunkPrefix: '0', nationalLengths: [6, 7, 8, 9, 10, 11] },
+  FR: { callingCode: '33', trunkPrefix: '0', nationalLengths: [9] },
+  AU: { callingCode: '61', trunkPrefix: '0', nationalLengths: [9] }
+};
+
+/**
+ * Mail providers that ignore "+tag" suffixes and, for Gmail, dots in the local part
+ */
+const PLUS_TAG_PROVIDERS = new Set([
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'icloud.com', 'me.com', 'fastmail.com', 'protonmail.com', 'proton.me'
+]);
+const DOT_INSENSITIVE_PROVIDERS = new Set(['gmail.com', 'googlemail.com']);
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Identifier types reconciled besides email and phone, each with its own cleanup and format check
+ * Which of them are accepted is configured with IDENTIFIER_TYPES (default: all)
+ */
+export const EXTENDED_IDENTIFIER_TYPES = {
+  customerId: { normalize: (value) => value, pattern: /^[\w.:-]{1,128}$/ },
+  deviceId: { normalize: (value) => value.toLowerCase(), pattern: /^[\w.:-]{1,128}$/ },
+  loyaltyNumber: { normalize: (value) => value.replace(/[\s-]/g, ''), pattern: /^\d{4,32}$/ },
+  addressHash: { normalize: (value) => value.toLowerCase(), pattern: /^[0-9a-f]{32,128}$/ }
+};
+
+/**
+ * IdentifierNormalizer - Single source of truth for cleaning up incoming identifiers
+ * Every entry point runs emails and phone numbers through here so the same person typed two ways still reconciles
+ */
+export class IdentifierNormalizer {
+  constructor(options = {}) {
+    this.defaultRegion = (options.defaultRegion || process.env.PHONE_DEFAULT_REGION || 'US').toUpperCase();
+    this.foldEmailAliases = options.foldEmailAliases ?? process.env.EMAIL_FOLD_ALIASES === 'true';
+
+    if (!PHONE_REGIONS[this.defaultRegion]) {
+      throw new Error(`Unsupported default phone region: ${this.defaultRegion}`);
+    }
+
+    const configuredTypes = options.identifierTypes
+      || (process.env.IDENTIFIER_TYPES !== undefined
+        ? process.env.IDENTIFIER_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+        : Object.keys(EXTENDED_IDENTIFIER_TYPES));
+
+    for (const type of configuredTypes) {
+      if (!EXTENDED_IDENTIFIER_TYPES[type]) {
+        throw new Error(`Unsupported identifier type: ${type}`);
+      }
+    }
+
+    this.identifierTypes = configuredTypes;
+  }
+
+  /**
+   * Every identifier type a cluster can be reconciled on, email and phone first
+   */
+  get allIdentifierTypes() {
+    return ['email', 'phoneNumber', ...this.identifierTypes];
+  }
+
+  /**
+   * Normalize an email/phone pair plus any extended identifiers ({ customerId: '...' }),
+   * keeping the raw input alongside the normalized values
+   */
+  normalize(email, phoneNumber, identifiers = {}) {
+    const rawEmail = this.toRaw(email);
+    const rawPhoneNumber = this.toRaw(phoneNumber);
+
+    return {
+      email: rawEmail ? this.normalizeEmail(rawEmail) : null,
+      phoneNumber: rawPhoneNumber ? this.normalizePhoneNumber(rawPhoneNumber) : null,
+      rawEmail,
+      rawPhoneNumber,
+      identifiers: Object.entries(identifiers)
+        .map(([type, value]) => [type, this.toRaw(value)])
+        .filter(([, rawValue]) => rawValue)
+        .map(([type, rawValue]) => ({ type, value: this.normalizeIdentifier(type, rawValue), rawValue }))
+    };
+  }
+
+  /**
+   * Pick the configured extended identifiers out of a request body or import row
+   */
+  extractIdentifiers(source) {
+    return Object.fromEntries(this.identifierTypes
+      .filter(type => this.toRaw(source[type]))
+      .map(type => [type, source[type]]));
+  }
+
+  /**
+   * Clean up and validate one extended identifier
+   */
+  normalizeIdentifier(type, value) {
+    if (!this.identifierTypes.includes(type)) {
+      throw new CustomError(`Unknown identifier type: ${type}`, 400, 'UNKNOWN_IDENTIFIER_TYPE');
+    }
+
+    const { normalize, pattern } = EXTENDED_IDENTIFIER_TYPES[type];
+    const normalized = normalize(String(value).trim());
+
+    if (!pattern.test(normalized)) {
+      throw new CustomError(`Invalid ${type} format`, 400, 'INVALID_IDENTIFIER');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Trim and lowercase an email, optionally folding provider aliases
+   */
+  normalizeEmail(email) {
+    const value = String(email).trim().toLowerCase();
+
+    if (!EMAIL_REGEX.test(value)) {
+      throw new CustomError('Invalid email format', 400, 'INVALID_EMAIL');
+    }
+
+    if (!this.foldEmailAliases) {
+      return value;
+    }
+
+    const atIndex = value.lastIndexOf('@');
+    let localPart = value.slice(0, atIndex);
+    let domain = value.slice(atIndex + 1);
+
+    if (domain === 'googlemail.com') {
+      domain = 'gmail.com';
+    }
+
+    if (PLUS_TAG_PROVIDERS.has(domain)) {
+      localPart = localPart.split('+')[0];
+    }
+
+    if (DOT_INSENSITIVE_PROVIDERS.has(domain)) {
+      localPart = localPart.replace(/\./g, '');
+    }
+
+    if (!localPart) {
+      throw new CustomError('Invalid email format', 400, 'INVALID_EMAIL');
+    }
+
+    return `${localPart}@${domain}`;
+  }
+
+  /**
+   * Convert a phone number into E.164, interpreting national numbers in the default region
+   */
+  normalizePhoneNumber(phoneNumber) {
+    let value = String(phoneNumber).trim().replace(/[\s\-().]/g, '');
+    let international = false;
+
+    if (value.startsWith('+')) {
+      international = true;
+      value = value.slice(1);
+    } else if (value.startsWith('00')) {
+      international = true;
+      value = value.slice(2);
+    }
+
+    if (!/^\d+$/.test(value)) {
+      throw new CustomError('Invalid phone number format', 400, 'INVALID_PHONE_NUMBER');
+    }
+
+    if (international) {
+      // E.164 allows at most 15 digits and calling codes never start with 0
+      if (value.length < 8 || value.length > 15 || value.startsWith('0')) {
+        throw new CustomError('Invalid phone number format', 400, 'INVALID_PHONE_NUMBER');
+      }
+      return `+${value}`;
+    }
+
+    const region = PHONE_REGIONS[this.defaultRegion];
+    let nationalNumber = value;
+
+    if (!region.nationalLengths.includes(nationalNumber.length) && nationalNumber.startsWith(region.trunkPrefix)) {
+      nationalNumber = nationalNumber.slice(region.trunkPrefix.length);
+    }
+
+    if (!region.nationalLengths.includes(nationalNumber.length)) {
+      throw new CustomError('Invalid phone number format', 400, 'INVALID_PHONE_NUMBER');
+    }
+
+    return `+${region.callingCode}${nationalNumber}`;
+  }
+
+  isValidEmail(email) {
+    return this.isValid(() => this.normalizeEmail(email));
+  }
+
+  isValidPhoneNumber(phoneNumber) {
+    return this.isValid(() => this.normalizePhoneNumber(phoneNumber));
+  }
+
+  isValid(normalizeFn) {
+    try {
+      normalizeFn();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Treat empty strings and whitespace as absent values
+   */
+  toRaw(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const raw = String(value).trim();
+    return raw.length > 0 ? raw : null;
+  }
+}
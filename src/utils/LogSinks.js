@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Log sinks - where Logger writes its entries. A sink is any object with write(entry), and close() if it holds
+ * resources; entries arrive already filtered by level and redacted.
+ */
+
+/**
+ * One JSON line per entry on stdout, or stderr for warnings and errors
+ */
+export class ConsoleSink {
+  write(entry) {
+    const line = JSON.stringify(entry);
+
+    if (entry.level === 'error') {
+      console.error(line);
+    } else if (entry.level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+/**
+ * One JSON line per entry appended to a file, rotated once it reaches maxBytes:
+ * service.log becomes service.log.1, the older files shift up and anything past maxFiles is dropped
+ */
+export class RotatingFileSink {
+  constructor(filePath, { maxBytes = 10 * 1024 * 1024, maxFiles = 5 } = {}) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    this.stream = this.open();
+  }
+
+  // Opened synchronously, so the file exists to be rotated before the stream has flushed anything
+  open() {
+    return fs.createWriteStream(this.filePath, { fd: fs.openSync(this.filePath, 'a') });
+  }
+
+  write(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+
+    if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxBytes) {
+      this.rotate();
+    }
+
+    this.stream.write(line);
+    this.size += Buffer.byteLength(line);
+  }
+
+  rotate() {
+    // Writes still buffered in the old stream follow the file through the rename
+    this.stream.end();
+
+    fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${this.filePath}.${i}`)) {
+        fs.renameSync(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`);
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+
+    this.stream = this.open();
+    this.size = 0;
+  }
+
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
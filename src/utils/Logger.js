@@ -1,69 +1,191 @@
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RequestContext } from './RequestContext.js';
+import { ConsoleSink, RotatingFileSink } from './LogSinks.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields holding personal data wherever they appear in an entry, and what their values are logged as
+const PII_FIELDS = [[/email/i, 'email'], [/phone/i, 'phone'], [/^ip$/, 'ip']];
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+(?:@|%40)[A-Za-z0-9.-]+\.[A-Za-z]{2,}/gi;
+// Lookup URLs carry the identifier itself, as a path segment or a query parameter
+const LOOKUP_PATH_PATTERN = /\/(by-email|by-phone|by-identifier\/[^/?#]+)\/([^/?#]+)/g;
+const PII_QUERY_PATTERN = /([?&][^=&#]*(?:email|phone)[^=&#]*=)([^&#]*)/gi;
+
+const decode = (text) => {
+  try {
+    return decodeURIComponent(text);
+  } catch (error) {
+    return text;
+  }
+};
+
 /**
  * Logger - Covert logging system for operational intelligence
  * Maintains detailed logs while appearing as standard service logging
+ * Entries below LOG_LEVEL are dropped, entries written while serving a request carry its requestId, and emails,
+ * phone numbers and IPs are replaced by keyed hashes (LOG_PII=redact drops them outright) before any sink sees them.
+ * Given a Metrics instance, database timings are also recorded as metrics
  */
 export class Logger {
-  constructor() {
-    this.logLevel = process.env.LOG_LEVEL || 'info';
+  constructor(metrics = null, options = {}) {
+    this.logLevel = options.level || process.env.LOG_LEVEL || 'info';
+    this.threshold = LEVELS[this.logLevel] ?? LEVELS.info;
+    this.piiMode = options.piiMode || process.env.LOG_PII || 'hash';
+    // Without a configured secret hashes still match within one process, just not across restarts
+    this.hashSecret = options.hashSecret || process.env.LOG_HASH_SECRET || crypto.randomBytes(32);
+    this.sinks = options.sinks || Logger.sinksFromEnv();
+    this.metrics = metrics;
+  }
+
+  /**
+   * Sinks named in LOG_SINKS (console, file) - console only by default
+   */
+  static sinksFromEnv() {
+    return (process.env.LOG_SINKS || 'console').split(',').map(name => name.trim()).filter(Boolean).map(name => {
+      switch (name) {
+        case 'console':
+          return new ConsoleSink();
+        case 'file':
+          return new RotatingFileSink(process.env.LOG_FILE || path.join(__dirname, '../../logs/service.log'), {
+            maxBytes: Number(process.env.LOG_FILE_MAX_BYTES || 10 * 1024 * 1024),
+            maxFiles: Number(process.env.LOG_FILE_MAX_FILES || 5)
+          });
+        default:
+          throw new Error(`Unknown log sink: ${name}`);
+      }
+    });
   }
 
   log(message, data = null) {
-    const timestamp = new Date().toISOString();
-    const logEntry = {
-      timestamp,
-      level: 'info',
-      message,
-      ...(data && { data })
-    };
+    this.write('info', { message, ...(data && { data }) });
+  }
 
-    console.log(JSON.stringify(logEntry));
+  logWarning(message, data = null) {
+    this.write('warn', { message, ...(data && { data }) });
   }
 
-  logError(message, error) {
-    const timestamp = new Date().toISOString();
-    const logEntry = {
-      timestamp,
-      level: 'error',
+  logError(message, error, data = null) {
+    this.write('error', {
       message,
       error: {
         message: error.message,
         stack: error.stack,
         name: error.name
-      }
-    };
-
-    console.error(JSON.stringify(logEntry));
+      },
+      ...(data && { data })
+    });
   }
 
   logRequest(req, res, duration) {
-    const logEntry = {
-      timestamp: new Date().toISOString(),
-      level: 'info',
+    this.write('info', {
+      // 'finish' fires outside the request's async context, so the id is taken from the request itself
+      ...(req.id && { requestId: req.id }),
       type: 'request',
       method: req.method,
-      url: req.url,
+      url: req.originalUrl || req.url,
       statusCode: res.statusCode,
       duration: `${duration}ms`,
       userAgent: req.get('User-Agent'),
       ip: req.ip
-    };
+    });
+  }
 
-    console.log(JSON.stringify(logEntry));
+  /**
+   * Audit entry for a request refused by authentication or authorization
+   */
+  logAccessDenied(req, reason, details = {}) {
+    this.write('warn', {
+      type: 'audit',
+      event: 'access_denied',
+      reason,
+      method: req.method,
+      url: req.originalUrl || req.url,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      ...details
+    });
   }
 
   logDatabaseOperation(operation, table, duration, recordCount = null) {
-    const logEntry = {
-      timestamp: new Date().toISOString(),
-      level: 'debug',
+    if (this.metrics) {
+      this.metrics.observeQuery(operation, table, duration);
+    }
+
+    this.write('debug', {
       type: 'database',
       operation,
       table,
       duration: `${duration}ms`,
       ...(recordCount !== null && { recordCount })
-    };
+    });
+  }
+
+  write(level, fields) {
+    if (LEVELS[level] < this.threshold) {
+      return;
+    }
+
+    const requestId = RequestContext.requestId;
+    const entry = { timestamp: new Date().toISOString(), level, ...(requestId && { requestId }), ...this.redact(fields) };
+
+    for (const sink of this.sinks) {
+      sink.write(entry);
+    }
+  }
+
+  /**
+   * A copy of value with personal data replaced - by field name anywhere in it, and emails and lookup URLs in any text
+   */
+  redact(value, key = null) {
+    if (value === null || value === undefined || value instanceof Date) {
+      return value;
+    }
+
+    const field = key && PII_FIELDS.find(([pattern]) => pattern.test(key));
+    if (field && (typeof value === 'string' || typeof value === 'number')) {
+      return this.mask(field[1], String(value));
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, key));
+    }
+
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.redact(item, name)]));
+    }
+
+    return typeof value === 'string' ? this.redactText(value) : value;
+  }
+
+  redactText(text) {
+    return text
+      .replace(LOOKUP_PATH_PATTERN, (match, lookup, identifier) =>
+        `/${lookup}/${this.mask(lookup === 'by-email' ? 'email' : lookup === 'by-phone' ? 'phone' : 'identifier', decode(identifier))}`)
+      .replace(PII_QUERY_PATTERN, (match, name, value) => `${name}${this.mask('value', decode(value))}`)
+      .replace(EMAIL_PATTERN, (email) => this.mask('email', decode(email)));
+  }
+
+  /**
+   * The same value always masks to the same token, so one customer's lines can still be followed
+   */
+  mask(kind, value) {
+    if (this.piiMode === 'redact') {
+      return `[${kind}]`;
+    }
+
+    const digest = crypto.createHmac('sha256', this.hashSecret).update(value.toLowerCase()).digest('hex');
+    return `[${kind}:${digest.slice(0, 12)}]`;
+  }
 
-    if (this.logLevel === 'debug') {
-      console.log(JSON.stringify(logEntry));
+  async close() {
+    for (const sink of this.sinks) {
+      await sink.close?.();
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,175 @@
+const SECONDS_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const QUERY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 1];
+
+// Cluster sizes are reported in these ranges so the gauge keeps a fixed number of series
+const CLUSTER_SIZE_RANGES = [[1, 1], [2, 2], [3, 3], [4, 5], [6, 10], [11, 25], [26, 100], [101, Infinity]];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * One metric family - its series are keyed by their label values
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  seriesFor(labels) {
+    const key = JSON.stringify(this.labelNames.map(name => String(labels[name] ?? '')));
+    if (!this.series.has(key)) {
+      const labelValues = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+      this.series.set(key, { labels: labelValues, ...this.emptySeries() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  emptySeries() {
+    return { value: 0 };
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels).value += amount;
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  emptySeries() {
+    return { value: 0 };
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels).value = value;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  renderSeries({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  emptySeries() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Bucket counts are already cumulative: each observation lands in every bucket at or above it
+  renderSeries({ labels, counts, sum, count }) {
+    return [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ];
+  }
+}
+
+/**
+ * Metrics - In-process metrics rendered in the Prometheus text exposition format
+ * Everything is counted since process start; scrape GET /metrics
+ */
+export class Metrics {
+  static contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+  constructor() {
+    this.requestDuration = new Histogram(
+      'http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route', 'status'], SECONDS_BUCKETS
+    );
+    this.operations = new Counter(
+      'identity_operations_total', 'Reconciliation and admin operations by action (return_existing, create_secondary, merge_primaries, ...)', ['action']
+    );
+    this.validationErrors = new Counter('http_validation_errors_total', 'Requests rejected as invalid, by error code', ['code']);
+    this.queryDuration = new Histogram(
+      'db_query_duration_seconds', 'Storage call latency by operation', ['operation', 'table'], QUERY_BUCKETS
+    );
+    this.clusterSizes = new Gauge('identity_clusters', 'Active clusters by number of contacts', ['tenant', 'size']);
+
+    this.metrics = [this.requestDuration, this.operations, this.validationErrors, this.queryDuration, this.clusterSizes];
+  }
+
+  /**
+   * Routes are labeled by their pattern (/contacts/:id), never the raw URL, to keep series bounded
+   */
+  observeRequest(req, res, durationMs) {
+    const route = req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched';
+    this.requestDuration.observe({ method: req.method, route, status: res.statusCode }, durationMs / 1000);
+  }
+
+  countOperation(action) {
+    this.operations.inc({ action });
+  }
+
+  countValidationError(code) {
+    this.validationErrors.inc({ code });
+  }
+
+  observeQuery(operation, table, durationMs) {
+    this.queryDuration.observe({ operation, table }, durationMs / 1000);
+  }
+
+  /**
+   * Replace the cluster-size gauge for a tenant from [{ size, clusters }] rows
+   */
+  setClusterSizes(tenantId, rows) {
+    for (const [min, max] of CLUSTER_SIZE_RANGES) {
+      const size = min === max ? `${min}` : max === Infinity ? `${min}+` : `${min}-${max}`;
+      const clusters = rows.filter(row => row.size >= min && row.size <= max).reduce((total, row) => total + row.clusters, 0);
+      this.clusterSizes.set({ tenant: tenantId, size }, clusters);
+    }
+  }
+
+  resetClusterSizes() {
+    this.clusterSizes.reset();
+  }
+
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
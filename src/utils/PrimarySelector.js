@@ -0,0 +1,104 @@
+export const PRIMARY_POLICIES = ['oldest', 'newest', 'most_identifiers'];
+
+/**
+ * PrimarySelector - Decides which primary survives when clusters merge
+ * Built-in policies are picked by name (MERGE_PRIMARY_POLICY, default "oldest"); any function
+ * scoring a candidate ({ primary, contacts }) works as a custom policy - the highest score wins.
+ * createdAt only has second resolution, so equal scores are settled by id, which follows insertion order:
+ * "newest" keeps the highest id, every other policy the lowest.
+ */
+export class PrimarySelector {
+  constructor(policy = process.env.MERGE_PRIMARY_POLICY || 'oldest') {
+    if (typeof policy === 'function') {
+      this.policy = 'custom';
+      this.scoreCandidate = policy;
+    } else if (PRIMARY_POLICIES.includes(policy)) {
+      this.policy = policy;
+      this.scoreCandidate = PrimarySelector[policy];
+    } else {
+      throw new Error(`Unsupported merge primary policy: ${policy}`);
+    }
+
+    this.preferHigherIds = this.policy === 'newest';
+  }
+
+  static oldest({ primary }) {
+    return -PrimarySelector.time(primary.createdAt);
+  }
+
+  /**
+   * Most recent activity anywhere in the primary's cluster
+   */
+  static newest({ contacts }) {
+    return Math.max(...contacts.map(c => PrimarySelector.time(c.createdAt)));
+  }
+
+  static most_identifiers({ contacts }) {
+    const identifiers = new Set();
+
+    for (const contact of contacts) {
+      if (contact.email) identifiers.add(`email:${contact.email}`);
+      if (contact.phoneNumber) identifiers.add(`phoneNumber:${contact.phoneNumber}`);
+      (contact.identifiers || []).forEach(({ type, value }) => identifiers.add(`${type}:${value}`));
+    }
+
+    return identifiers.size;
+  }
+
+  static time(timestamp) {
+    return new Date(timestamp).getTime();
+  }
+
+  /**
+   * Rank the primaries being merged - returns the survivor and the reasoning recorded with the merge
+   * contacts is everything being merged; each primary is scored together with its own secondaries
+   */
+  select(primaryContacts, contacts) {
+    const scored = primaryContacts.map(primary => {
+      const candidate = { primary, contacts: contacts.filter(c => c.id === primary.id || c.linkedId === primary.id) };
+      return { primary, score: Number(this.scoreCandidate(candidate)) };
+    });
+
+    // A single NaN makes the comparator inconsistent and the sort order undefined, even for a losing candidate
+    const invalid = scored.find(({ score }) => !Number.isFinite(score));
+    if (invalid) {
+      throw new Error(`Merge primary policy "${this.policy}" returned a non-numeric score for contact ${invalid.primary.id}`);
+    }
+
+    const ranked = scored.sort((a, b) => this.compare(a, b));
+    const [winner, runnerUp] = ranked;
+
+    const tieBroken = Boolean(runnerUp) && runnerUp.score === winner.score;
+
+    return {
+      primary: winner.primary,
+      reasoning: {
+        policy: this.policy,
+        primaryContactId: winner.primary.id,
+        reason: this.explain(winner, tieBroken),
+        tieBroken,
+        candidates: ranked.map(({ primary, score }) => ({ primaryContactId: primary.id, score }))
+      }
+    };
+  }
+
+  compare(a, b) {
+    if (a.score !== b.score) {
+      return b.score - a.score;
+    }
+
+    return this.preferHigherIds ? b.primary.id - a.primary.id : a.primary.id - b.primary.id;
+  }
+
+  explain({ primary, score }, tieBroken) {
+    const reasons = {
+      oldest: `created first (${primary.createdAt})`,
+      newest: `most recent activity (${new Date(score).toISOString()})`,
+      most_identifiers: `most distinct identifiers (${score})`,
+      custom: `highest custom score (${score})`
+    };
+    const tieBreak = this.preferHigherIds ? 'tie broken by the highest id' : 'tie broken by the lowest id';
+
+    return tieBroken ? `${reasons[this.policy]}, ${tieBreak}` : reasons[this.policy];
+  }
+}
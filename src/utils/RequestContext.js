@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Ids passed in by callers are kept only if they're short and safe to echo into headers and logs
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * RequestContext - The id of the request the current async context is serving
+ * Every request gets one - the caller's X-Request-Id when it's usable, a fresh UUID otherwise - echoed in the
+ * response header and error envelopes and stamped on log lines and audit entries, so one id ties them together
+ */
+export class RequestContext {
+  static get requestId() {
+    return storage.getStore()?.requestId ?? null;
+  }
+
+  /**
+   * Run work (and everything it awaits) as part of one request
+   */
+  static run(requestId, work) {
+    return storage.run({ requestId }, work);
+  }
+
+  /**
+   * Middleware giving each request its id - mount it first, so even requests refused early carry one
+   */
+  static assignId() {
+    return (req, res, next) => {
+      const requested = req.get(REQUEST_ID_HEADER);
+      req.id = requested && REQUEST_ID_PATTERN.test(requested) ? requested : crypto.randomUUID();
+      res.set(REQUEST_ID_HEADER, req.id);
+      next();
+    };
+  }
+
+  /**
+   * Middleware running the rest of the chain in the request's context - mount it after body parsing,
+   * which resumes in the socket's async context and would lose it
+   */
+  static enter() {
+    return (req, res, next) => RequestContext.run(req.id, next);
+  }
+}
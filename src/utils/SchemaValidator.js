@@ -0,0 +1,160 @@
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+  null: (value) => value === null
+};
+
+const describe = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+/**
+ * SchemaValidator - Checks values against the JSON Schema subset the OpenAPI document uses
+ * Supports $ref into the document's components, type (including "null" and type lists), enum, const,
+ * properties/required/additionalProperties, items, length/size/range limits, pattern, oneOf and anyOf.
+ * Problems come back as [{ path, message }] - an empty list means the value is valid. A schema can carry
+ * "x-error-code" to tag problems found at or below it with a more specific API error code.
+ */
+export class SchemaValidator {
+  constructor(document = {}) {
+    this.document = document;
+    this.patterns = new Map();
+  }
+
+  validate(schema, value, path = '') {
+    const errors = [];
+    this.check(schema, value, path, errors);
+    return errors;
+  }
+
+  resolve(schema) {
+    while (schema && schema.$ref) {
+      if (!schema.$ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference: ${schema.$ref}`);
+      }
+
+      const target = schema.$ref.slice(2).split('/').reduce((node, key) => node && node[key], this.document);
+      if (!target) {
+        throw new Error(`Unresolved schema reference: ${schema.$ref}`);
+      }
+      schema = target;
+    }
+
+    return schema;
+  }
+
+  check(schema, value, path, errors) {
+    schema = this.resolve(schema);
+    if (!schema) {
+      return;
+    }
+
+    const start = errors.length;
+    this.checkNode(schema, value, path, errors);
+
+    if (schema['x-error-code']) {
+      errors.slice(start).filter(error => !error.code).forEach(error => { error.code = schema['x-error-code']; });
+    }
+  }
+
+  checkNode(schema, value, path, errors) {
+    const fail = (message) => errors.push({ path: path || '(root)', message });
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => TYPE_CHECKS[type](value))) {
+        return fail(`must be ${types.join(' or ')}, got ${describe(value)}`);
+      }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+      return fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      return fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail(`must be at least ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        fail(`must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern && !this.pattern(schema.pattern).test(value)) {
+        fail(`must match ${schema.pattern}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        fail(`must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        fail(`must be <= ${schema.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(`must have at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        fail(`must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => this.check(schema.items, item, `${path}[${index}]`, errors));
+      }
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+      this.checkObject(schema, value, path, errors);
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(option => this.validate(option, value, path).length === 0)) {
+      fail('must match at least one of the allowed shapes');
+    }
+
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(option => this.validate(option, value, path).length === 0).length;
+      if (matches !== 1) {
+        fail(matches === 0 ? 'must match one of the allowed shapes' : 'must match exactly one of the allowed shapes');
+      }
+    }
+  }
+
+  checkObject(schema, value, path, errors) {
+    const properties = schema.properties || {};
+    const join = (key) => (path ? `${path}.${key}` : key);
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: join(key), message: 'is required' });
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) {
+        continue;
+      }
+
+      if (properties[key]) {
+        this.check(properties[key], propertyValue, join(key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: join(key), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        this.check(schema.additionalProperties, propertyValue, join(key), errors);
+      }
+    }
+  }
+
+  pattern(source) {
+    if (!this.patterns.has(source)) {
+      this.patterns.set(source, new RegExp(source));
+    }
+    return this.patterns.get(source);
+  }
+}